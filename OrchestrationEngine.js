@@ -2,103 +2,482 @@
 import { getStackConfig } from './stackConfigs.js';
 import { v4 as uuidv4 } from 'uuid';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import fs from 'fs';
+import { runWithConcurrency, createAbortError, isAbortError, limitFromEnv } from './concurrency.js';
+import { createBudgetError } from './budgets.js';
+import { analyzeComponent, VueComponentAnalysis, SvelteComponentAnalysis, AstroComponentAnalysis } from './componentAnalysis.js';
+import { blueprintRegistry, mergeBlueprints, prefixedBlueprintName } from './blueprintRegistry.js';
+import { workspaceBlueprints } from './workspaceBlueprints.js';
+import { sectionBlueprints } from './blueprint.js';
+import { renderTemplate, resolveTemplateVariables } from './templateEngine.js';
+import { normalizeBrandKit, expandBrandKit, describeBrandKit } from './brandKit.js';
+import { normalizeFields, expandApi, describeApi } from './backendTier.js';
+import ProjectValidationPipeline from './ProjectValidationPipeline.js';
+
+// Blueprint for a name: the workspace's custom one if it has one, else the built-in (null when there is neither).
+// Malformed blueprints throw.
+async function loadBlueprint(componentName, workspaceId = null) {
+  await blueprintRegistry.ensureLoaded();
+  return workspaceBlueprints.resolve(workspaceId, componentName) || blueprintRegistry.get(componentName);
+}
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Component blueprint for one section/variant pair from blueprint.js, on top of the stack's shared component rules
+async function loadSectionBlueprint(section, baseBlueprint = 'baseComponent') {
+  await blueprintRegistry.ensureLoaded();
+  const { variants, contentHints = [], styling = {} } = sectionBlueprints[section.name];
+  return blueprintRegistry.resolveInheritance({
+    extends: baseBlueprint,
+    purpose: `${section.name} page section, "${section.variant}" variant: ${variants[section.variant]}`,
+    features: {
+      variant: variants[section.variant],
+      content: contentHints.join(', ')
+    },
+    designSystem: Object.fromEntries(Object.entries(styling).map(([key, value]) => [key, typeof value === 'boolean' ? (value ? 'yes' : 'no') : String(value)])),
+    qualityChecks: { mustHave: ['responsive design'] },
+    validation: { mustContain: [section.component] }
+  }, [section.component]);
+}
 
-// Load blueprint object from /blueprints/ComponentName.js
-async function loadBlueprint(componentName) {
-  // Try .js first, then fallback to .ts for backward compatibility
-  let filePath = path.join(__dirname, 'blueprints', `${componentName}.js`);
-  if (!fs.existsSync(filePath)) {
-    filePath = path.join(__dirname, 'blueprints', `${componentName}.ts`);
-    if (!fs.existsSync(filePath)) return null;
-  }
+// Where generated files go. A stack's `layout` overrides any of these; with an `appDir`, pages become
+// file-based routes (<appDir>/<route>/<pageFileName>) instead of files in `pagesDir`.
+const DEFAULT_LAYOUT = {
+  componentsDir: 'src/components',
+  componentsImport: '../components',
+  componentExtension: '.tsx',
+  pagesDir: 'src/pages',
+  appDir: null,
+  pageFileName: 'page.tsx'
+};
 
-  try {
-    const module = await import(`file://${filePath}`);
-    const key = Object.keys(module)[0];
-    return module[key];
-  } catch (error) {
-    console.warn(`⚠️  Failed to load blueprint for ${componentName}:`, error.message);
-    return null;
-  }
+// tsconfig.json -> tsconfig, main.tsx -> main
+function fileBaseName(filePath) {
+  return path.basename(filePath).replace(/\.(tsx|ts|json|html|css)$/, '');
 }
 
-// Enhanced prompt builder for enterprise-level generation
-function buildEnterpriseComponentPrompt(name, blueprint, plan) {
-  const fileType = blueprint?.fileType || 'React Component';
-  const purpose = blueprint?.purpose || 'Component for the application';
-  
-  let prompt = `Generate a ${fileType} named ${name} for a ${plan.projectType} project.
+function sectionFilePath(section, layout) {
+  return `${layout.componentsDir}/sections/${section.component}${layout.componentExtension}`;
+}
 
-Description: ${plan.description}
+// Imports leave out .ts/.tsx; single-file components (.vue, .svelte) are imported with their extension
+function importExtension(layout) {
+  return /^\.tsx?$/.test(layout.componentExtension) ? '' : layout.componentExtension;
+}
 
-Purpose: ${purpose}
+// /products/:id -> app/products/[id]/page.tsx with an appDir (src/routes/products/[id]/+page.svelte in SvelteKit,
+// src/pages/products/[id]/index.astro in Astro), src/pages/ProductsPage.tsx without
+function pageFilePath(page, layout) {
+  if (!layout.appDir) return `${layout.pagesDir}/${page.name}${layout.componentExtension}`;
 
-`;
+  const segments = page.path.split('/').filter(Boolean).map(segment => {
+    if (segment === '*') return '[...slug]';
+    return segment.startsWith(':') ? `[${segment.slice(1)}]` : segment;
+  });
+  return [layout.appDir, ...segments, layout.pageFileName].join('/');
+}
 
-  // Add file type specific instructions
-  if (blueprint?.fileType === 'TypeScript Configuration') {
-    prompt += `CRITICAL: This is a TypeScript configuration file (tsconfig.json), NOT a React component.
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Page blueprint that also requires the page's sections to be imported and rendered in plan order
+function withPageSections(pageBlueprint, page, layout) {
+  if (!page.sections?.length) return pageBlueprint;
+
+  const names = page.sections.map(section => section.component);
+  const importPath = `${layout.componentsImport}/sections`;
+  const extension = importExtension(layout);
+  return mergeBlueprints(pageBlueprint || {}, {
+    purpose: `${pageBlueprint?.purpose || 'Page component'}. Build the page from these section components, rendered in this order: ${names.join(', ')}. Import each one as a default import from '${importPath}/<Name>${extension}'.`,
+    validation: {
+      mustContain: [
+        ...names.map(name => `import\\s+${name}\\s+from\\s+['"]${escapeRegExp(`${importPath}/${name}${extension}`)}['"]`),
+        names.map(name => `<${name}\\b`).join('[\\s\\S]*')
+      ]
+    }
+  });
+}
+
+// Variables the stack's package.json template may use
+const PACKAGE_JSON_VARIABLES = { projectName: 'string', projectDescription: 'string' };
+
+// Used when a component produces no usable code. Pages still render their planned sections in order.
+const FALLBACK_COMPONENT = {
+  format: 'ts',
+  variables: {
+    name: 'string',
+    sections: { type: 'array', default: [] },
+    componentsImport: { type: 'string', default: '../components' },
+    appRouter: { type: 'boolean', default: false }
+  },
+  template: `
+import React from 'react';
+{{#if sections}}
+{{#each sections as section}}
+import {{section.component}} from '{{componentsImport}}/sections/{{section.component}}';
+{{/each}}
+
+const {{name}} = () => (
+  <main>
+{{#each sections as section}}
+    <{{section.component}} />
+{{/each}}
+  </main>
+);
+{{else}}
+{{#if appRouter}}
+import Link from 'next/link';
+
+const {{name}} = () => (
+  <div className="flex items-center justify-center h-screen bg-gray-100">
+    <div className="bg-white p-8 rounded-lg shadow-lg">
+      <h1 className="text-2xl font-bold text-gray-800 mb-4">{{name}}</h1>
+      <p className="text-gray-600 mb-6">This component is a placeholder for {{name}}.</p>
+      <Link
+        href="/"
+        className="bg-blue-600 text-white px-6 py-2 rounded-md hover:bg-blue-700 transition-colors"
+      >
+        Go Home
+      </Link>
+    </div>
+  </div>
+);
+{{else}}
+import { useNavigate } from 'react-router-dom';
+
+const {{name}} = () => {
+  const navigate = useNavigate();
+
+  return (
+    <div className="flex items-center justify-center h-screen bg-gray-100">
+      <div className="bg-white p-8 rounded-lg shadow-lg">
+        <h1 className="text-2xl font-bold text-gray-800 mb-4">{{name}}</h1>
+        <p className="text-gray-600 mb-6">This component is a placeholder for {{name}}.</p>
+        <button
+          onClick={() => navigate('/')}
+          className="bg-blue-600 text-white px-6 py-2 rounded-md hover:bg-blue-700 transition-colors"
+        >
+          Go Home
+        </button>
+      </div>
+    </div>
+  );
+};
+{{/if}}
+{{/if}}
+
+export default {{name}};
+`
+};
+
+const VUE_FALLBACK_COMPONENT = {
+  format: 'ts',
+  variables: {
+    name: 'string',
+    sections: { type: 'array', default: [] },
+    componentsImport: { type: 'string', default: '@/components' }
+  },
+  template: `
+<script setup lang="ts">
+{{#if sections}}
+{{#each sections as section}}
+import {{section.component}} from '{{componentsImport}}/sections/{{section.component}}.vue';
+{{/each}}
+
+defineOptions({ name: '{{name}}' });
+</script>
+
+<template>
+  <main>
+{{#each sections as section}}
+    <{{section.component}} />
+{{/each}}
+  </main>
+</template>
+{{else}}
+import { RouterLink } from 'vue-router';
+
+defineOptions({ name: '{{name}}' });
+</script>
+
+<template>
+  <div class="flex items-center justify-center h-screen bg-gray-100">
+    <div class="bg-white p-8 rounded-lg shadow-lg">
+      <h1 class="text-2xl font-bold text-gray-800 mb-4">{{name}}</h1>
+      <p class="text-gray-600 mb-6">This component is a placeholder for {{name}}.</p>
+      <RouterLink
+        to="/"
+        class="bg-blue-600 text-white px-6 py-2 rounded-md hover:bg-blue-700 transition-colors"
+      >
+        Go Home
+      </RouterLink>
+    </div>
+  </div>
+</template>
+{{/if}}
+`
+};
+
+const SVELTE_FALLBACK_COMPONENT = {
+  format: 'ts',
+  variables: {
+    name: 'string',
+    sections: { type: 'array', default: [] },
+    componentsImport: { type: 'string', default: '$lib/components' }
+  },
+  template: `
+{{#if sections}}
+<script lang="ts">
+{{#each sections as section}}
+  import {{section.component}} from '{{componentsImport}}/sections/{{section.component}}.svelte';
+{{/each}}
+</script>
+
+<main>
+{{#each sections as section}}
+  <{{section.component}} />
+{{/each}}
+</main>
+{{else}}
+<div class="flex items-center justify-center h-screen bg-gray-100">
+  <div class="bg-white p-8 rounded-lg shadow-lg">
+    <h1 class="text-2xl font-bold text-gray-800 mb-4">{{name}}</h1>
+    <p class="text-gray-600 mb-6">This component is a placeholder for {{name}}.</p>
+    <a
+      href="/"
+      class="bg-blue-600 text-white px-6 py-2 rounded-md hover:bg-blue-700 transition-colors"
+    >
+      Go Home
+    </a>
+  </div>
+</div>
+{{/if}}
+`
+};
+
+// Pages render inside BaseLayout, which has the <head>; anything else is a fragment of a page
+const ASTRO_FALLBACK_COMPONENT = {
+  format: 'ts',
+  variables: {
+    name: 'string',
+    sections: { type: 'array', default: [] },
+    componentsImport: { type: 'string', default: '@/components' },
+    isPage: { type: 'boolean', default: false }
+  },
+  template: `---
+{{#if isPage}}
+import BaseLayout from '@/layouts/BaseLayout.astro';
+{{/if}}
+{{#each sections as section}}
+import {{section.component}} from '{{componentsImport}}/sections/{{section.component}}.astro';
+{{/each}}
+---
+
+{{#if isPage}}
+<BaseLayout title="{{name}}">
+{{/if}}
+{{#if sections}}
+<main>
+{{#each sections as section}}
+  <{{section.component}} />
+{{/each}}
+</main>
+{{else}}
+<div class="flex items-center justify-center h-screen bg-gray-100">
+  <div class="bg-white p-8 rounded-lg shadow-lg">
+    <h1 class="text-2xl font-bold text-gray-800 mb-4">{{name}}</h1>
+    <p class="text-gray-600 mb-6">This component is a placeholder for {{name}}.</p>
+    <a
+      href="/"
+      class="bg-blue-600 text-white px-6 py-2 rounded-md hover:bg-blue-700 transition-colors"
+    >
+      Go Home
+    </a>
+  </div>
+</div>
+{{/if}}
+{{#if isPage}}
+</BaseLayout>
+{{/if}}
+`
+};
+
+// Fallback component per stack framework; anything not listed gets the React one
+const FALLBACK_COMPONENTS = {
+  vue: VUE_FALLBACK_COMPONENT,
+  svelte: SVELTE_FALLBACK_COMPONENT,
+  astro: ASTRO_FALLBACK_COMPONENT
+};
+
+// Closing rules of every component prompt, unless the stack lists its own (stackConfig.technicalRequirements)
+const DEFAULT_TECHNICAL_REQUIREMENTS = [
+  'Use TypeScript with strict typing',
+  'Use Tailwind CSS for styling',
+  'Include Framer Motion for animations',
+  'Ensure accessibility compliance (WCAG AA)',
+  'Use modern React patterns (hooks, functional components)',
+  'Implement responsive design with mobile-first approach',
+  'Include proper error handling and loading states',
+  'Optimize for performance and SEO',
+  'Use Zustand for state management where applicable',
+  'Include React Hook Form with Zod validation where applicable',
+  'Implement proper routing with React Router where applicable'
+];
+
+function formatTechnicalRequirements(requirements) {
+  return `\nTechnical Requirements:
+${requirements.map(requirement => `- ${requirement}`).join('\n')}
+
+Return ONLY the requested file content. No explanations, no markdown, no code blocks.`;
+}
+
+// File-type specific instructions at the top of a prompt; anything not listed is a React component
+const FILE_TYPE_INSTRUCTIONS = {
+  'TypeScript Configuration': `CRITICAL: This is a TypeScript configuration file (tsconfig.json), NOT a React component.
 - Return ONLY valid JSON configuration
 - Do NOT include any React/TSX code
 - Do NOT include import/export statements
 - Must be parseable JSON for TypeScript compiler
-`;
-  } else if (blueprint?.fileType === 'CSS Stylesheet') {
-    prompt += `CRITICAL: This is a CSS file, NOT a React component.
+`,
+  'CSS Stylesheet': `CRITICAL: This is a CSS file, NOT a React component.
 - Return ONLY valid CSS with Tailwind directives
 - Do NOT include any React/TSX code
 - Do NOT include import/export statements
 - Must start with @tailwind directives
-`;
-  } else if (blueprint?.fileType === 'Vite Configuration') {
-    prompt += `CRITICAL: This is a Vite configuration file, NOT a React component.
+`,
+  'Vite Configuration': `CRITICAL: This is a Vite configuration file, NOT a React component.
 - Return ONLY valid TypeScript configuration code
 - Do NOT include any React/TSX code
 - Do NOT include JSX syntax
 - Must use defineConfig and proper Vite syntax
-`;
-  } else if (blueprint?.fileType === 'HTML Entry Point') {
-    prompt += `CRITICAL: This is an HTML file, NOT a React component.
+`,
+  'HTML Entry Point': `CRITICAL: This is an HTML file, NOT a React component.
 - Return ONLY valid HTML markup
 - Do NOT include any React/TSX code
 - Do NOT include import/export statements
 - Must include proper HTML structure with DOCTYPE
-`;
-  } else if (blueprint?.fileType === 'State Management Store') {
-    prompt += `CRITICAL: This is a Zustand store file, NOT a React component.
+`,
+  'State Management Store': `CRITICAL: This is a Zustand store file, NOT a React component.
 - Return ONLY valid TypeScript store code
 - Do NOT include JSX syntax or React components
 - Must use Zustand create function with proper middleware
 - Include TypeScript interfaces and types
-`;
-  } else if (blueprint?.fileType === 'React Form Component') {
-    prompt += `CRITICAL: This is a React form component.
+`,
+  'React Form Component': `CRITICAL: This is a React form component.
 - Return ONLY valid TSX code
 - Must include React Hook Form and Zod validation
 - Include proper accessibility features
 - Use consistent design system styling
-`;
-  } else if (blueprint?.fileType === 'React Page Component') {
-    prompt += `CRITICAL: This is a React page component.
+`,
+  'React Page Component': `CRITICAL: This is a React page component.
 - Return ONLY valid TSX code
 - Must include proper routing and navigation
 - Integrate with global state management
 - Include accessibility and SEO features
-`;
-  } else {
-    // React component
-    prompt += `CRITICAL: This is a React component file.
+`,
+  'Vue Component': `CRITICAL: This is a Vue 3 single-file component (.vue), NOT a React component.
+- Return ONLY the .vue file: <script setup lang="ts">, then <template>, then an optional <style scoped>
+- Do NOT use React, JSX, hooks or Framer Motion
+- Type props with defineProps<Props>() and events with defineEmits; name the component with defineOptions({ name })
+- Use the Composition API (ref, computed, watch) and Tailwind classes in the template
+- Animate with <Transition> / <TransitionGroup> or @vueuse/motion (v-motion)
+`,
+  'Vue Page Component': `CRITICAL: This is a Vue 3 page component (.vue) rendered by Vue Router.
+- Return ONLY the .vue file: <script setup lang="ts"> and <template>
+- Set the page title and description with useHead from @unhead/vue
+- Use RouterLink / useRouter from vue-router for navigation, never react-router-dom
+- Read shared state from the Pinia store
+`,
+  'Pinia Store': `CRITICAL: This is a Pinia store file (.ts), NOT a component.
+- Return ONLY valid TypeScript
+- Do NOT include <template> or JSX
+- Use defineStore with a setup function (ref for state, computed for getters, functions for actions)
+- Export the store as useAppStore and type its state
+`,
+  'Vue Form Component': `CRITICAL: This is a Vue 3 form component (.vue).
+- Return ONLY the .vue file: <script setup lang="ts"> and <template>
+- Must use VeeValidate (useForm, useField or <Form>/<Field>) with a Zod schema via @vee-validate/zod
+- Show each field's error message next to it, linked with aria-describedby
+- Use consistent design system styling
+`,
+  'Svelte Component': `CRITICAL: This is a Svelte 5 component (.svelte), NOT a React component.
+- Return ONLY the .svelte file: <script lang="ts">, then the markup, then an optional <style>
+- Do NOT use React, JSX, hooks or Framer Motion
+- Use runes: type props with an interface and \`let { ... }: Props = $props()\`, state with $state, derived values with $derived
+- Handle events with attributes (onclick={...}), not on:click; render children with {@render children?.()}
+- Animate with svelte/transition (transition:, in:, out:) and style with Tailwind classes
+`,
+  'SvelteKit Page': `CRITICAL: This is a SvelteKit route page (+page.svelte).
+- Return ONLY the .svelte file: <script lang="ts"> and the page markup
+- Set the page title and description in <svelte:head>
+- Navigate with plain <a href> links and goto from $app/navigation, never react-router-dom
+- Read shared state from the stores in $lib/stores
+`,
+  'Svelte Store': `CRITICAL: This is a Svelte store module (.ts), NOT a component.
+- Return ONLY valid TypeScript
+- Do NOT include markup or JSX
+- Use writable / derived from svelte/store and type the state
+- Export the stores and the functions that update them
+`,
+  'Svelte Form Component': `CRITICAL: This is a Svelte 5 form component (.svelte).
+- Return ONLY the .svelte file: <script lang="ts"> and the form markup
+- Validate with a Zod schema before submitting; progressively enhance the form with use:enhance from $app/forms
+- Show each field's error message next to it, linked with aria-describedby
+- Use consistent design system styling
+`,
+  'Astro Component': `CRITICAL: This is an Astro component (.astro), NOT a React component.
+- Return ONLY the .astro file: the --- frontmatter (imports, interface Props, const { ... } = Astro.props), then the markup
+- It renders to static HTML: no hooks, no state, no onClick={...} handlers and no Framer Motion
+- Use class (not className) with Tailwind classes, class:list for conditional classes and <slot /> for children
+- Anything interactive belongs in a React island (src/components/islands/*.tsx) rendered with client:visible or client:idle
+- Animate with Tailwind animate-* classes; small DOM behaviour (a menu toggle) goes in a <script> tag
+`,
+  'Astro Page': `CRITICAL: This is an Astro page (src/pages/**/index.astro), rendered to static HTML at build time.
+- Return ONLY the .astro file: the --- frontmatter, then the markup
+- Wrap the page in <BaseLayout title="..." description="..."> from '@/layouts/BaseLayout.astro', which renders the <head>, navbar and footer
+- Read testimonials and products with getCollection from astro:content
+- Dynamic routes ([id]) export getStaticPaths
+- Link with plain <a href>, never react-router-dom
+`,
+  'React Island': `CRITICAL: This is a React island (.tsx) that an Astro page hydrates with a client: directive.
+- Return ONLY valid TSX code with a default-exported component
+- Props come from an .astro file, so they must be serializable: no function props
+- Keep it to the interactive part; every island ships JavaScript
+`,
+  'Content Collection': `CRITICAL: This is an Astro content collection data file (.json), NOT code.
+- Return ONLY a JSON array of entries, each with a unique kebab-case "id"
+- Every entry must match the collection's schema in src/content.config.ts
+- Write realistic content for the project, no placeholder text
+`,
+  'Next.js Page': `CRITICAL: This is a Next.js App Router page (page.tsx), a Server Component.
+- Return ONLY valid TSX code
+- Do NOT add 'use client'; do NOT use hooks or event handlers in the page itself
+- Export \`metadata\` (import type { Metadata } from 'next') with the page title and description
+- Default-export the page component
+- Use next/link for navigation, never react-router-dom
+`
+};
+
+const DEFAULT_FILE_TYPE_INSTRUCTIONS = `CRITICAL: This is a React component file.
 - Return ONLY valid TSX code
 - Do NOT include markdown or explanations
 - Component must compile successfully
 - Use modern React 18 patterns with functional components and hooks
 `;
-  }
+
+// Enhanced prompt builder for enterprise-level generation
+function buildEnterpriseComponentPrompt(name, blueprint, plan, { brandKit = null, api = null, technicalRequirements = DEFAULT_TECHNICAL_REQUIREMENTS, defaultFileType = 'React Component' } = {}) {
+  const fileType = blueprint?.fileType || defaultFileType;
+  const purpose = blueprint?.purpose || 'Component for the application';
+  
+  let prompt = `Generate a ${fileType} named ${name} for a ${plan.projectType} project.
+
+Description: ${plan.description}
+
+Purpose: ${purpose}
+
+`;
+
+  // Add file type specific instructions
+  prompt += Object.hasOwn(FILE_TYPE_INSTRUCTIONS, fileType) ? FILE_TYPE_INSTRUCTIONS[fileType] : DEFAULT_FILE_TYPE_INSTRUCTIONS;
 
   // Add blueprint features if available
   if (blueprint?.features) {
@@ -193,24 +572,40 @@ Purpose: ${purpose}
     });
   }
 
-  prompt += `\nTechnical Requirements:
-- Use TypeScript with strict typing
-- Use Tailwind CSS for styling
-- Include Framer Motion for animations
-- Ensure accessibility compliance (WCAG AA)
-- Use modern React patterns (hooks, functional components)
-- Implement responsive design with mobile-first approach
-- Include proper error handling and loading states
-- Optimize for performance and SEO
-- Use Zustand for state management where applicable
-- Include React Hook Form with Zod validation where applicable
-- Implement proper routing with React Router where applicable
+  prompt += buildPlanContext(plan);
+  if (brandKit) prompt += describeBrandKit(brandKit);
+  if (api) prompt += describeApi(api);
 
-Return ONLY the requested file content. No explanations, no markdown, no code blocks.`;
+  prompt += formatTechnicalRequirements(technicalRequirements);
 
   return prompt;
 }
 
+// Pages and feature toggles from the approved project plan
+function buildPlanContext(plan) {
+  let context = '';
+
+  if (plan.pages?.length) {
+    context += `\nProject Pages:\n`;
+    plan.pages.forEach(page => {
+      context += `- ${page.name} (${page.path}) -> ${page.filePath || `src/pages/${page.name}.tsx`}\n`;
+      if (page.sections?.length) {
+        context += `  Sections, in order: ${page.sections.map(section => section.component).join(', ')}\n`;
+      }
+    });
+  }
+
+  if (plan.featureToggles) {
+    const enabled = Object.keys(plan.featureToggles).filter(key => plan.featureToggles[key]);
+    const disabled = Object.keys(plan.featureToggles).filter(key => !plan.featureToggles[key]);
+    context += `\nFeature Toggles:\n`;
+    if (enabled.length) context += `- Enabled: ${enabled.join(', ')}\n`;
+    if (disabled.length) context += `- Disabled (do NOT implement): ${disabled.join(', ')}\n`;
+  }
+
+  return context;
+}
+
 // Utility to scan TSX for external packages
 function scanImports(tsxContent) {
   const deps = {};
@@ -226,175 +621,1008 @@ function scanImports(tsxContent) {
   if (tsxContent.includes('date-fns')) deps['date-fns'] = '^3.6.0';
   if (tsxContent.includes('clsx')) deps['clsx'] = '^2.1.1';
   if (tsxContent.includes('tailwind-merge')) deps['tailwind-merge'] = '^2.4.0';
+  if (tsxContent.includes('pinia')) deps['pinia'] = '^2.2.2';
+  if (tsxContent.includes('vee-validate')) deps['vee-validate'] = '^4.13.2';
+  if (tsxContent.includes('@vee-validate/zod')) deps['@vee-validate/zod'] = '^4.13.2';
+  if (tsxContent.includes('@vueuse/core')) deps['@vueuse/core'] = '^11.1.0';
+  if (tsxContent.includes('@vueuse/motion')) deps['@vueuse/motion'] = '^2.2.5';
+  if (tsxContent.includes('@unhead/vue')) deps['@unhead/vue'] = '^1.11.6';
+  if (tsxContent.includes('lucide-vue-next')) deps['lucide-vue-next'] = '^0.441.0';
+  if (tsxContent.includes('lucide-svelte')) deps['lucide-svelte'] = '^0.441.0';
   return deps;
 }
 
+// Fill {placeholders} in a stack prompt
+function fillPrompt(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+}
+
+// Extract and repair the first JSON object in an LLM response (same approach as cleanClaudeResponse)
+export function parseJsonObject(raw) {
+  // Remove markdown code blocks
+  const cleaned = raw.replace(/```json\s*/gi, '').replace(/```\s*/g, '');
+
+  const jsonStart = cleaned.indexOf('{');
+  if (jsonStart === -1) {
+    throw new Error('No JSON object found in response');
+  }
+
+  // Find the matching closing brace, tracking the open brackets and braces (ignoring any inside strings)
+  const open = [];
+  let inString = false;
+  let jsonEnd = -1;
+  for (let i = jsonStart; i < cleaned.length; i++) {
+    const char = cleaned[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === '{' || char === '[') open.push(char);
+    else if (char === '}' || char === ']') open.pop();
+    if (open.length === 0) {
+      jsonEnd = i + 1;
+      break;
+    }
+  }
+
+  let jsonStr = cleaned.slice(jsonStart, jsonEnd === -1 ? undefined : jsonEnd);
+  // Truncated responses: finish the open string, drop a key left without a value, and close what's still open innermost first
+  if (jsonEnd === -1) {
+    if (inString) jsonStr += '"';
+    if (open[open.length - 1] === '{') {
+      jsonStr = jsonStr.replace(/([{,])\s*"(?:[^"\\]|\\.)*"\s*:?\s*$/, '$1');
+    }
+    jsonStr += open.reverse().map(bracket => (bracket === '{' ? '}' : ']')).join('');
+  }
+
+  jsonStr = jsonStr
+    // Fix missing commas between objects
+    .replace(/}\s*{/g, '},{')
+    // Fix trailing commas
+    .replace(/,(\s*[}\]])/g, '$1')
+    // Remove control characters that break JSON
+    .replace(/[\x00-\x1F\x7F]/g, ' ');
+
+  return JSON.parse(jsonStr);
+}
+
+// "hero section" / "hero-section" -> "HeroSection"
+function toPascalCase(value) {
+  return String(value || '')
+    .replace(/\.(tsx|ts|jsx|js)$/, '')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+}
+
+// Planned page sections -> [{ name: 'HeroSection', variant: 'splitImage', component: 'HeroSectionSplitImage' }].
+// Unknown sections are dropped and unknown variants fall back to the section's first one.
+function normalizeSections(entries) {
+  const sections = [];
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    const requested = toPascalCase(typeof entry === 'string' ? entry : entry?.name).toLowerCase();
+    const name = Object.keys(sectionBlueprints).find(key => [requested, `${requested}section`].includes(key.toLowerCase()));
+    if (!name) {
+      console.warn(`⚠️  Ignoring unknown page section: ${typeof entry === 'string' ? entry : entry?.name}`);
+      continue;
+    }
+
+    const variants = Object.keys(sectionBlueprints[name].variants);
+    const requestedVariant = String(entry?.variant || '').toLowerCase();
+    const variant = variants.find(candidate => candidate.toLowerCase() === requestedVariant) || variants[0];
+    const component = `${name}${toPascalCase(variant)}`;
+    if (!sections.some(section => section.component === component)) {
+      sections.push({ name, variant, component });
+    }
+  }
+  return sections;
+}
+
+// Planned data entities -> [{ name: 'Product', description, fields: [{ name, type, required }] }].
+// Entities without a usable field are dropped.
+function normalizeEntities(entries) {
+  const entities = [];
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    const name = toPascalCase(entry?.name);
+    const fields = normalizeFields(entry?.fields);
+    if (!/^[A-Z]/.test(name) || fields.length === 0 || entities.some(entity => entity.name === name)) continue;
+    // Descriptions become code comments, so they're kept to one line
+    const description = typeof entry.description === 'string' ? entry.description.replace(/\s+/g, ' ').trim() : '';
+    entities.push({ name, description, fields });
+  }
+  return entities;
+}
+
+// "HeroSection (centered | withCTA | splitImage), ..." for the analyze prompt
+function describeSectionCatalog() {
+  return Object.entries(sectionBlueprints)
+    .map(([name, section]) => `${name} (${Object.keys(section.variants).join(' | ')})`)
+    .join(', ');
+}
+
+// Match a planned component name against a stack catalog entry (Hero, HeroSection, hero-component...)
+function matchesCatalogName(plannedName, catalogName) {
+  const planned = plannedName.toLowerCase();
+  const catalog = catalogName.toLowerCase();
+  return planned === catalog || planned.replace(/(section|component)$/, '') === catalog;
+}
+
+const SEMANTIC_ELEMENTS = /^(section|article|nav|main|header|footer|aside|form|figure)$/;
+
+/**
+ * How each framework does the things the quality checks look for, keyed by stackConfig.framework
+ * (anything not listed is checked as React). `performance` entries are [check, points, find].
+ */
+const FRAMEWORK_FEATURES = {
+  react: {
+    animation: analysis => analysis.findImport('framer-motion') && (analysis.findElement(/^motion\.|^AnimatePresence$/) || analysis.findCall(/^motion/)),
+    routing: analysis => analysis.findImport('react-router-dom') || analysis.findHook(/^use(Navigate|Params|Location)$/),
+    seo: analysis => analysis.findElement(/^(Helmet|SEO|title|meta)$/) || analysis.findImport(/helmet/),
+    typedProps: analysis => analysis.findType(/Props$/),
+    animationAttributes: { entrance: /^(initial|animate)$/, exit: 'exit', hover: 'whileHover', click: 'whileTap' },
+    performance: [
+      ['React.memo', 10, analysis => analysis.findCall(/^(React\.)?memo$/)],
+      ['Lazy-loaded components', 10, analysis => analysis.findCall(/^(React\.)?lazy$/)],
+      ['useCallback / useMemo', 5, analysis => analysis.findHook(/^use(Callback|Memo)$/)]
+    ]
+  },
+  vue: {
+    animation: analysis => analysis.findElement(/^(Transition|TransitionGroup|transition|transition-group)$/) || analysis.findAttribute(/^v-motion/),
+    routing: analysis => analysis.findImport('vue-router') || analysis.findElement(/^(RouterLink|router-link)$/),
+    seo: analysis => analysis.findCall(/^use(Head|SeoMeta)$/),
+    typedProps: analysis => {
+      const typedDefineProps = analysis.calls.find(call => call.name === 'defineProps' && call.typed);
+      return analysis.findType(/Props$/) || (typedDefineProps ? analysis.location(typedDefineProps) : null);
+    },
+    animationAttributes: { entrance: /^(initial|enter|v-motion)/, exit: 'leave', hover: 'hovered', click: 'tapped' },
+    performance: [
+      ['computed / shallowRef', 10, analysis => analysis.findCall(/^(computed|shallowRef)$/)],
+      ['Async components', 10, analysis => analysis.findCall('defineAsyncComponent')],
+      ['v-memo / v-once', 5, analysis => analysis.findAttribute(/^v-(memo|once)$/)]
+    ]
+  },
+  svelte: {
+    animation: analysis => analysis.findAttribute(/^(transition|in|out|animate):/) || analysis.findImport(/^svelte\/(transition|animate|motion)$/),
+    routing: analysis => analysis.findImport(/^\$app\/(navigation|stores|state)$/) || analysis.findAttribute('href', /^\//),
+    seo: analysis => analysis.findElement('svelte:head'),
+    typedProps: analysis => analysis.findType(/Props$/),
+    animationAttributes: { entrance: /^(in|transition):/, exit: /^(out|transition):/, hover: /^onMouse(Enter|Over)$/, click: 'onClick' },
+    performance: [
+      ['$derived / derived stores', 10, analysis => analysis.findCall(/^(\$derived(\.by)?|derived)$/)],
+      ['{#await} for async data', 10, analysis => analysis.findBlock('await')],
+      ['Keyed {#each} blocks', 5, analysis => {
+        const keyed = analysis.blocks.find(block => block.name === 'each' && block.keyed);
+        return keyed ? analysis.location(keyed) : null;
+      }]
+    ]
+  },
+  astro: {
+    animation: analysis => analysis.findAttribute(/^transition:(animate|name)$/) || analysis.findElement(/^(ClientRouter|ViewTransitions)$/) || analysis.findClass(/^(\w+:)*animate-/),
+    routing: analysis => analysis.findAttribute('href', /^\//) || analysis.findExport('getStaticPaths'),
+    seo: analysis => analysis.findElement(/^(title|meta|SEO)$/) || analysis.findAttribute('description'),
+    typedProps: analysis => analysis.findType(/Props$/),
+    animationAttributes: { entrance: /^transition:(animate|name)$/, exit: 'transition:animate', hover: /^onMouse(Enter|Over)$/, click: 'onClick' },
+    performance: [
+      ['<Image> from astro:assets', 10, analysis => analysis.findImport('astro:assets') && analysis.findElement(/^(Image|Picture)$/)],
+      ['Deferred hydration (client:visible / client:idle)', 10, analysis => analysis.findAttribute(/^client:(visible|idle|media)$/)],
+      ['Content from collections', 5, analysis => analysis.findImport('astro:content')]
+    ]
+  }
+};
+
+// Blueprint mustHave entries are free text; each rule says how to find the feature in the parsed component
+// Quality dashboard counters and the passed checks that count toward each
+const DASHBOARD_METRICS = {
+  designSystem: finding => /^(Color: |Glassmorphism|Gradient background)/.test(finding.check),
+  animations: finding => finding.category === 'animation' || /^(Animation: |Transitions)/.test(finding.check),
+  accessibility: finding => finding.category === 'accessibility',
+  performance: finding => finding.category === 'performance',
+  responsiveness: finding => finding.category === 'responsiveness',
+  codeQuality: finding => finding.check.startsWith('Typed props')
+};
+
+const REQUIREMENT_CHECKS = [
+  { pattern: /framer[- ]?motion|animation/i, find: (analysis, features) => features.animation(analysis) },
+  { pattern: /recharts/i, find: analysis => analysis.findImport('recharts') },
+  { pattern: /react hook form/i, find: analysis => analysis.findImport('react-hook-form') && analysis.findHook('useForm') },
+  { pattern: /vee-?validate/i, find: analysis => analysis.findImport('vee-validate') && (analysis.findCall(/^use(Form|Field)$/) || analysis.findElement(/^(Form|Field)$/)) },
+  { pattern: /pinia/i, find: analysis => analysis.findImport('pinia') && analysis.findCall('defineStore') },
+  { pattern: /svelte stores?/i, find: analysis => analysis.findImport('svelte/store') && analysis.findCall(/^(writable|readable|derived)$/) },
+  { pattern: /use:enhance|progressive enhancement/i, find: analysis => analysis.findAttribute('use:enhance') },
+  { pattern: /content collections?/i, find: analysis => analysis.findImport('astro:content') && analysis.findCall(/^get(Collection|Entry)$/) },
+  { pattern: /island|client directive/i, find: analysis => analysis.findAttribute(/^client:/) },
+  { pattern: /zod/i, find: analysis => analysis.findImport(/^zod/) },
+  { pattern: /router|navigation integration/i, find: (analysis, features) => features.routing(analysis) },
+  { pattern: /metadata api/i, find: analysis => analysis.findExport(/^(metadata|generateMetadata)$/) },
+  { pattern: /seo|meta tags/i, find: (analysis, features) => features.seo(analysis) },
+  { pattern: /responsive/i, find: analysis => analysis.findClass(/^(sm|md|lg|xl|2xl):/) },
+  { pattern: /escape key/i, find: analysis => analysis.findString('Escape') },
+  { pattern: /keyboard/i, find: analysis => analysis.findAttribute(/^(onKeyDown|onKeyUp|tabIndex)$/) || analysis.findString(/^key(down|up)$/) },
+  {
+    pattern: /focus management/i,
+    find: analysis => analysis.findCall(/\.focus$/) || analysis.findAttribute(/^(autoFocus|tabIndex)$/)
+  },
+  { pattern: /access|aria|wcag/i, find: analysis => analysis.findAttribute(/^(aria-|role$|htmlFor$|alt$)/) || analysis.findElement('label') },
+  { pattern: /gradient|glassmorphism|modern ui/i, find: analysis => findGradient(analysis) || analysis.findClass(/^(\w+:)*backdrop-blur/) },
+  { pattern: /typescript|interface|prop types/i, find: (analysis, features) => features.typedProps(analysis) || analysis.findType(/./) },
+  {
+    pattern: /loading|disabled|spinner/i,
+    find: analysis => analysis.findAttribute(/^(disabled|aria-busy)$/) || analysis.findIdentifier(/^(is)?(loading|pending|submitting)$/i) || analysis.findClass(/^animate-spin$/)
+  },
+  {
+    pattern: /icon/i,
+    find: analysis => analysis.findImport(/^(lucide-react|lucide-vue-next|lucide-svelte|@heroicons\/|react-icons)/) || analysis.findElement(/Icon$/)
+  },
+  { pattern: /hover|focus effect/i, find: analysis => analysis.findClass(/^(\w+:)*(hover|focus|focus-visible):/) || analysis.findAttribute(/^while(Hover|Focus)$/) },
+  { pattern: /error/i, find: analysis => findErrorHandling(analysis) },
+  { pattern: /backdrop/i, find: analysis => analysis.findClass(/^(\w+:)*(backdrop-|bg-black\/)/) },
+  { pattern: /sort/i, find: analysis => analysis.findCall(/\.sort$/) || analysis.findIdentifier(/sort/i) },
+  { pattern: /paginat/i, find: analysis => analysis.findIdentifier(/(page|paginat)/i) },
+  { pattern: /performance/i, find: analysis => analysis.findCall(/^(React\.)?(memo|lazy)$/) || analysis.findHook(/^use(Memo|Callback)$/) },
+  { pattern: /layout|page structure/i, find: analysis => analysis.findElement(/^(main|section|header|footer)$/) },
+  { pattern: /tailwind|styling/i, find: analysis => (analysis.classes.length > 0 ? analysis.location(analysis.classes[0]) : null) }
+];
+
+function findGradient(analysis) {
+  return analysis.findClass(/^(\w+:)*bg-gradient-/) || analysis.findClass(/^(\w+:)*from-/);
+}
+
+function findErrorHandling(analysis) {
+  return analysis.findTry()
+    || analysis.findElement(/ErrorBoundary$/)
+    || analysis.findAttribute('onError')
+    || analysis.findCall(/\.catch$/)
+    || analysis.findIdentifier(/^(error|errors|isError)$/);
+}
+
+function findDesignColor(analysis, pattern) {
+  if (pattern === 'gradients') return findGradient(analysis);
+  if (pattern === 'glassmorphism') return analysis.findClass(/^(\w+:)*(backdrop-blur|bg-[\w-]+\/\d+$)/);
+  if (pattern === 'dark mode support') return analysis.findClass(/^dark:/);
+  return analysis.findClass(token => token.includes(pattern));
+}
+
+function findDesignAnimation(analysis, pattern, { animationAttributes: attributes }) {
+  if (pattern === 'entrance') return analysis.findAttribute(attributes.entrance) || analysis.findClass(/^(\w+:)*animate-/);
+  if (pattern === 'exit') return analysis.findAttribute(attributes.exit);
+  if (pattern === 'hover') return analysis.findAttribute(attributes.hover) || analysis.findClass(/^hover:/);
+  if (pattern === 'click') return analysis.findAttribute(attributes.click) || analysis.findClass(/^active:/) || analysis.findAttribute('onClick');
+  if (pattern === 'loading') return analysis.findClass(/^(\w+:)*animate-(spin|pulse)$/) || analysis.findIdentifier(/loading/i);
+  return analysis.findAttribute(name => name.toLowerCase().includes(pattern)) || analysis.findClass(token => token.includes(pattern));
+}
+
+/**
+ * Compile a blueprint validation rule. Rules are regex sources ('interface.*Props', 'console\\.log');
+ * ones that aren't valid regexes (e.g. "alert(") are matched literally.
+ */
+function compileRule(rule, flags) {
+  try {
+    return new RegExp(rule, flags);
+  } catch {
+    return new RegExp(escapeRegExp(rule), flags);
+  }
+}
+
+function locateIndex(code, index) {
+  const before = code.slice(0, index).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+function frameworkViolation(code, location, rule, message) {
+  return { type: 'framework', severity: 'error', rule, message, ...location, match: code.split('\n')[location.line - 1].trim() };
+}
+
+/**
+ * Next.js App Router: hooks, event handlers and Framer Motion only work in client components ('use client'),
+ * and metadata can only be exported from server components
+ */
+function checkClientBoundary(code, analysis) {
+  const violations = [];
+  const clientDirective = analysis.findDirective('use client');
+  const metadataExport = analysis.findExport(/^(metadata|generateMetadata)$/);
+
+  if (!clientDirective) {
+    const clientFeatures = [
+      ['hooks', analysis.findHook(/./)],
+      ['event handlers', analysis.findAttribute(/^on[A-Z]/)],
+      ['framer-motion', analysis.findImport('framer-motion')]
+    ].filter(([, location]) => location);
+    if (clientFeatures.length > 0) {
+      violations.push(frameworkViolation(code, clientFeatures[0][1], 'use client',
+        `Uses ${new Intl.ListFormat('en').format(clientFeatures.map(([feature]) => feature))} without a 'use client' directive; add it as the first line or move the interactive part into a client component`));
+    }
+  } else if (metadataExport) {
+    violations.push(frameworkViolation(code, metadataExport, 'server-only metadata',
+      `'use client' files can't export metadata; keep the metadata in a server component`));
+  }
+  return violations;
+}
+
+// A component for another framework importing one of these gets a React-only library
+const REACT_LIBRARIES = /^(react|react-dom|framer-motion|zustand|react-hook-form|react-router-dom)(\/|$)/;
+
+function checkReactImports(code, analysis, framework, equivalents) {
+  const reactImport = analysis.imports.find(entry => REACT_LIBRARIES.test(entry.source));
+  if (!reactImport) return [];
+  return [frameworkViolation(code, analysis.location(reactImport), 'no React libraries',
+    `Imports ${reactImport.source}, which doesn't work in a ${framework} component; use the ${framework} equivalent (${equivalents})`)];
+}
+
+/**
+ * Vue single-file components: React-only libraries don't run in them, and the script should be
+ * <script setup lang="ts"> like the rest of the project
+ */
+function checkSingleFileComponent(code, analysis) {
+  if (!(analysis instanceof VueComponentAnalysis)) return [];
+
+  const violations = checkReactImports(code, analysis, 'Vue', 'Transition or @vueuse/motion, Pinia, VeeValidate, vue-router');
+  if (analysis.scriptLang !== 'ts') {
+    const script = analysis.scriptSetup ? locateIndex(code, code.indexOf('<script')) : { line: 1, column: 1 };
+    violations.push({ ...frameworkViolation(code, script, 'script setup lang="ts"',
+      analysis.scriptSetup ? 'The <script setup> block is not TypeScript; add lang="ts"' : 'No <script setup lang="ts"> block; use the Composition API with TypeScript'), severity: 'warning' });
+  }
+  return violations;
+}
+
+/**
+ * Svelte components: no React libraries, a TypeScript script, and Svelte 5 runes rather than
+ * the legacy `export let` props and on:event directives
+ */
+function checkSvelteComponent(code, analysis) {
+  if (!(analysis instanceof SvelteComponentAnalysis)) return [];
+
+  const violations = checkReactImports(code, analysis, 'Svelte', 'svelte/transition, svelte/store, Zod with use:enhance, $app/navigation');
+  if (analysis.instanceScript && analysis.scriptLang !== 'ts') {
+    violations.push({ ...frameworkViolation(code, locateIndex(code, code.indexOf('<script')), 'script lang="ts"',
+      'The <script> block is not TypeScript; add lang="ts"'), severity: 'warning' });
+  }
+
+  const legacyProps = code.search(/^\s*export\s+let\s/m);
+  const legacyEvent = code.search(/\son:[a-z]+[|=\s>]/);
+  const legacy = [legacyProps, legacyEvent].filter(index => index !== -1).sort((a, b) => a - b)[0];
+  if (legacy !== undefined) {
+    const location = locateIndex(code, legacy + code.slice(legacy).search(/\S/));
+    violations.push({ ...frameworkViolation(code, location, 'Svelte 5 runes',
+      'Uses Svelte 4 syntax (export let / on:event); declare props with $props() and handle events with onclick={...}'), severity: 'warning' });
+  }
+  return violations;
+}
+
+// React hooks that would only run once on the server in an .astro file
+const REACT_HOOKS = /^use(State|Effect|LayoutEffect|Reducer|Ref|Memo|Callback|Context|Transition)$/;
+
+/**
+ * Astro components render to static HTML: hooks, event handlers and React libraries do nothing there, React islands
+ * only hydrate with a client: directive, and .astro components can't be hydrated at all
+ */
+function checkAstroComponent(code, analysis) {
+  if (!(analysis instanceof AstroComponentAnalysis)) return [];
+
+  const violations = [];
+  const eventHandler = analysis.attributes.find(entry => /^on[A-Z]/.test(entry.name) && entry.value === null && /^[a-z]/.test(entry.element));
+  const clientFeatures = [
+    ['hooks', analysis.findHook(REACT_HOOKS)],
+    ['event handlers', eventHandler ? analysis.location(eventHandler) : null],
+    ...analysis.imports.filter(entry => REACT_LIBRARIES.test(entry.source)).map(entry => [entry.source, analysis.location(entry)])
+  ].filter(([, location]) => location);
+  if (clientFeatures.length > 0) {
+    violations.push(frameworkViolation(code, clientFeatures[0][1], 'static .astro markup',
+      `Uses ${new Intl.ListFormat('en').format(clientFeatures.map(([feature]) => feature))} in an .astro component, which renders to static HTML; move the interactive part into a React island in src/components/islands and render it with client:visible`));
+  }
+
+  for (const island of analysis.islands.filter(entry => !entry.directive)) {
+    violations.push({ ...frameworkViolation(code, analysis.location(island), 'client directive',
+      `<${island.name}> is a React island without a client: directive, so it renders as static HTML; add client:visible (or client:load above the fold)`), severity: 'warning' });
+  }
+
+  const astroComponents = new Set(analysis.imports.filter(entry => entry.source.endsWith('.astro')).flatMap(entry => entry.specifiers));
+  const misplaced = analysis.attributes.find(entry => entry.name.startsWith('client:') && (astroComponents.has(entry.element) || /^[a-z]/.test(entry.element)));
+  if (misplaced) {
+    violations.push({ ...frameworkViolation(code, analysis.location(misplaced), 'client directive',
+      `${misplaced.name} on <${misplaced.element}> does nothing: only framework components (React islands) can be hydrated`), severity: 'warning' });
+  }
+  return violations;
+}
+
+// Rules a stack's framework adds on top of the blueprint's validation rules, keyed by stackConfig.framework
+const FRAMEWORK_RULES = {
+  nextjs: checkClientBoundary,
+  vue: checkSingleFileComponent,
+  svelte: checkSvelteComponent,
+  astro: checkAstroComponent
+};
+
+// How a generated file is parsed: .vue, .svelte and .astro files as markup with scripts, everything else as TSX
+function componentFormat(filePath) {
+  return filePath?.match(/\.(vue|svelte|astro)$/)?.[1] || 'tsx';
+}
+
+/**
+ * Check generated code against a blueprint's validation.mustContain / mustNotContain rules.
+ * mustContain rules describe features ('responsive.*design'), so they ignore case, may span lines and
+ * only warn; mustNotContain rules name exact tokens ('innerHTML'), are matched as written and are errors.
+ */
+function checkValidationRules(code, validation) {
+  const violations = [];
+  if (!validation) return violations;
+
+  for (const rule of validation.mustContain || []) {
+    if (!compileRule(rule, 'is').test(code)) {
+      violations.push({ type: 'mustContain', severity: 'warning', rule, message: `Missing required pattern: ${rule}`, line: null, column: null, match: null });
+    }
+  }
+
+  for (const rule of validation.mustNotContain || []) {
+    const match = compileRule(rule, '').exec(code);
+    if (match) {
+      const { line, column } = locateIndex(code, match.index);
+      const snippet = code.split('\n')[line - 1].trim();
+      violations.push({ type: 'mustNotContain', severity: 'error', rule, message: `Contains forbidden pattern: ${rule}`, line, column, match: snippet });
+    }
+  }
+
+  return violations;
+}
+
+function formatViolation(violation) {
+  return violation.line ? `${violation.message} (line ${violation.line}:${violation.column})` : violation.message;
+}
+
+/**
+ * An attempt worth keeping or patching: it parses and has no forbidden content
+ */
+function isUsableAttempt(quality) {
+  return !quality.findings.some(finding => finding.category === 'syntax')
+    && !quality.violations.some(violation => violation.severity === 'error');
+}
+
+function formatFinding(finding) {
+  const prefix = finding.category === 'requirement' ? 'Missing required feature: ' : '';
+  return `${prefix}${finding.check} (line ${finding.line}:${finding.column})`;
+}
+
 export class OrchestrationEngine {
-  constructor(sessionId = null, claudeInstance, stackConfig) {
+  /**
+   * options.sessionStore checkpoints the session after every file; options.session restores a saved one.
+   * options.onEvent(event, payload) receives file-started / file-chunk / file-completed as code is written.
+   */
+  constructor(sessionId = null, claudeInstance, stackConfig, options = {}) {
+    const { request: savedRequest, updatedAt, ...savedSession } = options.session || {};
     this.sessionId = sessionId || uuidv4();
     this.session = {
       sessionId: this.sessionId,
       generatedFiles: {},
       projectPlan: null,
-      totalTokensUsed: 0
+      totalTokensUsed: 0,
+      ...savedSession
     };
     this.claude = claudeInstance;
     this.stackConfig = stackConfig;
+    this.sessionStore = options.sessionStore || null;
+    this.onEvent = options.onEvent || null;
+    this.request = { ...savedRequest, ...options.request };
+    this.abortController = new AbortController();
+  }
+
+  /**
+   * Persist the session so a restarted server can resume it
+   */
+  checkpoint(status = this.session.status) {
+    this.session.status = status;
+    if (!this.sessionStore) return;
+
+    try {
+      this.sessionStore.save(this.sessionId, { ...this.session, request: this.request });
+    } catch (error) {
+      console.warn(`⚠️  Failed to checkpoint session ${this.sessionId}:`, error.message);
+    }
+  }
+
+  /**
+   * Stop the generation: no new steps start and the in-flight provider requests are aborted
+   */
+  cancel(reason = 'cancelled') {
+    if (!this.abortController.signal.aborted) {
+      console.log(`🛑 Cancelling generation ${this.sessionId} (${reason})`);
+      this.abortController.abort(reason);
+    }
+  }
+
+  get cancelled() {
+    return this.abortController.signal.aborted;
+  }
+
+  throwIfCancelled() {
+    if (this.cancelled) {
+      throw createAbortError();
+    }
   }
 
-  async askClaudeWithSession(prompt) {
-    const result = await this.claude(prompt);
+  emit(event, payload) {
+    this.onEvent?.(event, { sessionId: this.sessionId, ...payload, timestamp: new Date().toISOString() });
+  }
+
+  async askClaudeWithSession(prompt, meta = {}) {
+    this.throwIfCancelled();
+
+    // Stream file output to listeners as it's written
+    const onChunk = this.onEvent && meta.filePath
+      ? chunk => this.emit('file-chunk', { filePath: meta.filePath, phase: meta.phase, chunk })
+      : undefined;
+    if (onChunk) {
+      this.emit('file-started', { filePath: meta.filePath, name: meta.blueprint, phase: meta.phase });
+    }
+
+    const result = await this.claude(prompt, undefined, { ...meta, stack: this.stackConfig.id, sessionId: this.sessionId }, { signal: this.abortController.signal, onChunk });
     this.session.totalTokensUsed += result.tokensUsed || 0;
     return result;
   }
 
-  async generateProject(projectName, userPrompt, progressCallback = () => {}) {
-    this.session.projectPlan = {
+  async generateProject(projectName, userPrompt, progressCallback = () => {}, options = {}) {
+    this.request = {
+      ...this.request,
+      stackId: this.stackConfig.id,
       projectName,
-      description: userPrompt,
-      projectType: this.stackConfig.projectTypes[0]
+      userPrompt,
+      concurrency: options.concurrency,
+      brandKit: normalizeBrandKit(this.request.brandKit)
     };
+    this.checkpoint('running');
 
-    const requiredComponents = this.stackConfig.requiredComponents || [];
-    const requiredFiles = this.stackConfig.requiredFiles || [];
-    const enhancedComponents = this.stackConfig.enhancedComponents || [];
-    const packageJson = JSON.parse(JSON.stringify(this.stackConfig.templates.packageJson));
+    // 0️⃣ Plan the project (or use the plan the client already approved). A resumed session keeps its plan.
+    try {
+      if (!this.session.projectPlan) {
+        this.session.projectPlan = options.plan
+          ? this.normalizePlan(options.plan, projectName, userPrompt)
+          : await this.planProject(projectName, userPrompt);
+        this.checkpoint();
+      }
+    } catch (error) {
+      if (!this.cancelled || !isAbortError(error)) throw error;
+    }
+
+    if (this.cancelled) {
+      this.checkpoint('cancelled');
+      return { files: {}, packageJson: null, projectPlan: this.session.projectPlan, totalTokensUsed: this.session.totalTokensUsed, cancelled: true };
+    }
+
+    // Before any file is generated: an oversized plan fails having spent at most the planning call
+    this.checkFileLimit(this.session.projectPlan, options.maxFiles);
+
+    const { components, customComponents, enhancedComponents, sections, pages } = this.selectPlannedFiles(this.session.projectPlan);
+    // Full-stack mode adds the backend tier's files (server and frontend client) to the core files
+    const requiredFiles = [
+      ...(this.stackConfig.requiredFiles || []),
+      ...(this.getApi() ? this.stackConfig.backend.requiredFiles : [])
+    ];
+    const layout = this.getLayout();
+    const packageJson = JSON.parse(this.renderBlueprintTemplate(
+      { template: JSON.stringify(this.stackConfig.templates.packageJson), variables: PACKAGE_JSON_VARIABLES, format: 'json' },
+      `${this.stackConfig.id} package.json`
+    ));
     const generatedDependencies = {};
+    // Files skipped this run because their blueprint is malformed; a resume tries them again
+    this.session.blueprintErrors = [];
+    const concurrency = this.getConcurrency(options.concurrency);
+
+    // Every file to produce, grouped into phases. Files within a phase don't depend on each other.
+    const pageBlueprint = pages.length > 0 ? await loadBlueprint(this.stackConfig.pageBlueprint || 'Page', this.request.workspaceId) : null;
+    const sectionTasks = await Promise.all(sections.map(async section => ({
+      kind: 'component',
+      name: section.component,
+      filePath: sectionFilePath(section, layout),
+      blueprint: await loadSectionBlueprint(section, this.stackConfig.baseBlueprint)
+    })));
+    const phases = [
+      // 1️⃣ Core project files (templates where available)
+      // Entries are a blueprint name (also the output path) or { path, blueprint }
+      requiredFiles.map(entry => typeof entry === 'string'
+        ? { kind: 'file', name: entry, filePath: entry }
+        : { kind: 'file', name: entry.path, filePath: entry.path, blueprintName: entry.blueprint }),
+      // 2️⃣ Planned, custom and enhanced components, and the sections pages are built from
+      [
+        ...components.map(file => {
+          const name = file.replace(/\.\w+$/, '');
+          return { kind: 'component', name, filePath: `${layout.componentsDir}/${file}`, blueprintName: this.stackBlueprintName(name) };
+        }),
+        ...customComponents.map(component => ({
+          kind: 'component',
+          name: component.name,
+          filePath: `${layout.componentsDir}/${component.name}${layout.componentExtension}`,
+          blueprint: { fileType: this.getComponentFileType(), purpose: component.description || `${component.name} component for the application` }
+        })),
+        // Entries are a name (a component in componentsDir) or { name, path } for files that live elsewhere
+        ...enhancedComponents.map(entry => {
+          const { name, path: filePath = `${layout.componentsDir}/${name}${layout.componentExtension}` } =
+            typeof entry === 'string' ? { name: entry.replace('.ts', '') } : entry;
+          return { kind: 'component', name, filePath, blueprintName: this.stackBlueprintName(name), optional: true };
+        }),
+        ...sectionTasks
+      ],
+      // 3️⃣ Pages, which compose the components above
+      pages.map(page => {
+        const blueprint = withPageSections(pageBlueprint, page, layout);
+        return {
+          kind: 'component',
+          name: page.name,
+          filePath: pageFilePath(page, layout),
+          blueprint: {
+            ...blueprint,
+            purpose: `${blueprint?.purpose || 'Page component'}. Route: ${page.path}.${page.description ? ` ${page.description}` : ''}`
+          }
+        };
+      })
+    ];
+
+    const totalSteps = phases.reduce((count, phase) => count + phase.length, 0);
+    let completedSteps = 0;
+
+    try {
+      for (const phase of phases) {
+        await runWithConcurrency(phase, concurrency, async (task) => {
+          this.throwIfCancelled();
+          // Files finished before a restart are kept as-is, not regenerated
+          const resumed = task.filePath in this.session.generatedFiles;
+          const code = resumed ? this.session.generatedFiles[task.filePath] : await this.generateTask(task);
+          if (code !== null) {
+            Object.assign(generatedDependencies, scanImports(code));
+            this.emit('file-completed', { filePath: task.filePath, name: task.name, content: code, resumed });
+          }
+          if (!resumed) {
+            this.checkpoint();
+          }
+
+          completedSteps++;
+          progressCallback(task.name, (completedSteps / Math.max(totalSteps, 1)) * 90);
+        });
+      }
+    } catch (error) {
+      if (!this.cancelled || !isAbortError(error)) throw error;
+    }
+
+    // Concurrent workers finish in any order; keep the output in plan order
+    const orderedPaths = phases.flat().map(task => task.filePath);
+    this.session.generatedFiles = Object.fromEntries(
+      orderedPaths
+        .filter(filePath => filePath in this.session.generatedFiles)
+        .map(filePath => [filePath, this.session.generatedFiles[filePath]])
+    );
+
+    // 4️⃣ Update package.json with generated dependencies
+    if (Object.keys(generatedDependencies).length > 0) {
+      Object.assign(packageJson.dependencies, generatedDependencies);
+    }
+
+    // Cancelled: hand back whatever finished, without the quality pass
+    if (this.cancelled) {
+      console.log(`🛑 Generation ${this.sessionId} cancelled after ${completedSteps}/${totalSteps} files`);
+      this.checkpoint('cancelled');
+      return {
+        files: this.session.generatedFiles,
+        packageJson,
+        projectPlan: this.session.projectPlan,
+        totalTokensUsed: this.session.totalTokensUsed,
+        cancelled: true
+      };
+    }
+
+    // 5️⃣ Generate quality dashboard and final report
+    progressCallback('Quality Assessment', 95);
+    
+    console.log('\n🔍 Assessing project quality...');
+    // Each file is scored against the blueprint it was generated from
+    const scoredFiles = await Promise.all(phases.flat()
+      .filter(task => task.filePath in this.session.generatedFiles)
+      .map(async task => ({
+        name: task.kind === 'file' ? path.basename(task.filePath).replace(/\.\w+$/, '') : task.name,
+        filePath: task.filePath,
+        // A blueprint that became malformed since (hot reload) just leaves its file unscored
+        blueprint: await this.resolveTaskBlueprint(task).catch(() => null)
+      })));
+    const qualityDashboard = this.printQualityDashboard(scoredFiles);
+    
+    // Store quality metrics in session
+    this.session.qualityMetrics = qualityDashboard;
+
+    // Whole-project checks (structure, imports, framework patterns), judged by the stack's framework rules
+    const { projectType, featureToggles } = this.session.projectPlan;
+    const projectValidation = await new ProjectValidationPipeline().validateProject(this.session.generatedFiles, {
+      framework: this.stackConfig.framework,
+      projectType,
+      featureToggles
+    });
 
-    // 1️⃣ Generate core project files using TEMPLATES (not AI)
-    for (const filePath of requiredFiles) {
-      const baseName = path.basename(filePath).replace(/\.(tsx|ts|json|html|css)$/, '');
-      const blueprint = await loadBlueprint(baseName);
-      
+    progressCallback('Project Complete', 100);
+    this.checkpoint('completed');
+    
+    return {
+      files: this.session.generatedFiles,
+      packageJson,
+      projectPlan: this.session.projectPlan,
+      qualityMetrics: qualityDashboard,
+      projectValidation,
+      blueprintErrors: this.session.blueprintErrors,
+      totalTokensUsed: this.session.totalTokensUsed
+    };
+  }
+
+  /**
+   * Pool size for concurrent generation: request option, stack config, GENERATION_CONCURRENCY, then 4
+   */
+  getConcurrency(requested) {
+    const candidates = [requested, this.stackConfig.generation?.concurrency, process.env.GENERATION_CONCURRENCY];
+    for (const candidate of candidates) {
+      const value = parseInt(candidate, 10);
+      if (Number.isFinite(value) && value > 0) return Math.min(value, 16);
+    }
+    return 4;
+  }
+
+  /**
+   * Produce one planned file. Returns the code, or null when an optional blueprint is missing or the file's
+   * blueprint is malformed; malformed ones are recorded in session.blueprintErrors and the rest of the project goes on.
+   */
+  async generateTask(task) {
+    let blueprint;
+    try {
+      blueprint = await this.resolveTaskBlueprint(task);
+    } catch (error) {
+      if (error.name !== 'BlueprintValidationError') throw error;
+      console.error(`❌ Skipping ${task.filePath}: ${error.message}`);
+      this.session.blueprintErrors.push({ filePath: task.filePath, blueprint: error.blueprint, message: error.message, errors: error.errors });
+      return null;
+    }
+
+    if (task.kind === 'file') {
+      const baseName = task.blueprintName || fileBaseName(task.filePath);
       let code;
-      
+
       // Use template-based generation for static files (like bolt.new)
       if (blueprint?.generationMethod === 'template') {
-        code = this.generateFromTemplate(blueprint, this.session.projectPlan);
-        console.log(`📄 Generated ${filePath} from template`);
+        code = this.generateFromTemplate(blueprint, baseName);
+        console.log(`📄 Generated ${task.filePath} from template`);
       } else {
         // Fallback to AI generation only for components that need it
-        const prompt = buildEnterpriseComponentPrompt(baseName, blueprint, this.session.projectPlan);
-        const result = await this.askClaudeWithSession(prompt);
+        const prompt = buildEnterpriseComponentPrompt(baseName, blueprint, this.session.projectPlan, this.promptOptions());
+        const result = await this.askClaudeWithSession(prompt, { blueprint: baseName, fileType: blueprint?.fileType, filePath: task.filePath, phase: 'generate' });
         code = result.output?.trim() || '';
-        console.log(`🤖 Generated ${filePath} with AI`);
+        console.log(`🤖 Generated ${task.filePath} with AI`);
       }
 
-      this.session.generatedFiles[filePath] = code;
+      this.session.generatedFiles[task.filePath] = code;
+      return code;
+    }
+
+    if (!blueprint && task.optional) {
+      return null;
+    }
+    return this.generateComponent(task.name, blueprint, task.filePath);
+  }
 
-      // Scan for any new dependencies
-      const foundDeps = scanImports(code);
-      Object.assign(generatedDependencies, foundDeps);
+  /**
+   * The blueprint a task is generated and scored with. Files are looked up by their whole name (index.css, main.tsx),
+   * then their base name (tsconfig), unless the stack names one.
+   */
+  async resolveTaskBlueprint(task) {
+    if (task.blueprint) return task.blueprint;
+    if (task.kind === 'file' && !task.blueprintName) {
+      return await loadBlueprint(path.basename(task.filePath), this.request.workspaceId)
+        || await loadBlueprint(fileBaseName(task.filePath), this.request.workspaceId);
     }
+    return loadBlueprint(task.blueprintName || task.name, this.request.workspaceId);
+  }
 
-    // 2️⃣ Generate required components with enhanced prompts
-    for (const file of requiredComponents) {
-      const componentName = file.replace('.tsx', '');
-      const blueprint = await loadBlueprint(componentName);
-      const prompt = buildEnterpriseComponentPrompt(componentName, blueprint, this.session.projectPlan);
-      const response = await this.askClaudeWithSession(prompt);
-      const tsxCode = response.output?.trim() || '';
+  /**
+   * Generate one component, then retry it round by round until it passes its quality checks.
+   * If no round passes, the best-scoring attempt is kept; the fallback template is only used when none is usable.
+   */
+  async generateComponent(componentName, blueprint, filePath) {
+    const maxAttempts = this.getMaxAttempts(blueprint);
+    let best = null;
+    let previous = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      // Later rounds patch the previous code instead of starting over
+      const prompt = previous
+        ? this.buildRetryPrompt(componentName, blueprint, previous.code, previous.quality)
+        : buildEnterpriseComponentPrompt(componentName, blueprint, this.session.projectPlan, this.promptOptions());
+      const phase = previous ? 'retry' : 'generate';
+      const response = await this.askClaudeWithSession(prompt, { blueprint: componentName, fileType: blueprint?.fileType, filePath, phase, attempt });
+      const code = response.output?.trim() || '';
 
       // Quality validation before accepting the component
-      const qualityResult = this.validateComponentQuality(tsxCode, blueprint);
-      
-      if (!qualityResult.passed) {
-        console.warn(`⚠️  Component ${componentName} failed quality check. Regenerating...`);
-        
-        // Try to regenerate with improved prompt
-        const improvedPrompt = this.buildQualityFocusedPrompt(componentName, blueprint, this.session.projectPlan, qualityResult.issues);
-        const retryResponse = await this.askClaudeWithSession(improvedPrompt);
-        const retryCode = retryResponse.output?.trim() || '';
-        
-        // Validate retry attempt
-        const retryQuality = this.validateComponentQuality(retryCode, blueprint);
-        
-        if (retryQuality.passed) {
-          console.log(`✅ Component ${componentName} quality improved after retry: ${retryQuality.score}/${retryQuality.maxScore}`);
-          this.session.generatedFiles[`src/components/${file}`] = retryCode;
-        } else {
-          console.error(`❌ Component ${componentName} still fails quality check after retry. Using fallback template.`);
-          // Use a high-quality template as fallback
-          this.session.generatedFiles[`src/components/${file}`] = this.generateFallbackComponent(componentName, blueprint);
+      const quality = this.validateComponentQuality(code, blueprint, filePath);
+
+      if (quality.passed) {
+        if (attempt > 1) {
+          console.log(`✅ Component ${componentName} passed after ${attempt} attempts: ${quality.score}/${quality.maxScore}`);
         }
-      } else {
-        this.session.generatedFiles[`src/components/${file}`] = tsxCode;
+        this.session.generatedFiles[filePath] = code;
+        return code;
+      }
+
+      if (code && isUsableAttempt(quality) && (!best || quality.score > best.quality.score)) {
+        best = { code, quality, attempt };
+      }
+      previous = best || (code ? { code, quality } : null);
+
+      if (attempt < maxAttempts) {
+        console.warn(`⚠️  Component ${componentName} failed quality check (attempt ${attempt}/${maxAttempts}). Retrying...`);
       }
+    }
 
-      const foundDeps = scanImports(tsxCode);
-      Object.assign(generatedDependencies, foundDeps);
+    if (best) {
+      console.warn(`⚠️  Component ${componentName} still below its quality bar after ${maxAttempts} attempts. Keeping attempt ${best.attempt} (${best.quality.score}/${best.quality.maxScore}).`);
+      this.session.generatedFiles[filePath] = best.code;
+      return best.code;
+    }
+
+    console.error(`❌ Component ${componentName} produced no usable code in ${maxAttempts} attempts. Using fallback template.`);
+    const fallbackCode = this.generateFallbackComponent(componentName, blueprint);
+    this.session.generatedFiles[filePath] = fallbackCode;
+    return fallbackCode;
+  }
 
-      progressCallback(componentName, ((requiredComponents.indexOf(file) + 1) / requiredComponents.length) * 100);
+  /**
+   * Attempts per component: the blueprint's qualityChecks.maxAttempts, then QUALITY_MAX_ATTEMPTS, then 3
+   */
+  getMaxAttempts(blueprint) {
+    const value = parseInt(blueprint?.qualityChecks?.maxAttempts, 10);
+    if (Number.isFinite(value) && value > 0) return value;
+    return limitFromEnv('QUALITY_MAX_ATTEMPTS', 3);
+  }
+
+  /**
+   * Run the stack's analyze (and plan) prompts to produce the project plan
+   */
+  async planProject(projectName, userPrompt) {
+    const prompts = this.stackConfig.prompts || {};
+
+    if (!prompts.analyze) {
+      return this.normalizePlan({}, projectName, userPrompt);
+    }
+
+    let plan;
+    try {
+      const componentCatalog = (this.stackConfig.requiredComponents || []).map(file => file.replace(/\.\w+$/, '')).join(', ');
+      const analyzePrompt = fillPrompt(prompts.analyze, { userPrompt, projectName, componentCatalog, sectionCatalog: describeSectionCatalog() });
+      const response = await this.askClaudeWithSession(analyzePrompt, { phase: 'plan', step: 'analyze' });
+      plan = this.normalizePlan(parseJsonObject(response.output || ''), projectName, userPrompt);
+      console.log(`🗺️  Planned ${plan.pages.length} pages and ${plan.components.length} components (${plan.projectType})`);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn(`⚠️  Project analysis failed, using the stack defaults: ${error.message}`);
+      return this.normalizePlan({ components: this.stackConfig.requiredComponents || [] }, projectName, userPrompt, 'fallback');
+    }
+
+    // Folder structure from the plan prompt is advisory, so failures don't block generation
+    if (prompts.plan) {
+      try {
+        const structurePrompt = fillPrompt(prompts.plan, plan);
+        const response = await this.askClaudeWithSession(structurePrompt, { phase: 'plan', step: 'structure' });
+        plan.structure = parseJsonObject(response.output || '');
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.warn(`⚠️  Could not parse project structure: ${error.message}`);
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Coerce a raw (LLM- or client-supplied) plan into the shape generation relies on
+   */
+  normalizePlan(rawPlan, projectName, userPrompt, source = 'analyze') {
+    const raw = rawPlan && typeof rawPlan === 'object' ? rawPlan : {};
+    const projectTypes = this.stackConfig.projectTypes || [];
+
+    const pages = [];
+    for (const entry of Array.isArray(raw.pages) ? raw.pages : []) {
+      const baseName = toPascalCase(typeof entry === 'string' ? entry : entry?.name);
+      if (!baseName) continue;
+      const name = baseName.endsWith('Page') ? baseName : `${baseName}Page`;
+      if (pages.some(page => page.name === name)) continue;
+      const routePath = typeof entry?.path === 'string' && entry.path.startsWith('/')
+        ? entry.path
+        : `/${baseName.replace(/Page$/, '').replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase()}`;
+      pages.push({ name, path: routePath, description: entry?.description || '', sections: normalizeSections(entry?.sections) });
+    }
+    if (pages.length === 0) {
+      pages.push({ name: 'HomePage', path: '/', description: '', sections: [] });
+    }
+    if (!pages.some(page => page.path === '/')) {
+      pages[0].path = '/';
+    }
+    const layout = this.getLayout();
+    for (const page of pages) {
+      page.filePath = pageFilePath(page, layout);
+    }
+
+    const components = [];
+    for (const entry of Array.isArray(raw.components) ? raw.components : []) {
+      const name = toPascalCase(typeof entry === 'string' ? entry : entry?.name);
+      if (!name || components.some(component => component.name === name)) continue;
+      components.push({ name, description: entry?.description || '' });
+    }
+
+    const featureToggles = { ...(this.stackConfig.defaultFeatureToggles || {}) };
+    for (const [toggle, value] of Object.entries(raw.featureToggles || {})) {
+      if (typeof value === 'boolean') featureToggles[toggle] = value;
+    }
+    // The request can ask for the backend tier whatever the planner decided
+    if (this.request.fullStack && this.stackConfig.backend) {
+      featureToggles.fullStack = true;
+    }
+
+    return {
+      ...raw,
+      projectName: raw.projectName || projectName,
+      description: typeof raw.description === 'string' && raw.description.trim() ? raw.description : userPrompt,
+      projectType: projectTypes.includes(raw.projectType) ? raw.projectType : projectTypes[0],
+      pages,
+      components,
+      entities: normalizeEntities(raw.entities),
+      featureToggles,
+      source: raw.source || source
+    };
+  }
+
+  /**
+   * How many files a plan produces: the stack's required files (and the backend tier's in full-stack mode) plus
+   * everything selectPlannedFiles picks
+   */
+  countPlannedFiles(plan) {
+    const { components, customComponents, enhancedComponents, sections, pages } = this.selectPlannedFiles(plan);
+    const backendFiles = this.stackConfig.backend && plan.featureToggles?.fullStack ? this.stackConfig.backend.requiredFiles : [];
+    return (this.stackConfig.requiredFiles || []).length + backendFiles.length +
+      components.length + customComponents.length + enhancedComponents.length + sections.length + pages.length;
+  }
+
+  /**
+   * Throw a budget error when a plan produces more files than the client may generate per project
+   */
+  checkFileLimit(plan, maxFiles) {
+    const fileCount = this.countPlannedFiles(plan);
+    if (maxFiles && fileCount > maxFiles) {
+      throw createBudgetError(`Project needs ${fileCount} files but the limit is ${maxFiles} per project.`);
     }
+  }
 
-    // 3️⃣ Generate enhanced components for additional functionality
-    if (enhancedComponents.length > 0) {
-      progressCallback('Enhanced Components', 90);
-      
-      for (const componentFile of enhancedComponents) {
-        const componentName = componentFile.replace('.ts', '');
-        const blueprint = await loadBlueprint(componentName);
-        
-        if (blueprint) {
-          const prompt = buildEnterpriseComponentPrompt(componentName, blueprint, this.session.projectPlan);
-          const response = await this.askClaudeWithSession(prompt);
-          const code = response.output?.trim() || '';
-
-          // Quality validation for enhanced components
-          const qualityResult = this.validateComponentQuality(code, blueprint);
-          
-          if (!qualityResult.passed) {
-            console.warn(`⚠️  Enhanced component ${componentName} failed quality check. Regenerating...`);
-            
-            const improvedPrompt = this.buildQualityFocusedPrompt(componentName, blueprint, this.session.projectPlan, qualityResult.issues);
-            const retryResponse = await this.askClaudeWithSession(improvedPrompt);
-            const retryCode = retryResponse.output?.trim() || '';
-            
-            const retryQuality = this.validateComponentQuality(retryCode, blueprint);
-            
-            if (retryQuality.passed) {
-              console.log(`✅ Enhanced component ${componentName} quality improved after retry: ${retryQuality.score}/${retryQuality.maxScore}`);
-              const componentPath = `src/components/${componentName}.tsx`;
-              this.session.generatedFiles[componentPath] = retryCode;
-            } else {
-              console.error(`❌ Enhanced component ${componentName} still fails quality check. Using fallback template.`);
-              const componentPath = `src/components/${componentName}.tsx`;
-              this.session.generatedFiles[componentPath] = this.generateFallbackComponent(componentName, blueprint);
-            }
-          } else {
-            const componentPath = `src/components/${componentName}.tsx`;
-            this.session.generatedFiles[componentPath] = code;
-          }
-          
-          // Scan for dependencies
-          const foundDeps = scanImports(code);
-          Object.assign(generatedDependencies, foundDeps);
-        }
-      }
-    }
+  /**
+   * Decide which catalog components, custom components, pages, page sections and enhanced components the plan needs
+   */
+  selectPlannedFiles(plan) {
+    const catalog = this.stackConfig.requiredComponents || [];
+    const coreComponents = this.stackConfig.coreComponents || [];
+    const catalogName = file => file.replace(/\.\w+$/, '');
+
+    const components = catalog.filter(file =>
+      coreComponents.includes(file) || plan.components.some(component => matchesCatalogName(component.name, catalogName(file)))
+    );
+
+    const customComponents = plan.components.filter(component =>
+      !catalog.some(file => matchesCatalogName(component.name, catalogName(file)))
+    );
+
+    // Enhanced components gated by a feature toggle are only generated when one of their toggles is on
+    const toggleComponents = this.stackConfig.featureToggleComponents || {};
+    const enhancedComponents = (this.stackConfig.enhancedComponents || []).filter(entry => {
+      const name = typeof entry === 'string' ? entry : entry.name;
+      const toggles = Object.keys(toggleComponents).filter(toggle => toggleComponents[toggle].includes(name));
+      return toggles.length === 0 || toggles.some(toggle => plan.featureToggles[toggle]);
+    });
 
-    // 4️⃣ Update package.json with generated dependencies
-    if (Object.keys(generatedDependencies).length > 0) {
-      Object.assign(packageJson.dependencies, generatedDependencies);
+    // A section used on several pages is generated once
+    const sections = [];
+    for (const section of plan.pages.flatMap(page => page.sections || [])) {
+      if (!sections.some(existing => existing.component === section.component)) sections.push(section);
     }
 
-    // 5️⃣ Generate quality dashboard and final report
-    progressCallback('Quality Assessment', 95);
-    
-    console.log('\n🔍 Assessing project quality...');
-    const qualityDashboard = this.printQualityDashboard();
-    
-    // Store quality metrics in session
-    this.session.qualityMetrics = qualityDashboard;
-
-    progressCallback('Project Complete', 100);
-    
-    return {
-      files: this.session.generatedFiles,
-      packageJson,
-      qualityMetrics: qualityDashboard,
-      totalTokensUsed: this.session.totalTokensUsed
-    };
+    return { components, customComponents, enhancedComponents, sections, pages: plan.pages };
   }
 
   /**
@@ -417,99 +1645,175 @@ export class OrchestrationEngine {
   }
 
   /**
-   * Generate code from template instead of AI prompts (bolt.new approach)
+   * Values offered to templates. A template only sees the variables it declares.
    */
-  generateFromTemplate(blueprint, projectPlan) {
-    if (!blueprint.template) {
-      throw new Error(`Blueprint ${blueprint.fileType} missing template`);
-    }
+  templateValues(extra = {}) {
+    const plan = this.session.projectPlan || {};
+    return {
+      ...plan,
+      projectDescription: plan.description,
+      brand: expandBrandKit(this.getBrandKit()),
+      tailwindContent: this.stackConfig.tailwindContent,
+      api: this.getApi(),
+      ...extra
+    };
+  }
 
-    let code = blueprint.template;
+  /**
+   * The stack's file layout on top of the defaults (src/components, src/pages)
+   */
+  getLayout() {
+    return { ...DEFAULT_LAYOUT, ...this.stackConfig.layout };
+  }
 
-    // Replace template variables with project-specific values
-    if (blueprint.variables) {
-      for (const [variable, type] of Object.entries(blueprint.variables)) {
-        const placeholder = `{${variable}}`;
-        
-        if (type === 'string') {
-          let value;
-          
-          switch (variable) {
-            case 'projectName':
-              value = projectPlan.projectName || 'Generated Project';
-              break;
-            case 'projectDescription':
-              value = projectPlan.description || 'A modern web application';
-              break;
-            case 'primaryColor':
-              value = '#3b82f6'; // Default blue
-              break;
-            case 'secondaryColor':
-              value = '#8b5cf6'; // Default purple
-              break;
-            default:
-              value = projectPlan[variable] || '';
-          }
-          
-          code = code.replace(new RegExp(placeholder, 'g'), value);
-        }
-      }
-    }
+  /**
+   * Stack-specific parts of component prompts: brand kit, closing technical requirements, and the file type
+   * assumed for components without a blueprint
+   */
+  promptOptions() {
+    return {
+      brandKit: this.getBrandKit(),
+      api: this.getApi(),
+      technicalRequirements: this.stackConfig.technicalRequirements || DEFAULT_TECHNICAL_REQUIREMENTS,
+      defaultFileType: this.getComponentFileType()
+    };
+  }
+
+  getComponentFileType() {
+    return this.stackConfig.componentFileType || 'React Component';
+  }
+
+  /**
+   * Blueprint for a catalog or enhanced component: stacks with a blueprintPrefix have their own (Navbar -> vueNavbar)
+   */
+  stackBlueprintName(componentName) {
+    return prefixedBlueprintName(this.stackConfig.blueprintPrefix, componentName);
+  }
+
+  /**
+   * Framework a file of this format is written in: the stack's, except for the .tsx islands of a stack that renders
+   * interactive parts with another framework (stackConfig.islands)
+   */
+  fileFramework(format) {
+    return format === 'tsx' && this.stackConfig.islands ? this.stackConfig.islands : this.stackConfig.framework;
+  }
+
+  getFrameworkFeatures(format = null) {
+    return FRAMEWORK_FEATURES[this.fileFramework(format)] || FRAMEWORK_FEATURES.react;
+  }
+
+  /**
+   * The generated API (see backendTier.js), or null unless the stack has a backend tier and the plan turns on fullStack.
+   * A plan without entities gets the stack's defaultEntities.
+   */
+  getApi() {
+    const { backend } = this.stackConfig;
+    const plan = this.session.projectPlan;
+    if (!backend || !plan?.featureToggles?.fullStack) return null;
+    const entities = plan.entities?.length ? plan.entities : normalizeEntities(backend.defaultEntities);
+    return expandApi(entities, backend);
+  }
+
+  /**
+   * The request's brand kit with defaults filled in (the default kit when none was given)
+   */
+  getBrandKit() {
+    return normalizeBrandKit(this.request.brandKit);
+  }
+
+  /**
+   * Render { template, variables, format } with project values. Throws a TemplateError for an unresolved placeholder
+   * or a missing/mistyped variable.
+   */
+  renderBlueprintTemplate({ template, variables = {}, format = 'text' }, name, extra = {}) {
+    const values = resolveTemplateVariables(variables, this.templateValues(extra), name);
+    return renderTemplate(template, values, { format, name });
+  }
 
-    return code;
+  /**
+   * Generate code from template instead of AI prompts (bolt.new approach)
+   */
+  generateFromTemplate(blueprint, name = blueprint.fileType) {
+    if (!blueprint.template) {
+      throw new Error(`Blueprint ${name} missing template`);
+    }
+    return this.renderBlueprintTemplate(blueprint, name);
   }
 
   /**
-   * Quality Assurance System - Validate component quality against enterprise standards
+   * Quality Assurance System - Validate component quality against enterprise standards.
+   * Checks run on the parsed TSX (or .vue / .svelte / .astro file), and every finding carries the line/column it refers to.
    */
-  validateComponentQuality(component, blueprint) {
+  validateComponentQuality(component, blueprint, filePath = null) {
     if (!blueprint) {
       console.warn(`⚠️  No blueprint found for component validation`);
-      return { passed: true, score: 100, issues: [] };
+      return { passed: true, score: 100, issues: [], findings: [] };
     }
     
+    // Blueprint validation rules apply even when there's nothing to score, and so do the framework's own rules
+    const violations = checkValidationRules(component, blueprint.validation);
+    const format = componentFormat(filePath);
+    const analysis = analyzeComponent(component, { format });
+    const features = this.getFrameworkFeatures(format);
+    const frameworkRules = FRAMEWORK_RULES[this.fileFramework(format)];
+    if (frameworkRules && !analysis.parseError) {
+      violations.push(...frameworkRules(component, analysis));
+    }
+
     if (!blueprint.qualityChecks) {
       console.warn(`⚠️  No quality checks defined for ${blueprint.fileType || 'unknown'}`);
-      return { passed: true, score: 100, issues: [] };
+      return { passed: !violations.some(violation => violation.severity === 'error'), score: 100, issues: [], findings: [], violations };
     }
 
-    let score = 0;
     const maxScore = 100;
-    const issues = [];
     const { mustHave, designSystem, minimumScore = 70 } = blueprint.qualityChecks;
 
+    // Code that doesn't parse can't pass, whatever it mentions
+    if (analysis.parseError) {
+      const { message, line, column } = analysis.parseError;
+      const finding = { category: 'syntax', check: `Syntax error: ${message}`, passed: false, required: true, points: 0, maxPoints: 0, line, column };
+      console.warn(`❌ Component quality check failed: does not parse (${line}:${column} ${message})`);
+      return { passed: false, score: 0, issues: [formatFinding(finding)], findings: [finding], violations, maxScore };
+    }
+
+    let score = 0;
+    const findings = [];
+
     // Check for required features
     if (mustHave) {
+      const points = Math.floor(maxScore / mustHave.length);
       for (const requirement of mustHave) {
-        if (this.checkRequirement(component, requirement)) {
-          score += Math.floor(maxScore / mustHave.length);
-        } else {
-          issues.push(`Missing required feature: ${requirement}`);
-        }
+        score += this.scoreCheck(findings, 'requirement', requirement, points, this.checkRequirement(analysis, requirement, features), analysis, true);
       }
     }
 
     // Check design system compliance
     if (designSystem) {
-      score += this.validateDesignSystem(component, designSystem);
+      score += this.validateDesignSystem(analysis, designSystem, findings, features);
     }
+    score += this.checkBrandTokens(analysis, findings);
 
     // Check for modern UI patterns
-    score += this.checkModernUIPatterns(component);
+    score += this.checkModernUIPatterns(analysis, findings);
 
     // Check for accessibility features
-    score += this.checkAccessibilityFeatures(component);
+    score += this.checkAccessibilityFeatures(analysis, findings);
 
     // Check for performance optimizations
-    score += this.checkPerformanceFeatures(component);
+    score += this.checkPerformanceFeatures(analysis, findings, features);
 
     // Check for code quality
-    score += this.checkCodeQuality(component);
+    score += this.checkCodeQuality(analysis, findings, features);
+
+    // Unscored features the dashboard counts
+    this.recordDashboardFeatures(analysis, findings, features);
 
     // Ensure score doesn't exceed 100
     score = Math.min(score, maxScore);
 
-    const passed = score >= minimumScore;
+    // Forbidden content fails the check outright; missing patterns are reported and fed into the retry prompt
+    const passed = score >= minimumScore && !violations.some(violation => violation.severity === 'error');
+    const issues = findings.filter(finding => finding.required && !finding.passed).map(formatFinding);
 
     if (!passed) {
       console.warn(`❌ Component quality check failed: ${score}/${maxScore} (minimum: ${minimumScore})`);
@@ -517,78 +1821,96 @@ export class OrchestrationEngine {
     } else {
       console.log(`✅ Component quality check passed: ${score}/${maxScore}`);
     }
+    if (violations.length > 0) {
+      console.warn(`⚠️  Validation rule violations: ${violations.map(formatViolation).join(', ')}`);
+    }
 
-    return { passed, score, issues, maxScore };
+    return { passed, score, issues, findings, violations, maxScore };
   }
 
   /**
-   * Check if a specific requirement is met
+   * Record one check. `location` is where the feature was found (null when missing).
+   * Missing features point at the component itself.
    */
-  checkRequirement(component, requirement) {
-    const checks = {
-      "Framer Motion animations": () => component.includes('framer-motion') || component.includes('motion'),
-      "Responsive design with Tailwind breakpoints": () => /(sm:|md:|lg:|xl:)/.test(component),
-      "Accessibility features (WCAG AA compliant)": () => /aria-|role=|semantic/.test(component),
-      "Modern UI patterns (gradients, glassmorphism)": () => /gradient|backdrop-blur|glass/.test(component),
-      "TypeScript interfaces with proper prop types": () => /interface|type.*Props/.test(component),
-      "Loading and disabled states": () => /loading|disabled|spinner/.test(component),
-      "Icon integration support": () => /icon|Lucide|Heroicons/.test(component),
-      "Hover and focus effects": () => /hover:|focus:|transition/.test(component)
-    };
+  scoreCheck(findings, category, check, points, location, analysis, required = false) {
+    const passed = !!location;
+    const { line, column } = location || analysis.location();
+    findings.push({ category, check, passed, required, points: passed ? points : 0, maxPoints: points, line, column });
+    return passed ? points : 0;
+  }
+
+  /**
+   * Record a check that passes when something is absent (e.g. console.log). `offender` is where it was found.
+   */
+  scoreAbsence(findings, category, check, points, offender, analysis) {
+    const { line, column } = offender || analysis.location();
+    findings.push({ category, check, passed: !offender, required: true, points: offender ? 0 : points, maxPoints: points, line, column });
+    return offender ? 0 : points;
+  }
 
-    const check = checks[requirement];
-    return check ? check() : component.includes(requirement);
+  /**
+   * Where a blueprint requirement is met, or null. Requirements are free text, so match them by keyword.
+   */
+  checkRequirement(analysis, requirement, features = FRAMEWORK_FEATURES.react) {
+    const rule = REQUIREMENT_CHECKS.find(({ pattern }) => pattern.test(requirement));
+    if (rule) {
+      return rule.find(analysis, features);
+    }
+
+    // Unknown requirement: accept a matching import, element, hook or identifier
+    const name = requirement.replace(/[^A-Za-z0-9]/g, '').toLowerCase();
+    const sameName = value => value.replace(/[^A-Za-z0-9]/g, '').toLowerCase() === name;
+    return analysis.findImport(sameName) || analysis.findElement(sameName) || analysis.findHook(sameName) || analysis.findIdentifier(sameName);
   }
 
   /**
    * Validate design system compliance
    */
-  validateDesignSystem(component, designSystem) {
+  validateDesignSystem(analysis, designSystem, findings, features = FRAMEWORK_FEATURES.react) {
     let score = 0;
 
     if (designSystem.colors) {
-      const colorPatterns = designSystem.colors.map(pattern => {
-        if (pattern === 'gradients') return /from-.*to-|bg-gradient/.test(component);
-        if (pattern === 'glassmorphism') return /backdrop-blur|bg-.*\/\d+/.test(component);
-        if (pattern === 'dark mode support') return /dark:/.test(component);
-        return component.includes(pattern);
-      });
-      
-      score += colorPatterns.filter(Boolean).length * 5;
+      for (const pattern of designSystem.colors) {
+        score += this.scoreCheck(findings, 'designSystem', `Color: ${pattern}`, 5, findDesignColor(analysis, pattern), analysis);
+      }
     }
 
     if (designSystem.animations) {
-      const animationPatterns = designSystem.animations.map(pattern => {
-        if (pattern === 'entrance') return /animate|motion|fade/.test(component);
-        if (pattern === 'hover') return /hover:|scale|shadow/.test(component);
-        if (pattern === 'click') return /active|click|press/.test(component);
-        if (pattern === 'loading') return /loading|spinner|skeleton/.test(component);
-        return component.includes(pattern);
-      });
-      
-      score += animationPatterns.filter(Boolean).length * 5;
+      for (const pattern of designSystem.animations) {
+        score += this.scoreCheck(findings, 'designSystem', `Animation: ${pattern}`, 5, findDesignAnimation(analysis, pattern, features), analysis);
+      }
     }
 
     return score;
   }
 
+  /**
+   * Colors should come from the brand palettes (bg-primary-600), not hex values the brand kit can't change
+   */
+  checkBrandTokens(analysis, findings) {
+    const hex = analysis.findHexColor();
+    return this.scoreAbsence(findings, 'designSystem', hex ? `Raw hex color ${hex.value} instead of a brand color token` : 'Colors use brand tokens', 5, hex, analysis);
+  }
+
   /**
    * Check for modern UI patterns
    */
-  checkModernUIPatterns(component) {
+  checkModernUIPatterns(analysis, findings) {
     let score = 0;
 
     // Glassmorphism effects
-    if (/backdrop-blur|bg-.*\/\d+/.test(component)) score += 10;
+    score += this.scoreCheck(findings, 'modernUI', 'Glassmorphism (backdrop-blur or translucent background)', 10,
+      analysis.findClass(/^(\w+:)*(backdrop-blur|bg-[\w-]+\/\d+$)/), analysis);
     
     // Gradient backgrounds
-    if (/bg-gradient|from-.*to-/.test(component)) score += 10;
+    score += this.scoreCheck(findings, 'modernUI', 'Gradient background', 10, findGradient(analysis), analysis);
     
     // Smooth transitions
-    if (/transition-|duration-|ease-/.test(component)) score += 10;
+    score += this.scoreCheck(findings, 'modernUI', 'Transitions', 10,
+      analysis.findClass(/^(\w+:)*(transition|duration-|ease-)/) || analysis.findAttribute('transition'), analysis);
     
     // Modern shadows
-    if (/shadow-|drop-shadow/.test(component)) score += 5;
+    score += this.scoreCheck(findings, 'modernUI', 'Shadows', 5, analysis.findClass(/^(\w+:)*(shadow|drop-shadow)/), analysis);
 
     return score;
   }
@@ -596,20 +1918,20 @@ export class OrchestrationEngine {
   /**
    * Check for accessibility features
    */
-  checkAccessibilityFeatures(component) {
+  checkAccessibilityFeatures(analysis, findings) {
     let score = 0;
 
     // ARIA attributes
-    if (/aria-/.test(component)) score += 15;
+    score += this.scoreCheck(findings, 'accessibility', 'ARIA attributes', 15, analysis.findAttribute(/^(aria-|role$)/), analysis);
     
     // Semantic HTML
-    if (/<section|<article|<nav|<main|<header|<footer/.test(component)) score += 10;
+    score += this.scoreCheck(findings, 'accessibility', 'Semantic HTML elements', 10, analysis.findElement(SEMANTIC_ELEMENTS), analysis);
     
     // Focus management
-    if (/focus:|focus-visible|focus-ring/.test(component)) score += 10;
+    score += this.scoreCheck(findings, 'accessibility', 'Visible focus styles', 10, analysis.findClass(/^(\w+:)*focus(-visible|-within)?:/), analysis);
     
     // Keyboard navigation
-    if (/onKeyDown|onKeyUp|tabIndex/.test(component)) score += 5;
+    score += this.scoreCheck(findings, 'accessibility', 'Keyboard handling', 5, analysis.findAttribute(/^(onKeyDown|onKeyUp|tabIndex)$/), analysis);
 
     return score;
   }
@@ -617,20 +1939,17 @@ export class OrchestrationEngine {
   /**
    * Check for performance features
    */
-  checkPerformanceFeatures(component) {
+  checkPerformanceFeatures(analysis, findings, features = FRAMEWORK_FEATURES.react) {
     let score = 0;
 
-    // React.memo optimization
-    if (/React\.memo|memo\(/.test(component)) score += 10;
-    
-    // Lazy loading
-    if (/React\.lazy|lazy\(/.test(component)) score += 10;
-    
-    // Proper event handling
-    if (/useCallback|useMemo/.test(component)) score += 5;
+    // Memoization, lazy loading and stable handlers, the framework's way
+    for (const [check, points, find] of features.performance) {
+      score += this.scoreCheck(findings, 'performance', check, points, find(analysis), analysis);
+    }
     
     // Image optimization
-    if (/loading="lazy"|sizes=|srcset/.test(component)) score += 5;
+    score += this.scoreCheck(findings, 'performance', 'Optimized images', 5,
+      analysis.findAttribute('loading', 'lazy') || analysis.findAttribute(/^(sizes|srcSet)$/), analysis);
 
     return score;
   }
@@ -638,212 +1957,84 @@ export class OrchestrationEngine {
   /**
    * Check for code quality
    */
-  checkCodeQuality(component) {
+  checkCodeQuality(analysis, findings, features = FRAMEWORK_FEATURES.react) {
     let score = 0;
 
     // TypeScript usage
-    if (/interface|type|Props/.test(component)) score += 10;
+    score += this.scoreCheck(findings, 'codeQuality', 'Typed props (interface or type ending in Props)', 10, features.typedProps(analysis), analysis);
     
     // No console.log or alerts
-    if (!/console\.|alert\(/.test(component)) score += 10;
+    const debugCall = analysis.findCall(/^(console\.\w+|alert|window\.alert)$/);
+    score += this.scoreAbsence(findings, 'codeQuality', debugCall ? 'Leftover console or alert call' : 'No console or alert calls', 10, debugCall, analysis);
     
     // Proper error handling
-    if (/try|catch|error|Error/.test(component)) score += 5;
+    score += this.scoreCheck(findings, 'codeQuality', 'Error handling', 5, findErrorHandling(analysis), analysis);
     
     // Clean imports
-    if (/import.*from/.test(component)) score += 5;
+    const unused = analysis.unusedImports();
+    score += this.scoreAbsence(findings, 'codeQuality',
+      unused.length > 0 ? `Unused imports: ${unused.map(entry => entry.name).join(', ')}` : 'No unused imports', 5,
+      unused[0] || null, analysis);
 
     return score;
   }
 
   /**
-   * Build a prompt focused on improving component quality based on previous issues
+   * Build a prompt focused on improving component quality based on previous issues and validation rule violations
    */
-  buildQualityFocusedPrompt(name, blueprint, plan, previousIssues) {
-    let prompt = `Generate a ${blueprint?.fileType || 'React Component'} named ${name} for a ${plan.projectType} project.
-
-Description: ${plan.description}
-
-Purpose: ${blueprint?.purpose || 'Component for the application'}
-
-`;
-
-    // Add file type specific instructions
-    if (blueprint?.fileType === 'TypeScript Configuration') {
-      prompt += `CRITICAL: This is a TypeScript configuration file (tsconfig.json), NOT a React component.
-- Return ONLY valid JSON configuration
-- Do NOT include any React/TSX code
-- Do NOT include import/export statements
-- Must be parseable JSON for TypeScript compiler
-`;
-    } else if (blueprint?.fileType === 'CSS Stylesheet') {
-      prompt += `CRITICAL: This is a CSS file, NOT a React component.
-- Return ONLY valid CSS with Tailwind directives
-- Do NOT include any React/TSX code
-- Do NOT include import/export statements
-- Must start with @tailwind directives
-`;
-    } else if (blueprint?.fileType === 'Vite Configuration') {
-      prompt += `CRITICAL: This is a Vite configuration file, NOT a React component.
-- Return ONLY valid TypeScript configuration code
-- Do NOT include any React/TSX code
-- Do NOT include JSX syntax
-- Must use defineConfig and proper Vite syntax
-`;
-    } else if (blueprint?.fileType === 'HTML Entry Point') {
-      prompt += `CRITICAL: This is an HTML file, NOT a React component.
-- Return ONLY valid HTML markup
-- Do NOT include any React/TSX code
-- Do NOT include import/export statements
-- Must include proper HTML structure with DOCTYPE
-`;
-    } else if (blueprint?.fileType === 'State Management Store') {
-      prompt += `CRITICAL: This is a Zustand store file, NOT a React component.
-- Return ONLY valid TypeScript store code
-- Do NOT include JSX syntax or React components
-- Must use Zustand create function with proper middleware
-- Include TypeScript interfaces and types
-`;
-    } else if (blueprint?.fileType === 'React Form Component') {
-      prompt += `CRITICAL: This is a React form component.
-- Return ONLY valid TSX code
-- Must include React Hook Form and Zod validation
-- Include proper accessibility features
-- Use consistent design system styling
-`;
-    } else if (blueprint?.fileType === 'React Page Component') {
-      prompt += `CRITICAL: This is a React page component.
-- Return ONLY valid TSX code
-- Must include proper routing and navigation
-- Integrate with global state management
-- Include accessibility and SEO features
-`;
-    } else {
-      // React component
-      prompt += `CRITICAL: This is a React component file.
-- Return ONLY valid TSX code
-- Do NOT include markdown or explanations
-- Component must compile successfully
-- Use modern React 18 patterns with functional components and hooks
-`;
-    }
+  buildQualityFocusedPrompt(name, blueprint, plan, previousIssues, violations = []) {
+    let prompt = buildEnterpriseComponentPrompt(name, blueprint, plan, this.promptOptions());
 
-    // Add blueprint features if available
-    if (blueprint?.features) {
-      prompt += `\nFeatures to implement:\n`;
-      Object.entries(blueprint.features).forEach(([key, value]) => {
-        prompt += `- ${key}: ${value}\n`;
+    // Add previous issues to the prompt
+    if (previousIssues && previousIssues.length > 0) {
+      prompt += `\nPrevious Issues:\n`;
+      previousIssues.forEach(issue => {
+        prompt += `- ${issue}\n`;
       });
+      prompt += `\nPlease address these issues in the generated code.`;
     }
 
-    // Add design system if available
-    if (blueprint?.designSystem) {
-      prompt += `\nDesign System:\n`;
-      Object.entries(blueprint.designSystem).forEach(([key, value]) => {
-        if (typeof value === 'object') {
-          prompt += `- ${key}:\n`;
-          Object.entries(value).forEach(([subKey, subValue]) => {
-            prompt += `  - ${subKey}: ${subValue}\n`;
-          });
-        } else {
-          prompt += `- ${key}: ${value}\n`;
+    if (violations.length > 0) {
+      prompt += `\n\nValidation Rule Violations in the previous attempt:\n`;
+      violations.forEach(violation => {
+        prompt += `- ${formatViolation(violation)}\n`;
+        if (violation.match) {
+          prompt += `  Offending line: ${violation.match}\n`;
         }
       });
+      prompt += `\nThe new code must satisfy every Must contain / Must NOT contain rule.`;
     }
 
-    // Add enterprise features if available
-    if (blueprint?.enterpriseFeatures) {
-      prompt += `\nEnterprise Features:\n`;
-      blueprint.enterpriseFeatures.forEach(feature => {
-        prompt += `- ${feature}\n`;
-      });
-    }
-
-    // Add accessibility requirements
-    if (blueprint?.accessibility) {
-      prompt += `\nAccessibility Requirements:\n`;
-      Object.entries(blueprint.accessibility).forEach(([key, value]) => {
-        prompt += `- ${key}: ${value}\n`;
-      });
-    }
-
-    // Add animation requirements
-    if (blueprint?.animations) {
-      prompt += `\nAnimation Requirements:\n`;
-      Object.entries(blueprint.animations).forEach(([key, value]) => {
-        prompt += `- ${key}: ${value}\n`;
-      });
-    }
-
-    // Add responsive design requirements
-    if (blueprint?.responsive) {
-      prompt += `\nResponsive Design:\n`;
-      Object.entries(blueprint.responsive).forEach(([key, value]) => {
-        prompt += `- ${key}: ${value}\n`;
-      });
-    }
-
-    // Add validation rules
-    if (blueprint?.validation) {
-      prompt += `\nValidation Rules:\n`;
-      if (blueprint.validation.mustContain) {
-        prompt += `- Must contain: ${blueprint.validation.mustContain.join(', ')}\n`;
-      }
-      if (blueprint.validation.mustNotContain) {
-        prompt += `- Must NOT contain: ${blueprint.validation.mustNotContain.join(', ')}\n`;
-      }
-      if (blueprint.validation.fileExtension) {
-        prompt += `- File extension: ${blueprint.validation.fileExtension}\n`;
-      }
-    }
+    return prompt;
+  }
 
-    // Add state management requirements
-    if (blueprint?.stateManagement) {
-      prompt += `\nState Management:\n`;
-      Object.entries(blueprint.stateManagement).forEach(([key, value]) => {
-        prompt += `- ${key}: ${value}\n`;
-      });
-    }
+  /**
+   * Record features the quality dashboard counts but the score doesn't (0 points, never required)
+   */
+  recordDashboardFeatures(analysis, findings, features = FRAMEWORK_FEATURES.react) {
+    this.scoreCheck(findings, 'animation', 'Animations', 0, features.animation(analysis), analysis);
+    this.scoreCheck(findings, 'responsiveness', 'Responsive breakpoints', 0, analysis.findClass(/^(\w+:)*(sm|md|lg|xl|2xl):/), analysis);
+  }
 
-    // Add form handling requirements
-    if (blueprint?.formHandling) {
-      prompt += `\nForm Handling:\n`;
-      Object.entries(blueprint.formHandling).forEach(([key, value]) => {
-        prompt += `- ${key}: ${value}\n`;
-      });
-    }
+  /**
+   * Build a retry prompt: the quality-focused prompt with the failing checks, plus the previous attempt to patch
+   */
+  buildRetryPrompt(name, blueprint, previousCode, quality) {
+    const { minimumScore = 70 } = blueprint?.qualityChecks || {};
+    const failingChecks = quality.findings
+      .filter(finding => !finding.passed && (finding.required || finding.maxPoints > 0))
+      .sort((a, b) => Number(b.required) - Number(a.required) || b.maxPoints - a.maxPoints)
+      .map(finding => `${finding.check} (${finding.required ? 'required' : `${finding.maxPoints} points`}, line ${finding.line}:${finding.column})`);
 
-    // Add routing requirements
-    if (blueprint?.routing) {
-      prompt += `\nRouting Requirements:\n`;
-      Object.entries(blueprint.routing).forEach(([key, value]) => {
-        prompt += `- ${key}: ${value}\n`;
-      });
-    }
+    let prompt = this.buildQualityFocusedPrompt(name, blueprint, this.session.projectPlan, failingChecks, quality.violations || []);
 
-    prompt += `\nTechnical Requirements:
-- Use TypeScript with strict typing
-- Use Tailwind CSS for styling
-- Include Framer Motion for animations
-- Ensure accessibility compliance (WCAG AA)
-- Use modern React patterns (hooks, functional components)
-- Implement responsive design with mobile-first approach
-- Include proper error handling and loading states
-- Optimize for performance and SEO
-- Use Zustand for state management where applicable
-- Include React Hook Form with Zod validation where applicable
-- Implement proper routing with React Router where applicable
+    prompt += `
 
-Return ONLY the requested file content. No explanations, no markdown, no code blocks.`;
+Previous attempt (scored ${quality.score}/${quality.maxScore || 100}, needs ${minimumScore}):
+${previousCode}
 
-    // Add previous issues to the prompt
-    if (previousIssues && previousIssues.length > 0) {
-      prompt += `\nPrevious Issues:\n`;
-      previousIssues.forEach(issue => {
-        prompt += `- ${issue}\n`;
-      });
-      prompt += `\nPlease address these issues in the generated code.`;
-    }
+Patch the previous attempt rather than rewriting it: keep everything that already works (structure, props, styling, imports) and change only what the failing checks need.
+Return ONLY the complete corrected file content. No explanations, no markdown, no code blocks.`;
 
     return prompt;
   }
@@ -852,70 +2043,24 @@ Return ONLY the requested file content. No explanations, no markdown, no code bl
    * Generate a fallback component if a component fails quality checks
    */
   generateFallbackComponent(name, blueprint) {
-    let code = '';
-    if (blueprint?.fallbackTemplate) {
-      code = blueprint.fallbackTemplate;
-      // Replace template variables with project-specific values
-      if (blueprint.variables) {
-        for (const [variable, type] of Object.entries(blueprint.variables)) {
-          const placeholder = `{${variable}}`;
-          if (type === 'string') {
-            let value;
-            switch (variable) {
-              case 'projectName':
-                value = this.session.projectPlan.projectName || 'Generated Project';
-                break;
-              case 'projectDescription':
-                value = this.session.projectPlan.description || 'A modern web application';
-                break;
-              case 'primaryColor':
-                value = '#3b82f6'; // Default blue
-                break;
-              case 'secondaryColor':
-                value = '#8b5cf6'; // Default purple
-                break;
-              default:
-                value = this.session.projectPlan[variable] || '';
-            }
-            code = code.replace(new RegExp(placeholder, 'g'), value);
-          }
-        }
-      }
-    } else {
-      // Fallback to a minimal, high-quality component if no template
-      code = `
-import React from 'react';
-import { useNavigate } from 'react-router-dom';
-
-const ${name} = () => {
-  const navigate = useNavigate();
-
-  return (
-    <div className="flex items-center justify-center h-screen bg-gray-100">
-      <div className="bg-white p-8 rounded-lg shadow-lg">
-        <h1 className="text-2xl font-bold text-gray-800 mb-4">${name}</h1>
-        <p className="text-gray-600 mb-6">This component is a placeholder for ${name}.</p>
-        <button
-          onClick={() => navigate('/')}
-          className="bg-blue-600 text-white px-6 py-2 rounded-md hover:bg-blue-700 transition-colors"
-        >
-          Go Home
-        </button>
-      </div>
-    </div>
-  );
-};
-
-export default ${name};
-`;
-    }
-    return code;
+    const template = blueprint?.fallbackTemplate
+      ? { template: blueprint.fallbackTemplate, variables: blueprint.variables, format: 'ts' }
+      : FALLBACK_COMPONENTS[this.stackConfig.framework] || FALLBACK_COMPONENT;
+    const page = this.session.projectPlan?.pages?.find(entry => entry.name === name);
+    const { componentsImport, appDir } = this.getLayout();
+    return this.renderBlueprintTemplate(template, `${name} fallback`, {
+      name,
+      sections: page?.sections || [],
+      componentsImport,
+      appRouter: !!appDir,
+      isPage: !!page
+    });
   }
 
   /**
-   * Generate quality dashboard for the entire project
+   * Generate quality dashboard for the entire project from the generated files: [{ name, filePath, blueprint }]
    */
-  generateQualityDashboard() {
+  generateQualityDashboard(files) {
     const dashboard = {
       projectName: this.session.projectPlan.projectName,
       generatedAt: new Date().toISOString(),
@@ -939,20 +2084,20 @@ export default ${name};
     let totalScore = 0;
     let totalComponents = 0;
 
-    for (const [filePath, content] of Object.entries(this.session.generatedFiles)) {
-      if (filePath.endsWith('.tsx') && !filePath.includes('main.tsx')) {
-        const componentName = filePath.split('/').pop().replace('.tsx', '');
-        const blueprint = this.getBlueprintForComponent(componentName);
-        
-        if (blueprint) {
-          const qualityResult = this.validateComponentQuality(content, blueprint);
+    for (const { name: componentName, filePath, blueprint } of files) {
+      const content = this.session.generatedFiles[filePath];
+      if (/\.(tsx|vue|svelte|astro)$/.test(filePath) && !filePath.includes('main.tsx')) {
+        // Files rendered from a template (src/App.vue) have nothing to score
+        if (blueprint && blueprint.generationMethod !== 'template') {
+          const qualityResult = this.validateComponentQuality(content, blueprint, filePath);
           
           dashboard.componentDetails.push({
             name: componentName,
             filePath,
             score: qualityResult.score,
             passed: qualityResult.passed,
-            issues: qualityResult.issues
+            issues: qualityResult.issues,
+            violations: qualityResult.violations
           });
 
           if (qualityResult.passed) {
@@ -965,7 +2110,7 @@ export default ${name};
           totalComponents++;
 
           // Aggregate quality metrics
-          this.aggregateQualityMetrics(dashboard.qualityMetrics, content);
+          this.aggregateQualityMetrics(dashboard.qualityMetrics, qualityResult.findings);
         }
       }
     }
@@ -981,64 +2126,12 @@ export default ${name};
   }
 
   /**
-   * Get blueprint for a component
-   */
-  getBlueprintForComponent(componentName) {
-    // Try to find blueprint by component name
-    const blueprintFiles = ['Button', 'Card', 'Hero', 'Form', 'Page', 'store'];
-    for (const blueprintFile of blueprintFiles) {
-      if (componentName.toLowerCase().includes(blueprintFile.toLowerCase())) {
-        return this.loadBlueprintSync(blueprintFile);
-      }
-    }
-    return null;
-  }
-
-  /**
-   * Load blueprint synchronously (for dashboard generation)
+   * Aggregate quality metrics across components: a component counts toward a metric when one of its checks passed
    */
-  loadBlueprintSync(componentName) {
-    try {
-      // Try .js first, then fallback to .ts for backward compatibility
-      let filePath = path.join(__dirname, 'blueprints', `${componentName}.js`);
-      if (!fs.existsSync(filePath)) {
-        filePath = path.join(__dirname, 'blueprints', `${componentName}.ts`);
-        if (!fs.existsSync(filePath)) return null;
-      }
-      
-      const content = fs.readFileSync(filePath, 'utf8');
-      // Extract the blueprint object from the file content
-      const match = content.match(/export const \w+Blueprint = ({[\s\S]*});/);
-      if (match) {
-        return eval(`(${match[1]})`);
-      }
-    } catch (error) {
-      console.warn(`Could not load blueprint for ${componentName}:`, error.message);
+  aggregateQualityMetrics(metrics, findings) {
+    for (const [metric, counts] of Object.entries(DASHBOARD_METRICS)) {
+      if (findings.some(finding => finding.passed && counts(finding))) metrics[metric]++;
     }
-    return null;
-  }
-
-  /**
-   * Aggregate quality metrics across components
-   */
-  aggregateQualityMetrics(metrics, content) {
-    // Design System
-    if (/gradient|backdrop-blur|glass/.test(content)) metrics.designSystem++;
-    
-    // Animations
-    if (/framer-motion|motion|animate/.test(content)) metrics.animations++;
-    
-    // Accessibility
-    if (/aria-|role=|semantic/.test(content)) metrics.accessibility++;
-    
-    // Performance
-    if (/React\.memo|memo\(|lazy/.test(content)) metrics.performance++;
-    
-    // Responsiveness
-    if (/(sm:|md:|lg:|xl:)/.test(content)) metrics.responsiveness++;
-    
-    // Code Quality
-    if (/interface|type|Props/.test(content)) metrics.codeQuality++;
   }
 
   /**
@@ -1077,8 +2170,8 @@ export default ${name};
   /**
    * Print quality dashboard to console
    */
-  printQualityDashboard() {
-    const dashboard = this.generateQualityDashboard();
+  printQualityDashboard(files) {
+    const dashboard = this.generateQualityDashboard(files);
     
     console.log('\n🎯 PROJECT QUALITY DASHBOARD');
     console.log('=' .repeat(50));
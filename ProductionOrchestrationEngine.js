@@ -1,4 +1,4 @@
-import { sectionBlueprints } from "./blueprints.js";
+import { sectionBlueprints } from "./blueprint.js";
 /**
  * Production Orchestration Engine - JavaScript Backend Version
  * Generates bolt.new quality projects with validation and realistic content
@@ -3,6 +3,39 @@
  * Ensures every generated project meets production standards with smart validation
  */
 
+// What the code checks read for each framework (sessionContext.framework): its source files, the attribute
+// that holds classes, the packages imports may resolve to, and whether the React-only checks apply
+const REACT_PROFILE = {
+  sources: /\.(tsx|ts)$/,
+  classAttribute: 'className',
+  libraries: ['react', 'react-dom', 'next', '@remix-run/react', '@tanstack/react-query'],
+  react: true
+};
+
+const FRAMEWORK_PROFILES = {
+  react: REACT_PROFILE,
+  nextjs: REACT_PROFILE,
+  vue: {
+    sources: /\.(vue|ts)$/,
+    classAttribute: 'class=',
+    libraries: ['vue', 'vue-router', 'pinia', '@unhead/vue', '@vueuse/', 'vee-validate', '@vee-validate/', '@/'],
+    react: false
+  },
+  svelte: {
+    sources: /\.(svelte|ts)$/,
+    classAttribute: 'class=',
+    libraries: ['svelte', '@sveltejs/', '$app/', '$lib/'],
+    react: false
+  },
+  // .astro pages and components, plus the React islands under src/components/islands
+  astro: {
+    sources: /\.(astro|tsx|ts)$/,
+    classAttribute: 'class',
+    libraries: ['astro', '@astrojs/', 'react', 'react-dom', '@/'],
+    react: false
+  }
+};
+
 class ProjectValidationPipeline {
   constructor() {
     this.MINIMUM_SCORE = 90;
@@ -20,6 +53,18 @@ class ProjectValidationPipeline {
     this.enableTypeChecking = true;
   }
 
+  getFrameworkProfile(sessionContext = {}) {
+    return FRAMEWORK_PROFILES[sessionContext.framework] || REACT_PROFILE;
+  }
+
+  /**
+   * [filePath, content] pairs the framework's code checks look at
+   */
+  sourceFiles(files, sessionContext) {
+    const { sources } = this.getFrameworkProfile(sessionContext);
+    return Object.entries(files).filter(([filePath]) => sources.test(filePath));
+  }
+
   /**
    * Validate entire project and return quality assessment with session context
    */
@@ -65,6 +110,7 @@ class ProjectValidationPipeline {
       issues,
       recommendations,
       sessionContext: {
+        framework: sessionContext.framework || 'react',
         projectType: sessionContext.projectType,
         featureToggles: sessionContext.featureToggles,
         validationTimestamp: new Date().toISOString()
@@ -115,7 +161,7 @@ class ProjectValidationPipeline {
   async validateCode(files, sessionContext) {
     const checks = [];
 
-    // Basic syntax validation
+    // Basic syntax validation (script files only; markup text can hold stray brackets)
     for (const [filePath, content] of Object.entries(files)) {
       if (filePath.endsWith('.tsx') || filePath.endsWith('.ts')) {
         const syntaxChecks = this.validateFileSyntax(content, filePath);
@@ -128,7 +174,7 @@ class ProjectValidationPipeline {
     checks.push(...frameworkChecks);
 
     // Code quality checks
-    const qualityChecks = this.validateCodeQuality(files);
+    const qualityChecks = this.validateCodeQuality(files, sessionContext);
     checks.push(...qualityChecks);
 
     return {
@@ -145,11 +191,9 @@ class ProjectValidationPipeline {
     const checks = [];
     const lintingRules = this.getLintingRules(sessionContext.projectType);
 
-    for (const [filePath, content] of Object.entries(files)) {
-      if (filePath.endsWith('.tsx') || filePath.endsWith('.ts')) {
-        const lintChecks = this.applyLintingRules(content, filePath, lintingRules);
-        checks.push(...lintChecks);
-      }
+    for (const [filePath, content] of this.sourceFiles(files, sessionContext)) {
+      const lintChecks = this.applyLintingRules(content, filePath, lintingRules);
+      checks.push(...lintChecks);
     }
 
     return {
@@ -168,20 +212,18 @@ class ProjectValidationPipeline {
     const dependencyMap = new Map();
 
     // Build import and dependency maps
-    for (const [filePath, content] of Object.entries(files)) {
-      if (filePath.endsWith('.tsx') || filePath.endsWith('.ts')) {
-        const imports = this.extractImports(content);
-        const dependencies = this.extractDependencies(content);
-        
-        importMap.set(filePath, imports);
-        dependencyMap.set(filePath, dependencies);
-      }
+    for (const [filePath, content] of this.sourceFiles(files, sessionContext)) {
+      const imports = this.extractImports(content);
+      const dependencies = this.extractDependencies(content);
+
+      importMap.set(filePath, imports);
+      dependencyMap.set(filePath, dependencies);
     }
 
     // Check for missing imports
     for (const [filePath, imports] of importMap) {
       for (const importPath of imports) {
-        const isResolved = this.checkImportResolution(importPath, files, importMap);
+        const isResolved = this.checkImportResolution(importPath, files, importMap, this.getFrameworkProfile(sessionContext), filePath);
         checks.push({
           name: `Import resolution: ${importPath}`,
           passed: isResolved,
@@ -219,11 +261,9 @@ class ProjectValidationPipeline {
     const checks = [];
     const deadCodePatterns = this.getDeadCodePatterns();
 
-    for (const [filePath, content] of Object.entries(files)) {
-      if (filePath.endsWith('.tsx') || filePath.endsWith('.ts')) {
-        const deadCode = this.findDeadCode(content, filePath, deadCodePatterns);
-        checks.push(...deadCode);
-      }
+    for (const [filePath, content] of this.sourceFiles(files, sessionContext)) {
+      const deadCode = this.findDeadCode(content, filePath, deadCodePatterns);
+      checks.push(...deadCode);
     }
 
     return {
@@ -239,11 +279,9 @@ class ProjectValidationPipeline {
   async validateTypeScript(files, sessionContext) {
     const checks = [];
 
-    for (const [filePath, content] of Object.entries(files)) {
-      if (filePath.endsWith('.tsx') || filePath.endsWith('.ts')) {
-        const typeChecks = this.validateTypeScriptTypes(content, filePath);
-        checks.push(...typeChecks);
-      }
+    for (const [filePath, content] of this.sourceFiles(files, sessionContext)) {
+      const typeChecks = this.validateTypeScriptTypes(content, filePath);
+      checks.push(...typeChecks);
     }
 
     return {
@@ -363,7 +401,7 @@ class ProjectValidationPipeline {
     const framework = sessionContext.framework || 'react';
     
     for (const [filePath, content] of Object.entries(files)) {
-      if (filePath.endsWith('.tsx') || filePath.endsWith('.ts')) {
+      if (/\.(tsx|ts|vue|svelte|astro)$/.test(filePath)) {
         const patternChecks = this.validateFrameworkSpecificPatterns(content, filePath, framework);
         checks.push(...patternChecks);
       }
@@ -372,36 +410,35 @@ class ProjectValidationPipeline {
     return checks;
   }
 
-  validateCodeQuality(files) {
+  validateCodeQuality(files, sessionContext = {}) {
     const checks = [];
+    const profile = this.getFrameworkProfile(sessionContext);
     
-    for (const [filePath, content] of Object.entries(files)) {
-      if (filePath.endsWith('.tsx') || filePath.endsWith('.ts')) {
-        // Check for proper TypeScript usage
-        if (!content.includes('interface') && !content.includes('type') && content.includes('props')) {
+    for (const [filePath, content] of this.sourceFiles(files, sessionContext)) {
+      // Check for proper TypeScript usage
+      if (!content.includes('interface') && !content.includes('type') && content.includes('props')) {
+        checks.push({
+          name: `TypeScript: ${filePath}`,
+          passed: false,
+          severity: 'warning',
+          message: `Missing TypeScript interfaces for props in ${filePath}`,
+          file: filePath,
+          fix: 'Add proper TypeScript interfaces for component props'
+        });
+      }
+      
+      // Check for proper React patterns
+      if (profile.react && (content.includes('useState') || content.includes('useEffect'))) {
+        if (!content.includes('import React')) {
           checks.push({
-            name: `TypeScript: ${filePath}`,
+            name: `React imports: ${filePath}`,
             passed: false,
             severity: 'warning',
-            message: `Missing TypeScript interfaces for props in ${filePath}`,
+            message: `Missing React import in ${filePath}`,
             file: filePath,
-            fix: 'Add proper TypeScript interfaces for component props'
+            fix: 'Add React import for hooks usage'
           });
         }
-        
-        // Check for proper React patterns
-        if (content.includes('useState') || content.includes('useEffect')) {
-          if (!content.includes('import React')) {
-            checks.push({
-              name: `React imports: ${filePath}`,
-              passed: false,
-              severity: 'warning',
-              message: `Missing React import in ${filePath}`,
-              file: filePath,
-              fix: 'Add React import for hooks usage'
-            });
-          }
-        }
       }
     }
     
@@ -478,16 +515,40 @@ class ProjectValidationPipeline {
     return dependencies;
   }
 
-  checkImportResolution(importPath, files, importMap) {
+  checkImportResolution(importPath, files, importMap, profile = REACT_PROFILE, filePath = '') {
     // Simplified import resolution check
     if (importPath.startsWith('.')) {
       // Relative import
       return true; // Assume it exists
-    } else {
-      // External import - check if it's a common library
-      const commonLibs = ['react', 'react-dom', 'next', '@remix-run/react'];
-      return commonLibs.some(lib => importPath.startsWith(lib));
     }
+    if (importPath.startsWith('node:')) {
+      return true;
+    }
+    // A file in a folder with its own package.json (the full-stack API in server/) uses that package's dependencies
+    const ownPackage = this.findPackageDependencies(files, filePath);
+    if (ownPackage) {
+      return ownPackage.some(name => importPath === name || importPath.startsWith(`${name}/`));
+    }
+    // External import - check if it's one of the framework's common libraries
+    return profile.libraries.some(lib => importPath.startsWith(lib));
+  }
+
+  /**
+   * Dependency names from the package.json in a subfolder containing filePath, or null when there is none
+   */
+  findPackageDependencies(files, filePath) {
+    const folders = filePath.split('/').slice(0, -1);
+    for (let depth = folders.length; depth > 0; depth--) {
+      const manifest = files[`${folders.slice(0, depth).join('/')}/package.json`];
+      if (!manifest) continue;
+      try {
+        const { dependencies = {}, devDependencies = {} } = JSON.parse(manifest);
+        return [...Object.keys(dependencies), ...Object.keys(devDependencies)];
+      } catch {
+        return null;
+      }
+    }
+    return null;
   }
 
   findUnusedImports(importMap, dependencyMap) {
@@ -619,8 +680,53 @@ class ProjectValidationPipeline {
           });
         }
         break;
-      case 'nextjs':
-        if (content.includes('use client') && content.includes('useState')) {
+      case 'nextjs': {
+        // App Router files are Server Components unless 'use client' comes before any code
+        const isClient = /^\s*(\/\/[^\n]*\n\s*|\/\*[\s\S]*?\*\/\s*)*['"]use client['"]/.test(content);
+        const usesClientFeatures = /\buse[A-Z]\w*\s*\(/.test(content) || /\son[A-Z]\w*=\{/.test(content) || content.includes('framer-motion');
+        const exportsMetadata = /export\s+(const\s+metadata\b|(async\s+)?function\s+generateMetadata\b)/.test(content);
+
+        if (!isClient && usesClientFeatures) {
+          checks.push({
+            name: `Next.js patterns: ${filePath}`,
+            passed: false,
+            severity: 'error',
+            message: `Hooks, event handlers or framer-motion in a Server Component (${filePath})`,
+            file: filePath,
+            fix: "Add 'use client' as the first line, or move the interactive part into a client component"
+          });
+        }
+        if (isClient && exportsMetadata) {
+          checks.push({
+            name: `Next.js patterns: ${filePath}`,
+            passed: false,
+            severity: 'error',
+            message: `Client component exports metadata (${filePath})`,
+            file: filePath,
+            fix: "Remove 'use client' or move the metadata export into a server page or layout"
+          });
+        }
+        if (/(^|\/)page\.tsx$/.test(filePath) && !exportsMetadata) {
+          checks.push({
+            name: `Next.js patterns: ${filePath}`,
+            passed: false,
+            severity: 'warning',
+            message: `Page has no metadata export (${filePath})`,
+            file: filePath,
+            fix: 'Export metadata (or generateMetadata) with the page title and description'
+          });
+        }
+        if (content.includes('react-router-dom')) {
+          checks.push({
+            name: `Next.js patterns: ${filePath}`,
+            passed: false,
+            severity: 'error',
+            message: `react-router-dom in a Next.js project (${filePath})`,
+            file: filePath,
+            fix: 'Use next/link and next/navigation instead'
+          });
+        }
+        if (isClient && usesClientFeatures) {
           checks.push({
             name: `Next.js patterns: ${filePath}`,
             passed: true,
@@ -630,6 +736,125 @@ class ProjectValidationPipeline {
           });
         }
         break;
+      }
+      case 'vue': {
+        const reactImport = content.match(/from\s+['"](react|react-dom|framer-motion|zustand|react-hook-form|react-router-dom)(\/[^'"]*)?['"]/);
+        if (reactImport) {
+          checks.push({
+            name: `Vue patterns: ${filePath}`,
+            passed: false,
+            severity: 'error',
+            message: `${reactImport[1]} in a Vue project (${filePath})`,
+            file: filePath,
+            fix: 'Use the Vue equivalent: Transition or @vueuse/motion, Pinia, VeeValidate, vue-router'
+          });
+        }
+        if (filePath.endsWith('.vue')) {
+          if (!/<template[\s>]/.test(content)) {
+            checks.push({
+              name: `Vue patterns: ${filePath}`,
+              passed: false,
+              severity: 'error',
+              message: `Single-file component has no <template> (${filePath})`,
+              file: filePath,
+              fix: 'Render the markup in a <template> block'
+            });
+          }
+          if (!/<script\s+(setup\s+lang=["']ts["']|lang=["']ts["']\s+setup)/.test(content)) {
+            checks.push({
+              name: `Vue patterns: ${filePath}`,
+              passed: false,
+              severity: 'warning',
+              message: `No <script setup lang="ts"> block (${filePath})`,
+              file: filePath,
+              fix: 'Use <script setup lang="ts"> with defineProps<Props>()'
+            });
+          }
+        }
+        break;
+      }
+      case 'svelte': {
+        const reactImport = content.match(/from\s+['"](react|react-dom|framer-motion|zustand|react-hook-form|react-router-dom)(\/[^'"]*)?['"]/);
+        if (reactImport) {
+          checks.push({
+            name: `Svelte patterns: ${filePath}`,
+            passed: false,
+            severity: 'error',
+            message: `${reactImport[1]} in a Svelte project (${filePath})`,
+            file: filePath,
+            fix: 'Use the Svelte equivalent: svelte/transition, svelte/store, Zod with use:enhance, $app/navigation'
+          });
+        }
+        if (filePath.endsWith('.svelte')) {
+          if (/<script(?![^>]*\blang=["']ts["'])[^>]*>/.test(content)) {
+            checks.push({
+              name: `Svelte patterns: ${filePath}`,
+              passed: false,
+              severity: 'warning',
+              message: `<script> block is not TypeScript (${filePath})`,
+              file: filePath,
+              fix: 'Use <script lang="ts"> with typed $props()'
+            });
+          }
+          if (/^\s*export\s+let\s/m.test(content) || /\son:[a-z]+[|=\s>]/.test(content)) {
+            checks.push({
+              name: `Svelte patterns: ${filePath}`,
+              passed: false,
+              severity: 'warning',
+              message: `Svelte 4 syntax (export let / on:event) in ${filePath}`,
+              file: filePath,
+              fix: 'Declare props with $props() and handle events with onclick={...}'
+            });
+          }
+          if (/(^|\/)\+page\.svelte$/.test(filePath) && !content.includes('<svelte:head>')) {
+            checks.push({
+              name: `Svelte patterns: ${filePath}`,
+              passed: false,
+              severity: 'warning',
+              message: `Page has no <svelte:head> (${filePath})`,
+              file: filePath,
+              fix: 'Set the page title and description in <svelte:head>'
+            });
+          }
+        }
+        break;
+      }
+      case 'astro': {
+        // Only .astro files: the React islands are checked like any React component
+        if (!filePath.endsWith('.astro')) break;
+        const clientLibrary = content.match(/from\s+['"](framer-motion|react-hook-form|zustand)['"]/);
+        if (/\buse[A-Z]\w*\s*\(/.test(content) || clientLibrary) {
+          checks.push({
+            name: `Astro patterns: ${filePath}`,
+            passed: false,
+            severity: 'error',
+            message: `${clientLibrary ? clientLibrary[1] : 'React hooks'} in an .astro file (${filePath})`,
+            file: filePath,
+            fix: 'Move the interactive part into a React island under src/components/islands and render it with a client: directive'
+          });
+        }
+        if (/\son[a-z]+=\{/.test(content)) {
+          checks.push({
+            name: `Astro patterns: ${filePath}`,
+            passed: false,
+            severity: 'error',
+            message: `Event handler attribute in an .astro file (${filePath})`,
+            file: filePath,
+            fix: 'Add listeners in a <script> block, or move the element into a React island'
+          });
+        }
+        if (/(^|\/)src\/pages\//.test(filePath) && !content.includes('<BaseLayout')) {
+          checks.push({
+            name: `Astro patterns: ${filePath}`,
+            passed: false,
+            severity: 'warning',
+            message: `Page doesn't render inside BaseLayout (${filePath})`,
+            file: filePath,
+            fix: 'Wrap the page in <BaseLayout title="..." description="..."> so it gets the head, navbar and footer'
+          });
+        }
+        break;
+      }
     }
     
     return checks;
@@ -639,20 +864,19 @@ class ProjectValidationPipeline {
   async validatePerformance(files, sessionContext) {
     const checks = [];
     
-    // Check for performance issues
-    for (const [filePath, content] of Object.entries(files)) {
-      if (filePath.endsWith('.tsx') || filePath.endsWith('.ts')) {
-        // Check for expensive operations
-        if (content.includes('document.querySelectorAll') && !content.includes('useMemo')) {
-          checks.push({
-            name: `Performance: ${filePath}`,
-            passed: false,
-            severity: 'warning',
-            message: 'Expensive DOM query without memoization',
-            file: filePath,
-            fix: 'Use useMemo for expensive DOM operations'
-          });
-        }
+    // Check for performance issues (the fix is useMemo, so only React code is held to it)
+    const { react } = this.getFrameworkProfile(sessionContext);
+    for (const [filePath, content] of this.sourceFiles(files, sessionContext)) {
+      // Check for expensive operations
+      if (react && content.includes('document.querySelectorAll') && !content.includes('useMemo')) {
+        checks.push({
+          name: `Performance: ${filePath}`,
+          passed: false,
+          severity: 'warning',
+          message: 'Expensive DOM query without memoization',
+          file: filePath,
+          fix: 'Use useMemo for expensive DOM operations'
+        });
       }
     }
     
@@ -666,19 +890,17 @@ class ProjectValidationPipeline {
   async validateAccessibility(files, sessionContext) {
     const checks = [];
     
-    for (const [filePath, content] of Object.entries(files)) {
-      if (filePath.endsWith('.tsx') || filePath.endsWith('.ts')) {
-        // Check for accessibility features
-        if (content.includes('<button') && !content.includes('aria-label')) {
-          checks.push({
-            name: `Accessibility: ${filePath}`,
-            passed: false,
-            severity: 'warning',
-            message: 'Button missing aria-label',
-            file: filePath,
-            fix: 'Add aria-label to buttons for screen readers'
-          });
-        }
+    for (const [filePath, content] of this.sourceFiles(files, sessionContext)) {
+      // Check for accessibility features
+      if (content.includes('<button') && !content.includes('aria-label')) {
+        checks.push({
+          name: `Accessibility: ${filePath}`,
+          passed: false,
+          severity: 'warning',
+          message: 'Button missing aria-label',
+          file: filePath,
+          fix: 'Add aria-label to buttons for screen readers'
+        });
       }
     }
     
@@ -692,19 +914,18 @@ class ProjectValidationPipeline {
   async validateDesign(files, sessionContext) {
     const checks = [];
     
-    for (const [filePath, content] of Object.entries(files)) {
-      if (filePath.endsWith('.tsx') || filePath.endsWith('.ts')) {
-        // Check for responsive design
-        if (content.includes('className') && !content.includes('md:') && !content.includes('lg:')) {
-          checks.push({
-            name: `Design: ${filePath}`,
-            passed: false,
-            severity: 'warning',
-            message: 'Missing responsive design classes',
-            file: filePath,
-            fix: 'Add responsive Tailwind classes (md:, lg:)'
-          });
-        }
+    const { classAttribute } = this.getFrameworkProfile(sessionContext);
+    for (const [filePath, content] of this.sourceFiles(files, sessionContext)) {
+      // Check for responsive design
+      if (content.includes(classAttribute) && !content.includes('md:') && !content.includes('lg:')) {
+        checks.push({
+          name: `Design: ${filePath}`,
+          passed: false,
+          severity: 'warning',
+          message: 'Missing responsive design classes',
+          file: filePath,
+          fix: 'Add responsive Tailwind classes (md:, lg:)'
+        });
       }
     }
     
@@ -718,19 +939,17 @@ class ProjectValidationPipeline {
   async validateContent(files, sessionContext) {
     const checks = [];
     
-    for (const [filePath, content] of Object.entries(files)) {
-      if (filePath.endsWith('.tsx') || filePath.endsWith('.ts')) {
-        // Check for realistic content
-        if (content.includes('Lorem ipsum') || content.includes('Sample text')) {
-          checks.push({
-            name: `Content: ${filePath}`,
-            passed: false,
-            severity: 'warning',
-            message: 'Placeholder content found',
-            file: filePath,
-            fix: 'Replace placeholder content with realistic text'
-          });
-        }
+    for (const [filePath, content] of this.sourceFiles(files, sessionContext)) {
+      // Check for realistic content
+      if (content.includes('Lorem ipsum') || content.includes('Sample text')) {
+        checks.push({
+          name: `Content: ${filePath}`,
+          passed: false,
+          severity: 'warning',
+          message: 'Placeholder content found',
+          file: filePath,
+          fix: 'Replace placeholder content with realistic text'
+        });
       }
     }
     
@@ -1,5 +1,6 @@
 import { WebContainer } from '@webcontainer/api';
-import fetch from 'node-fetch';
+import { getProvider } from './llmProviders.js';
+import { meteredComplete } from './budgets.js';
 
 export class WebContainerService {
   constructor() {
@@ -159,14 +160,14 @@ export class WebContainerService {
     }
   }
 
-  async fixBuildErrors(errors, originalFiles) {
+  async fixBuildErrors(errors, originalFiles, options = {}) {
     const fixedFiles = {};
     let explanation = '';
 
     for (const error of errors) {
       if (error.file && error.file !== 'unknown') {
         try {
-          const fixResult = await this.fixFile(error, originalFiles[error.file]);
+          const fixResult = await this.fixFile(error, originalFiles[error.file], options);
           
           if (fixResult.success) {
             fixedFiles[error.file] = fixResult.fixedContent;
@@ -185,7 +186,7 @@ export class WebContainerService {
     };
   }
 
-  async fixFile(error, originalContent) {
+  async fixFile(error, originalContent, options = {}) {
     const prompt = `I have a build error in my ${error.file} file. Please fix it and return only the corrected file content.
 
 Error details:
@@ -203,23 +204,10 @@ ${originalContent}
 Please return only the corrected file content, no explanations in the response.`;
 
     try {
-      // Call Claude API
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': process.env.CLAUDE_API_KEY,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model: 'claude-3-sonnet-20240229',
-          max_tokens: 4000,
-          messages: [{ role: 'user', content: prompt }]
-        })
-      });
-
-      const data = await response.json();
-      const fixedContent = this.extractCodeFromResponse(data.content[0].text);
+      // Call the configured LLM provider
+      const meta = { phase: 'fix', filePath: error.file, sessionId: options.sessionId };
+      const { output } = await meteredComplete(getProvider(options.provider), { prompt, maxTokens: 4000, meta }, { clientId: options.clientId });
+      const fixedContent = this.extractCodeFromResponse(output);
       
       return {
         success: true,
@@ -0,0 +1,88 @@
+/**
+ * Backend Tier
+ * Full-stack mode: the entities a plan stores, and the typed API generated for them. Templates see the API through
+ * `api` (Zod schemas, routes, repository, the frontend client and React Query hooks); component prompts get a
+ * summary of the client so forms and lists call it instead of faking data.
+ */
+
+// Field types an entity can use: the TypeScript type, the Zod schema, and what's added to it for required fields
+export const FIELD_TYPES = {
+  string: { tsType: 'string', zod: 'z.string().trim()', required: '.min(1)' },
+  text: { tsType: 'string', zod: 'z.string().trim()', required: '.min(1)' },
+  email: { tsType: 'string', zod: 'z.string().trim().email()' },
+  url: { tsType: 'string', zod: 'z.string().trim().url()' },
+  number: { tsType: 'number', zod: 'z.number()' },
+  integer: { tsType: 'number', zod: 'z.number().int()' },
+  boolean: { tsType: 'boolean', zod: 'z.boolean()' },
+  date: { tsType: 'string', zod: 'z.string().date()' }
+};
+
+// Every record gets these from the repository, so entities can't declare them
+const RESERVED_FIELDS = ['id', 'createdAt'];
+
+const FIELD_NAME = /^[a-z][A-Za-z0-9]*$/;
+
+/**
+ * Planned fields -> [{ name, type, required }]. Invalid or reserved names are dropped and unknown types become strings.
+ */
+export function normalizeFields(entries) {
+  const fields = [];
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    const name = typeof entry === 'string' ? entry : entry?.name;
+    if (!FIELD_NAME.test(name || '') || RESERVED_FIELDS.includes(name) || fields.some(field => field.name === name)) continue;
+    const type = Object.hasOwn(FIELD_TYPES, entry?.type) ? entry.type : 'string';
+    fields.push({ name, type, required: entry?.required !== false });
+  }
+  return fields;
+}
+
+// "Category" -> "Categories", "Address" -> "Addresses"
+function pluralize(name) {
+  if (/[^aeiou]y$/i.test(name)) return `${name.slice(0, -1)}ies`;
+  if (/(s|x|z|ch|sh)$/i.test(name)) return `${name}es`;
+  return `${name}s`;
+}
+
+/**
+ * The API as templates see it: the stack's backend settings, flags to branch on (express, hono, sqlite),
+ * and each entity with its plural, collection (route and table name) and typed fields
+ */
+export function expandApi(entities, backend) {
+  return {
+    framework: backend.framework,
+    storage: backend.storage,
+    express: backend.framework === 'express',
+    hono: backend.framework === 'hono',
+    sqlite: backend.storage === 'sqlite',
+    port: backend.port,
+    prefix: backend.prefix,
+    entities: entities.map(entity => {
+      const plural = pluralize(entity.name);
+      return {
+        name: entity.name,
+        description: entity.description || '',
+        // useProduct() reads one record, useProducts() lists them
+        plural,
+        collection: plural.charAt(0).toLowerCase() + plural.slice(1),
+        fields: entity.fields.map(field => {
+          const { tsType, zod, required = '' } = FIELD_TYPES[field.type];
+          return { ...field, tsType, zod: `${zod}${field.required ? required : '.optional()'}` };
+        })
+      };
+    })
+  };
+}
+
+/**
+ * Prompt section telling components to use the generated client and hooks
+ */
+export function describeApi(api) {
+  let context = `\nBackend API (${api.framework}, ${api.prefix}):\n`;
+  context += `- Fetch and change data with the React Query hooks in '@/api/hooks'; don't hard-code records or keep them in a store\n`;
+  for (const entity of api.entities) {
+    const fields = entity.fields.map(field => `${field.name}${field.required ? '' : '?'}: ${field.tsType}`).join(', ');
+    context += `- ${entity.name} { ${fields} }: use${entity.plural}(), use${entity.name}(id), useCreate${entity.name}(), useUpdate${entity.name}(), useDelete${entity.name}()\n`;
+  }
+  context += `- Types (${api.entities.map(entity => `${entity.name}, ${entity.name}Input`).join(', ')}) and ApiError come from '@/api/client'. Show a loading state, and the API's error message when a request fails\n`;
+  return context;
+}
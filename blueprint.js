@@ -1,9 +1,15 @@
 // blueprints.js
-// Reusable component blueprints injected into prompts
+// Reusable page sections. The project plan picks sections (and a variant of each) per page;
+// every section/variant pair becomes its own component, and the page renders them in order.
+// The first variant listed is the default.
 
 export const sectionBlueprints = {
   HeroSection: {
-    variants: ["centered", "withCTA", "splitImage"],
+    variants: {
+      centered: "Centered headline, subtext and actions over a full-width gradient background",
+      withCTA: "Headline on the left with a primary and a secondary call-to-action button and a trust line underneath",
+      splitImage: "Two columns: copy and actions on one side, a large image with alt text on the other, stacked on mobile"
+    },
     contentHints: ["projectName", "headline", "subtext", "actionButtons"],
     styling: {
       background: "gradient",
@@ -13,7 +19,11 @@ export const sectionBlueprints = {
     }
   },
   FeaturesSection: {
-    variants: ["cardsGrid", "iconsWithText", "animatedReveal"],
+    variants: {
+      cardsGrid: "Grid of feature cards (1/2/3 columns by breakpoint) with icon, title and description",
+      iconsWithText: "List of features with a large icon beside each title and description",
+      animatedReveal: "Features that fade and slide in one after another as they scroll into view"
+    },
     contentHints: ["featureList", "icons", "titles", "descriptions"],
     styling: {
       layout: "3-column",
@@ -22,7 +32,11 @@ export const sectionBlueprints = {
     }
   },
   PricingSection: {
-    variants: ["simpleTiers", "togglePlans", "highlightedTier"],
+    variants: {
+      simpleTiers: "Side-by-side plan cards with name, price, benefit list and a button",
+      togglePlans: "Monthly/yearly toggle that switches every plan's price, with the toggle state announced to screen readers",
+      highlightedTier: "Plan cards where the recommended plan is visually emphasised with a badge and accent border"
+    },
     contentHints: ["planName", "price", "benefits", "cta"],
     styling: {
       accentColor: "blue",
@@ -31,7 +45,10 @@ export const sectionBlueprints = {
     }
   },
   FAQSection: {
-    variants: ["accordion", "twoColumn"],
+    variants: {
+      accordion: "Questions that expand and collapse one answer at a time, using buttons with aria-expanded",
+      twoColumn: "All questions and answers visible in a two-column layout, one column on mobile"
+    },
     contentHints: ["question", "answer", "category"],
     styling: {
       spacing: "comfortable",
@@ -39,7 +56,11 @@ export const sectionBlueprints = {
     }
   },
   CTASection: {
-    variants: ["fullWidth", "split", "minimal"],
+    variants: {
+      fullWidth: "Full-width contrasting band with a headline and one prominent button",
+      split: "Headline and benefit on one side, button (or email signup) on the other",
+      minimal: "Single line of text with an inline button, no background"
+    },
     contentHints: ["headline", "ctaButton", "benefitHighlight"],
     styling: {
       contrast: "high",
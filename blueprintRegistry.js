@@ -0,0 +1,302 @@
+/**
+ * Blueprint Registry
+ * Indexes every blueprint in /blueprints once, validated against the schema, and reloads them on change in dev mode.
+ * Blueprints can inherit with `extends: 'name'` and mix in shared fragments from /blueprints/fragments with `mixins: [...]`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import {
+  BLUEPRINTS_DIR,
+  listBlueprintFiles,
+  validateBlueprint,
+  resolveBlueprintExport,
+  createBlueprintError
+} from './blueprintSchema.js';
+
+export const FRAGMENTS_DIR_NAME = 'fragments';
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Name of a stack's own version of a blueprint: ('vue', 'Navbar') -> 'vueNavbar', ('vue', 'store') -> 'vueStore'
+ */
+export function prefixedBlueprintName(prefix, name) {
+  return prefix ? `${prefix}${name.charAt(0).toUpperCase()}${name.slice(1)}` : name;
+}
+
+/**
+ * Merge `overrides` onto `base`: objects merge key by key, lists are combined without duplicates,
+ * anything else in `overrides` wins
+ */
+export function mergeBlueprints(base, overrides) {
+  if (Array.isArray(base) && Array.isArray(overrides)) {
+    return [...new Set([...base, ...overrides])];
+  }
+  if (isPlainObject(base) && isPlainObject(overrides)) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(overrides)) {
+      merged[key] = key in base ? mergeBlueprints(base[key], value) : value;
+    }
+    return merged;
+  }
+  return overrides;
+}
+
+/**
+ * Import a blueprint file. The mtime query defeats the ESM module cache so edited files are re-evaluated.
+ * Legacy .ts blueprints are plain object literals, so where Node can't import .ts they're evaluated as JavaScript.
+ */
+async function importBlueprintModule(filePath, mtimeMs) {
+  try {
+    const url = pathToFileURL(filePath);
+    url.searchParams.set('mtime', mtimeMs);
+    return await import(url.href);
+  } catch (error) {
+    if (error.code !== 'ERR_UNKNOWN_FILE_EXTENSION') throw error;
+    const source = fs.readFileSync(filePath, 'utf8');
+    return import(`data:text/javascript,${encodeURIComponent(source)}`);
+  }
+}
+
+export class BlueprintRegistry {
+  constructor({ dir = BLUEPRINTS_DIR } = {}) {
+    this.dir = dir;
+    this.entries = new Map();
+    this.fragments = new Map();
+    this.loading = null;
+    this.watchers = [];
+  }
+
+  /**
+   * Index the directory on first use; concurrent callers share the same load
+   */
+  ensureLoaded() {
+    this.loading ||= this.reload().catch(error => {
+      this.loading = null;
+      throw error;
+    });
+    return this.loading;
+  }
+
+  /**
+   * Re-read every blueprint file. Returns { checked, valid, invalid, unloadable } like a startup report.
+   */
+  async reload() {
+    const fragmentsDir = path.join(this.dir, FRAGMENTS_DIR_NAME);
+    const fragments = new Map();
+    if (fs.existsSync(fragmentsDir)) {
+      for (const [name, filePath] of listBlueprintFiles(fragmentsDir)) {
+        fragments.set(name, await this.loadEntry(name, filePath));
+      }
+    }
+
+    const entries = new Map();
+    for (const [name, filePath] of listBlueprintFiles(this.dir)) {
+      entries.set(name, await this.loadEntry(name, filePath));
+    }
+
+    // Inheritance is resolved once everything is loaded, so files can refer to each other in any order
+    this.fragments = fragments;
+    this.entries = entries;
+    for (const entry of entries.values()) {
+      this.validateEntry(entry);
+    }
+    return this.report();
+  }
+
+  /**
+   * Import a file and keep its export as written (`source`); it's resolved and validated later
+   */
+  async loadEntry(name, filePath) {
+    const stat = fs.statSync(filePath);
+    const entry = {
+      name,
+      file: path.basename(filePath),
+      filePath,
+      updatedAt: stat.mtime.toISOString(),
+      source: null,
+      definition: null,
+      errors: [],
+      loadError: null
+    };
+
+    let module;
+    try {
+      module = await importBlueprintModule(filePath, stat.mtimeMs);
+    } catch (error) {
+      entry.loadError = error.message;
+      return entry;
+    }
+
+    try {
+      entry.source = resolveBlueprintExport(module, name);
+    } catch (error) {
+      entry.errors = error.errors;
+    }
+    return entry;
+  }
+
+  validateEntry(entry) {
+    if (entry.loadError || entry.errors.length > 0) return;
+
+    try {
+      const resolved = this.resolveInheritance(entry.source, [entry.name]);
+      const { value, errors } = validateBlueprint(resolved);
+      entry.definition = errors.length > 0 ? resolved : value;
+      entry.errors = errors;
+    } catch (error) {
+      if (!error.errors) throw error;
+      entry.definition = entry.source;
+      entry.errors = error.errors;
+    }
+  }
+
+  /**
+   * Flatten `extends` and `mixins`: the parent first, then each mixin in order, then the blueprint's own keys.
+   * Names are looked up among fragments, then blueprints. `chain` holds the names being resolved, to catch cycles.
+   */
+  resolveInheritance(definition, chain = []) {
+    if (!isPlainObject(definition)) return definition;
+
+    const { extends: parent, mixins = [], ...own } = definition;
+    const bases = [...(parent ? [parent] : []), ...(Array.isArray(mixins) ? mixins : [mixins])];
+
+    let merged = {};
+    for (const baseName of bases) {
+      const field = baseName === parent ? 'extends' : 'mixins';
+      if (chain.includes(baseName)) {
+        throw createBlueprintError(chain[0], [{ path: field, message: `circular inheritance: ${[...chain, baseName].join(' → ')}` }]);
+      }
+      const base = this.fragments.get(baseName) || this.entries.get(baseName);
+      if (!base?.source) {
+        throw createBlueprintError(chain[0], [{ path: field, message: `unknown blueprint or fragment "${baseName}"` }]);
+      }
+      merged = mergeBlueprints(merged, this.resolveInheritance(base.source, [...chain, baseName]));
+    }
+    return mergeBlueprints(merged, own);
+  }
+
+  report() {
+    const report = { checked: this.entries.size, valid: [], invalid: [], unloadable: [] };
+    for (const entry of this.entries.values()) {
+      if (entry.loadError) {
+        report.unloadable.push({ name: entry.name, file: entry.file, error: entry.loadError });
+      } else if (entry.errors.length > 0) {
+        report.invalid.push({ name: entry.name, file: entry.file, errors: entry.errors });
+      } else {
+        report.valid.push(entry.name);
+      }
+    }
+    return report;
+  }
+
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  /**
+   * The validated blueprint, or null when there is none (or it can't be loaded).
+   * Throws a BlueprintValidationError for a malformed one, so it never becomes a prompt.
+   */
+  get(name) {
+    const entry = this.entries.get(name);
+    if (!entry || entry.loadError) return null;
+    if (entry.errors.length > 0) {
+      throw createBlueprintError(name, entry.errors);
+    }
+    return entry.definition;
+  }
+
+  /**
+   * Best blueprint for a component name: an exact match, else the longest component blueprint named inside it
+   * (ProductCard → Card, HeroSection → Hero). Malformed and unloadable blueprints are skipped.
+   * With a `prefix`, only blueprints named with it count (prefix 'vue': ProductCard → vueCard).
+   */
+  find(componentName, { prefix = '' } = {}) {
+    const exact = this.entries.get(prefixedBlueprintName(prefix, componentName));
+    if (exact && !exact.loadError && exact.errors.length === 0) {
+      return exact.definition;
+    }
+
+    const lowerName = componentName.toLowerCase();
+    const match = [...this.entries.values()]
+      .filter(entry => !entry.loadError && entry.errors.length === 0 && entry.definition.generationMethod !== 'template')
+      .filter(entry => entry.name.startsWith(prefix) && lowerName.includes(entry.name.slice(prefix.length).toLowerCase()))
+      .sort((a, b) => b.name.length - a.name.length)[0];
+    return match ? match.definition : null;
+  }
+
+  describe(entry) {
+    const definition = entry.definition || {};
+    return {
+      name: entry.name,
+      file: entry.file,
+      extends: entry.source?.extends || null,
+      mixins: entry.source?.mixins || [],
+      kind: definition.generationMethod === 'template' ? 'template' : 'component',
+      fileType: definition.fileType || null,
+      purpose: definition.purpose || definition.filePurpose || null,
+      valid: !entry.loadError && entry.errors.length === 0,
+      errors: entry.errors,
+      loadError: entry.loadError,
+      updatedAt: entry.updatedAt
+    };
+  }
+
+  list() {
+    return [...this.entries.values()].map(entry => this.describe(entry));
+  }
+
+  /**
+   * Summary plus the full definition, or null for an unknown name
+   */
+  describeBlueprint(name) {
+    const entry = this.entries.get(name);
+    return entry ? { ...this.describe(entry), definition: entry.definition } : null;
+  }
+
+  /**
+   * Reload when a blueprint file changes. Editors emit several events per save, so reloads are debounced.
+   */
+  watch({ debounceMs = 200, onReload = () => {} } = {}) {
+    if (this.watchers.length > 0) return this.watchers;
+
+    let timer = null;
+    const onChange = (eventType, filename) => {
+      if (filename && !/\.(js|ts)$/.test(filename)) return;
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        this.loading = this.reload().then(report => {
+          onReload(report);
+          return report;
+        }).catch(error => {
+          // Keep serving the previous index
+          console.error('❌ Blueprint reload failed:', error.message);
+          return this.report();
+        });
+      }, debounceMs);
+    };
+
+    try {
+      this.watchers = [fs.watch(this.dir, { recursive: true }, onChange)];
+    } catch (error) {
+      if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+      // Node 18 on Linux can't watch recursively; fragments are the only subdirectory
+      const fragmentsDir = path.join(this.dir, FRAGMENTS_DIR_NAME);
+      this.watchers = [this.dir, fragmentsDir].filter(dir => fs.existsSync(dir)).map(dir => fs.watch(dir, onChange));
+    }
+    this.watchers.forEach(watcher => watcher.unref());
+    return this.watchers;
+  }
+
+  unwatch() {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+  }
+}
+
+export const blueprintRegistry = new BlueprintRegistry();
@@ -0,0 +1,156 @@
+/**
+ * Blueprint Schema
+ * Formal shape of the objects in /blueprints, checked at startup and whenever a blueprint is loaded
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Joi from 'joi';
+import { VARIABLE_TYPES, TEMPLATE_FORMATS, checkTemplate } from './templateEngine.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const BLUEPRINTS_DIR = path.join(__dirname, 'blueprints');
+
+const stringList = Joi.array().items(Joi.string().min(1));
+
+// Prompt sections are rendered one "- key: value" line per entry
+const promptLine = Joi.alternatives().try(Joi.string(), stringList);
+const promptSection = Joi.object().pattern(Joi.string(), promptLine);
+
+const validationSchema = Joi.object({
+  mustContain: stringList,
+  mustNotContain: stringList,
+  fileExtension: Joi.string().pattern(/^\.[a-z]+$/),
+  isTypeScript: Joi.boolean(),
+  isReactComponent: Joi.boolean(),
+  isTemplate: Joi.boolean(),
+  noAI: Joi.boolean()
+});
+
+const qualityChecksSchema = Joi.object({
+  mustHave: stringList.min(1).required(),
+  // colors and animations are scored; anything else is descriptive
+  designSystem: Joi.object({ colors: stringList, animations: stringList }).pattern(Joi.string(), promptLine),
+  minimumScore: Joi.number().integer().min(0).max(100),
+  maxAttempts: Joi.number().integer().min(1).max(10)
+});
+
+const notesSchema = Joi.alternatives().try(Joi.string(), stringList);
+
+// Template variables: "string", or { type, default } when the engine may not supply a value
+const variableType = Joi.string().valid(...VARIABLE_TYPES);
+const variablesSchema = Joi.object().pattern(Joi.string(), Joi.alternatives().try(
+  variableType,
+  Joi.object({ type: variableType.required(), default: Joi.any(), description: Joi.string() })
+));
+const templateFormat = Joi.string().valid(...TEMPLATE_FORMATS);
+
+/**
+ * Blueprints generated by the LLM (components, pages, stores). Extra descriptive keys are allowed.
+ */
+export const componentBlueprintSchema = Joi.object({
+  generationMethod: Joi.string().valid('ai'),
+  fileType: Joi.string().required(),
+  purpose: Joi.string().required(),
+  qualityChecks: qualityChecksSchema,
+  validation: validationSchema,
+  features: promptSection,
+  designSystem: Joi.object().pattern(Joi.string(), Joi.alternatives().try(promptLine, promptSection)),
+  accessibility: promptSection,
+  animations: promptSection,
+  responsive: promptSection,
+  stateManagement: promptSection,
+  formHandling: promptSection,
+  routing: promptSection,
+  enterpriseFeatures: stringList,
+  fallbackTemplate: Joi.string(),
+  variables: variablesSchema,
+  notes: notesSchema
+}).unknown(true);
+
+/**
+ * Static files filled in from a template without an LLM call
+ */
+export const templateBlueprintSchema = Joi.object({
+  generationMethod: Joi.string().valid('template').required(),
+  filePurpose: Joi.string().required(),
+  template: Joi.string().required(),
+  format: templateFormat.default('text'),
+  variables: variablesSchema.default({}),
+  validation: validationSchema,
+  notes: notesSchema
+}).unknown(true);
+
+/**
+ * Error thrown when a blueprint doesn't match the schema, so it never turns into a prompt
+ */
+export function createBlueprintError(name, errors) {
+  const error = new Error(`Blueprint ${name} is malformed: ${errors.map(formatBlueprintError).join('; ')}`);
+  error.name = 'BlueprintValidationError';
+  error.blueprint = name;
+  error.errors = errors;
+  return error;
+}
+
+export function formatBlueprintError({ path: errorPath, message }) {
+  return errorPath ? `${errorPath}: ${message}` : message;
+}
+
+/**
+ * Validate a blueprint object. Returns { value, errors } where errors is [{ path, message }].
+ */
+export function validateBlueprint(blueprint) {
+  if (!blueprint || typeof blueprint !== 'object' || Array.isArray(blueprint)) {
+    return { value: null, errors: [{ path: '', message: 'blueprint must be an object' }] };
+  }
+
+  const schema = blueprint.generationMethod === 'template' ? templateBlueprintSchema : componentBlueprintSchema;
+  const { value, error } = schema.validate(blueprint, { abortEarly: false });
+  const errors = (error?.details || []).map(detail => {
+    // For "matches none of the allowed types", report the alternative that got furthest
+    const closest = (detail.context?.details || []).sort((a, b) => b.path.length - a.path.length)[0] || detail;
+    return { path: closest.path.join('.'), message: closest.message.replace(/^"[^"]*" /, '') };
+  });
+
+  // Templates may only use the variables they declare
+  const declared = Object.keys(value.variables || {});
+  for (const field of ['template', 'fallbackTemplate']) {
+    if (typeof value[field] !== 'string') continue;
+    for (const { message, line } of checkTemplate(value[field], declared)) {
+      errors.push({ path: field, message: line ? `${message} (line ${line})` : message });
+    }
+  }
+  return { value, errors };
+}
+
+/**
+ * The blueprint a module exports: its default export, or its only named export
+ */
+export function resolveBlueprintExport(module, name) {
+  if (module.default) return module.default;
+
+  const exported = Object.keys(module);
+  if (exported.length !== 1) {
+    throw createBlueprintError(name, [{ path: '', message: `module must export exactly one blueprint (found ${exported.length}: ${exported.join(', ') || 'none'})` }]);
+  }
+  return module[exported[0]];
+}
+
+/**
+ * Blueprint files in the directory, one per name. `.js` wins over a legacy `.ts` file with the same name.
+ */
+export function listBlueprintFiles(dir = BLUEPRINTS_DIR) {
+  const files = new Map();
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = file.match(/^(.+)\.(js|ts)$/);
+    if (!match) continue;
+    const [, name, extension] = match;
+    if (extension === 'js' || !files.has(name)) {
+      files.set(name, path.join(dir, file));
+    }
+  }
+  return files;
+}
@@ -59,12 +59,7 @@ export const buttonBlueprint = {
     },
     typography: {
       font: "font-semibold tracking-wide",
-      sizes: {
-        sm: "text-sm",
-        md: "text-base", 
-        lg: "text-lg",
-        xl: "text-xl"
-      }
+      sizes: "sm: text-sm, md: text-base, lg: text-lg, xl: text-xl"
     },
     spacing: {
       padding: "px-4 py-2",
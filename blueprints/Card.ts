@@ -2,6 +2,7 @@
 export const cardBlueprint = {
   fileType: "React Component",
   purpose: "Versatile card component with enterprise-level design, multiple layouts, and interactive features",
+  mixins: ['wcagAccessibility'],
   
   variants: {
     default: "Standard card with title, subtitle, and description",
@@ -32,11 +33,9 @@ export const cardBlueprint = {
     colors: {
       background: "bg-white dark:bg-gray-800",
       border: "border border-gray-200 dark:border-gray-700",
-      text: {
-        title: "text-gray-900 dark:text-white",
-        subtitle: "text-gray-600 dark:text-gray-300",
-        body: "text-gray-700 dark:text-gray-200"
-      }
+      titleText: "text-gray-900 dark:text-white",
+      subtitleText: "text-gray-600 dark:text-gray-300",
+      bodyText: "text-gray-700 dark:text-gray-200"
     },
     spacing: {
       padding: "p-6",
@@ -54,7 +53,6 @@ export const cardBlueprint = {
   accessibility: {
     semantic: "Use <article> or <div> with proper heading hierarchy",
     aria: "aria-label for interactive cards, aria-describedby for content",
-    focus: "Visible focus indicators for keyboard navigation",
     screenReader: "Proper content structure and descriptions"
   },
 
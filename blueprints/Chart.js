@@ -1,21 +1,16 @@
 export const chartBlueprint = {
-  fileType: "React Component",
+  extends: 'baseComponent',
   purpose: 'Generate a data visualization component using Recharts library with modern design and animations',
   
   qualityChecks: {
     mustHave: [
-      'framer-motion',
       'recharts',
       'responsive design',
-      'accessibility features',
-      'TypeScript interfaces',
       'loading states',
       'error handling'
     ],
     designSystem: {
-      colors: ['primary', 'secondary', 'accent'],
-      animations: ['entrance', 'hover', 'data updates'],
-      spacing: 'consistent with design system'
+      animations: ['entrance', 'hover', 'data updates']
     },
     minimumScore: 90
   },
@@ -23,19 +18,9 @@ export const chartBlueprint = {
   validation: {
     mustContain: [
       'import.*recharts',
-      'import.*framer-motion',
-      'interface.*Props',
       'Chart.*component',
-      'responsive.*design',
-      'accessibility.*aria'
-    ],
-    mustNotContain: [
-      'console\\.log',
-      'alert\\(',
-      'document\\.getElementById',
-      'innerHTML'
-    ],
-    fileExtension: '.tsx'
+      'responsive.*design'
+    ]
   },
 
   enterpriseFeatures: [
@@ -1,6 +1,11 @@
 export const contactBlueprint = {
+  fileType: "React Component",
+  purpose: "Contact section with a message form, map and social links",
   formFields: ["name", "email", "message"],
   map: true,
   socialLinks: true,
-  responsive: true
+  responsive: {
+    mobile: "Single column layout",
+    desktop: "Multi-column layout"
+  }
 };
\ No newline at end of file
@@ -1,4 +1,6 @@
 export const errorFallbackBlueprint = {
+  fileType: "React Component",
+  purpose: "Error boundary fallback with a retry action",
   layout: "centered card",
   retryButton: true,
   errorIcon: true,
@@ -1,4 +1,6 @@
 export const footerBlueprint = {
+  fileType: "React Component",
+  purpose: "Site footer with navigation links and branding",
   layout: "3-column",
   darkMode: true,
   links: ["Home", "Products", "About", "Contact"],
@@ -95,8 +95,8 @@ export const formBlueprint = {
   },
 
   validation: {
-    mustContain: ["React Hook Form", "Zod validation", "accessibility features", "error handling"],
-    mustNotContain: ["inline validation", "hardcoded error messages", "accessibility violations"],
+    mustContain: ["import.*react-hook-form", "import.*zod", "aria-", "error"],
+    mustNotContain: ["console\\.log", "alert\\(", "innerHTML"],
     fileExtension: ".tsx",
     isTypeScript: true
   },
@@ -1,7 +1,12 @@
 export const galleryBlueprint = {
+  fileType: "React Component",
+  purpose: "Image gallery grid with lightbox and captions",
   imageGrid: true,
   lightbox: true,
   captions: true,
-  responsive: true,
+  responsive: {
+    mobile: "Single column layout",
+    desktop: "Multi-column layout"
+  },
   animation: "fade-in"
 };
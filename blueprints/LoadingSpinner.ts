@@ -1,4 +1,6 @@
 export const loadingSpinnerBlueprint = {
+  fileType: "React Component",
+  purpose: "Loading indicator for pending content",
   style: "centered spinner with overlay",
   animation: "spin",
   darkModeSupport: true
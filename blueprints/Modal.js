@@ -1,42 +1,27 @@
 export const modalBlueprint = {
-  fileType: "React Component",
+  extends: 'baseComponent',
   purpose: 'Generate a modal/overlay component with proper accessibility, animations, and modern design',
   
   qualityChecks: {
     mustHave: [
-      'framer-motion',
-      'accessibility features',
-      'TypeScript interfaces',
       'focus management',
       'keyboard navigation',
       'backdrop handling',
       'escape key support'
     ],
     designSystem: {
-      colors: ['primary', 'secondary', 'accent'],
-      animations: ['entrance', 'exit', 'backdrop'],
-      spacing: 'consistent with design system'
+      animations: ['entrance', 'exit', 'backdrop']
     },
     minimumScore: 90
   },
 
   validation: {
     mustContain: [
-      'import.*framer-motion',
-      'interface.*Props',
       'Modal.*component',
-      'accessibility.*aria',
       'focus.*management',
       'keyboard.*navigation',
       'backdrop.*click'
-    ],
-    mustNotContain: [
-      'console\\.log',
-      'alert\\(',
-      'document\\.getElementById',
-      'innerHTML'
-    ],
-    fileExtension: '.tsx'
+    ]
   },
 
   enterpriseFeatures: [
@@ -2,6 +2,7 @@
 export const navbarBlueprint = {
   fileType: "React Component",
   purpose: 'Responsive navigation bar with modern design, mobile menu, dark mode toggle, and smooth animations',
+  mixins: ['wcagAccessibility'],
   
   features: {
     responsive: "Mobile-first responsive design with hamburger menu",
@@ -17,11 +18,9 @@ export const navbarBlueprint = {
     colors: {
       background: "bg-white/80 dark:bg-gray-900/80 backdrop-blur-lg",
       border: "border-gray-200 dark:border-gray-700",
-      text: {
-        primary: "text-gray-900 dark:text-white",
-        secondary: "text-gray-600 dark:text-gray-300",
-        accent: "text-blue-600 dark:text-blue-400"
-      }
+      primaryText: "text-gray-900 dark:text-white",
+      secondaryText: "text-gray-600 dark:text-gray-300",
+      accentText: "text-blue-600 dark:text-blue-400"
     },
     spacing: {
       container: "px-4 sm:px-6 lg:px-8",
@@ -59,7 +58,6 @@ export const navbarBlueprint = {
   accessibility: {
     semantic: "Use <nav> element with proper aria-label",
     aria: "aria-expanded for mobile menu, aria-current for active page",
-    focus: "Visible focus indicators and keyboard navigation",
     screenReader: "Proper navigation announcements and skip links"
   },
 
@@ -80,8 +80,8 @@ export const pageBlueprint = {
   },
 
   validation: {
-    mustContain: ["React Router", "proper layout structure", "SEO meta tags", "accessibility features"],
-    mustNotContain: ["hardcoded content", "accessibility violations", "poor responsive design"],
+    mustContain: ["react-router-dom", "<main", "Helmet|<title|document\\.title", "aria-"],
+    mustNotContain: ["console\\.log", "alert\\(", "innerHTML"],
     fileExtension: ".tsx",
     isTypeScript: true
   },
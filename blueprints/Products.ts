@@ -1,4 +1,6 @@
 export const productsBlueprint = {
+  fileType: "React Component",
+  purpose: "Product listing with cards in a responsive grid",
   productType: "flowers",
   layout: "responsive grid",
   cards: true,
@@ -1,4 +1,6 @@
 export const seoBlueprint = {
+  fileType: "React Component",
+  purpose: "Document title and meta tags for search engines",
   title: "Flower Shop | Fresh Blooms Online",
   description: "Order fresh flowers for every occasion from our flower shop.",
   keywords: ["flowers", "bouquet", "delivery", "shop"]
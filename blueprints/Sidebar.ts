@@ -1,4 +1,6 @@
 export const sidebarBlueprint = {
+  fileType: "React Component",
+  purpose: "Collapsible sidebar navigation",
   layout: "left vertical nav",
   collapsible: true,
   darkMode: true,
@@ -1,43 +1,28 @@
 export const tableBlueprint = {
-  fileType: "React Component",
+  extends: 'baseComponent',
   purpose: 'Generate a data table component with sorting, filtering, and modern design patterns',
   
   qualityChecks: {
     mustHave: [
-      'framer-motion',
       'responsive design',
-      'accessibility features',
-      'TypeScript interfaces',
       'loading states',
       'error handling',
       'sorting functionality',
       'pagination'
     ],
     designSystem: {
-      colors: ['primary', 'secondary', 'accent'],
-      animations: ['entrance', 'hover', 'row selection'],
-      spacing: 'consistent with design system'
+      animations: ['entrance', 'hover', 'row selection']
     },
     minimumScore: 90
   },
 
   validation: {
     mustContain: [
-      'import.*framer-motion',
-      'interface.*Props',
       'Table.*component',
       'responsive.*design',
-      'accessibility.*aria',
       'sort.*function',
       'pagination'
-    ],
-    mustNotContain: [
-      'console\\.log',
-      'alert\\(',
-      'document\\.getElementById',
-      'innerHTML'
-    ],
-    fileExtension: '.tsx'
+    ]
   },
 
   enterpriseFeatures: [
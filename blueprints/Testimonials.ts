@@ -1,4 +1,6 @@
 export const testimonialsBlueprint = {
+  fileType: "React Component",
+  purpose: "Customer testimonials with quotes and author photos",
   layout: "carousel",
   quoteStyle: "card",
   authorPhoto: true,
@@ -1,42 +1,28 @@
 export const toastBlueprint = {
-  fileType: "React Component",
+  extends: 'baseComponent',
   purpose: 'Generate a toast notification component with different types, animations, and accessibility',
   
   qualityChecks: {
     mustHave: [
-      'framer-motion',
-      'accessibility features',
-      'TypeScript interfaces',
       'multiple types (success, error, warning, info)',
       'auto-dismiss functionality',
       'progress indicators',
       'keyboard navigation'
     ],
     designSystem: {
-      colors: ['primary', 'secondary', 'accent', 'success', 'error', 'warning'],
-      animations: ['entrance', 'exit', 'progress'],
-      spacing: 'consistent with design system'
+      colors: ['success', 'error', 'warning'],
+      animations: ['entrance', 'exit', 'progress']
     },
     minimumScore: 90
   },
 
   validation: {
     mustContain: [
-      'import.*framer-motion',
-      'interface.*Props',
       'Toast.*component',
-      'accessibility.*aria',
       'multiple.*types',
       'auto.*dismiss',
       'progress.*indicator'
-    ],
-    mustNotContain: [
-      'console\\.log',
-      'alert\\(',
-      'document\\.getElementById',
-      'innerHTML'
-    ],
-    fileExtension: '.tsx'
+    ]
   },
 
   enterpriseFeatures: [
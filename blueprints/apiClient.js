@@ -0,0 +1,75 @@
+export const apiClientBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate src/api/client.ts: typed fetch functions and types for each entity the API stores',
+  format: 'ts',
+  template: `/// <reference types="vite/client" />
+
+// The Vite dev server proxies {{api.prefix}} to the API; set VITE_API_URL when it is served from elsewhere
+const API_URL = import.meta.env.VITE_API_URL ?? '{{api.prefix}}';
+
+/**
+ * A failed request: the HTTP status, the API's message and, for invalid input, the problems by field
+ */
+export class ApiError extends Error {
+  status: number;
+  issues: Record<string, string[]>;
+
+  constructor(status: number, message: string, issues: Record<string, string[]> = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.issues = issues;
+  }
+}
+
+async function request<T>(path: string, init: RequestInit = {}): Promise<T> {
+  const response = await fetch(\`\${API_URL}\${path}\`, {
+    ...init,
+    headers: { 'Content-Type': 'application/json', ...init.headers }
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new ApiError(response.status, body.error || response.statusText, body.issues);
+  }
+  return (response.status === 204 ? undefined : await response.json()) as T;
+}
+
+function resource<T, Input>(collection: string) {
+  const url = (id: string) => \`/\${collection}/\${encodeURIComponent(id)}\`;
+  return {
+    list: () => request<T[]>(\`/\${collection}\`),
+    get: (id: string) => request<T>(url(id)),
+    create: (input: Input) => request<T>(\`/\${collection}\`, { method: 'POST', body: JSON.stringify(input) }),
+    update: (id: string, changes: Partial<Input>) => request<T>(url(id), { method: 'PATCH', body: JSON.stringify(changes) }),
+    remove: (id: string) => request<void>(url(id), { method: 'DELETE' })
+  };
+}
+
+{{#each api.entities as entity}}
+export interface {{entity.name}}Input {
+{{#each entity.fields as field}}
+  {{field.name}}{{#unless field.required}}?{{/unless}}: {{field.tsType}};
+{{/each}}
+}
+
+export interface {{entity.name}} extends {{entity.name}}Input {
+  id: string;
+  createdAt: string;
+}
+
+{{/each}}
+export const api = {
+{{#each api.entities as entity}}
+  {{entity.collection}}: resource<{{entity.name}}, {{entity.name}}Input>('{{entity.collection}}'),
+{{/each}}
+};
+`,
+  variables: {
+    api: "object"
+  },
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "The types mirror server/src/schemas.ts; both are generated from the same plan entities"
+};
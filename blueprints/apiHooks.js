@@ -0,0 +1,61 @@
+export const apiHooksBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate src/api/hooks.ts: React Query hooks to list, read, create, update and delete each entity',
+  format: 'ts',
+  template: `import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { api, type {{#each api.entities as entity}}{{entity.name}}Input{{#unless @last}}, type {{/unless}}{{/each}} } from './client';
+
+// One key per collection; a record's key starts with it, so invalidating the collection refreshes both
+export const queryKeys = {
+{{#each api.entities as entity}}
+  {{entity.collection}}: ['{{entity.collection}}'] as const,
+{{/each}}
+};
+{{#each api.entities as entity}}
+
+export function use{{entity.plural}}() {
+  return useQuery({ queryKey: queryKeys.{{entity.collection}}, queryFn: api.{{entity.collection}}.list });
+}
+
+export function use{{entity.name}}(id: string | undefined) {
+  return useQuery({
+    queryKey: [...queryKeys.{{entity.collection}}, id],
+    queryFn: () => api.{{entity.collection}}.get(id!),
+    enabled: !!id
+  });
+}
+
+export function useCreate{{entity.name}}() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (input: {{entity.name}}Input) => api.{{entity.collection}}.create(input),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: queryKeys.{{entity.collection}} })
+  });
+}
+
+export function useUpdate{{entity.name}}() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ id, changes }: { id: string; changes: Partial<{{entity.name}}Input> }) => api.{{entity.collection}}.update(id, changes),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: queryKeys.{{entity.collection}} })
+  });
+}
+
+export function useDelete{{entity.name}}() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (id: string) => api.{{entity.collection}}.remove(id),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: queryKeys.{{entity.collection}} })
+  });
+}
+{{/each}}
+`,
+  variables: {
+    api: "object"
+  },
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "main.tsx wraps the app in a QueryClientProvider when the project is full-stack"
+};
@@ -0,0 +1,111 @@
+export const apiRepositoryBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate server/src/repository.ts: in-memory or SQLite storage with one repository per entity',
+  format: 'ts',
+  template: `import { randomUUID } from 'node:crypto';
+{{#if api.sqlite}}
+import Database from 'better-sqlite3';
+{{/if}}
+import type { {{#each api.entities as entity}}{{entity.name}}, {{entity.name}}Input{{#unless @last}}, {{/unless}}{{/each}} } from './schemas.js';
+
+/**
+ * Storage for one collection. Routes only use this interface, so the storage can change without touching them.
+ */
+export interface Repository<T, Input> {
+  list(): Promise<T[]>;
+  get(id: string): Promise<T | undefined>;
+  create(input: Input): Promise<T>;
+  update(id: string, changes: Partial<Input>): Promise<T | undefined>;
+  remove(id: string): Promise<boolean>;
+}
+
+type StoredRecord = { id: string; createdAt: string };
+
+{{#if api.sqlite}}
+const db = new Database(process.env.DATABASE_PATH || 'data.db');
+db.pragma('journal_mode = WAL');
+
+// Records are stored as JSON documents, one table per collection
+function createRepository<T extends StoredRecord, Input extends object>(collection: string): Repository<T, Input> {
+  db.exec(\`CREATE TABLE IF NOT EXISTS \${collection} (id TEXT PRIMARY KEY, createdAt TEXT NOT NULL, data TEXT NOT NULL)\`);
+  const selectAll = db.prepare(\`SELECT data FROM \${collection} ORDER BY createdAt\`);
+  const selectOne = db.prepare(\`SELECT data FROM \${collection} WHERE id = ?\`);
+  const insert = db.prepare(\`INSERT INTO \${collection} (id, createdAt, data) VALUES (?, ?, ?)\`);
+  const replace = db.prepare(\`UPDATE \${collection} SET data = ? WHERE id = ?\`);
+  const remove = db.prepare(\`DELETE FROM \${collection} WHERE id = ?\`);
+
+  const read = (id: string) => {
+    const row = selectOne.get(id) as { data: string } | undefined;
+    return row ? (JSON.parse(row.data) as T) : undefined;
+  };
+
+  return {
+    async list() {
+      return (selectAll.all() as { data: string }[]).map(row => JSON.parse(row.data) as T);
+    },
+    async get(id) {
+      return read(id);
+    },
+    async create(input) {
+      const record = { ...input, id: randomUUID(), createdAt: new Date().toISOString() } as unknown as T;
+      insert.run(record.id, record.createdAt, JSON.stringify(record));
+      return record;
+    },
+    async update(id, changes) {
+      const existing = read(id);
+      if (!existing) return undefined;
+      const record = { ...existing, ...changes, id, createdAt: existing.createdAt };
+      replace.run(JSON.stringify(record), id);
+      return record;
+    },
+    async remove(id) {
+      return remove.run(id).changes > 0;
+    }
+  };
+}
+{{else}}
+// Records live in memory and are lost on restart; set the stack's backend storage to "sqlite" to keep them
+function createRepository<T extends StoredRecord, Input extends object>(): Repository<T, Input> {
+  const records = new Map<string, T>();
+
+  return {
+    async list() {
+      return [...records.values()];
+    },
+    async get(id) {
+      return records.get(id);
+    },
+    async create(input) {
+      const record = { ...input, id: randomUUID(), createdAt: new Date().toISOString() } as unknown as T;
+      records.set(record.id, record);
+      return record;
+    },
+    async update(id, changes) {
+      const existing = records.get(id);
+      if (!existing) return undefined;
+      const record = { ...existing, ...changes, id, createdAt: existing.createdAt };
+      records.set(id, record);
+      return record;
+    },
+    async remove(id) {
+      return records.delete(id);
+    }
+  };
+}
+{{/if}}
+
+export const repositories = {
+{{#each api.entities as entity}}
+  {{entity.collection}}: createRepository<{{entity.name}}, {{entity.name}}Input>({{#if api.sqlite}}'{{entity.collection}}'{{/if}}),
+{{/each}}
+};
+`,
+  variables: {
+    api: "object"
+  },
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "Collection names come from the plan's entity names, which are normalized to identifiers, so they are safe as table names"
+};
@@ -0,0 +1,119 @@
+export const apiRoutesBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate server/src/routes.ts: list, read, create, update and delete routes for each entity, with Zod-validated bodies',
+  format: 'ts',
+  template: `{{#if api.express}}
+import { Router } from 'express';
+{{/if}}
+{{#if api.hono}}
+import { Hono } from 'hono';
+import { zValidator } from '@hono/zod-validator';
+{{/if}}
+import type { z } from 'zod';
+import { repositories, type Repository } from './repository.js';
+import { {{#each api.entities as entity}}{{entity.name}}Input{{#unless @last}}, {{/unless}}{{/each}} } from './schemas.js';
+
+// 400 body for a request that fails its schema: a message and the problems by field
+function validationError(error: z.ZodError) {
+  return { error: 'Invalid request body', issues: error.flatten().fieldErrors };
+}
+
+{{#if api.express}}
+/**
+ * CRUD routes for one collection. Bodies are parsed with the entity's schema (every field optional for PATCH).
+ */
+function crudRouter<S extends z.AnyZodObject, T>(repository: Repository<T, z.infer<S>>, schema: S) {
+  const router = Router();
+
+  router.get('/', async (_req, res) => {
+    res.json(await repository.list());
+  });
+
+  router.get('/:id', async (req, res) => {
+    const record = await repository.get(req.params.id);
+    if (!record) {
+      res.status(404).json({ error: 'Not found' });
+      return;
+    }
+    res.json(record);
+  });
+
+  router.post('/', async (req, res) => {
+    const parsed = schema.safeParse(req.body);
+    if (!parsed.success) {
+      res.status(400).json(validationError(parsed.error));
+      return;
+    }
+    res.status(201).json(await repository.create(parsed.data));
+  });
+
+  router.patch('/:id', async (req, res) => {
+    const parsed = schema.partial().safeParse(req.body);
+    if (!parsed.success) {
+      res.status(400).json(validationError(parsed.error));
+      return;
+    }
+    const record = await repository.update(req.params.id, parsed.data as Partial<z.infer<S>>);
+    if (!record) {
+      res.status(404).json({ error: 'Not found' });
+      return;
+    }
+    res.json(record);
+  });
+
+  router.delete('/:id', async (req, res) => {
+    if (!(await repository.remove(req.params.id))) {
+      res.status(404).json({ error: 'Not found' });
+      return;
+    }
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+export const apiRouter = Router();
+{{#each api.entities as entity}}
+apiRouter.use('/{{entity.collection}}', crudRouter(repositories.{{entity.collection}}, {{entity.name}}Input));
+{{/each}}
+{{/if}}
+{{#if api.hono}}
+/**
+ * CRUD routes for one collection. Bodies are parsed with the entity's schema (every field optional for PATCH).
+ */
+function crudRoutes<S extends z.AnyZodObject, T>(repository: Repository<T, z.infer<S>>, schema: S) {
+  return new Hono()
+    .get('/', async c => c.json(await repository.list()))
+    .get('/:id', async c => {
+      const record = await repository.get(c.req.param('id'));
+      return record ? c.json(record) : c.json({ error: 'Not found' }, 404);
+    })
+    .post('/', zValidator('json', schema, (result, c) => {
+      if (!result.success) return c.json(validationError(result.error), 400);
+    }), async c => c.json(await repository.create(c.req.valid('json')), 201))
+    .patch('/:id', zValidator('json', schema.partial(), (result, c) => {
+      if (!result.success) return c.json(validationError(result.error), 400);
+    }), async c => {
+      const record = await repository.update(c.req.param('id'), c.req.valid('json') as Partial<z.infer<S>>);
+      return record ? c.json(record) : c.json({ error: 'Not found' }, 404);
+    })
+    .delete('/:id', async c => (await repository.remove(c.req.param('id')))
+      ? c.body(null, 204)
+      : c.json({ error: 'Not found' }, 404));
+}
+
+export const apiRoutes = new Hono();
+{{#each api.entities as entity}}
+apiRoutes.route('/{{entity.collection}}', crudRoutes(repositories.{{entity.collection}}, {{entity.name}}Input));
+{{/each}}
+{{/if}}
+`,
+  variables: {
+    api: "object"
+  },
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "Express 5 passes rejected promises from async handlers to the error handler, so the routes don't need try/catch"
+};
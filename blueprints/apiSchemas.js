@@ -0,0 +1,28 @@
+export const apiSchemasBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate server/src/schemas.ts: a Zod schema and types for each entity in the project plan',
+  format: 'ts',
+  template: `import { z } from 'zod';
+{{#each api.entities as entity}}
+
+{{#if entity.description}}
+// {{{entity.description}}}
+{{/if}}
+export const {{entity.name}}Input = z.object({
+{{#each entity.fields as field}}
+  {{field.name}}: {{{field.zod}}},
+{{/each}}
+});
+export type {{entity.name}}Input = z.infer<typeof {{entity.name}}Input>;
+export type {{entity.name}} = {{entity.name}}Input & { id: string; createdAt: string };
+{{/each}}
+`,
+  variables: {
+    api: "object"
+  },
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "Request bodies are parsed with the Input schemas; id and createdAt are always set by the repository"
+};
@@ -0,0 +1,75 @@
+export const apiServerBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate server/src/index.ts: the API server with CORS, JSON bodies, a health check and JSON errors',
+  format: 'ts',
+  template: `{{#if api.express}}
+import express, { type ErrorRequestHandler } from 'express';
+import cors from 'cors';
+import { apiRouter } from './routes.js';
+
+const port = Number(process.env.PORT) || {{api.port}};
+const app = express();
+
+app.use(cors({ origin: process.env.CORS_ORIGIN || 'http://localhost:5173' }));
+app.use(express.json({ limit: '1mb' }));
+
+app.get('{{api.prefix}}/health', (_req, res) => {
+  res.json({ status: 'ok' });
+});
+app.use('{{api.prefix}}', apiRouter);
+
+// Unknown routes and errors answer in the same JSON shape as the routes
+app.use((_req, res) => {
+  res.status(404).json({ error: 'Not found' });
+});
+
+const handleError: ErrorRequestHandler = (error, _req, res, _next) => {
+  // Malformed JSON and oversized bodies arrive here with a 4xx status
+  const status = typeof error.status === 'number' ? error.status : 500;
+  if (status >= 500) console.error(error);
+  res.status(status).json({ error: status < 500 ? error.message : 'Internal server error' });
+};
+app.use(handleError);
+
+app.listen(port, () => {
+  console.log(\`API listening on http://localhost:\${port}{{api.prefix}}\`);
+});
+{{/if}}
+{{#if api.hono}}
+import { serve } from '@hono/node-server';
+import { Hono } from 'hono';
+import { cors } from 'hono/cors';
+import { HTTPException } from 'hono/http-exception';
+import { apiRoutes } from './routes.js';
+
+const port = Number(process.env.PORT) || {{api.port}};
+const app = new Hono();
+
+app.use('*', cors({ origin: process.env.CORS_ORIGIN || 'http://localhost:5173' }));
+
+app.get('{{api.prefix}}/health', c => c.json({ status: 'ok' }));
+app.route('{{api.prefix}}', apiRoutes);
+
+// Unknown routes and errors answer in the same JSON shape as the routes
+app.notFound(c => c.json({ error: 'Not found' }, 404));
+app.onError((error, c) => {
+  // Malformed JSON arrives here as a 400 HTTPException
+  if (error instanceof HTTPException) return c.json({ error: error.message }, error.status);
+  console.error(error);
+  return c.json({ error: 'Internal server error' }, 500);
+});
+
+serve({ fetch: app.fetch, port }, info => {
+  console.log(\`API listening on http://localhost:\${info.port}{{api.prefix}}\`);
+});
+{{/if}}
+`,
+  variables: {
+    api: "object"
+  },
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "In development the Vite dev server proxies the API prefix here, so CORS only matters when VITE_API_URL points at another origin"
+};
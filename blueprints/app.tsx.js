@@ -1,21 +1,16 @@
 export const appTsxBlueprint = {
-  fileType: "React Component",
+  extends: 'baseComponent',
   purpose: 'Generate the main App component with routing, theme provider, and error boundary',
   
   qualityChecks: {
     mustHave: [
-      'framer-motion',
       'react-router-dom',
       'responsive design',
-      'accessibility features',
-      'TypeScript interfaces',
       'theme provider',
       'error boundary'
     ],
     designSystem: {
-      colors: ['primary', 'secondary', 'accent'],
-      animations: ['entrance', 'page transitions'],
-      spacing: 'consistent with design system'
+      animations: ['entrance', 'page transitions']
     },
     minimumScore: 95
   },
@@ -23,20 +18,10 @@ export const appTsxBlueprint = {
   validation: {
     mustContain: [
       'import.*react-router-dom',
-      'import.*framer-motion',
-      'interface.*Props',
       'App.*component',
       'Router.*provider',
-      'responsive.*design',
-      'accessibility.*aria'
-    ],
-    mustNotContain: [
-      'console\\.log',
-      'alert\\(',
-      'document\\.getElementById',
-      'innerHTML'
-    ],
-    fileExtension: '.tsx'
+      'responsive.*design'
+    ]
   },
 
   enterpriseFeatures: [
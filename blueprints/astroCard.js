@@ -0,0 +1,31 @@
+// blueprints/astroCard.js
+export const astroCardBlueprint = {
+  extends: 'astroBaseComponent',
+  purpose: 'Content card (Card.astro) with optional image, title, body and footer actions',
+
+  features: {
+    slots: "Default <slot /> for the body, named slots for the header and actions",
+    image: "Optional image prop with required alt text, rendered with <Image> from astro:assets",
+    interactive: "Hover lift and shadow when the card has an href",
+    variants: "elevated | outlined | glass"
+  },
+
+  accessibility: {
+    semantic: "Use <article> with a heading",
+    images: "Alt text comes from a required prop"
+  },
+
+  qualityChecks: {
+    mustHave: [
+      "Responsive design with mobile-first approach",
+      "Accessibility features (WCAG AA compliant)",
+      "TypeScript interfaces with proper prop types",
+      "Hover and focus effects"
+    ],
+    minimumScore: 70
+  },
+
+  validation: {
+    mustContain: ["<article", "<slot"]
+  }
+};
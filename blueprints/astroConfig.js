@@ -0,0 +1,27 @@
+export const astroConfigBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate astro.config.mjs: the React (islands), Tailwind and sitemap integrations and the site URL',
+  format: 'ts',
+  template: `import { defineConfig } from 'astro/config';
+import react from '@astrojs/react';
+import tailwind from '@astrojs/tailwind';
+import sitemap from '@astrojs/sitemap';
+
+export default defineConfig({
+  // The production URL: the sitemap, canonical links and the RSS feed are built from it
+  site: 'https://example.com',
+  integrations: [
+    react(),
+    // src/styles/global.css has the Tailwind directives and brand variables
+    tailwind({ applyBaseStyles: false }),
+    sitemap()
+  ]
+});
+`,
+  variables: {},
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "@astrojs/sitemap writes sitemap-index.xml at build time; it needs `site`"
+};
@@ -0,0 +1,41 @@
+export const astroContentConfigBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate src/content.config.ts: the testimonials and products content collections and their schemas',
+  format: 'ts',
+  template: `import { defineCollection, z } from 'astro:content';
+import { file } from 'astro/loaders';
+
+const testimonials = defineCollection({
+  loader: file('src/content/testimonials.json'),
+  schema: z.object({
+    name: z.string(),
+    role: z.string(),
+    company: z.string().optional(),
+    quote: z.string(),
+    rating: z.number().int().min(1).max(5).default(5),
+    avatar: z.string().url().optional()
+  })
+});
+
+const products = defineCollection({
+  loader: file('src/content/products.json'),
+  schema: z.object({
+    name: z.string(),
+    description: z.string(),
+    price: z.number().nonnegative().optional(),
+    category: z.string().optional(),
+    image: z.string().url().optional(),
+    featured: z.boolean().default(false),
+    publishedAt: z.coerce.date()
+  })
+});
+
+export const collections = { testimonials, products };
+`,
+  variables: {},
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "The entries themselves (src/content/*.json) are generated for the project by the *Collection blueprints"
+};
@@ -0,0 +1,30 @@
+// blueprints/astroFooter.js
+export const astroFooterBlueprint = {
+  extends: 'astroBaseComponent',
+  purpose: 'Site footer (Footer.astro) with navigation links, branding, the RSS feed link and the current year',
+
+  features: {
+    layout: "Three columns on desktop, stacked on mobile",
+    links: "<a href> to the planned pages and to /rss.xml",
+    branding: "Project name and short description",
+    copyright: "Copyright line with the year from new Date().getFullYear() in the frontmatter"
+  },
+
+  accessibility: {
+    semantic: "Use <footer> with a labelled <nav> for the links"
+  },
+
+  qualityChecks: {
+    mustHave: [
+      "Navigation integration",
+      "Responsive design with mobile-first approach",
+      "Accessibility features (WCAG AA compliant)",
+      "TypeScript interfaces with proper prop types"
+    ],
+    minimumScore: 70
+  },
+
+  validation: {
+    mustContain: ["<footer", "rss\\.xml"]
+  }
+};
@@ -0,0 +1,87 @@
+// blueprints/astroForm.js
+export const astroFormBlueprint = {
+  fileType: "React Island",
+  purpose: "Contact / lead form island (src/components/islands/ContactForm.tsx) with React Hook Form and Zod, hydrated on the page with client:visible",
+
+  formHandling: {
+    library: "React Hook Form's useForm with zodResolver from @hookform/resolvers/zod",
+    schema: "z.object(...) for name, email and message, with readable error messages",
+    errors: "Each field's error shown under the input, linked with aria-describedby and aria-invalid",
+    submit: "isSubmitting disables the button and shows progress; fetch() POSTs the JSON to the optional action prop",
+    success: "Success message announced with role=\"status\", and the form reset"
+  },
+
+  accessibility: {
+    labels: "Every input has a <label htmlFor>",
+    errors: "aria-invalid and aria-describedby on invalid fields"
+  },
+
+  qualityChecks: {
+    mustHave: [
+      "React Hook Form integration",
+      "Zod validation schema",
+      "Accessibility features (WCAG AA compliant)",
+      "Loading and disabled states",
+      "Error handling"
+    ],
+    minimumScore: 75
+  },
+
+  validation: {
+    mustContain: ["react-hook-form", "zod", "<form", "export default"],
+    mustNotContain: ["react-router-dom", "next/", "console\\.log", "alert\\("],
+    fileExtension: ".tsx"
+  },
+
+  // Used instead of the component fallback when no attempt is usable
+  fallbackTemplate: `import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+
+const schema = z.object({
+  name: z.string().min(1, 'Please enter your name'),
+  email: z.string().email('Please enter a valid email address'),
+  message: z.string().min(10, 'Please write at least 10 characters')
+});
+
+type FormValues = z.infer<typeof schema>;
+
+interface ContactFormProps {
+  action?: string;
+}
+
+export default function ContactForm({ action }: ContactFormProps) {
+  const [sent, setSent] = useState(false);
+  const { register, handleSubmit, reset, formState: { errors, isSubmitting } } = useForm<FormValues>({ resolver: zodResolver(schema) });
+
+  const onSubmit = async (values: FormValues) => {
+    if (action) {
+      await fetch(action, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(values) });
+    }
+    setSent(true);
+    reset();
+  };
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} noValidate className="mx-auto grid max-w-xl gap-4">
+      {(['name', 'email', 'message'] as const).map(field => (
+        <div key={field} className="grid gap-1">
+          <label htmlFor={field} className="font-medium capitalize">{field}</label>
+          {field === 'message' ? (
+            <textarea id={field} rows={5} aria-invalid={!!errors[field]} aria-describedby={\`\${field}-error\`} className="rounded-brand border px-3 py-2" {...register(field)} />
+          ) : (
+            <input id={field} type={field === 'email' ? 'email' : 'text'} aria-invalid={!!errors[field]} aria-describedby={\`\${field}-error\`} className="rounded-brand border px-3 py-2" {...register(field)} />
+          )}
+          <p id={\`\${field}-error\`} className="text-sm text-red-600">{errors[field]?.message}</p>
+        </div>
+      ))}
+      <button type="submit" disabled={isSubmitting} className="rounded-brand bg-primary-600 px-6 py-3 font-semibold text-white hover:bg-primary-700 disabled:opacity-50">
+        {isSubmitting ? 'Sending…' : 'Send message'}
+      </button>
+      {sent && <p role="status" className="text-green-700">Thanks! We'll be in touch.</p>}
+    </form>
+  );
+}
+`
+};
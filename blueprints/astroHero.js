@@ -0,0 +1,39 @@
+// blueprints/astroHero.js
+export const astroHeroBlueprint = {
+  extends: 'astroBaseComponent',
+  purpose: 'Hero section (Hero.astro) with a headline, supporting copy, call-to-action links and an entrance animation',
+
+  features: {
+    headline: "Value proposition as the page's h1, with gradient text",
+    subtext: "One or two sentences explaining the product",
+    ctaButtons: "Primary and secondary calls to action as <a href> links styled as buttons",
+    image: "Hero image with <Image> from astro:assets and alt text",
+    background: "Gradient background using the brand palettes",
+    animation: "Entrance animation with Tailwind animate-fade-in / animate-slide-up classes"
+  },
+
+  designSystem: {
+    colors: ["gradients", "glassmorphism", "dark mode support"],
+    animations: ["entrance", "hover"]
+  },
+
+  qualityChecks: {
+    mustHave: [
+      "Entrance animation",
+      "Responsive design with mobile-first approach",
+      "Accessibility features (WCAG AA compliant)",
+      "Modern UI patterns (gradients, glassmorphism)",
+      "TypeScript interfaces with proper prop types",
+      "Call-to-action buttons with hover effects"
+    ],
+    designSystem: {
+      colors: ["gradients", "dark mode support"],
+      animations: ["entrance", "hover"]
+    },
+    minimumScore: 80
+  },
+
+  validation: {
+    mustContain: ["<h1", "<section"]
+  }
+};
@@ -0,0 +1,56 @@
+export const astroLayoutBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate src/layouts/BaseLayout.astro: the document <head> (title, description, canonical URL, sitemap and RSS links), navbar and footer',
+  format: 'ts',
+  template: `---
+import { ClientRouter } from 'astro:transitions';
+import Navbar from '@/components/Navbar.astro';
+import Footer from '@/components/Footer.astro';
+import '@/styles/global.css';
+
+interface Props {
+  title?: string;
+  description?: string;
+  image?: string;
+}
+
+const siteName = '{{projectName}}';
+const { title, description = '{{projectDescription}}', image } = Astro.props;
+const pageTitle = title ? \`\${title} | \${siteName}\` : siteName;
+const canonicalURL = new URL(Astro.url.pathname, Astro.site);
+---
+
+<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>{pageTitle}</title>
+    <meta name="description" content={description} />
+    <link rel="canonical" href={canonicalURL} />
+    <link rel="sitemap" href="/sitemap-index.xml" />
+    <link rel="alternate" type="application/rss+xml" title={siteName} href={new URL('rss.xml', Astro.site)} />
+    <meta property="og:title" content={pageTitle} />
+    <meta property="og:description" content={description} />
+    {image && <meta property="og:image" content={new URL(image, Astro.site)} />}
+    <ClientRouter />
+  </head>
+  <body class="flex min-h-screen flex-col bg-white font-sans text-gray-900 antialiased dark:bg-gray-950 dark:text-gray-100">
+    <Navbar />
+    <div class="flex-1">
+      <slot />
+    </div>
+    <Footer />
+  </body>
+</html>
+`,
+  variables: {
+    projectName: "string",
+    projectDescription: "string"
+  },
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "Pages pass their own title and description; Navbar and Footer are core components, so they always exist"
+};
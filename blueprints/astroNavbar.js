@@ -0,0 +1,52 @@
+// blueprints/astroNavbar.js
+export const astroNavbarBlueprint = {
+  extends: 'astroBaseComponent',
+  purpose: 'Responsive navigation bar (Navbar.astro) with links to each page and a mobile menu toggled by a small <script>',
+  mixins: ['wcagAccessibility'],
+
+  features: {
+    responsive: "Mobile-first layout with a hamburger button below md",
+    navigation: "<a href> to each planned page, with aria-current on the one matching Astro.url.pathname",
+    mobileMenu: "Menu toggled by a <script> that flips aria-expanded and a hidden class, closed on Escape; no React island needed",
+    glassmorphism: "Translucent background with backdrop blur",
+    branding: "Logo and project name linking home"
+  },
+
+  designSystem: {
+    colors: {
+      background: "bg-white/80 dark:bg-gray-900/80 backdrop-blur-lg",
+      border: "border-gray-200 dark:border-gray-700",
+      accentText: "text-primary-600 dark:text-primary-400"
+    },
+    spacing: {
+      container: "px-4 sm:px-6 lg:px-8",
+      nav: "py-4"
+    }
+  },
+
+  accessibility: {
+    semantic: "Use <nav> with aria-label",
+    aria: "aria-expanded and aria-controls on the menu button",
+    keyboard: "Escape closes the mobile menu and returns focus to the button"
+  },
+
+  animations: {
+    mobileMenu: "Tailwind transition classes on the menu",
+    hover: "Color transitions on links"
+  },
+
+  qualityChecks: {
+    mustHave: [
+      "Navigation integration",
+      "Responsive design with mobile-first approach",
+      "Keyboard navigation (Escape key)",
+      "Accessibility features (WCAG AA compliant)",
+      "TypeScript interfaces with proper prop types"
+    ],
+    minimumScore: 80
+  },
+
+  validation: {
+    mustContain: ["<nav", "href=\"/", "<script"]
+  }
+};
@@ -0,0 +1,29 @@
+export const astroNotFoundBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate src/pages/404.astro: the page static hosts serve for unknown paths',
+  format: 'html',
+  template: `---
+import BaseLayout from '@/layouts/BaseLayout.astro';
+---
+
+<BaseLayout title="Page not found">
+  <main class="flex min-h-[60vh] flex-col items-center justify-center px-4 py-16 text-center">
+    <p class="text-sm font-semibold text-primary-600 dark:text-primary-400">404</p>
+    <h1 class="mt-2 text-3xl font-bold md:text-5xl">Page not found</h1>
+    <p class="mt-4 text-gray-600 dark:text-gray-400">The page you're looking for doesn't exist or has moved.</p>
+    <a
+      href="/"
+      class="mt-8 rounded-brand bg-primary-600 px-6 py-3 font-semibold text-white transition-colors hover:bg-primary-700 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-primary-500"
+    >
+      Go home
+    </a>
+  </main>
+</BaseLayout>
+`,
+  variables: {},
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "Unknown paths land here, so the plan doesn't need a not-found page"
+};
@@ -0,0 +1,47 @@
+export const astroPackageJsonBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate package.json with the dependencies and scripts for an Astro + React islands + Tailwind project',
+  format: 'json',
+  template: `{
+  "name": "{{projectName}}",
+  "version": "0.1.0",
+  "private": true,
+  "type": "module",
+  "description": "{{projectDescription}}",
+  "scripts": {
+    "dev": "astro dev",
+    "build": "astro check && astro build",
+    "preview": "astro preview",
+    "astro": "astro"
+  },
+  "dependencies": {
+    "astro": "^5.0.0",
+    "@astrojs/check": "^0.9.4",
+    "@astrojs/react": "^4.0.0",
+    "@astrojs/tailwind": "^5.1.3",
+    "@astrojs/sitemap": "^3.2.1",
+    "@astrojs/rss": "^4.0.10",
+    "react": "^18.3.1",
+    "react-dom": "^18.3.1",
+    "react-hook-form": "^7.52.1",
+    "@hookform/resolvers": "^3.9.0",
+    "zod": "^3.23.8",
+    "lucide-react": "^0.428.0",
+    "tailwindcss": "^3.4.1",
+    "typescript": "^5.5.3"
+  },
+  "devDependencies": {
+    "@types/react": "^18.3.3",
+    "@types/react-dom": "^18.3.0"
+  }
+}`,
+  variables: {
+    projectName: "string",
+    projectDescription: "string"
+  },
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "React is only needed for the islands; the .astro pages themselves ship no JavaScript"
+};
@@ -0,0 +1,53 @@
+// blueprints/astroPage.js
+export const astroPageBlueprint = {
+  fileType: "Astro Page",
+  purpose: "Static page (src/pages/<path>/index.astro) rendered inside BaseLayout, which sets its title and description, composing section components",
+
+  features: {
+    layout: "<BaseLayout title=\"...\" description=\"...\"> from '@/layouts/BaseLayout.astro' around a <main> landmark",
+    content: "Testimonials and products come from the content collections (getCollection from astro:content), not hard-coded arrays",
+    islands: "Interactive parts are React islands from src/components/islands with client:visible (client:load only above the fold)",
+    navigation: "Plain <a href> links between pages",
+    responsive: "Mobile-first responsive design",
+    accessibility: "WCAG 2.1 AA compliant page design"
+  },
+
+  routing: {
+    params: "Dynamic routes (src/pages/products/[id]/index.astro) export getStaticPaths() built from the collection and read Astro.props",
+    links: "Plain <a href> links; the layout's view transitions animate navigation",
+    notFound: "Unknown paths render src/pages/404.astro; pages don't handle them"
+  },
+
+  accessibility: {
+    landmarks: "Semantic HTML landmarks and structure",
+    headings: "One h1 per page and a logical heading order",
+    altText: "Alternative text for images and media"
+  },
+
+  validation: {
+    mustContain: [
+      "^---",
+      "BaseLayout",
+      "<main"
+    ],
+    mustNotContain: ["react-router-dom", "framer-motion", "console\\.log", "alert\\(", "set:html", "className="],
+    fileExtension: ".astro",
+    isTypeScript: true
+  },
+
+  qualityChecks: {
+    mustHave: [
+      "SEO with a title and description",
+      "Proper page structure and layout",
+      "Accessibility features and compliance",
+      "Responsive design implementation",
+      "Modern styling with Tailwind"
+    ],
+    minimumScore: 70
+  },
+
+  notes: [
+    "BaseLayout renders the navbar and footer, so pages only render their own content",
+    "Pages ship no JavaScript unless they render an island"
+  ]
+};
@@ -0,0 +1,32 @@
+// blueprints/astroProducts.js
+export const astroProductsBlueprint = {
+  extends: 'astroBaseComponent',
+  purpose: 'Product (or portfolio project) grid (Products.astro) that renders the products content collection at build time',
+
+  features: {
+    data: "const products = await getCollection('products') from astro:content, sorted by publishedAt",
+    layout: "Responsive grid of product cards",
+    card: "Image, name, category, description and formatted price (Intl.NumberFormat) for each entry",
+    anchors: "Each card has id={product.id} so the RSS feed can link to it",
+    featured: "Optional featured prop to show only featured entries"
+  },
+
+  accessibility: {
+    semantic: "Use <section> with a heading and an <article> per product",
+    images: "Alt text from the entry's name"
+  },
+
+  qualityChecks: {
+    mustHave: [
+      "Content collections",
+      "Responsive design with mobile-first approach",
+      "Accessibility features (WCAG AA compliant)",
+      "TypeScript interfaces with proper prop types"
+    ],
+    minimumScore: 70
+  },
+
+  validation: {
+    mustContain: ["astro:content", "getCollection\\(['\"]products['\"]", "id=\\{"]
+  }
+};
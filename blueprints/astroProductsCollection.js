@@ -0,0 +1,39 @@
+// blueprints/astroProductsCollection.js
+export const astroProductsCollectionBlueprint = {
+  fileType: "Content Collection",
+  purpose: "Entries of the products content collection (src/content/products.json): 3-6 products, or portfolio projects, that fit the project",
+
+  features: {
+    schema: "Each entry: id (kebab-case), name, description, price (number, optional for portfolio work), category, image (optional URL), featured (boolean), publishedAt (ISO date)",
+    feed: "The RSS feed lists these entries newest first, so publishedAt dates should differ"
+  },
+
+  validation: {
+    mustContain: ["^\\s*\\[", "\"id\"", "\"description\"", "\"publishedAt\""],
+    mustNotContain: ["Lorem ipsum", "```"],
+    fileExtension: ".json"
+  },
+
+  // Used instead of the component fallback when no attempt is usable
+  fallbackTemplate: `[
+  {
+    "id": "starter",
+    "name": "Starter",
+    "description": "Everything you need to get going, set up in minutes.",
+    "price": 19,
+    "category": "Plans",
+    "featured": false,
+    "publishedAt": "2024-01-15"
+  },
+  {
+    "id": "professional",
+    "name": "Professional",
+    "description": "Advanced features and priority support for growing teams.",
+    "price": 49,
+    "category": "Plans",
+    "featured": true,
+    "publishedAt": "2024-03-01"
+  }
+]
+`
+};
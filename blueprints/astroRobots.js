@@ -0,0 +1,17 @@
+export const astroRobotsBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate src/pages/robots.txt.ts: robots.txt pointing crawlers at the sitemap',
+  format: 'ts',
+  template: `import type { APIRoute } from 'astro';
+
+export const GET: APIRoute = ({ site }) => new Response(
+  \`User-agent: *\\nAllow: /\\n\\nSitemap: \${new URL('sitemap-index.xml', site).href}\\n\`
+);
+`,
+  variables: {},
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "An endpoint rather than public/robots.txt, so the sitemap URL follows the site in astro.config.mjs"
+};
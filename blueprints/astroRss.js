@@ -0,0 +1,36 @@
+export const astroRssBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate src/pages/rss.xml.ts: an RSS feed of the products collection, newest first',
+  format: 'ts',
+  template: `import rss from '@astrojs/rss';
+import type { APIContext } from 'astro';
+import { getCollection } from 'astro:content';
+
+export async function GET(context: APIContext) {
+  const products = await getCollection('products');
+
+  return rss({
+    title: '{{projectName}}',
+    description: '{{projectDescription}}',
+    site: context.site!,
+    items: products
+      .sort((a, b) => b.data.publishedAt.getTime() - a.data.publishedAt.getTime())
+      .map(product => ({
+        title: product.data.name,
+        description: product.data.description,
+        pubDate: product.data.publishedAt,
+        link: \`/#\${product.id}\`
+      }))
+  });
+}
+`,
+  variables: {
+    projectName: "string",
+    projectDescription: "string"
+  },
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "Products.astro gives each card id={product.id}, so items link to their card"
+};
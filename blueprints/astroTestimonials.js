@@ -0,0 +1,32 @@
+// blueprints/astroTestimonials.js
+export const astroTestimonialsBlueprint = {
+  extends: 'astroBaseComponent',
+  purpose: 'Testimonials section (Testimonials.astro) that renders the testimonials content collection at build time',
+
+  features: {
+    data: "const testimonials = await getCollection('testimonials') from astro:content in the frontmatter",
+    layout: "Grid of quote cards (1/2/3 columns by breakpoint)",
+    quote: "Each entry's quote in a <blockquote>, with name, role and company in a <figcaption>",
+    rating: "Star rating with an aria-label such as \"5 out of 5 stars\"",
+    limit: "Optional limit prop to show only the first few"
+  },
+
+  accessibility: {
+    semantic: "Use <section> with a heading and <figure> per testimonial",
+    images: "Avatars have the person's name as alt text"
+  },
+
+  qualityChecks: {
+    mustHave: [
+      "Content collections",
+      "Responsive design with mobile-first approach",
+      "Accessibility features (WCAG AA compliant)",
+      "TypeScript interfaces with proper prop types"
+    ],
+    minimumScore: 70
+  },
+
+  validation: {
+    mustContain: ["astro:content", "getCollection\\(['\"]testimonials['\"]\\)", "<blockquote"]
+  }
+};
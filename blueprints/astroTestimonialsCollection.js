@@ -0,0 +1,36 @@
+// blueprints/astroTestimonialsCollection.js
+export const astroTestimonialsCollectionBlueprint = {
+  fileType: "Content Collection",
+  purpose: "Entries of the testimonials content collection (src/content/testimonials.json): 4-6 customer quotes that fit the project",
+
+  features: {
+    schema: "Each entry: id (kebab-case), name, role, company (optional), quote, rating (1-5), avatar (optional image URL)",
+    tone: "Specific, believable quotes that mention what the product did for the customer"
+  },
+
+  validation: {
+    mustContain: ["^\\s*\\[", "\"id\"", "\"quote\"", "\"rating\""],
+    mustNotContain: ["Lorem ipsum", "```"],
+    fileExtension: ".json"
+  },
+
+  // Used instead of the component fallback when no attempt is usable
+  fallbackTemplate: `[
+  {
+    "id": "first-customer",
+    "name": "Alex Morgan",
+    "role": "Founder",
+    "quote": "Setting this up took an afternoon, and it has saved our team hours every week since.",
+    "rating": 5
+  },
+  {
+    "id": "second-customer",
+    "name": "Sam Lee",
+    "role": "Operations Lead",
+    "company": "Northwind",
+    "quote": "Clear, fast and reliable. It does exactly what we needed without getting in the way.",
+    "rating": 5
+  }
+]
+`
+};
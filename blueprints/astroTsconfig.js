@@ -0,0 +1,24 @@
+export const astroTsconfigBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate tsconfig.json for an Astro project with React islands and the @/ alias',
+  format: 'json',
+  template: JSON.stringify({
+    "extends": "astro/tsconfigs/strict",
+    "include": [".astro/types.d.ts", "**/*"],
+    "exclude": ["dist"],
+    "compilerOptions": {
+      "jsx": "react-jsx",
+      "jsxImportSource": "react",
+      "baseUrl": ".",
+      "paths": {
+        "@/*": ["src/*"]
+      }
+    }
+  }, null, 2),
+  variables: {},
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "Astro generates .astro/types.d.ts with the content collection types"
+};
@@ -0,0 +1,32 @@
+// Shared by the generated Astro components: `extends: 'astroBaseComponent'`
+export const astroBaseComponentFragment = {
+  fileType: "Astro Component",
+
+  qualityChecks: {
+    mustHave: [
+      'animation',
+      'accessibility features',
+      'TypeScript interfaces'
+    ],
+    designSystem: {
+      colors: ['primary', 'secondary', 'accent'],
+      spacing: 'consistent with design system'
+    }
+  },
+
+  validation: {
+    mustContain: [
+      '^---',
+      'Astro\\.props',
+      'aria-'
+    ],
+    mustNotContain: [
+      'console\\.log',
+      'alert\\(',
+      'className=',
+      'set:html',
+      'innerHTML'
+    ],
+    fileExtension: '.astro'
+  }
+};
@@ -0,0 +1,31 @@
+// Shared by the generated React components: `extends: 'baseComponent'`
+export const baseComponentFragment = {
+  fileType: "React Component",
+
+  qualityChecks: {
+    mustHave: [
+      'framer-motion',
+      'accessibility features',
+      'TypeScript interfaces'
+    ],
+    designSystem: {
+      colors: ['primary', 'secondary', 'accent'],
+      spacing: 'consistent with design system'
+    }
+  },
+
+  validation: {
+    mustContain: [
+      'import.*framer-motion',
+      'interface.*Props',
+      'accessibility.*aria'
+    ],
+    mustNotContain: [
+      'console\\.log',
+      'alert\\(',
+      'document\\.getElementById',
+      'innerHTML'
+    ],
+    fileExtension: '.tsx'
+  }
+};
@@ -0,0 +1,32 @@
+// Shared by the generated Svelte 5 components: `extends: 'svelteBaseComponent'`
+export const svelteBaseComponentFragment = {
+  fileType: "Svelte Component",
+
+  qualityChecks: {
+    mustHave: [
+      'animation',
+      'accessibility features',
+      'TypeScript interfaces'
+    ],
+    designSystem: {
+      colors: ['primary', 'secondary', 'accent'],
+      spacing: 'consistent with design system'
+    }
+  },
+
+  validation: {
+    mustContain: [
+      '<script lang="ts">',
+      '\\$props\\(\\)',
+      'aria-'
+    ],
+    mustNotContain: [
+      'console\\.log',
+      'alert\\(',
+      'document\\.getElementById',
+      '\\{@html',
+      'innerHTML'
+    ],
+    fileExtension: '.svelte'
+  }
+};
@@ -0,0 +1,33 @@
+// Shared by the generated Vue single-file components: `extends: 'vueBaseComponent'`
+export const vueBaseComponentFragment = {
+  fileType: "Vue Component",
+
+  qualityChecks: {
+    mustHave: [
+      'animation',
+      'accessibility features',
+      'TypeScript interfaces'
+    ],
+    designSystem: {
+      colors: ['primary', 'secondary', 'accent'],
+      spacing: 'consistent with design system'
+    }
+  },
+
+  validation: {
+    mustContain: [
+      '<script setup lang="ts">',
+      '<template>',
+      'defineProps<',
+      'aria-'
+    ],
+    mustNotContain: [
+      'console\\.log',
+      'alert\\(',
+      'document\\.getElementById',
+      'v-html',
+      'innerHTML'
+    ],
+    fileExtension: '.vue'
+  }
+};
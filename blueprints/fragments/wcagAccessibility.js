@@ -0,0 +1,8 @@
+// WCAG AA baseline: `mixins: ['wcagAccessibility']`
+export const wcagAccessibilityFragment = {
+  accessibility: {
+    focus: "Visible focus indicators and keyboard navigation",
+    contrast: "Ensure sufficient color contrast (4.5:1 minimum)",
+    screenReader: "Proper content announcements and descriptions"
+  }
+};
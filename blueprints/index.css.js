@@ -1,22 +1,31 @@
 export const indexCssBlueprint = {
   generationMethod: "template",
-  filePurpose: 'Generate index.css with Tailwind directives and custom CSS variables',
+  filePurpose: 'Generate index.css with Tailwind directives and CSS variables for the brand palette, fonts and radius',
+  format: 'css',
   template: `@tailwind base;
 @tailwind components;
 @tailwind utilities;
 
 :root {
-  --primary-color: #3b82f6;
-  --secondary-color: #64748b;
-  --accent-color: #10b981;
+  --primary-color: {{brand.palette.primary.500}};
+  --secondary-color: {{brand.palette.secondary.500}};
+  --accent-color: {{brand.palette.accent.500}};
   --background-color: #ffffff;
   --text-color: #1f2937;
+{{#each brand.colors as color}}
+{{#each color.shades as shade}}
+  --color-{{color.name}}-{{shade.step}}: {{shade.hex}};
+{{/each}}
+{{/each}}
+  --font-heading: '{{brand.fonts.heading}}', system-ui, sans-serif;
+  --font-body: '{{brand.fonts.body}}', system-ui, sans-serif;
+  --radius: {{brand.radius}};
 }
 
 .dark {
-  --primary-color: #60a5fa;
-  --secondary-color: #94a3b8;
-  --accent-color: #34d399;
+  --primary-color: {{brand.palette.primary.400}};
+  --secondary-color: {{brand.palette.secondary.400}};
+  --accent-color: {{brand.palette.accent.400}};
   --background-color: #0f172a;
   --text-color: #f1f5f9;
 }
@@ -24,6 +33,11 @@ export const indexCssBlueprint = {
 @layer base {
   body {
     @apply bg-background text-text transition-colors duration-200;
+    font-family: var(--font-body);
+  }
+
+  h1, h2, h3, h4, h5, h6 {
+    font-family: var(--font-heading);
   }
 }
 
@@ -41,8 +55,7 @@ export const indexCssBlueprint = {
   }
 }`,
   variables: {
-    primaryColor: "string",
-    secondaryColor: "string"
+    brand: "object"
   },
   validation: {
     isTemplate: true,
@@ -1,17 +1,33 @@
 export const mainTsxBlueprint = {
   generationMethod: "template",
   filePurpose: 'Generate main.tsx as the React 18 entry point for the application',
+  format: 'ts',
   template: `import React from 'react'
 import ReactDOM from 'react-dom/client'
+{{#if api.entities}}
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query'
+{{/if}}
 import App from './App.tsx'
 import './index.css'
+{{#if api.entities}}
+
+const queryClient = new QueryClient()
+{{/if}}
 
 ReactDOM.createRoot(document.getElementById('root')!).render(
   <React.StrictMode>
+{{#if api.entities}}
+    <QueryClientProvider client={queryClient}>
+      <App />
+    </QueryClientProvider>
+{{else}}
     <App />
+{{/if}}
   </React.StrictMode>,
 )`,
-  variables: {},
+  variables: {
+    api: { type: "object", default: {}, description: "The generated API in full-stack projects; its hooks need a QueryClient" }
+  },
   validation: {
     isTemplate: true,
     noAI: true
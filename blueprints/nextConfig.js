@@ -0,0 +1,24 @@
+export const nextConfigBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate next.config.mjs for a Next.js App Router project',
+  format: 'ts',
+  template: `/** @type {import('next').NextConfig} */
+const nextConfig = {
+  reactStrictMode: true,
+  images: {
+    remotePatterns: [
+      { protocol: 'https', hostname: 'images.unsplash.com' },
+      { protocol: 'https', hostname: 'picsum.photos' },
+    ],
+  },
+};
+
+export default nextConfig;
+`,
+  variables: {},
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "Template-based generation ensures correct Next.js configuration without React code contamination"
+};
@@ -0,0 +1,16 @@
+export const nextEnvBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate next-env.d.ts so TypeScript picks up the Next.js types',
+  format: 'text',
+  template: `/// <reference types="next" />
+/// <reference types="next/image-types/global" />
+
+// NOTE: This file should not be edited
+// see https://nextjs.org/docs/basic-features/typescript for more information.
+`,
+  variables: {},
+  validation: {
+    isTemplate: true,
+    noAI: true
+  }
+};
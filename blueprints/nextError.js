@@ -0,0 +1,41 @@
+export const nextErrorBlueprint = {
+  generationMethod: "template",
+  filePurpose: "Generate app/error.tsx: the client error boundary for a route segment, with a retry button",
+  format: 'ts',
+  template: `'use client';
+
+import { useEffect } from 'react';
+
+interface ErrorProps {
+  error: Error & { digest?: string };
+  reset: () => void;
+}
+
+export default function Error({ error, reset }: ErrorProps) {
+  useEffect(() => {
+    // Surface the error to monitoring in production
+    console.error(error);
+  }, [error]);
+
+  return (
+    <main className="flex min-h-[50vh] flex-col items-center justify-center gap-4 px-4 text-center" role="alert">
+      <h1 className="font-heading text-2xl font-bold">Something went wrong</h1>
+      <p className="text-gray-600 dark:text-gray-400">An unexpected error occurred while loading this page.</p>
+      <button
+        type="button"
+        onClick={reset}
+        className="rounded-brand bg-primary-600 px-6 py-2 text-white transition-colors hover:bg-primary-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2"
+      >
+        Try again
+      </button>
+    </main>
+  );
+}
+`,
+  variables: {},
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "Error boundaries must be client components"
+};
@@ -0,0 +1,11 @@
+export const nextEslintBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate .eslintrc.json with the Next.js lint rules',
+  format: 'json',
+  template: JSON.stringify({ extends: "next/core-web-vitals" }, null, 2),
+  variables: {},
+  validation: {
+    isTemplate: true,
+    noAI: true
+  }
+};
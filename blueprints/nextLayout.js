@@ -0,0 +1,42 @@
+export const nextLayoutBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate app/layout.tsx: the root layout with the site-wide metadata, global styles, navbar and footer',
+  format: 'ts',
+  template: `import type { Metadata } from 'next';
+import type { ReactNode } from 'react';
+import Navbar from '@/components/Navbar';
+import Footer from '@/components/Footer';
+import './globals.css';
+
+export const metadata: Metadata = {
+  title: {
+    default: '{{projectName}}',
+    template: '%s | {{projectName}}',
+  },
+  description: '{{projectDescription}}',
+};
+
+export default function RootLayout({ children }: { children: ReactNode }) {
+  return (
+    <html lang="en" suppressHydrationWarning>
+      <body className="min-h-screen bg-white font-sans text-gray-900 antialiased dark:bg-gray-950 dark:text-gray-100">
+        <div className="flex min-h-screen flex-col">
+          <Navbar />
+          <div className="flex-1">{children}</div>
+          <Footer />
+        </div>
+      </body>
+    </html>
+  );
+}
+`,
+  variables: {
+    projectName: "string",
+    projectDescription: "string"
+  },
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "Pages render their own <main> and export their own metadata; the title template adds the project name"
+};
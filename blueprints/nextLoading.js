@@ -0,0 +1,19 @@
+export const nextLoadingBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate app/loading.tsx: the loading UI streamed while a route renders',
+  format: 'ts',
+  template: `export default function Loading() {
+  return (
+    <div className="flex min-h-[50vh] items-center justify-center" role="status" aria-live="polite">
+      <div className="h-10 w-10 animate-spin rounded-full border-4 border-primary-200 border-t-primary-600" />
+      <span className="sr-only">Loading...</span>
+    </div>
+  );
+}
+`,
+  variables: {},
+  validation: {
+    isTemplate: true,
+    noAI: true
+  }
+};
@@ -0,0 +1,28 @@
+export const nextNotFoundBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate app/not-found.tsx: the 404 page for unknown routes and notFound() calls',
+  format: 'ts',
+  template: `import Link from 'next/link';
+
+export default function NotFound() {
+  return (
+    <main className="flex min-h-[50vh] flex-col items-center justify-center gap-4 px-4 text-center">
+      <p className="text-sm font-semibold uppercase tracking-wide text-primary-600">404</p>
+      <h1 className="font-heading text-3xl font-bold">Page not found</h1>
+      <p className="text-gray-600 dark:text-gray-400">The page you are looking for does not exist.</p>
+      <Link
+        href="/"
+        className="rounded-brand bg-primary-600 px-6 py-2 text-white transition-colors hover:bg-primary-700 focus:outline-none focus-visible:ring-2 focus-visible:ring-primary-500 focus-visible:ring-offset-2"
+      >
+        Go Home
+      </Link>
+    </main>
+  );
+}
+`,
+  variables: {},
+  validation: {
+    isTemplate: true,
+    noAI: true
+  }
+};
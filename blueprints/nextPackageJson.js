@@ -0,0 +1,55 @@
+export const nextPackageJsonBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate package.json with the dependencies and scripts for a Next.js App Router + TypeScript + Tailwind project',
+  format: 'json',
+  template: `{
+  "name": "{{projectName}}",
+  "version": "0.1.0",
+  "private": true,
+  "description": "{{projectDescription}}",
+  "scripts": {
+    "dev": "next dev",
+    "build": "next build",
+    "start": "next start",
+    "lint": "next lint",
+    "typecheck": "tsc --noEmit"
+  },
+  "dependencies": {
+    "next": "^14.2.15",
+    "react": "^18.3.1",
+    "react-dom": "^18.3.1",
+    "framer-motion": "^11.3.19",
+    "@heroicons/react": "^2.1.1",
+    "lucide-react": "^0.428.0",
+    "react-hook-form": "^7.52.1",
+    "@hookform/resolvers": "^3.9.0",
+    "zod": "^3.23.8",
+    "zustand": "^4.5.4",
+    "@tanstack/react-query": "^5.51.23",
+    "clsx": "^2.1.1",
+    "tailwind-merge": "^2.4.0",
+    "recharts": "^2.12.0",
+    "date-fns": "^3.6.0"
+  },
+  "devDependencies": {
+    "typescript": "^5.5.3",
+    "@types/node": "^20.14.10",
+    "@types/react": "^18.3.5",
+    "@types/react-dom": "^18.3.0",
+    "tailwindcss": "^3.4.1",
+    "postcss": "^8.4.35",
+    "autoprefixer": "^10.4.18",
+    "eslint": "^8.57.0",
+    "eslint-config-next": "^14.2.15"
+  }
+}`,
+  variables: {
+    projectName: "string",
+    projectDescription: "string"
+  },
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "Template-based generation ensures a valid package.json without React code contamination"
+};
@@ -0,0 +1,74 @@
+// blueprints/nextPage.js
+export const nextPageBlueprint = {
+  fileType: "Next.js Page",
+  purpose: "App Router page (app/<route>/page.tsx): a Server Component that sets its title and description with the Metadata API and composes client components for anything interactive",
+
+  features: {
+    rendering: "Server Component by default; no hooks or event handlers in the page itself",
+    metadata: "export const metadata: Metadata (or generateMetadata for dynamic routes) with title and description",
+    layout: "Consistent page layout wrapped in a <main> landmark",
+    content: "Static content rendered on the server",
+    navigation: "next/link for internal links",
+    responsive: "Mobile-first responsive design",
+    accessibility: "WCAG 2.1 AA compliant page design"
+  },
+
+  structure: {
+    hero: "Hero section with main message and CTA",
+    content: "Main content area with sections",
+    navigation: "Breadcrumbs for deep pages"
+  },
+
+  routing: {
+    params: "Dynamic segments arrive as the params prop ({ params: { id: string } })",
+    links: "next/link for navigation between routes",
+    notFound: "Call notFound() from next/navigation for missing records"
+  },
+
+  accessibility: {
+    landmarks: "Semantic HTML landmarks and structure",
+    headings: "One h1 per page and a logical heading order",
+    altText: "Alternative text for images and media"
+  },
+
+  responsive: {
+    mobile: "Single column layout for mobile devices",
+    tablet: "Two-column layout for tablet screens",
+    desktop: "Multi-column layout for desktop screens"
+  },
+
+  validation: {
+    mustContain: [
+      "export\\s+(const\\s+metadata|(async\\s+)?function\\s+generateMetadata)",
+      "export\\s+default",
+      "<main"
+    ],
+    mustNotContain: ["react-router-dom", "react-helmet", "console\\.log", "alert\\(", "innerHTML"],
+    fileExtension: ".tsx",
+    isTypeScript: true
+  },
+
+  qualityChecks: {
+    mustHave: [
+      "Next.js Metadata API",
+      "Proper page structure and layout",
+      "Accessibility features and compliance",
+      "Responsive design implementation",
+      "Modern styling with Tailwind"
+    ],
+    minimumScore: 75
+  },
+
+  enterpriseFeatures: [
+    "TypeScript with proper typing",
+    "Server Components with client components only where needed",
+    "Metadata API for titles and descriptions",
+    "WCAG 2.1 AA accessibility compliance",
+    "Responsive design with mobile-first approach"
+  ],
+
+  notes: [
+    "Do not add 'use client' to the page; move interactive parts into components that start with it",
+    "Default-export the page component"
+  ]
+};
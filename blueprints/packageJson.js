@@ -1,8 +1,9 @@
 export const packageJsonBlueprint = {
   generationMethod: "template",
   filePurpose: 'Generate package.json with all required dependencies and scripts for a modern React + Vite + TypeScript project',
+  format: 'json',
   template: `{
-  "name": "{projectName}",
+  "name": "{{projectName}}",
   "private": true,
   "version": "0.0.0",
   "type": "module",
@@ -1,6 +1,7 @@
 export const postcssBlueprint = {
   generationMethod: "template",
   filePurpose: 'Generate postcss.config.js for Tailwind CSS usage in a Vite + React + TypeScript project',
+  format: 'ts',
   template: `export default {
   plugins: {
     tailwindcss: {},
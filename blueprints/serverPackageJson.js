@@ -0,0 +1,56 @@
+export const serverPackageJsonBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate server/package.json for the full-stack API: Express or Hono, Zod, and better-sqlite3 when it stores data in SQLite',
+  format: 'json',
+  template: `{
+  "name": "{{projectName}}-api",
+  "private": true,
+  "version": "0.0.0",
+  "type": "module",
+  "scripts": {
+    "dev": "tsx watch src/index.ts",
+    "build": "tsc",
+    "start": "node dist/index.js",
+    "typecheck": "tsc --noEmit"
+  },
+  "dependencies": {
+{{#if api.express}}
+    "cors": "^2.8.5",
+    "express": "^5.1.0",
+{{/if}}
+{{#if api.hono}}
+    "@hono/node-server": "^1.14.0",
+    "@hono/zod-validator": "^0.4.3",
+    "hono": "^4.7.0",
+{{/if}}
+{{#if api.sqlite}}
+    "better-sqlite3": "^11.9.0",
+{{/if}}
+    "zod": "^3.23.8"
+  },
+  "devDependencies": {
+{{#if api.express}}
+    "@types/cors": "^2.8.17",
+    "@types/express": "^5.0.1",
+{{/if}}
+{{#if api.sqlite}}
+    "@types/better-sqlite3": "^7.6.12",
+{{/if}}
+    "@types/node": "^20.14.0",
+    "tsx": "^4.19.0",
+    "typescript": "^5.5.3"
+  },
+  "engines": {
+    "node": ">=18.0.0"
+  }
+}`,
+  variables: {
+    projectName: "string",
+    api: "object"
+  },
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "The API is its own package so the frontend's dependencies stay browser-only"
+};
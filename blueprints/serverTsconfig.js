@@ -0,0 +1,25 @@
+export const serverTsconfigBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate server/tsconfig.json: strict TypeScript compiled to ESM for Node',
+  format: 'json',
+  template: JSON.stringify({
+    "compilerOptions": {
+      "target": "ES2022",
+      "module": "NodeNext",
+      "moduleResolution": "NodeNext",
+      "strict": true,
+      "esModuleInterop": true,
+      "skipLibCheck": true,
+      "forceConsistentCasingInFileNames": true,
+      "outDir": "dist",
+      "rootDir": "src"
+    },
+    "include": ["src"]
+  }, null, 2),
+  variables: {},
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "NodeNext resolution is why the server's relative imports end in .js"
+};
@@ -0,0 +1,23 @@
+export const svelteAppDtsBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate src/app.d.ts: the App namespace SvelteKit reads for typed locals, page data and errors',
+  format: 'ts',
+  template: `// See https://svelte.dev/docs/kit/types#app.d.ts
+declare global {
+  namespace App {
+    // interface Error {}
+    // interface Locals {}
+    // interface PageData {}
+    // interface PageState {}
+    // interface Platform {}
+  }
+}
+
+export {};
+`,
+  variables: {},
+  validation: {
+    isTemplate: true,
+    noAI: true
+  }
+};
@@ -0,0 +1,27 @@
+export const svelteAppHtmlBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate src/app.html: the page shell SvelteKit renders every route into',
+  format: 'html',
+  template: `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <link rel="icon" href="%sveltekit.assets%/favicon.png" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <meta name="description" content="{{projectDescription}}" />
+    %sveltekit.head%
+  </head>
+  <body data-sveltekit-preload-data="hover">
+    <div style="display: contents">%sveltekit.body%</div>
+  </body>
+</html>
+`,
+  variables: {
+    projectDescription: "string"
+  },
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "Pages set their own title and description in <svelte:head>; this description is the default"
+};
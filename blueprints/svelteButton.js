@@ -0,0 +1,35 @@
+// blueprints/svelteButton.js
+export const svelteButtonBlueprint = {
+  extends: 'svelteBaseComponent',
+  purpose: 'Reusable button (Button.svelte) with variants, sizes, loading and disabled states and an optional icon snippet',
+
+  features: {
+    variants: "primary | secondary | outline | ghost, typed as a union in Props",
+    sizes: "sm | md | lg",
+    loading: "Spinner and aria-busy while loading; the button is disabled",
+    icon: "Optional icon snippet (a lucide-svelte icon) rendered before the label",
+    events: "onclick prop passed through to the <button>, not called while disabled or loading"
+  },
+
+  accessibility: {
+    focus: "focus-visible ring using the primary palette",
+    states: "disabled and aria-busy attributes reflect the state"
+  },
+
+  qualityChecks: {
+    mustHave: [
+      "Accessibility features (WCAG AA compliant)",
+      "TypeScript interfaces with proper prop types",
+      "Loading and disabled states",
+      "Hover and focus effects"
+    ],
+    designSystem: {
+      animations: ["hover", "click", "loading"]
+    },
+    minimumScore: 75
+  },
+
+  validation: {
+    mustContain: ["<button", "\\{@render children"]
+  }
+};
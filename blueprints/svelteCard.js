@@ -0,0 +1,31 @@
+// blueprints/svelteCard.js
+export const svelteCardBlueprint = {
+  extends: 'svelteBaseComponent',
+  purpose: 'Content card (Card.svelte) with optional image, title, body and footer actions',
+
+  features: {
+    snippets: "children snippet for the body, optional header and actions snippets",
+    image: "Optional image prop with required alt text",
+    interactive: "Hover lift and shadow when the card is a link",
+    variants: "elevated | outlined | glass"
+  },
+
+  accessibility: {
+    semantic: "Use <article> with a heading",
+    images: "Alt text comes from a required prop"
+  },
+
+  qualityChecks: {
+    mustHave: [
+      "Responsive design with mobile-first approach",
+      "Accessibility features (WCAG AA compliant)",
+      "TypeScript interfaces with proper prop types",
+      "Hover and focus effects"
+    ],
+    minimumScore: 70
+  },
+
+  validation: {
+    mustContain: ["<article", "\\{@render"]
+  }
+};
@@ -0,0 +1,23 @@
+export const svelteConfigBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate svelte.config.js: the SvelteKit adapter and the vitePreprocess step for <script lang="ts">',
+  format: 'ts',
+  template: `import adapter from '@sveltejs/adapter-auto';
+import { vitePreprocess } from '@sveltejs/vite-plugin-svelte';
+
+/** @type {import('@sveltejs/kit').Config} */
+const config = {
+  preprocess: vitePreprocess(),
+  kit: {
+    adapter: adapter()
+  }
+};
+
+export default config;
+`,
+  variables: {},
+  validation: {
+    isTemplate: true,
+    noAI: true
+  }
+};
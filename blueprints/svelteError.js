@@ -0,0 +1,35 @@
+export const svelteErrorBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate src/routes/+error.svelte: shown for unknown paths and errors thrown while loading a page',
+  format: 'html',
+  template: `<script lang="ts">
+  import { page } from '$app/state';
+</script>
+
+<svelte:head>
+  <title>{page.status} | {{projectName}}</title>
+</svelte:head>
+
+<main class="flex min-h-[60vh] flex-col items-center justify-center px-4 py-16 text-center">
+  <p class="text-sm font-semibold text-primary-600 dark:text-primary-400">{page.status}</p>
+  <h1 class="mt-2 text-3xl font-bold md:text-5xl">
+    {page.status === 404 ? 'Page not found' : 'Something went wrong'}
+  </h1>
+  <p class="mt-4 text-gray-600 dark:text-gray-400">{page.error?.message}</p>
+  <a
+    href="/"
+    class="mt-8 rounded-brand bg-primary-600 px-6 py-3 font-semibold text-white transition-colors hover:bg-primary-700 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-primary-500"
+  >
+    Go home
+  </a>
+</main>
+`,
+  variables: {
+    projectName: "string"
+  },
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "Unknown paths land here, so the plan doesn't need a not-found page"
+};
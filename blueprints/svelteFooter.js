@@ -0,0 +1,30 @@
+// blueprints/svelteFooter.js
+export const svelteFooterBlueprint = {
+  extends: 'svelteBaseComponent',
+  purpose: 'Site footer (Footer.svelte) with navigation links, branding and the current year',
+
+  features: {
+    layout: "Three columns on desktop, stacked on mobile",
+    links: "<a href> to the planned pages",
+    branding: "Project name and short description",
+    copyright: "Copyright line with the year from new Date().getFullYear()"
+  },
+
+  accessibility: {
+    semantic: "Use <footer> with a labelled <nav> for the links"
+  },
+
+  qualityChecks: {
+    mustHave: [
+      "SvelteKit navigation integration",
+      "Responsive design with mobile-first approach",
+      "Accessibility features (WCAG AA compliant)",
+      "TypeScript interfaces with proper prop types"
+    ],
+    minimumScore: 70
+  },
+
+  validation: {
+    mustContain: ["<footer"]
+  }
+};
@@ -0,0 +1,35 @@
+// blueprints/svelteForm.js
+export const svelteFormBlueprint = {
+  extends: 'svelteBaseComponent',
+  fileType: "Svelte Form Component",
+  purpose: "Contact / lead form (Form.svelte) validated with a Zod schema and progressively enhanced with use:enhance, with accessible errors and a submitting state",
+
+  formHandling: {
+    schema: "z.object(...) from zod; safeParse the FormData before submitting and keep the flattened field errors in $state",
+    enhance: "<form method=\"POST\" use:enhance> from $app/forms, so it works without JavaScript",
+    errors: "Each field's error shown under the input, linked with aria-describedby and aria-invalid",
+    submit: "A submitting $state that disables the button and shows progress",
+    success: "Success message announced with role=\"status\""
+  },
+
+  accessibility: {
+    labels: "Every input has a <label for>",
+    errors: "aria-invalid and aria-describedby on invalid fields"
+  },
+
+  qualityChecks: {
+    mustHave: [
+      "Progressive enhancement with use:enhance",
+      "Zod validation schema",
+      "Accessibility features (WCAG AA compliant)",
+      "Loading and disabled states",
+      "Error handling"
+    ],
+    minimumScore: 75
+  },
+
+  validation: {
+    mustContain: ["zod", "use:enhance", "<form"],
+    mustNotContain: ["react-hook-form", "vee-validate"]
+  }
+};
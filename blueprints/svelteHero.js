@@ -0,0 +1,39 @@
+// blueprints/svelteHero.js
+export const svelteHeroBlueprint = {
+  extends: 'svelteBaseComponent',
+  purpose: 'Hero section (Hero.svelte) with a headline, supporting copy, call-to-action buttons and an entrance animation',
+
+  features: {
+    headline: "Value proposition as the page's h1, with gradient text",
+    subtext: "One or two sentences explaining the product",
+    ctaButtons: "Primary and secondary calls to action (<a href> or onclick callbacks passed as props)",
+    image: "Hero image with alt text and loading=\"lazy\" when below the fold",
+    background: "Gradient background using the brand palettes",
+    animation: "Entrance animation with in:fly / in:fade from svelte/transition"
+  },
+
+  designSystem: {
+    colors: ["gradients", "glassmorphism", "dark mode support"],
+    animations: ["entrance", "hover"]
+  },
+
+  qualityChecks: {
+    mustHave: [
+      "Entrance animation",
+      "Responsive design with mobile-first approach",
+      "Accessibility features (WCAG AA compliant)",
+      "Modern UI patterns (gradients, glassmorphism)",
+      "TypeScript interfaces with proper prop types",
+      "Call-to-action buttons with hover effects"
+    ],
+    designSystem: {
+      colors: ["gradients", "dark mode support"],
+      animations: ["entrance", "hover"]
+    },
+    minimumScore: 80
+  },
+
+  validation: {
+    mustContain: ["<h1", "<section"]
+  }
+};
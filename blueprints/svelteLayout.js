@@ -0,0 +1,34 @@
+export const svelteLayoutBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate src/routes/+layout.svelte: the root layout with the global styles, navbar and footer',
+  format: 'html',
+  template: `<script lang="ts">
+  import type { Snippet } from 'svelte';
+  import Navbar from '$lib/components/Navbar.svelte';
+  import Footer from '$lib/components/Footer.svelte';
+  import '../app.css';
+
+  let { children }: { children: Snippet } = $props();
+</script>
+
+<svelte:head>
+  <title>{{projectName}}</title>
+</svelte:head>
+
+<div class="flex min-h-screen flex-col bg-white font-sans text-gray-900 antialiased dark:bg-gray-950 dark:text-gray-100">
+  <Navbar />
+  <div class="flex-1">
+    {@render children()}
+  </div>
+  <Footer />
+</div>
+`,
+  variables: {
+    projectName: "string"
+  },
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "Pages render their own <main> and <svelte:head>, whose title replaces this default; Navbar and Footer are core components, so they always exist"
+};
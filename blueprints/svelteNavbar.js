@@ -0,0 +1,54 @@
+// blueprints/svelteNavbar.js
+export const svelteNavbarBlueprint = {
+  extends: 'svelteBaseComponent',
+  purpose: 'Responsive navigation bar (Navbar.svelte) with links to each route, an animated mobile menu and a dark mode toggle',
+  mixins: ['wcagAccessibility'],
+
+  features: {
+    responsive: "Mobile-first layout with a hamburger button below md",
+    navigation: "<a href> to each planned page, with aria-current on the active route from page.url.pathname ($app/state)",
+    mobileMenu: "Menu opened with $state(false), animated with transition:slide, closed on Escape and after navigating",
+    darkModeToggle: "Theme toggle that flips the dark class on <html>",
+    glassmorphism: "Translucent background with backdrop blur",
+    branding: "Logo and project name linking home"
+  },
+
+  designSystem: {
+    colors: {
+      background: "bg-white/80 dark:bg-gray-900/80 backdrop-blur-lg",
+      border: "border-gray-200 dark:border-gray-700",
+      accentText: "text-primary-600 dark:text-primary-400"
+    },
+    spacing: {
+      container: "px-4 sm:px-6 lg:px-8",
+      nav: "py-4"
+    }
+  },
+
+  accessibility: {
+    semantic: "Use <nav> with aria-label",
+    aria: "aria-expanded and aria-controls on the menu button",
+    keyboard: "Escape closes the mobile menu and returns focus to the button"
+  },
+
+  animations: {
+    mobileMenu: "transition:slide for the mobile menu",
+    hover: "Color transitions on links"
+  },
+
+  qualityChecks: {
+    mustHave: [
+      "SvelteKit navigation integration",
+      "Responsive design with mobile-first approach",
+      "Keyboard navigation (Escape key)",
+      "Accessibility features (WCAG AA compliant)",
+      "TypeScript interfaces with proper prop types",
+      "Animation with svelte/transition"
+    ],
+    minimumScore: 80
+  },
+
+  validation: {
+    mustContain: ["<nav", "href=\"/"]
+  }
+};
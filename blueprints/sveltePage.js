@@ -0,0 +1,53 @@
+// blueprints/sveltePage.js
+export const sveltePageBlueprint = {
+  fileType: "SvelteKit Page",
+  purpose: "Route page (src/routes/<path>/+page.svelte) rendered inside the root layout: sets its title and description in <svelte:head> and composes section components",
+
+  features: {
+    head: "<svelte:head> with the page <title> and meta description",
+    layout: "Consistent page layout wrapped in a <main> landmark",
+    navigation: "<a href> for internal links, goto from $app/navigation for programmatic navigation",
+    state: "Shared data from the stores in $lib/stores where the page needs it",
+    responsive: "Mobile-first responsive design",
+    accessibility: "WCAG 2.1 AA compliant page design"
+  },
+
+  routing: {
+    params: "Dynamic segments (src/routes/products/[id]) come from page.params ($app/state)",
+    links: "Plain <a href> links; SvelteKit handles client-side navigation",
+    notFound: "Unknown paths render src/routes/+error.svelte; pages don't handle them"
+  },
+
+  accessibility: {
+    landmarks: "Semantic HTML landmarks and structure",
+    headings: "One h1 per page and a logical heading order",
+    altText: "Alternative text for images and media"
+  },
+
+  validation: {
+    mustContain: [
+      '<script lang="ts">',
+      "<svelte:head>",
+      "<main"
+    ],
+    mustNotContain: ["from\\s+['\"]react", "framer-motion", "console\\.log", "alert\\(", "\\{@html"],
+    fileExtension: ".svelte",
+    isTypeScript: true
+  },
+
+  qualityChecks: {
+    mustHave: [
+      "SEO with svelte:head",
+      "Proper page structure and layout",
+      "Accessibility features and compliance",
+      "Responsive design implementation",
+      "Modern styling with Tailwind"
+    ],
+    minimumScore: 70
+  },
+
+  notes: [
+    "The root +layout.svelte renders the navbar and footer, so pages only render their own content",
+    "Load data in a +page.ts load function when the page needs it before rendering"
+  ]
+};
@@ -0,0 +1,45 @@
+// blueprints/svelteStore.js
+export const svelteStoreBlueprint = {
+  fileType: "Svelte Store",
+  purpose: "Svelte stores (src/lib/stores/app.ts) for application-wide state: theme, UI state and the project's main data",
+
+  features: {
+    state: "writable() stores typed with interfaces",
+    derived: "derived() stores for computed values",
+    actions: "Exported functions that update the stores, async ones with loading and error state",
+    persistence: "Theme preference saved to localStorage, guarded with `browser` from $app/environment"
+  },
+
+  structure: {
+    imports: ["writable, derived from 'svelte/store'", "browser from '$app/environment'"],
+    exports: "export const theme = writable<Theme>(...), plus the functions that change it"
+  },
+
+  validation: {
+    mustContain: ["svelte/store", "export const \\w+ = (writable|readable|derived)"],
+    mustNotContain: ["zustand", "pinia", "<script", "console\\.log"],
+    fileExtension: ".ts"
+  },
+
+  qualityChecks: {
+    mustHave: ["Svelte stores", "TypeScript interfaces"],
+    minimumScore: 40
+  },
+
+  // Used instead of the component fallback when no attempt is usable
+  fallbackTemplate: `import { writable } from 'svelte/store';
+import { browser } from '$app/environment';
+
+export type Theme = 'light' | 'dark';
+
+export const theme = writable<Theme>('light');
+
+export function toggleTheme() {
+  theme.update(current => {
+    const next = current === 'light' ? 'dark' : 'light';
+    if (browser) document.documentElement.classList.toggle('dark', next === 'dark');
+    return next;
+  });
+}
+`
+};
@@ -0,0 +1,25 @@
+export const svelteTsconfigBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate tsconfig.json for a SvelteKit project (checked with svelte-check)',
+  format: 'json',
+  template: JSON.stringify({
+    "extends": "./.svelte-kit/tsconfig.json",
+    "compilerOptions": {
+      "allowJs": true,
+      "checkJs": true,
+      "esModuleInterop": true,
+      "forceConsistentCasingInFileNames": true,
+      "resolveJsonModule": true,
+      "skipLibCheck": true,
+      "sourceMap": true,
+      "strict": true,
+      "moduleResolution": "bundler"
+    }
+  }, null, 2),
+  variables: {},
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "SvelteKit generates .svelte-kit/tsconfig.json with the $lib paths and the files to include"
+};
@@ -0,0 +1,18 @@
+export const svelteViteConfigBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate vite.config.ts for a SvelteKit project',
+  format: 'ts',
+  template: `import { sveltekit } from '@sveltejs/kit/vite';
+import { defineConfig } from 'vite';
+
+export default defineConfig({
+  plugins: [sveltekit()]
+});
+`,
+  variables: {},
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "Aliases ($lib, $app) come from SvelteKit itself, so there is nothing to configure here"
+};
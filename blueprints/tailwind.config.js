@@ -1,40 +1,32 @@
 export const tailwindBlueprint = {
   generationMethod: "template",
   filePurpose: 'Generate tailwind.config.js for a modern, responsive Vite + React + TypeScript project',
+  format: 'ts',
   template: `/** @type {import('tailwindcss').Config} */
 export default {
   content: [
-    "./index.html",
-    "./src/**/*.{js,ts,jsx,tsx}",
+{{#each tailwindContent as glob}}
+    "{{glob}}",
+{{/each}}
   ],
   darkMode: 'class',
   theme: {
     extend: {
       colors: {
-        primary: {
-          50: '#eff6ff',
-          100: '#dbeafe',
-          200: '#bfdbfe',
-          300: '#93c5fd',
-          400: '#60a5fa',
-          500: '#3b82f6',
-          600: '#2563eb',
-          700: '#1d4ed8',
-          800: '#1e40af',
-          900: '#1e3a8a',
+{{#each brand.colors as color}}
+        {{color.name}}: {
+{{#each color.shades as shade}}
+          {{shade.step}}: '{{shade.hex}}',
+{{/each}}
         },
-        secondary: {
-          50: '#f8fafc',
-          100: '#f1f5f9',
-          200: '#e2e8f0',
-          300: '#cbd5e1',
-          400: '#94a3b8',
-          500: '#64748b',
-          600: '#475569',
-          700: '#334155',
-          800: '#1e293b',
-          900: '#0f172a',
-        }
+{{/each}}
+      },
+      fontFamily: {
+        heading: ['{{brand.fonts.heading}}', 'system-ui', 'sans-serif'],
+        sans: ['{{brand.fonts.body}}', 'system-ui', 'sans-serif'],
+      },
+      borderRadius: {
+        brand: '{{brand.radius}}',
       },
       animation: {
         'fade-in': 'fadeIn 0.5s ease-in-out',
@@ -71,7 +63,14 @@ export default {
   },
   plugins: [],
 }`,
-  variables: {},
+  variables: {
+    brand: "object",
+    tailwindContent: {
+      type: "array",
+      default: ["./index.html", "./src/**/*.{js,ts,jsx,tsx}"],
+      description: "Files Tailwind scans for class names; stacks with another layout set tailwindContent"
+    }
+  },
   validation: {
     isTemplate: true,
     noAI: true
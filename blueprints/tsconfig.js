@@ -1,6 +1,7 @@
 export const tsconfigBlueprint = {
   generationMethod: "template",
   filePurpose: 'Generate tsconfig.json for a modern React + TypeScript + Vite project',
+  format: 'json',
   template: JSON.stringify({
     "compilerOptions": {
       "target": "ES2020",
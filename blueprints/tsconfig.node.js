@@ -1,6 +1,7 @@
 export const tsconfigNodeBlueprint = {
   generationMethod: "template",
   filePurpose: 'Generate tsconfig.node.json for Node.js TypeScript configuration in Vite projects',
+  format: 'json',
   template: JSON.stringify({
     "compilerOptions": {
       "composite": true,
@@ -1,12 +1,20 @@
 export const viteConfigBlueprint = {
   generationMethod: "template",
   filePurpose: 'Generate vite.config.ts for a modern React + TypeScript + Vite project',
+  format: 'ts',
   template: `import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import path from 'path'
 
 export default defineConfig({
   plugins: [react()],
+{{#if api.entities}}
+  server: {
+    proxy: {
+      '{{api.prefix}}': 'http://localhost:{{api.port}}'
+    }
+  },
+{{/if}}
   resolve: {
     alias: {
       "@": path.resolve(__dirname, './src')
@@ -28,7 +36,9 @@ export default defineConfig({
     }
   }
 })`,
-  variables: {},
+  variables: {
+    api: { type: "object", default: {}, description: "The generated API in full-stack projects; its prefix is proxied to the server in development" }
+  },
   validation: {
     isTemplate: true,
     noAI: true
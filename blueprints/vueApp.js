@@ -0,0 +1,43 @@
+export const vueAppBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate src/App.vue: the shell with the navbar, footer and a transition between routes',
+  format: 'html',
+  template: `<script setup lang="ts">
+import { RouterView } from 'vue-router'
+import Navbar from '@/components/Navbar.vue'
+import Footer from '@/components/Footer.vue'
+</script>
+
+<template>
+  <div class="flex min-h-screen flex-col bg-white font-sans text-gray-900 antialiased dark:bg-gray-950 dark:text-gray-100">
+    <Navbar />
+    <div class="flex-1">
+      <RouterView v-slot="{ Component }">
+        <Transition name="page" mode="out-in">
+          <component :is="Component" />
+        </Transition>
+      </RouterView>
+    </div>
+    <Footer />
+  </div>
+</template>
+
+<style scoped>
+.page-enter-active,
+.page-leave-active {
+  transition: opacity 0.2s ease;
+}
+
+.page-enter-from,
+.page-leave-to {
+  opacity: 0;
+}
+</style>
+`,
+  variables: {},
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "Pages render their own <main>; Navbar and Footer are core components, so they always exist"
+};
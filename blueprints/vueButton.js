@@ -0,0 +1,35 @@
+// blueprints/vueButton.js
+export const vueButtonBlueprint = {
+  extends: 'vueBaseComponent',
+  purpose: 'Reusable button (Button.vue) with variants, sizes, loading and disabled states and an optional icon slot',
+
+  features: {
+    variants: "primary | secondary | outline | ghost, typed as a union in Props",
+    sizes: "sm | md | lg",
+    loading: "Spinner and aria-busy while loading; the button is disabled",
+    icon: "Named slot for a lucide-vue-next icon before the label",
+    events: "defineEmits<{ click: [event: MouseEvent] }>(), not emitted while disabled or loading"
+  },
+
+  accessibility: {
+    focus: "focus-visible ring using the primary palette",
+    states: "disabled and aria-busy attributes reflect the state"
+  },
+
+  qualityChecks: {
+    mustHave: [
+      "Accessibility features (WCAG AA compliant)",
+      "TypeScript interfaces with proper prop types",
+      "Loading and disabled states",
+      "Hover and focus effects"
+    ],
+    designSystem: {
+      animations: ["hover", "click", "loading"]
+    },
+    minimumScore: 75
+  },
+
+  validation: {
+    mustContain: ["<button", "defineEmits"]
+  }
+};
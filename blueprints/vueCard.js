@@ -0,0 +1,31 @@
+// blueprints/vueCard.js
+export const vueCardBlueprint = {
+  extends: 'vueBaseComponent',
+  purpose: 'Content card (Card.vue) with optional image, title, body slot and footer actions',
+
+  features: {
+    slots: "Default slot for the body, named slots for header and actions",
+    image: "Optional image prop with required alt text",
+    interactive: "Hover lift and shadow when the card is a link",
+    variants: "elevated | outlined | glass"
+  },
+
+  accessibility: {
+    semantic: "Use <article> with a heading",
+    images: "Alt text comes from a required prop"
+  },
+
+  qualityChecks: {
+    mustHave: [
+      "Responsive design with mobile-first approach",
+      "Accessibility features (WCAG AA compliant)",
+      "TypeScript interfaces with proper prop types",
+      "Hover and focus effects"
+    ],
+    minimumScore: 70
+  },
+
+  validation: {
+    mustContain: ["<article", "<slot"]
+  }
+};
@@ -0,0 +1,18 @@
+export const vueEnvBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate env.d.ts: Vite client types and the .vue module declaration',
+  format: 'ts',
+  template: `/// <reference types="vite/client" />
+
+declare module '*.vue' {
+  import type { DefineComponent } from 'vue'
+  const component: DefineComponent<object, object, unknown>
+  export default component
+}
+`,
+  variables: {},
+  validation: {
+    isTemplate: true,
+    noAI: true
+  }
+};
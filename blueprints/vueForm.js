@@ -0,0 +1,35 @@
+// blueprints/vueForm.js
+export const vueFormBlueprint = {
+  extends: 'vueBaseComponent',
+  fileType: "Vue Form Component",
+  purpose: "Contact / lead form (Form.vue) validated with VeeValidate and a Zod schema, with accessible errors and a submitting state",
+
+  formHandling: {
+    library: "VeeValidate useForm with toTypedSchema(z.object(...)) from @vee-validate/zod",
+    fields: "defineField (or useField) per input, bound with v-model",
+    errors: "errors.<field> shown under each input, linked with aria-describedby and aria-invalid",
+    submit: "handleSubmit(...) that disables the button and shows progress while submitting",
+    success: "Success message announced with role=\"status\""
+  },
+
+  accessibility: {
+    labels: "Every input has a <label for>",
+    errors: "aria-invalid and aria-describedby on invalid fields"
+  },
+
+  qualityChecks: {
+    mustHave: [
+      "VeeValidate form handling",
+      "Zod validation schema",
+      "Accessibility features (WCAG AA compliant)",
+      "Loading and disabled states",
+      "Error handling"
+    ],
+    minimumScore: 75
+  },
+
+  validation: {
+    mustContain: ["vee-validate", "@vee-validate/zod", "<form"],
+    mustNotContain: ["react-hook-form"]
+  }
+};
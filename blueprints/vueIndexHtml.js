@@ -0,0 +1,28 @@
+export const vueIndexHtmlBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate index.html as the entry point for the Vue application',
+  format: 'html',
+  template: `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <link rel="icon" type="image/svg+xml" href="/vite.svg" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <meta name="description" content="{{projectDescription}}" />
+    <title>{{projectName}}</title>
+  </head>
+  <body>
+    <div id="app"></div>
+    <script type="module" src="/src/main.ts"></script>
+  </body>
+</html>`,
+  variables: {
+    projectName: "string",
+    projectDescription: "string"
+  },
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "Pages set their own title and description with useHead; these are the defaults"
+};
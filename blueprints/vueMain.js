@@ -0,0 +1,25 @@
+export const vueMainBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate src/main.ts: creates the Vue app and installs Pinia, the router, @unhead/vue and @vueuse/motion',
+  format: 'ts',
+  template: `import { createApp } from 'vue'
+import { createPinia } from 'pinia'
+import { createHead } from '@unhead/vue'
+import { MotionPlugin } from '@vueuse/motion'
+import App from './App.vue'
+import router from './router'
+import './style.css'
+
+createApp(App)
+  .use(createPinia())
+  .use(router)
+  .use(createHead())
+  .use(MotionPlugin)
+  .mount('#app')
+`,
+  variables: {},
+  validation: {
+    isTemplate: true,
+    noAI: true
+  }
+};
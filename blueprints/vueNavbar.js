@@ -0,0 +1,54 @@
+// blueprints/vueNavbar.js
+export const vueNavbarBlueprint = {
+  extends: 'vueBaseComponent',
+  purpose: 'Responsive navigation bar (Navbar.vue) with RouterLink navigation, an animated mobile menu and a dark mode toggle',
+  mixins: ['wcagAccessibility'],
+
+  features: {
+    responsive: "Mobile-first layout with a hamburger button below md",
+    navigation: "RouterLink to each planned page, with aria-current on the active route",
+    mobileMenu: "Menu opened with a ref<boolean>, animated with <Transition>, closed on Escape and on route change",
+    darkModeToggle: "Theme toggle that flips the dark class on <html>",
+    glassmorphism: "Translucent background with backdrop blur",
+    branding: "Logo and project name linking home"
+  },
+
+  designSystem: {
+    colors: {
+      background: "bg-white/80 dark:bg-gray-900/80 backdrop-blur-lg",
+      border: "border-gray-200 dark:border-gray-700",
+      accentText: "text-primary-600 dark:text-primary-400"
+    },
+    spacing: {
+      container: "px-4 sm:px-6 lg:px-8",
+      nav: "py-4"
+    }
+  },
+
+  accessibility: {
+    semantic: "Use <nav> with aria-label",
+    aria: "aria-expanded and aria-controls on the menu button",
+    keyboard: "Escape closes the mobile menu and returns focus to the button"
+  },
+
+  animations: {
+    mobileMenu: "<Transition> slide and fade for the mobile menu",
+    hover: "Color transitions on links"
+  },
+
+  qualityChecks: {
+    mustHave: [
+      "Vue Router navigation integration",
+      "Responsive design with mobile-first approach",
+      "Keyboard navigation (Escape key)",
+      "Accessibility features (WCAG AA compliant)",
+      "TypeScript interfaces with proper prop types",
+      "Animation with Transition"
+    ],
+    minimumScore: 80
+  },
+
+  validation: {
+    mustContain: ["<nav", "RouterLink|router-link"]
+  }
+};
@@ -0,0 +1,51 @@
+export const vuePackageJsonBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate package.json with the dependencies and scripts for a Vue 3 + TypeScript + Vite + Tailwind project',
+  format: 'json',
+  template: `{
+  "name": "{{projectName}}",
+  "version": "0.1.0",
+  "private": true,
+  "type": "module",
+  "description": "{{projectDescription}}",
+  "scripts": {
+    "dev": "vite",
+    "build": "vue-tsc -b && vite build",
+    "preview": "vite preview",
+    "typecheck": "vue-tsc --noEmit"
+  },
+  "dependencies": {
+    "vue": "^3.4.38",
+    "vue-router": "^4.4.3",
+    "pinia": "^2.2.2",
+    "@unhead/vue": "^1.11.6",
+    "@vueuse/core": "^11.1.0",
+    "@vueuse/motion": "^2.2.5",
+    "vee-validate": "^4.13.2",
+    "@vee-validate/zod": "^4.13.2",
+    "zod": "^3.23.8",
+    "lucide-vue-next": "^0.441.0",
+    "clsx": "^2.1.1",
+    "tailwind-merge": "^2.4.0"
+  },
+  "devDependencies": {
+    "typescript": "^5.5.3",
+    "@types/node": "^20.14.10",
+    "@vitejs/plugin-vue": "^5.1.3",
+    "vite": "^5.4.2",
+    "vue-tsc": "^2.1.6",
+    "tailwindcss": "^3.4.1",
+    "postcss": "^8.4.35",
+    "autoprefixer": "^10.4.18"
+  }
+}`,
+  variables: {
+    projectName: "string",
+    projectDescription: "string"
+  },
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "Template-based generation ensures a valid package.json without React dependencies"
+};
@@ -0,0 +1,53 @@
+// blueprints/vuePage.js
+export const vuePageBlueprint = {
+  fileType: "Vue Page Component",
+  purpose: "Route view (src/views/<Name>.vue) rendered by Vue Router: sets its title and description with useHead and composes section components",
+
+  features: {
+    head: "useHead from @unhead/vue with the page title and meta description",
+    layout: "Consistent page layout wrapped in a <main> landmark",
+    navigation: "RouterLink for internal links, useRoute() for route params",
+    state: "Shared data from the Pinia store (useAppStore) where the page needs it",
+    responsive: "Mobile-first responsive design",
+    accessibility: "WCAG 2.1 AA compliant page design"
+  },
+
+  routing: {
+    params: "Dynamic segments (/products/:id) come from useRoute().params",
+    links: "RouterLink to move between pages",
+    notFound: "Unknown paths are redirected by the router; pages don't handle them"
+  },
+
+  accessibility: {
+    landmarks: "Semantic HTML landmarks and structure",
+    headings: "One h1 per page and a logical heading order",
+    altText: "Alternative text for images and media"
+  },
+
+  validation: {
+    mustContain: [
+      '<script setup lang="ts">',
+      "useHead",
+      "<main"
+    ],
+    mustNotContain: ["from\\s+['\"]react", "framer-motion", "console\\.log", "alert\\(", "v-html"],
+    fileExtension: ".vue",
+    isTypeScript: true
+  },
+
+  qualityChecks: {
+    mustHave: [
+      "SEO with useHead",
+      "Proper page structure and layout",
+      "Accessibility features and compliance",
+      "Responsive design implementation",
+      "Modern styling with Tailwind"
+    ],
+    minimumScore: 70
+  },
+
+  notes: [
+    "Pages are lazy-loaded by the router, so keep each page self-contained",
+    "Name the page with defineOptions({ name }) so it shows up in Vue devtools"
+  ]
+};
@@ -0,0 +1,30 @@
+export const vueRouterBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate src/router/index.ts with a lazy-loaded route per planned page',
+  format: 'ts',
+  template: `import { createRouter, createWebHistory } from 'vue-router'
+
+const router = createRouter({
+  history: createWebHistory(import.meta.env.BASE_URL),
+  routes: [
+{{#each pages as page}}
+    { path: '{{page.path}}', name: '{{page.name}}', component: () => import('@/views/{{page.name}}.vue') },
+{{/each}}
+    { path: '/:pathMatch(.*)*', redirect: '/' }
+  ],
+  scrollBehavior(to, from, savedPosition) {
+    return savedPosition || { top: 0 }
+  }
+})
+
+export default router
+`,
+  variables: {
+    pages: "array"
+  },
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "Unknown paths redirect home, so the plan doesn't need a not-found page"
+};
@@ -0,0 +1,47 @@
+// blueprints/vueStore.js
+export const vueStoreBlueprint = {
+  fileType: "Pinia Store",
+  purpose: "Pinia setup store (src/stores/app.ts) for application-wide state: theme, UI state and the project's main data",
+
+  features: {
+    definition: "defineStore('app', () => { ... }) with the Composition API",
+    state: "ref() for state, typed with interfaces",
+    getters: "computed() for derived values",
+    actions: "Plain functions that update state, async ones with loading and error state",
+    persistence: "Theme preference saved to localStorage with useStorage from @vueuse/core where useful"
+  },
+
+  structure: {
+    imports: ["defineStore from 'pinia'", "ref, computed from 'vue'"],
+    exports: "export const useAppStore = defineStore(...)"
+  },
+
+  validation: {
+    mustContain: ["defineStore", "export const use\\w+Store"],
+    mustNotContain: ["zustand", "<template>", "console\\.log"],
+    fileExtension: ".ts"
+  },
+
+  qualityChecks: {
+    mustHave: ["Pinia store", "TypeScript interfaces"],
+    minimumScore: 40
+  },
+
+  // Used instead of the component fallback when no attempt is usable
+  fallbackTemplate: `import { defineStore } from 'pinia';
+import { ref } from 'vue';
+
+export type Theme = 'light' | 'dark';
+
+export const useAppStore = defineStore('app', () => {
+  const theme = ref<Theme>('light');
+
+  function toggleTheme() {
+    theme.value = theme.value === 'light' ? 'dark' : 'light';
+    document.documentElement.classList.toggle('dark', theme.value === 'dark');
+  }
+
+  return { theme, toggleTheme };
+});
+`
+};
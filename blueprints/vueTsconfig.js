@@ -0,0 +1,36 @@
+export const vueTsconfigBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate tsconfig.json for a Vue 3 + TypeScript + Vite project (checked with vue-tsc)',
+  format: 'json',
+  template: JSON.stringify({
+    "compilerOptions": {
+      "target": "ES2020",
+      "useDefineForClassFields": true,
+      "lib": ["ES2020", "DOM", "DOM.Iterable"],
+      "module": "ESNext",
+      "skipLibCheck": true,
+      "moduleResolution": "bundler",
+      "allowImportingTsExtensions": true,
+      "resolveJsonModule": true,
+      "isolatedModules": true,
+      "noEmit": true,
+      "jsx": "preserve",
+      "strict": true,
+      "noUnusedLocals": true,
+      "noUnusedParameters": true,
+      "noFallthroughCasesInSwitch": true,
+      "baseUrl": ".",
+      "paths": {
+        "@/*": ["./src/*"]
+      }
+    },
+    "include": ["env.d.ts", "src/**/*.ts", "src/**/*.vue"],
+    "references": [{ "path": "./tsconfig.node.json" }]
+  }, null, 2),
+  variables: {},
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "Includes .vue files so vue-tsc type-checks the single-file components"
+};
@@ -0,0 +1,34 @@
+export const vueViteConfigBlueprint = {
+  generationMethod: "template",
+  filePurpose: 'Generate vite.config.ts for a Vue 3 + TypeScript project, with the @ alias for src',
+  format: 'ts',
+  template: `import { fileURLToPath, URL } from 'node:url'
+import { defineConfig } from 'vite'
+import vue from '@vitejs/plugin-vue'
+
+export default defineConfig({
+  plugins: [vue()],
+  resolve: {
+    alias: {
+      '@': fileURLToPath(new URL('./src', import.meta.url))
+    }
+  },
+  build: {
+    outDir: 'dist',
+    sourcemap: true,
+    rollupOptions: {
+      output: {
+        manualChunks: {
+          vendor: ['vue', 'vue-router', 'pinia']
+        }
+      }
+    }
+  }
+})`,
+  variables: {},
+  validation: {
+    isTemplate: true,
+    noAI: true
+  },
+  notes: "Template-based generation ensures a working Vite + Vue plugin setup"
+};
@@ -0,0 +1,127 @@
+/**
+ * Brand Kit
+ * Colors, fonts, corner radius and logo for a generation. Each base color is expanded into a 50–900 palette
+ * that tailwind.config, index.css and the component prompts all use.
+ */
+
+import Joi from 'joi';
+
+export const SHADES = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900];
+
+// How far each shade is mixed toward white (positive) or black (negative); 500 is the base color itself
+const SHADE_MIX = { 50: 0.95, 100: 0.9, 200: 0.75, 300: 0.6, 400: 0.3, 500: 0, 600: -0.15, 700: -0.3, 800: -0.45, 900: -0.6 };
+
+const RADIUS_PRESETS = { none: '0px', sm: '0.125rem', md: '0.375rem', lg: '0.5rem', xl: '0.75rem', '2xl': '1rem', full: '9999px' };
+
+export const DEFAULT_BRAND_KIT = {
+  colors: { primary: '#3b82f6', secondary: '#64748b', accent: '#10b981' },
+  fonts: { heading: 'Inter', body: 'Inter' },
+  radius: '0.5rem',
+  logo: null
+};
+
+const hexColor = Joi.string().pattern(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i).message('must be a hex color like #1d4ed8');
+// Font names end up inside CSS and config strings, so keep them to plain names ("IBM Plex Sans")
+const fontName = Joi.string().pattern(/^[\w -]{1,64}$/).message('must be a plain font family name');
+
+const brandKitSchema = Joi.object({
+  colors: Joi.object({ primary: hexColor, secondary: hexColor, accent: hexColor })
+    .pattern(/^[a-z][a-z0-9]*$/, hexColor),
+  fonts: Joi.object({ heading: fontName, body: fontName }),
+  radius: Joi.alternatives().try(
+    Joi.string().valid(...Object.keys(RADIUS_PRESETS)),
+    Joi.string().pattern(/^\d+(\.\d+)?(px|rem|em)$/)
+  ).messages({ 'alternatives.match': `must be a CSS length (0.75rem, 8px) or one of ${Object.keys(RADIUS_PRESETS).join(', ')}` }),
+  logo: Joi.alternatives().try(
+    Joi.string().uri({ allowRelative: true }),
+    Joi.object({ url: Joi.string().uri({ allowRelative: true }).required(), alt: Joi.string().max(200) })
+  ).allow(null)
+});
+
+/**
+ * 400 error for a brand kit that doesn't match the schema; `errors` is [{ path, message }]
+ */
+export function createBrandKitError(errors) {
+  const error = new Error(`Invalid brand kit: ${errors.map(({ path, message }) => `${path}: ${message}`).join('; ')}`);
+  error.name = 'BrandKitValidationError';
+  error.status = 400;
+  error.errors = errors;
+  return error;
+}
+
+/**
+ * Fill in defaults and validate. Accepts a previously normalized kit unchanged.
+ */
+export function normalizeBrandKit(input) {
+  if (input === undefined || input === null) return DEFAULT_BRAND_KIT;
+
+  const { value, error } = brandKitSchema.validate(input, { abortEarly: false });
+  if (error) {
+    throw createBrandKitError(error.details.map(detail => ({
+      path: detail.path.join('.'),
+      message: detail.message.replace(/^"[^"]*" /, '')
+    })));
+  }
+
+  const logo = typeof value.logo === 'string' ? { url: value.logo, alt: 'Logo' } : value.logo || null;
+  return {
+    colors: { ...DEFAULT_BRAND_KIT.colors, ...value.colors },
+    fonts: { ...DEFAULT_BRAND_KIT.fonts, ...value.fonts },
+    radius: RADIUS_PRESETS[value.radius] || value.radius || DEFAULT_BRAND_KIT.radius,
+    logo: logo && { alt: 'Logo', ...logo }
+  };
+}
+
+function parseHex(hex) {
+  const digits = hex.slice(1).length === 3 ? hex.slice(1).replace(/./g, digit => digit + digit) : hex.slice(1);
+  return [0, 2, 4].map(offset => parseInt(digits.slice(offset, offset + 2), 16));
+}
+
+function toHex(rgb) {
+  return `#${rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * { 50: '#eff5fe', ..., 500: base, ..., 900: '#183162' } from one base color
+ */
+export function buildPalette(baseHex) {
+  const rgb = parseHex(baseHex);
+  return Object.fromEntries(SHADES.map(shade => {
+    const mix = SHADE_MIX[shade];
+    const target = mix >= 0 ? 255 : 0;
+    return [shade, toHex(rgb.map(channel => channel + (target - channel) * Math.abs(mix)))];
+  }));
+}
+
+/**
+ * The brand kit as templates see it: `palette.primary.600` lookups and a `colors` list to loop over
+ */
+export function expandBrandKit(kit) {
+  const palette = Object.fromEntries(Object.entries(kit.colors).map(([name, hex]) => [name, buildPalette(hex)]));
+  return {
+    palette,
+    colors: Object.entries(palette).map(([name, shades]) => ({
+      name,
+      shades: SHADES.map(step => ({ step, hex: shades[step] }))
+    })),
+    fonts: kit.fonts,
+    radius: kit.radius,
+    logo: kit.logo || { url: '', alt: '' }
+  };
+}
+
+/**
+ * Prompt section telling the model to use the brand tokens
+ */
+export function describeBrandKit(kit) {
+  const names = Object.keys(kit.colors);
+  let context = `\nBrand Kit:\n`;
+  context += `- Colors: use the Tailwind palettes ${names.join(', ')} (shades 50-900), e.g. bg-${names[0]}-600, text-${names[0]}-700, border-${names[names.length - 1]}-300. Do NOT hard-code hex values.\n`;
+  context += `- Base colors: ${names.map(name => `${name} ${kit.colors[name]}`).join(', ')}\n`;
+  context += `- Fonts: font-heading (${kit.fonts.heading}) for headings, font-sans (${kit.fonts.body}) for body text\n`;
+  context += `- Corners: rounded-brand (${kit.radius})\n`;
+  if (kit.logo) {
+    context += `- Logo: ${kit.logo.url} (alt "${kit.logo.alt}")\n`;
+  }
+  return context;
+}
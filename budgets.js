@@ -0,0 +1,211 @@
+/**
+ * Per-client Token Budgets
+ * Daily token allowance, concurrent generations and files per project, keyed by API key (or IP for anonymous callers)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SessionStore } from './sessionStore.js';
+import { limitFromEnv } from './concurrency.js';
+import { usageLedger } from './usageLedger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * 429 error carrying the client's remaining budget
+ */
+export function createBudgetError(message, budget = null) {
+  const error = new Error(message);
+  error.name = 'BudgetExceededError';
+  error.status = 429;
+  error.budget = budget;
+  return error;
+}
+
+export function isBudgetError(error) {
+  return error?.name === 'BudgetExceededError';
+}
+
+function defaultLimits() {
+  return {
+    dailyTokens: limitFromEnv('BUDGET_DAILY_TOKENS', 1000000),
+    maxConcurrentGenerations: limitFromEnv('BUDGET_MAX_CONCURRENT_GENERATIONS', 2),
+    maxFilesPerProject: limitFromEnv('BUDGET_MAX_FILES_PER_PROJECT', 60)
+  };
+}
+
+/**
+ * Budgets file: { "defaults": { ...limits }, "clients": { "<name>": { "apiKey": "...", ...limits } } }
+ */
+function loadBudgetsConfig(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { defaults: {}, clients: {} };
+  }
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return { defaults: config.defaults || {}, clients: config.clients || {} };
+}
+
+/**
+ * Express `trust proxy` setting from TRUST_PROXY: unset or "false" trusts no proxy (req.ip is the socket address),
+ * "true" trusts every proxy, a number trusts that many hops, anything else is a list of addresses or subnets
+ * ("loopback", "10.0.0.0/8, 172.16.0.1")
+ */
+export function parseTrustProxy(value = process.env.TRUST_PROXY) {
+  const setting = value?.trim();
+  if (!setting || setting === 'false') return false;
+  if (setting === 'true') return true;
+  if (/^\d+$/.test(setting)) return parseInt(setting, 10);
+  return setting.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight() {
+  const date = new Date();
+  date.setUTCHours(24, 0, 0, 0);
+  return date.toISOString();
+}
+
+export class BudgetManager {
+  constructor(options = {}) {
+    this.configPath = options.configPath || process.env.CLIENT_BUDGETS_FILE || path.join(__dirname, 'budgets.json');
+    this.config = options.config || loadBudgetsConfig(this.configPath);
+    this.store = options.store || null;
+    this.activeGenerations = new Map();
+  }
+
+  // Created on first use so importing the module doesn't touch the filesystem
+  getStore() {
+    this.store ||= new SessionStore({ namespace: 'budgets' });
+    return this.store;
+  }
+
+  /**
+   * Work out who is calling. Only API keys listed in the budgets file identify a client;
+   * anything else is budgeted by IP, so inventing keys doesn't buy a fresh allowance. req.ip only reads
+   * X-Forwarded-For when the server trusts the proxy in front of it (TRUST_PROXY, see parseTrustProxy).
+   */
+  identify(req) {
+    const apiKey = req.get('x-api-key') || req.get('authorization')?.replace(/^Bearer\s+/i, '');
+    const entry = apiKey && Object.entries(this.config.clients).find(([, client]) => client.apiKey === apiKey);
+
+    if (entry) {
+      return entry[0];
+    }
+    return `ip:${req.ip}`;
+  }
+
+  getLimits(clientId) {
+    const { apiKey, ...overrides } = this.config.clients[clientId] || {};
+    return { ...defaultLimits(), ...this.config.defaults, ...overrides };
+  }
+
+  getDailyUsage(clientId) {
+    const saved = this.getStore().load(clientId);
+    return saved?.date === today() ? saved.tokensUsed : 0;
+  }
+
+  getRemaining(clientId) {
+    const limits = this.getLimits(clientId);
+    const used = this.getDailyUsage(clientId);
+
+    return {
+      clientId,
+      dailyTokens: {
+        limit: limits.dailyTokens,
+        used,
+        remaining: Math.max(0, limits.dailyTokens - used),
+        resetsAt: nextUtcMidnight()
+      },
+      concurrentGenerations: {
+        limit: limits.maxConcurrentGenerations,
+        active: this.activeGenerations.get(clientId) || 0
+      },
+      maxFilesPerProject: limits.maxFilesPerProject
+    };
+  }
+
+  /**
+   * Throw a 429 when the client has no tokens left today
+   */
+  assertTokensAvailable(clientId) {
+    const budget = this.getRemaining(clientId);
+    if (budget.dailyTokens.remaining <= 0) {
+      throw createBudgetError(`Daily token budget of ${budget.dailyTokens.limit} exhausted for ${clientId}. Resets at ${budget.dailyTokens.resetsAt}.`, budget);
+    }
+  }
+
+  recordTokens(clientId, tokens) {
+    if (!tokens) return;
+    const used = this.getDailyUsage(clientId) + tokens;
+    try {
+      this.getStore().save(clientId, { clientId, date: today(), tokensUsed: used });
+    } catch (error) {
+      console.warn(`⚠️  Failed to save budget usage for ${clientId}:`, error.message);
+    }
+  }
+
+  /**
+   * Reserve a generation slot. Returns a release function.
+   */
+  startGeneration(clientId) {
+    this.assertTokensAvailable(clientId);
+
+    const active = this.activeGenerations.get(clientId) || 0;
+    const { maxConcurrentGenerations } = this.getLimits(clientId);
+    if (active >= maxConcurrentGenerations) {
+      throw createBudgetError(`${clientId} already has ${active} generation(s) running (limit ${maxConcurrentGenerations}).`, this.getRemaining(clientId));
+    }
+
+    this.activeGenerations.set(clientId, active + 1);
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const remaining = (this.activeGenerations.get(clientId) || 1) - 1;
+      if (remaining > 0) {
+        this.activeGenerations.set(clientId, remaining);
+      } else {
+        this.activeGenerations.delete(clientId);
+      }
+    };
+  }
+
+  /**
+   * Express middleware: identify the caller as req.clientId and reject with 429 once the daily budget is spent
+   */
+  middleware() {
+    return (req, res, next) => {
+      req.clientId = this.identify(req);
+      try {
+        this.assertTokensAvailable(req.clientId);
+      } catch (error) {
+        return res.status(error.status).json({ success: false, error: error.message, budget: error.budget });
+      }
+      next();
+    };
+  }
+}
+
+export const budgetManager = new BudgetManager();
+
+/**
+ * Run a provider completion against a client's budget: checked before the call (so a generation stops as soon as
+ * the budget runs out), then recorded in the usage ledger and charged to the client. Anonymous calls (no clientId)
+ * are only recorded.
+ */
+export async function meteredComplete(provider, request, { clientId, budgets = budgetManager, ledger = usageLedger } = {}) {
+  if (clientId) {
+    budgets.assertTokensAvailable(clientId);
+  }
+  const result = await provider.complete(request);
+  ledger.record(result, request.meta);
+  if (clientId) {
+    budgets.recordTokens(clientId, result.tokensUsed);
+  }
+  return result;
+}
@@ -1,15 +1,73 @@
 import { webContainerService } from './WebContainerService.js';
+import { SessionStore } from './sessionStore.js';
+import { limitFromEnv } from './concurrency.js';
+
+const FINISHED_STATUSES = ['completed', 'failed'];
 
 export class BuildValidationAPI {
-  constructor() {
+  constructor(options = {}) {
+    this.store = options.store || new SessionStore({ namespace: 'validations' });
+    // Saved validations are deleted after the same retention as generation checkpoints
+    this.retentionMs = options.retentionMs || (parseFloat(process.env.SESSION_RETENTION_HOURS) || 72) * 60 * 60 * 1000;
+    // Validations kept in memory; older finished ones are read back from the store when asked for
+    this.maxInMemory = options.maxInMemory || limitFromEnv('VALIDATIONS_IN_MEMORY', 100);
     this.activeValidations = new Map();
+    this.restoreValidations();
+  }
+
+  /**
+   * Drop expired validations and reload the rest, newest last. The WebContainer doesn't survive a restart,
+   * so unfinished ones are marked interrupted.
+   */
+  restoreValidations() {
+    this.store.prune(this.retentionMs);
+    const saved = this.store.list().sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+    for (const validation of saved) {
+      if (!FINISHED_STATUSES.includes(validation.status)) {
+        validation.status = 'interrupted';
+        validation.currentStep = 'Build validation interrupted by a server restart';
+        this.store.save(validation.id, validation);
+      }
+      this.remember(validation);
+    }
+  }
+
+  /**
+   * Keep a validation in memory, evicting the oldest ones that are no longer running once over maxInMemory
+   */
+  remember(validation) {
+    this.activeValidations.set(validation.id, validation);
+    for (const [id, entry] of this.activeValidations) {
+      if (this.activeValidations.size <= this.maxInMemory) break;
+      if (entry !== validation && (entry.endTime || entry.status === 'interrupted')) {
+        this.activeValidations.delete(id);
+      }
+    }
+  }
+
+  /**
+   * A validation from memory, or from the store once it has been evicted
+   */
+  getValidation(validationId) {
+    return this.activeValidations.get(validationId) || this.store.load(validationId);
+  }
+
+  /**
+   * Persist the validation's current state
+   */
+  checkpoint(validation) {
+    try {
+      this.store.save(validation.id, validation);
+    } catch (error) {
+      console.warn(`⚠️  Failed to save validation ${validation.id}:`, error.message);
+    }
   }
 
   setupRoutes(app) {
     // Build validation endpoint
     app.post('/api/validate-build', async (req, res) => {
       try {
-        const { files, projectId } = req.body;
+        const { files, projectId, provider, sessionId } = req.body;
         
         if (!files || Object.keys(files).length === 0) {
           return res.status(400).json({
@@ -22,7 +80,7 @@ export class BuildValidationAPI {
         const validationId = `validation_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         
         // Start validation process
-        this.startValidation(validationId, files, projectId);
+        this.startValidation(validationId, files, projectId, { provider, sessionId, clientId: req.clientId });
         
         res.json({
           success: true,
@@ -41,7 +99,7 @@ export class BuildValidationAPI {
     // Get validation status
     app.get('/api/validate-build/:validationId', (req, res) => {
       const { validationId } = req.params;
-      const validation = this.activeValidations.get(validationId);
+      const validation = this.getValidation(validationId);
       
       if (!validation) {
         return res.status(404).json({
@@ -59,11 +117,12 @@ export class BuildValidationAPI {
     // Stop validation
     app.delete('/api/validate-build/:validationId', async (req, res) => {
       const { validationId } = req.params;
-      const validation = this.activeValidations.get(validationId);
+      const validation = this.getValidation(validationId);
       
       if (validation) {
         await webContainerService.cleanup();
         this.activeValidations.delete(validationId);
+        this.store.delete(validationId);
       }
 
       res.json({
@@ -75,7 +134,7 @@ export class BuildValidationAPI {
     // Get preview URL
     app.get('/api/validate-build/:validationId/preview', (req, res) => {
       const { validationId } = req.params;
-      const validation = this.activeValidations.get(validationId);
+      const validation = this.getValidation(validationId);
       
       if (!validation || !validation.previewUrl) {
         return res.status(404).json({
@@ -91,10 +150,13 @@ export class BuildValidationAPI {
     });
   }
 
-  async startValidation(validationId, files, projectId) {
+  async startValidation(validationId, files, projectId, options = {}) {
     const validation = {
       id: validationId,
       projectId,
+      provider: options.provider || null,
+      sessionId: options.sessionId || null,
+      clientId: options.clientId || null,
       status: 'initializing',
       steps: [
         { name: 'Initialize WebContainer', status: 'pending', logs: [], errors: [] },
@@ -110,7 +172,8 @@ export class BuildValidationAPI {
       endTime: null
     };
 
-    this.activeValidations.set(validationId, validation);
+    this.remember(validation);
+    this.checkpoint(validation);
 
     try {
       // Step 1: Initialize WebContainer
@@ -119,6 +182,7 @@ export class BuildValidationAPI {
       validation.steps[0].status = 'success';
       validation.steps[0].logs.push('✅ WebContainer initialized successfully');
       validation.currentStep = 'Mounting project files...';
+      this.checkpoint(validation);
 
       // Step 2: Mount Project Files
       validation.steps[1].status = 'running';
@@ -126,6 +190,7 @@ export class BuildValidationAPI {
       validation.steps[1].status = 'success';
       validation.steps[1].logs.push('✅ Project files mounted successfully');
       validation.currentStep = 'Installing dependencies...';
+      this.checkpoint(validation);
 
       // Step 3: Install Dependencies
       validation.steps[2].status = 'running';
@@ -133,6 +198,7 @@ export class BuildValidationAPI {
       installLogs.forEach(log => validation.steps[2].logs.push(log));
       validation.steps[2].status = 'success';
       validation.currentStep = 'Building project...';
+      this.checkpoint(validation);
 
       // Step 4: Build Project
       validation.steps[3].status = 'running';
@@ -146,6 +212,7 @@ export class BuildValidationAPI {
         // Step 5: Start Dev Server
         validation.steps[4].status = 'running';
         validation.currentStep = 'Starting dev server...';
+        this.checkpoint(validation);
         const previewUrl = await webContainerService.startDevServer();
         validation.previewUrl = previewUrl;
         validation.steps[4].status = 'success';
@@ -157,6 +224,7 @@ export class BuildValidationAPI {
         validation.steps[3].status = 'error';
         validation.steps[3].errors = buildResult.errors;
         buildResult.logs.forEach(log => validation.steps[3].logs.push(log));
+        this.checkpoint(validation);
         
         // Try to fix build errors
         await this.handleBuildErrors(validation, files);
@@ -167,6 +235,7 @@ export class BuildValidationAPI {
       validation.currentStep = `Build validation failed: ${error.message}`;
     } finally {
       validation.endTime = new Date();
+      this.checkpoint(validation);
     }
   }
 
@@ -175,11 +244,12 @@ export class BuildValidationAPI {
     
     try {
       const errors = validation.steps[3].errors;
-      const fixResult = await webContainerService.fixBuildErrors(errors, originalFiles);
+      const fixResult = await webContainerService.fixBuildErrors(errors, originalFiles, { provider: validation.provider, sessionId: validation.sessionId, clientId: validation.clientId });
       
       if (fixResult.success) {
         validation.fixResult = fixResult;
         validation.currentStep = 'Retrying build with fixes...';
+        this.checkpoint(validation);
         
         // Retry build with fixed files
         const updatedFiles = { ...originalFiles, ...fixResult.fixedFiles };
@@ -220,14 +290,15 @@ export class BuildValidationAPI {
   }
 
   getValidationStatus(validationId) {
-    return this.activeValidations.get(validationId);
+    return this.getValidation(validationId);
   }
 
   cleanupValidation(validationId) {
-    const validation = this.activeValidations.get(validationId);
+    const validation = this.getValidation(validationId);
     if (validation) {
       webContainerService.cleanup();
       this.activeValidations.delete(validationId);
+      this.store.delete(validationId);
     }
   }
 } 
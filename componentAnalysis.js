@@ -0,0 +1,898 @@
+/**
+ * Component Analysis
+ * Parses generated TSX once and answers "is this import / element / attribute / class / hook really there, and where?"
+ * Vue, Svelte and Astro components are read the same way: the <script> blocks (and Astro frontmatter) as TypeScript,
+ * the markup with its attributes mapped onto their JSX names (@click / onclick -> onClick, :class -> className).
+ */
+
+import { parse, parseExpression } from '@babel/parser';
+
+// Calls whose string arguments are Tailwind class lists
+const CLASS_HELPERS = /^(clsx|cn|classNames|classnames|twMerge|cva)$/;
+
+// #rgb, #rgba, #rrggbb or #rrggbbaa on its own or inside a value ("bg-[#1d4ed8]", "0 0 4px #0003")
+const HEX_COLOR = /(?:^|[\s([,:])(#(?:[0-9a-f]{8}|[0-9a-f]{6}|[0-9a-f]{3,4}))(?![\w-])/i;
+
+const SKIPPED_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments']);
+
+function walk(node, visit, parent = null) {
+  if (!node || typeof node.type !== 'string') return;
+  visit(node, parent);
+  for (const key of Object.keys(node)) {
+    if (SKIPPED_KEYS.has(key)) continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(item => walk(item, visit, node));
+    } else if (child && typeof child.type === 'string') {
+      walk(child, visit, node);
+    }
+  }
+}
+
+function jsxName(name) {
+  if (!name) return '';
+  if (name.type === 'JSXIdentifier') return name.name;
+  if (name.type === 'JSXMemberExpression') return `${jsxName(name.object)}.${jsxName(name.property)}`;
+  if (name.type === 'JSXNamespacedName') return `${name.namespace.name}:${name.name.name}`;
+  return '';
+}
+
+function calleeName(callee) {
+  if (!callee) return '';
+  if (callee.type === 'Identifier') return callee.name;
+  if (callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression') {
+    const property = callee.property.type === 'Identifier' ? callee.property.name : '';
+    const object = calleeName(callee.object) || (callee.object.type === 'ThisExpression' ? 'this' : '*');
+    return `${object}.${property}`;
+  }
+  return '';
+}
+
+/**
+ * Every string in an expression (literals and template chunks), e.g. all classes in className={cn('a', x && 'b')}
+ */
+function collectStrings(node) {
+  const strings = [];
+  walk(node, child => {
+    if (child.type === 'StringLiteral') strings.push(child.value);
+    if (child.type === 'TemplateElement') strings.push(child.value.cooked || '');
+  });
+  return strings;
+}
+
+/**
+ * Names a named export declares: export const a = ..., export function b() {}, export { c, d as e }
+ */
+function exportedNames(node) {
+  const declaration = node.declaration;
+  if (!declaration) return node.specifiers.map(specifier => specifier.exported.name ?? specifier.exported.value);
+  if (declaration.type === 'VariableDeclaration') {
+    return declaration.declarations.filter(declarator => declarator.id.type === 'Identifier').map(declarator => declarator.id.name);
+  }
+  return declaration.id ? [declaration.id.name] : [];
+}
+
+function matches(test, value) {
+  if (test instanceof RegExp) return test.test(value);
+  if (typeof test === 'function') return test(value);
+  return value === test;
+}
+
+export class ComponentAnalysis {
+  /**
+   * `code` is parsed as TSX; subclasses pass null and parse their own parts
+   */
+  constructor(code) {
+    this.imports = [];
+    this.elements = [];
+    this.attributes = [];
+    this.classes = [];
+    this.calls = [];
+    this.types = [];
+    this.strings = [];
+    this.tryBlocks = [];
+    this.identifiers = [];
+    this.directives = [];
+    this.exports = [];
+    // Template blocks ({#each}, {#await} ... in Svelte): { name, keyed, loc }
+    this.blocks = [];
+    this.references = new Set();
+    this.root = null;
+    this.parseError = null;
+
+    if (code !== null) {
+      this.parseScript(code, { jsx: true });
+    }
+  }
+
+  /**
+   * Parse a script and collect from it. `startLine` places an embedded script (a .vue <script> block) in its file.
+   * Returns false and sets parseError when it doesn't parse.
+   */
+  parseScript(code, { jsx = false, startLine = 1, allowReturnOutsideFunction = false } = {}) {
+    let ast;
+    try {
+      ast = parse(code, { sourceType: 'module', startLine, allowReturnOutsideFunction, plugins: jsx ? ['typescript', 'jsx'] : ['typescript'] });
+    } catch (error) {
+      this.parseError = {
+        message: error.message.replace(/\s*\(\d+:\d+\)$/, ''),
+        line: error.loc?.line || startLine,
+        column: (error.loc?.column || 0) + 1
+      };
+      return false;
+    }
+
+    this.collect(ast.program);
+    return true;
+  }
+
+  collect(program) {
+    this.collectNode(program);
+    this.root = this.root || program.body.find(node => !node.type.startsWith('Import'))?.loc || null;
+  }
+
+  /**
+   * Record the imports, elements, attributes, classes, calls ... in an AST: a whole program or one expression
+   */
+  collectNode(root) {
+    walk(root, (node, parent) => {
+      switch (node.type) {
+        case 'ImportDeclaration':
+          this.imports.push({
+            source: node.source.value,
+            specifiers: node.specifiers.map(specifier => specifier.local.name),
+            loc: node.loc
+          });
+          break;
+        case 'JSXOpeningElement':
+          this.elements.push({ name: jsxName(node.name), loc: node.loc });
+          break;
+        case 'JSXAttribute': {
+          const name = jsxName(node.name);
+          const element = parent?.type === 'JSXOpeningElement' ? jsxName(parent.name) : '';
+          const value = node.value?.type === 'StringLiteral' ? node.value.value : null;
+          this.attributes.push({ element, name, value, loc: node.loc });
+          if ((name === 'className' || name === 'class') && node.value) {
+            this.addClasses(collectStrings(node.value), node.loc);
+          }
+          break;
+        }
+        case 'CallExpression':
+        case 'OptionalCallExpression': {
+          const name = calleeName(node.callee);
+          // typed: called with type arguments, e.g. defineProps<Props>()
+          this.calls.push({ name, method: name.split('.').pop(), typed: !!(node.typeParameters || node.typeArguments), loc: node.loc });
+          if (CLASS_HELPERS.test(name)) {
+            this.addClasses(node.arguments.flatMap(collectStrings), node.loc);
+          }
+          break;
+        }
+        case 'TSInterfaceDeclaration':
+        case 'TSTypeAliasDeclaration':
+          this.types.push({ name: node.id.name, loc: node.loc });
+          break;
+        case 'StringLiteral':
+          this.strings.push({ value: node.value, loc: node.loc });
+          break;
+        case 'TryStatement':
+          this.tryBlocks.push({ loc: node.loc });
+          break;
+        case 'Identifier':
+          this.identifiers.push({ name: node.name, loc: node.loc });
+          // Import bindings themselves aren't uses
+          if (!parent?.type?.startsWith('Import')) this.references.add(node.name);
+          break;
+        case 'JSXIdentifier':
+          this.references.add(node.name);
+          break;
+        case 'ExportDefaultDeclaration':
+          this.root = this.root || node.loc;
+          break;
+        case 'ExportNamedDeclaration':
+          for (const name of exportedNames(node)) {
+            this.exports.push({ name, loc: node.loc });
+          }
+          break;
+        case 'Directive':
+          // Only file-level directives ('use client'), not ones inside functions
+          if (parent?.type === 'Program') this.directives.push({ name: node.value.value, loc: node.loc });
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  addClasses(strings, loc) {
+    for (const token of strings.join(' ').split(/\s+/).filter(Boolean)) {
+      this.classes.push({ name: token, loc });
+    }
+  }
+
+  /**
+   * { line, column } (1-based) for a node, or the component root when there's nothing to point at
+   */
+  location(entry) {
+    const loc = entry?.loc || this.root;
+    return loc ? { line: loc.start.line, column: loc.start.column + 1 } : { line: 1, column: 1 };
+  }
+
+  first(list, test) {
+    const found = list.find(entry => matches(test, entry.name));
+    return found ? this.location(found) : null;
+  }
+
+  findImport(test) {
+    const found = this.imports.find(entry => matches(test, entry.source));
+    return found ? this.location(found) : null;
+  }
+
+  findElement(test) {
+    return this.first(this.elements, test);
+  }
+
+  /**
+   * Attribute by name, optionally restricted to a string value
+   */
+  findAttribute(test, valueTest) {
+    const found = this.attributes.find(entry => matches(test, entry.name) && (valueTest === undefined || (entry.value !== null && matches(valueTest, entry.value))));
+    return found ? this.location(found) : null;
+  }
+
+  findClass(test) {
+    return this.first(this.classes, test);
+  }
+
+  findCall(test) {
+    return this.first(this.calls, test);
+  }
+
+  findHook(test) {
+    return this.first(this.calls.filter(call => /^use[A-Z]/.test(call.method)).map(call => ({ ...call, name: call.method })), test);
+  }
+
+  findType(test) {
+    return this.first(this.types, test);
+  }
+
+  findString(test) {
+    const found = this.strings.find(entry => matches(test, entry.value));
+    return found ? this.location(found) : null;
+  }
+
+  findIdentifier(test) {
+    return this.first(this.identifiers, test);
+  }
+
+  /**
+   * First hard-coded hex color, in a class (bg-[#1d4ed8]) or a string (style={{ color: '#fff' }}), with its value
+   */
+  findHexColor() {
+    // href="#faq" is an anchor, not a color
+    const anchors = new Set(this.attributes.filter(entry => /^(href|to|id)$/.test(entry.name)).map(entry => entry.value));
+    const entry = [...this.classes.map(({ name, loc }) => ({ value: name, loc })), ...this.strings.filter(entry => !anchors.has(entry.value))]
+      .map(({ value, loc }) => ({ match: value.match(HEX_COLOR), loc }))
+      .find(({ match }) => match);
+    return entry ? { value: entry.match[1], ...this.location(entry) } : null;
+  }
+
+  /**
+   * File-level directive such as 'use client'
+   */
+  findDirective(test) {
+    return this.first(this.directives, test);
+  }
+
+  findExport(test) {
+    return this.first(this.exports, test);
+  }
+
+  findBlock(test) {
+    return this.first(this.blocks, test);
+  }
+
+  findTry() {
+    return this.tryBlocks.length > 0 ? this.location(this.tryBlocks[0]) : null;
+  }
+
+  /**
+   * Imported bindings that are never referenced
+   */
+  unusedImports() {
+    // The classic JSX runtime uses React implicitly
+    const used = name => this.references.has(name) || (name === 'React' && this.elements.length > 0);
+    return this.imports.flatMap(entry => entry.specifiers
+      .filter(name => !used(name))
+      .map(name => ({ name, source: entry.source, ...this.location(entry) })));
+  }
+}
+// Template attribute names mapped onto the JSX names the checks look for
+const MARKUP_ATTRIBUTE_NAMES = { class: 'className', for: 'htmlFor', tabindex: 'tabIndex', srcset: 'srcSet', autofocus: 'autoFocus', readonly: 'readOnly' };
+const MARKUP_EVENT_NAMES = {
+  keydown: 'KeyDown', keyup: 'KeyUp', keypress: 'KeyPress', dblclick: 'DoubleClick',
+  mouseenter: 'MouseEnter', mouseleave: 'MouseLeave', mousedown: 'MouseDown', mouseup: 'MouseUp', mouseover: 'MouseOver',
+  focusin: 'FocusIn', focusout: 'FocusOut', touchstart: 'TouchStart', touchend: 'TouchEnd'
+};
+
+const ATTRIBUTE_NAME = /[^\s"'>/=]+/y;
+const UNQUOTED_VALUE = /[^\s"'=<>`]+/y;
+const WHITESPACE = /\s*/y;
+const INTERPOLATION = /\{\{([\s\S]*?)\}\}/g;
+
+// 'keydown' -> 'onKeyDown', 'click' -> 'onClick'
+function eventAttributeName(event) {
+  return `on${MARKUP_EVENT_NAMES[event] || event.charAt(0).toUpperCase() + event.slice(1)}`;
+}
+
+function pascalCase(tag) {
+  return tag.replace(/(^|-)([a-z])/g, (match, dash, letter) => letter.toUpperCase());
+}
+
+function skip(pattern, source, index) {
+  pattern.lastIndex = index;
+  return pattern.exec(source) ? pattern.lastIndex : index;
+}
+
+/**
+ * Index of the quote that closes the JS string opening at `index` (-1 if it never closes)
+ */
+function stringEnd(source, index) {
+  for (let i = index + 1; i < source.length; i++) {
+    if (source[i] === '\\') i++;
+    else if (source[i] === source[index]) return i;
+  }
+  return -1;
+}
+
+/**
+ * Index just past the `}` that closes the brace opening at `index`, ignoring braces inside strings (-1 if it never closes)
+ */
+function braceEnd(source, index) {
+  let depth = 0;
+  for (let i = index; i < source.length; i++) {
+    const char = source[i];
+    if (char === '"' || char === "'" || char === '`') {
+      i = stringEnd(source, i);
+      if (i === -1) return -1;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return i + 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Read the tag opening at `start`: { name, index, end, attributes: [{ name, value, quoted, valueIndex }] }.
+ * With `braces`, attribute values may be {expressions} (quoted or not) and `{name}` is an attribute on its own.
+ * `valueIndex` is where the value (with its quote or brace) starts.
+ */
+function scanTag(content, start, braces) {
+  const name = content.slice(start + 1).match(/^[A-Za-z][\w.:-]*/)[0];
+  const attributes = [];
+  let i = start + 1 + name.length;
+
+  while (i < content.length) {
+    i = skip(WHITESPACE, content, i);
+    const char = content[i];
+    if (char === '>') return { name, index: start, end: i + 1, attributes };
+    if (braces && char === '{') {
+      const end = braceEnd(content, i);
+      const next = end === -1 ? content.length : end;
+      attributes.push({ name: content.slice(i, next), value: null, quoted: false, valueIndex: i });
+      i = next;
+      continue;
+    }
+
+    ATTRIBUTE_NAME.lastIndex = i;
+    const attribute = ATTRIBUTE_NAME.exec(content);
+    if (!attribute) {
+      // A stray '/', quote or '='
+      i++;
+      continue;
+    }
+    i = ATTRIBUTE_NAME.lastIndex;
+
+    let value = null;
+    let quoted = false;
+    let valueIndex = null;
+    const equals = skip(WHITESPACE, content, i);
+    if (content[equals] === '=') {
+      i = skip(WHITESPACE, content, equals + 1);
+      valueIndex = i;
+      const quote = content[i];
+      if (quote === '"' || quote === "'") {
+        let end = i + 1;
+        while (end < content.length && content[end] !== quote) {
+          const close = braces && content[end] === '{' ? braceEnd(content, end) : -1;
+          end = close === -1 ? end + 1 : close;
+        }
+        value = content.slice(i + 1, end);
+        quoted = true;
+        i = end + 1;
+      } else if (braces && quote === '{') {
+        const end = braceEnd(content, i);
+        value = content.slice(i, end === -1 ? content.length : end);
+        i += value.length;
+      } else {
+        i = skip(UNQUOTED_VALUE, content, i);
+        value = content.slice(equals + 1, i).trim();
+      }
+    }
+    attributes.push({ name: attribute[0], value, quoted, valueIndex });
+  }
+  return { name, index: start, end: content.length, attributes };
+}
+
+/**
+ * Tags (and, with `braces`, top-level {expressions} in text) of a template, in order. Comments are skipped.
+ */
+function scanMarkup(content, { braces = false } = {}) {
+  const tags = [];
+  const expressions = [];
+  let i = 0;
+  while (i < content.length) {
+    if (content.startsWith('<!--', i)) {
+      const end = content.indexOf('-->', i + 4);
+      i = end === -1 ? content.length : end + 3;
+    } else if (content[i] === '<' && /[A-Za-z]/.test(content[i + 1] || '')) {
+      const tag = scanTag(content, i, braces);
+      tags.push(tag);
+      i = tag.end;
+    } else if (braces && content[i] === '{') {
+      const end = braceEnd(content, i);
+      if (end === -1) break;
+      expressions.push({ source: content.slice(i + 1, end - 1), index: i });
+      i = end;
+    } else {
+      i++;
+    }
+  }
+  return { tags, expressions };
+}
+
+/**
+ * Top-level <script> blocks with their attributes and where their content starts
+ */
+function scriptBlocks(code) {
+  return [...code.matchAll(/<script(\s[^>]*)?>([\s\S]*?)<\/script>/g)].map(match => ({
+    attributes: match[1] || '',
+    content: match[2],
+    start: match.index + match[0].indexOf('>') + 1
+  }));
+}
+
+function scriptLang(script) {
+  return script?.attributes.match(/\blang=["'](\w+)["']/)?.[1] || null;
+}
+
+// Svelte and Astro components are markup first; script code outside <script> (or the frontmatter) ends up as text
+const STRAY_SCRIPT = /^[ \t]*(import\s+(?:['"]|[\w${},*\s]+\sfrom\s)|export\s+(?:default|const|let|function|interface|type)\s)/m;
+
+/**
+ * Components written as markup with embedded <script> blocks (Vue, Svelte, Astro). Scripts are parsed as TypeScript;
+ * subclasses read the markup and map its attributes onto their JSX names.
+ */
+class MarkupComponentAnalysis extends ComponentAnalysis {
+  constructor(code) {
+    super(null);
+    this.lineStarts = [0, ...[...code.matchAll(/\n/g)].map(match => match.index + 1)];
+    this.scriptLang = null;
+  }
+
+  /**
+   * Parse each script in place; false (with parseError set) when one doesn't parse
+   */
+  parseScripts(scripts) {
+    return scripts.every(script => this.parseScript(script.content, { startLine: this.locAt(script.start).start.line }));
+  }
+
+  /**
+   * An import or export left in the markup is a parse error; `container` is where it belongs ("<script>")
+   */
+  findStrayScript(markup, container) {
+    const stray = markup.match(STRAY_SCRIPT);
+    if (!stray) return false;
+    const { line, column } = this.locAt(stray.index + stray[0].search(/\S/)).start;
+    this.parseError = { message: `"${stray[1].trim().split(/\s/)[0]}" outside ${container}`, line, column: column + 1 };
+    return true;
+  }
+
+  /**
+   * Babel-style { start: { line, column } } for an index into the file
+   */
+  locAt(index) {
+    let line = this.lineStarts.length - 1;
+    while (this.lineStarts[line] > index) line--;
+    return { start: { line: line + 1, column: index - this.lineStarts[line] } };
+  }
+
+  /**
+   * Record what a template expression uses (identifiers, calls, strings). Returns its strings, for class bindings.
+   */
+  collectExpression(source, loc) {
+    let node;
+    try {
+      node = parseExpression(source, { plugins: ['typescript'] });
+    } catch {
+      return [];
+    }
+
+    walk(node, (child, parent) => {
+      if (child.type === 'Identifier' && !(parent?.type === 'MemberExpression' && parent.property === child && !parent.computed)) {
+        this.references.add(child.name);
+        this.identifiers.push({ name: child.name, loc });
+      } else if (child.type === 'StringLiteral') {
+        this.strings.push({ value: child.value, loc });
+      } else if (child.type === 'CallExpression') {
+        const name = calleeName(child.callee);
+        this.calls.push({ name, method: name.split('.').pop(), typed: false, loc });
+      }
+    });
+    return collectStrings(node);
+  }
+}
+
+/**
+ * @click.prevent -> { name: 'onClick', expression: true }, :aria-label -> { name: 'aria-label', expression: true }
+ */
+function normalizeVueAttribute(raw) {
+  const event = raw.match(/^(?:@|v-on:)([\w:-]+)/);
+  if (event) {
+    return { name: eventAttributeName(event[1].split('.')[0]), expression: true };
+  }
+  const bound = raw.match(/^(?::|v-bind:)([\w-]+)/);
+  const name = bound ? bound[1] : raw;
+  return { name: MARKUP_ATTRIBUTE_NAMES[name] || name, expression: !!bound || /^v-(if|else-if|show|model|for|html|text|memo)\b/.test(raw) };
+}
+
+/**
+ * Top-level <script> and <template> blocks of a single-file component, with where their content starts
+ */
+function splitSingleFileComponent(code) {
+  const blocks = { scripts: scriptBlocks(code), template: null };
+
+  // Templates nest (<template #header>), so the block runs to the last closing tag
+  const open = code.match(/<template(\s[^>]*)?>/);
+  const close = code.lastIndexOf('</template>');
+  if (open && close > open.index) {
+    const start = open.index + open[0].length;
+    blocks.template = { content: code.slice(start, close), start, openIndex: open.index };
+  }
+  return blocks;
+}
+
+export class VueComponentAnalysis extends MarkupComponentAnalysis {
+  constructor(code) {
+    super(code);
+
+    const { scripts, template } = splitSingleFileComponent(code);
+    this.scriptSetup = scripts.find(script => /\bsetup\b/.test(script.attributes)) || null;
+    this.scriptLang = scriptLang(this.scriptSetup);
+
+    if (!template) {
+      this.parseError = { message: 'Missing <template> block', line: 1, column: 1 };
+      return;
+    }
+    if (!this.parseScripts(scripts)) return;
+    this.collectTemplate(template);
+    this.root = this.root || this.locAt(template.openIndex);
+  }
+
+  collectTemplate({ content, start }) {
+    for (const tag of scanMarkup(content).tags) {
+      const loc = this.locAt(start + tag.index);
+      const element = tag.name;
+      this.elements.push({ name: element, loc });
+      this.references.add(element);
+      this.references.add(pascalCase(element));
+
+      for (const attribute of tag.attributes) {
+        const { name, expression } = normalizeVueAttribute(attribute.name);
+        const { value } = attribute;
+        this.attributes.push({ element, name, value: expression ? null : value, loc });
+
+        const strings = expression && value !== null ? this.collectExpression(value, loc) : (value !== null ? [value] : []);
+        if (name === 'className') this.addClasses(strings, loc);
+        if (!expression && value !== null) this.strings.push({ value, loc });
+      }
+    }
+
+    for (const match of content.matchAll(INTERPOLATION)) {
+      this.collectExpression(match[1], this.locAt(start + match.index));
+    }
+  }
+
+  collectExpression(source, loc) {
+    // v-for="(item, index) in items": only the list is an expression
+    return super.collectExpression(source.replace(/^\s*(\([^)]*\)|[\w$]+)\s+(in|of)\s+/, ''), loc);
+  }
+}
+
+/**
+ * onclick / on:click|preventDefault -> onClick, class -> className; bind:, transition:, use: and the rest keep their names
+ */
+function normalizeSvelteAttribute(raw) {
+  const name = raw.split('|')[0];
+  const event = name.match(/^on:?([a-z]+)$/);
+  if (event) return eventAttributeName(event[1]);
+  return MARKUP_ATTRIBUTE_NAMES[name] || name;
+}
+
+/**
+ * Split "px-4 {active ? 'a' : 'b'}" into its static text and its {expressions}
+ */
+function splitInterpolation(value) {
+  const text = [];
+  const expressions = [];
+  let i = 0;
+  while (i < value.length) {
+    const open = value.indexOf('{', i);
+    const close = open === -1 ? -1 : braceEnd(value, open);
+    if (close === -1) {
+      text.push(value.slice(i));
+      break;
+    }
+    text.push(value.slice(i, open));
+    expressions.push(value.slice(open + 1, close - 1));
+    i = close;
+  }
+  return { text: text.filter(chunk => chunk.trim()), expressions };
+}
+
+/**
+ * <script> blocks of a Svelte component, and its markup: the file with scripts and styles blanked out,
+ * so markup indexes are file indexes
+ */
+function splitSvelteComponent(code) {
+  const blank = block => block.replace(/[^\n]/g, ' ');
+  return {
+    scripts: scriptBlocks(code),
+    markup: code.replace(/<(script|style)(\s[^>]*)?>[\s\S]*?<\/\1>/g, blank)
+  };
+}
+
+export class SvelteComponentAnalysis extends MarkupComponentAnalysis {
+  constructor(code) {
+    super(code);
+
+    const { scripts, markup } = splitSvelteComponent(code);
+    this.instanceScript = scripts.find(script => !/\b(module|context=["']module["'])/.test(script.attributes)) || null;
+    this.scriptLang = scriptLang(this.instanceScript || scripts[0]);
+
+    if (this.findStrayScript(markup, '<script>') || !this.parseScripts(scripts)) return;
+
+    const { tags, expressions } = scanMarkup(markup, { braces: true });
+    for (const tag of tags) this.collectTag(tag);
+    for (const { source, index } of expressions) this.collectBlock(source, this.locAt(index));
+    this.root = this.root || this.locAt(tags[0]?.index || 0);
+
+    // $page reads the imported page store
+    for (const name of [...this.references].filter(reference => /^\$\w/.test(reference))) {
+      this.references.add(name.slice(1));
+    }
+  }
+
+  collectTag(tag) {
+    const loc = this.locAt(tag.index);
+    const element = tag.name;
+    this.elements.push({ name: element, loc });
+    this.references.add(element);
+
+    for (const attribute of tag.attributes) {
+      if (attribute.name.startsWith('{')) {
+        // {href} is href={href}; {...rest} passes props through
+        const source = attribute.name.slice(1, -1).trim();
+        if (!source.startsWith('...')) this.attributes.push({ element, name: source, value: null, loc });
+        this.collectExpression(source.replace(/^\.\.\./, ''), loc);
+        continue;
+      }
+
+      const name = normalizeSvelteAttribute(attribute.name);
+      const { value } = attribute;
+      let strings = [];
+      if (value !== null && !attribute.quoted && value.startsWith('{')) {
+        strings = this.collectExpression(value.slice(1, -1), loc);
+        this.attributes.push({ element, name, value: null, loc });
+      } else if (value !== null && value.includes('{')) {
+        // class="px-4 {active ? 'a' : 'b'}"
+        const { text, expressions } = splitInterpolation(value);
+        strings = [...text, ...expressions.flatMap(expression => this.collectExpression(expression, loc))];
+        this.attributes.push({ element, name, value: null, loc });
+      } else {
+        if (value !== null) {
+          strings = [value];
+          this.strings.push({ value, loc });
+        }
+        this.attributes.push({ element, name, value, loc });
+      }
+
+      if (name === 'className') this.addClasses(strings, loc);
+      // class:active={isActive} toggles "active"
+      if (name.startsWith('class:')) this.addClasses([name.slice('class:'.length)], loc);
+      // transition:fly and use:enhance use the imported fly / enhance
+      const directive = name.match(/^(transition|in|out|animate|use):([\w$]+)/);
+      if (directive) this.references.add(directive[2]);
+    }
+  }
+
+  /**
+   * A {...} in text: a plain expression, or a block tag ({#if}, {:else if}, {#each}, {#await}, {@html}, {@render} ...)
+   */
+  collectBlock(source, loc) {
+    const block = source.trim().match(/^([#:@/])(\w+)\s*([\s\S]*)$/);
+    if (!block) {
+      this.collectExpression(source, loc);
+      return;
+    }
+
+    const [, sigil, name, rest] = block;
+    if (sigil === '#' || sigil === '@') {
+      this.blocks.push({ name, keyed: false, loc });
+    }
+    if (sigil === '#' && name === 'each') {
+      // {#each items as item, index (item.id)}
+      const each = rest.match(/^([\s\S]*?)\s+as\s+[\s\S]*?(\(([\s\S]*)\))?\s*$/);
+      this.blocks[this.blocks.length - 1].keyed = !!each?.[2];
+      this.collectExpression(each ? each[1] : rest, loc);
+    } else if (sigil === '#' && name === 'await') {
+      this.collectExpression(rest.replace(/\s+then\b[\s\S]*$/, ''), loc);
+    } else if ((sigil === '#' && /^(if|key)$/.test(name)) || (sigil === '@' && /^(html|render)$/.test(name))) {
+      this.collectExpression(rest, loc);
+    } else if (sigil === '@' && name === 'const') {
+      this.collectExpression(rest.replace(/^[^=]*=/, ''), loc);
+    } else if (sigil === ':' && name === 'else') {
+      const elseIf = rest.match(/^if\s+([\s\S]*)$/);
+      if (elseIf) this.collectExpression(elseIf[1], loc);
+    }
+    // {:then value}, {:catch error} and {#snippet name()} declare names rather than use them
+  }
+}
+
+/**
+ * class:list -> className, onclick -> onClick; client:, set:, is: and transition: directives keep their names
+ */
+function normalizeAstroAttribute(raw) {
+  if (raw === 'class:list') return 'className';
+  const event = raw.match(/^on([a-z]+)$/);
+  if (event) return eventAttributeName(event[1]);
+  return MARKUP_ATTRIBUTE_NAMES[raw] || raw;
+}
+
+// Components imported from src/components/islands (or a .tsx / .jsx file) are React islands
+const ISLAND_SOURCE = /(^|\/)islands\/|\.(tsx|jsx)$/;
+
+/**
+ * The frontmatter of an Astro component (between the leading --- fences), its client <script> blocks, and its markup:
+ * the file with all of those and <style> blanked out, so markup indexes are file indexes
+ */
+function splitAstroComponent(code) {
+  const blank = block => block.replace(/[^\n]/g, ' ');
+  const fence = code.match(/^(\s*---[ \t]*\r?\n)([\s\S]*?)(?<=\n)---[ \t]*(?=\r?\n|$)/);
+  const frontmatter = fence ? { content: fence[2], start: fence.index + fence[1].length } : null;
+  const rest = fence ? blank(fence[0]) + code.slice(fence[0].length) : code;
+  return {
+    frontmatter,
+    // JSON-LD and other data blocks aren't code
+    scripts: scriptBlocks(rest).filter(script => !/\btype=["'](?!module["'])/.test(script.attributes)),
+    markup: rest.replace(/<(script|style)(\s[^>]*)?>[\s\S]*?<\/\1>/g, blank)
+  };
+}
+
+export class AstroComponentAnalysis extends MarkupComponentAnalysis {
+  constructor(code) {
+    super(code);
+    // React components rendered in the markup: { name, source, directive (client:visible ...), loc }
+    this.islands = [];
+    this.islandSources = new Map();
+
+    const { frontmatter, scripts, markup } = splitAstroComponent(code);
+    this.frontmatter = frontmatter;
+
+    if (!frontmatter && /^\s*---/.test(code)) {
+      this.parseError = { message: 'The frontmatter is never closed with ---', line: 1, column: 1 };
+      return;
+    }
+    if (this.findStrayScript(markup, 'the --- frontmatter')) return;
+    // The frontmatter runs on the server for every render, and may return Astro.redirect(...) at the top level
+    if (frontmatter && !this.parseScript(frontmatter.content, { startLine: this.locAt(frontmatter.start).start.line, allowReturnOutsideFunction: true })) return;
+
+    for (const entry of this.imports.filter(entry => ISLAND_SOURCE.test(entry.source))) {
+      for (const name of entry.specifiers) this.islandSources.set(name, entry.source);
+    }
+    if (!this.parseScripts(scripts)) return;
+
+    const tags = this.collectMarkup(markup);
+    this.root = this.root || this.locAt(tags[0]?.index || 0);
+  }
+
+  /**
+   * Tags and {expressions} of a piece of markup that starts at `offset` in the file
+   */
+  collectMarkup(markup, offset = 0) {
+    const { tags, expressions } = scanMarkup(markup, { braces: true });
+    for (const tag of tags) this.collectTag(tag, offset);
+    for (const { source, index } of expressions) this.collectExpression(source, this.locAt(offset + index + 1));
+    return tags;
+  }
+
+  collectTag(tag, offset) {
+    const loc = this.locAt(offset + tag.index);
+    const element = tag.name;
+    this.elements.push({ name: element, loc });
+    this.references.add(element);
+    this.recordIsland(element, tag.attributes.map(attribute => attribute.name), loc);
+
+    for (const attribute of tag.attributes) {
+      const valueLoc = attribute.valueIndex === null ? loc : this.locAt(offset + attribute.valueIndex + 1);
+      if (attribute.name.startsWith('{')) {
+        // {href} is href={href}; {...rest} passes props through
+        const source = attribute.name.slice(1, -1);
+        if (!source.trim().startsWith('...')) this.attributes.push({ element, name: source.trim(), value: null, loc });
+        this.collectExpression(source, valueLoc);
+        continue;
+      }
+
+      const name = normalizeAstroAttribute(attribute.name);
+      const { value } = attribute;
+      let strings = [];
+      if (value !== null && !attribute.quoted && value.startsWith('{')) {
+        strings = this.collectExpression(value.slice(1, -1), valueLoc);
+        this.attributes.push({ element, name, value: null, loc });
+      } else {
+        // Quoted values are plain strings in Astro; only {expressions} are evaluated
+        if (value !== null) {
+          strings = [value];
+          this.strings.push({ value, loc });
+        }
+        this.attributes.push({ element, name, value, loc });
+      }
+
+      if (name === 'className') this.addClasses(strings, loc);
+    }
+  }
+
+  /**
+   * Astro expressions hold JSX ({items.map(item => <li class="...">{item.name}</li>)}), so their elements,
+   * attributes and classes count like the rest of the markup. `loc` is where the expression starts.
+   */
+  collectExpression(source, loc) {
+    let node;
+    try {
+      node = parseExpression(source, { plugins: ['typescript', 'jsx'], startLine: loc.start.line, startColumn: loc.start.column });
+    } catch {
+      // Sibling elements ({open && <a /><b />}) aren't one expression; read them as markup
+      this.collectMarkup(source, this.lineStarts[loc.start.line - 1] + loc.start.column);
+      return [];
+    }
+
+    const attributeCount = this.attributes.length;
+    this.collectNode(node);
+    for (const attribute of this.attributes.slice(attributeCount)) {
+      attribute.name = normalizeAstroAttribute(attribute.name);
+    }
+    walk(node, child => {
+      if (child.type === 'JSXOpeningElement') {
+        this.recordIsland(jsxName(child.name), child.attributes.map(attribute => jsxName(attribute.name)), child.loc);
+      }
+    });
+    return collectStrings(node);
+  }
+
+  recordIsland(name, attributeNames, loc) {
+    if (!this.islandSources.has(name)) return;
+    const directive = attributeNames.find(attribute => attribute.startsWith('client:')) || null;
+    this.islands.push({ name, source: this.islandSources.get(name), directive, loc });
+  }
+}
+
+const MARKUP_ANALYSES = { vue: VueComponentAnalysis, svelte: SvelteComponentAnalysis, astro: AstroComponentAnalysis };
+
+/**
+ * Analysis for a generated component: `format` is 'tsx' (React, Next.js), 'vue', 'svelte' or 'astro'
+ */
+export function analyzeComponent(code, { format = 'tsx' } = {}) {
+  const Analysis = MARKUP_ANALYSES[format] || ComponentAnalysis;
+  return new Analysis(code);
+}
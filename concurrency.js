@@ -0,0 +1,148 @@
+/**
+ * Concurrency helpers
+ * Bounded worker pool for generation steps and per-provider request limiting
+ */
+
+/**
+ * Run worker over items with at most `limit` in flight. Results keep the input order.
+ * After the first failure no new items are started; the error is rethrown once in-flight work settles.
+ */
+export async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failure = null;
+
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (!failure && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  });
+
+  await Promise.all(runners);
+
+  if (failure) {
+    throw failure;
+  }
+  return results;
+}
+
+/**
+ * Caps concurrent requests and requests per minute for one provider
+ */
+export class RateLimiter {
+  constructor({ maxConcurrent = Infinity, requestsPerMinute = Infinity } = {}) {
+    this.maxConcurrent = maxConcurrent;
+    this.requestsPerMinute = requestsPerMinute;
+    this.active = 0;
+    this.queue = [];
+    this.startedAt = [];
+    this.timer = null;
+  }
+
+  async run(task, signal) {
+    await this.acquire(signal);
+    try {
+      return await task();
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Wait for a slot. Aborting `signal` while queued gives up the place in the queue and rejects with an AbortError.
+   */
+  acquire(signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createAbortError());
+        return;
+      }
+      const onAbort = () => {
+        this.queue = this.queue.filter(waiter => waiter !== grant);
+        reject(createAbortError());
+      };
+      const grant = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.queue.push(grant);
+      this.drain();
+    });
+  }
+
+  release() {
+    this.active--;
+    this.drain();
+  }
+
+  drain() {
+    while (this.queue.length > 0 && this.active < this.maxConcurrent) {
+      const now = Date.now();
+      this.startedAt = this.startedAt.filter(time => now - time < 60000);
+
+      // Out of requests for this minute: wake up when the oldest one ages out
+      if (this.startedAt.length >= this.requestsPerMinute) {
+        if (!this.timer) {
+          const wait = 60000 - (now - this.startedAt[0]);
+          this.timer = setTimeout(() => {
+            this.timer = null;
+            this.drain();
+          }, wait);
+        }
+        return;
+      }
+
+      this.active++;
+      this.startedAt.push(now);
+      this.queue.shift()();
+    }
+  }
+}
+
+/**
+ * Read a positive integer limit from the environment (Infinity when unset)
+ */
+export function limitFromEnv(name, fallback = Infinity) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Error thrown when a generation is cancelled (same name fetch uses for aborted requests)
+ */
+export function createAbortError(message = 'Generation cancelled') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * setTimeout as a promise that rejects early when the signal aborts
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -3,7 +3,6 @@ import dotenv from 'dotenv';
 import cors from 'cors';
 import fs from 'fs';
 import path from 'path';
-import fetch from 'node-fetch';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 import uploadRouter from './upload.js';
@@ -12,6 +11,15 @@ import { OrchestrationEngine } from './OrchestrationEngine.js';
 import { getStackConfig, getAllStacks } from './stackConfigs.js';
 import { EnhancedBackendAPI } from './EnhancedBackendAPI.mjs';
 import { BuildValidationAPI } from './buildValidationAPI.js';
+import { getProvider, getDefaultProviderName, getAvailableProviders, hasProvider } from './llmProviders.js';
+import { isAbortError } from './concurrency.js';
+import { SessionStore } from './sessionStore.js';
+import { usageLedger } from './usageLedger.js';
+import { budgetManager, isBudgetError, meteredComplete, parseTrustProxy } from './budgets.js';
+import { formatBlueprintError } from './blueprintSchema.js';
+import { blueprintRegistry } from './blueprintRegistry.js';
+import { workspaceBlueprints } from './workspaceBlueprints.js';
+import { normalizeBrandKit } from './brandKit.js';
 
 // Inline the utils functions to avoid ES module conflicts
 function findBestFileToEdit(userPrompt, availableFiles) {
@@ -97,27 +105,31 @@ Make minimal, focused changes that directly address the user's request while pre
 
 dotenv.config();
 
+const DEFAULT_PROVIDER = getDefaultProviderName();
+
 console.log('Loaded ENV:', {
+  LLM_PROVIDER: DEFAULT_PROVIDER,
   ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY ? '✅ Present' : '❌ MISSING'
 });
 
-const API_KEY = process.env.ANTHROPIC_API_KEY;
-
-// Check if API key is available
-if (!API_KEY) {
-  console.error('❌ Missing ANTHROPIC_API_KEY in environment variables');
-  console.error('Please set ANTHROPIC_API_KEY in your environment variables');
-  // Don't exit - let the server start but return errors for Claude calls
-}
-if (!API_KEY) {
-  console.error('❌ Missing ANTHROPIC_API_KEY in environment variables');
+// Check that the default provider is usable
+if (!hasProvider(DEFAULT_PROVIDER)) {
+  console.error(`❌ Unknown LLM_PROVIDER "${DEFAULT_PROVIDER}". Available: ${getAvailableProviders().join(', ')}`);
   process.exit(1);
 }
-const safeApiKey = API_KEY;
+if (!getProvider(DEFAULT_PROVIDER).isConfigured()) {
+  console.error(`❌ LLM provider "${DEFAULT_PROVIDER}" is not configured`);
+  console.error('Please set ANTHROPIC_API_KEY (or the key for your LLM_PROVIDER) in your environment variables');
+  console.error('Use LLM_PROVIDER=mock to run offline with deterministic responses');
+  // Don't exit - let the server start but return errors for LLM calls
+}
 
 const app = express();
 const server = createServer(app);
 
+// Anonymous callers are budgeted by req.ip, which only honours X-Forwarded-For behind a trusted proxy
+app.set('trust proxy', parseTrustProxy());
+
 // Configure CORS
 const corsOptions = {
   origin: function (origin, callback) {
@@ -151,7 +163,9 @@ const corsOptions = {
     'Authorization', 
     'X-Requested-With',
     'Accept',
-    'Origin'
+    'Origin',
+    'X-Workspace-Id',
+    'X-API-Key'
   ],
   credentials: true,
   optionsSuccessStatus: 200,
@@ -197,7 +211,7 @@ app.use((req, res, next) => {
   }
   
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin, X-Workspace-Id, X-API-Key');
   res.header('Access-Control-Allow-Credentials', 'true');
   res.header('Access-Control-Max-Age', '86400'); // 24 hours
   
@@ -256,6 +270,74 @@ io.on('connection', (socket) => {
   });
 });
 
+// Rejects LLM requests with 429 once the caller's daily token budget is spent (sets req.clientId)
+const requireBudget = budgetManager.middleware();
+
+// Running orchestrations by sessionId, so they can be cancelled
+const activeGenerations = new Map();
+
+// Generation checkpoints survive restarts; anything still "running" on disk was interrupted mid-generation
+const generationSessions = new SessionStore({ namespace: 'generations' });
+const SESSION_RETENTION_HOURS = parseFloat(process.env.SESSION_RETENTION_HOURS) || 72;
+generationSessions.prune(SESSION_RETENTION_HOURS * 60 * 60 * 1000);
+// Usage is kept as long as the generations it belongs to
+usageLedger.prune(SESSION_RETENTION_HOURS * 60 * 60 * 1000);
+for (const saved of generationSessions.list()) {
+  if (saved.status === 'running') {
+    generationSessions.save(saved.sessionId, { ...saved, status: 'interrupted' });
+    console.log(`♻️  Generation ${saved.sessionId} was interrupted; resume it with POST /resume-generation/${saved.sessionId}`);
+  }
+}
+
+// Index and check every blueprint up front; a file whose blueprint is malformed is skipped at generation time
+// and reported in the response's blueprintErrors
+function logBlueprintReport(report) {
+  console.log(`📐 Blueprints: ${report.valid.length}/${report.checked} valid`);
+  for (const { file, errors } of report.invalid) {
+    console.warn(`❌ Malformed blueprint ${file}:`);
+    errors.forEach(error => console.warn(`   - ${formatBlueprintError(error)}`));
+  }
+  for (const { file, error } of report.unloadable) {
+    console.warn(`⚠️  Blueprint ${file} can't be loaded and will be skipped: ${error}`);
+  }
+}
+
+blueprintRegistry.ensureLoaded()
+  .then(logBlueprintReport)
+  .catch(error => console.error('❌ Blueprint validation failed:', error.message));
+
+// Blueprint authors can edit files without restarting the server
+if (process.env.BLUEPRINT_HOT_RELOAD === 'true') {
+  blueprintRegistry.watch({
+    onReload: report => {
+      console.log('🔄 Blueprints reloaded');
+      logBlueprintReport(report);
+    }
+  });
+}
+
+/**
+ * Forward engine file events (file-started, file-chunk, file-completed) to a session's Socket.IO room
+ */
+function sessionEmitter(sessionId) {
+  return sessionId ? (event, payload) => io.to(sessionId).emit(event, payload) : null;
+}
+
+/**
+ * Drop every client from a session's Socket.IO room
+ */
+function leaveSessionRoom(sessionId) {
+  const room = io.sockets.adapter.rooms.get(sessionId);
+  if (room) {
+    for (const clientId of room) {
+      const socket = io.sockets.sockets.get(clientId);
+      if (socket) {
+        socket.leave(sessionId);
+      }
+    }
+  }
+}
+
 app.use(express.json());
 app.use(uploadRouter);
 
@@ -302,7 +384,9 @@ app.get('/stacks', (req, res) => {
         buildTool: stack.buildTool,
         styling: stack.styling,
         language: stack.language,
-        icon: stack.icon
+        icon: stack.icon,
+        // Stacks with a backend tier accept "fullStack": true
+        backend: stack.backend ? { framework: stack.backend.framework, storage: stack.backend.storage } : null
       }))
     });
   } catch (error) {
@@ -314,28 +398,123 @@ app.get('/stacks', (req, res) => {
   }
 });
 
+// Blueprints known to the registry, with schema errors for malformed ones
+app.get('/blueprints', async (req, res) => {
+  try {
+    await blueprintRegistry.ensureLoaded();
+    res.json({ success: true, blueprints: blueprintRegistry.list() });
+  } catch (error) {
+    console.error('❌ Failed to list blueprints:', error);
+    res.status(500).json({ success: false, error: 'Failed to list blueprints' });
+  }
+});
+
+app.get('/blueprints/:name', async (req, res) => {
+  try {
+    await blueprintRegistry.ensureLoaded();
+    const blueprint = blueprintRegistry.describeBlueprint(req.params.name);
+    if (!blueprint) {
+      return res.status(404).json({ success: false, error: `Blueprint ${req.params.name} not found` });
+    }
+    res.json({ success: true, blueprint });
+  } catch (error) {
+    console.error('❌ Failed to get blueprint:', error);
+    res.status(500).json({ success: false, error: 'Failed to get blueprint' });
+  }
+});
+
+/**
+ * Custom blueprints belong to the calling client (API key, or IP when anonymous); x-workspace-id picks one of its workspaces
+ */
+function workspaceFor(req) {
+  const clientId = req.clientId || budgetManager.identify(req);
+  const workspace = req.get('x-workspace-id');
+  return workspace ? `${clientId}:${workspace}` : clientId;
+}
+
+app.get('/workspace-blueprints', (req, res) => {
+  const workspaceId = workspaceFor(req);
+  res.json({ success: true, workspaceId, blueprints: workspaceBlueprints.list(workspaceId) });
+});
+
+app.get('/workspace-blueprints/:name', (req, res) => {
+  const entry = workspaceBlueprints.get(workspaceFor(req), req.params.name);
+  if (!entry) {
+    return res.status(404).json({ success: false, error: `Custom blueprint ${req.params.name} not found` });
+  }
+  res.json({ success: true, blueprint: entry });
+});
+
+// Body: { "blueprint": { ...definition }, "mode": "override" | "extend" }
+app.put('/workspace-blueprints/:name', async (req, res) => {
+  const workspaceId = workspaceFor(req);
+  const { name } = req.params;
+
+  try {
+    const existed = !!workspaceBlueprints.get(workspaceId, name);
+    const entry = await workspaceBlueprints.save(workspaceId, name, req.body || {}, { owner: req.clientId || budgetManager.identify(req) });
+    console.log(`📐 ${existed ? 'Updated' : 'Created'} custom blueprint ${name} (${entry.mode}) for ${workspaceId}`);
+    res.status(existed ? 200 : 201).json({ success: true, blueprint: entry });
+  } catch (error) {
+    if (!error.status) console.error('❌ Failed to save custom blueprint:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+app.delete('/workspace-blueprints/:name', async (req, res) => {
+  const workspaceId = workspaceFor(req);
+  if (!(await workspaceBlueprints.delete(workspaceId, req.params.name))) {
+    return res.status(404).json({ success: false, error: `Custom blueprint ${req.params.name} not found` });
+  }
+  console.log(`🗑️  Deleted custom blueprint ${req.params.name} for ${workspaceId}`);
+  res.json({ success: true });
+});
+
 // 🆕 NEW: Generation status endpoint
 app.get('/generation-status/:sessionId', (req, res) => {
   const { sessionId } = req.params;
   
-  // Check if there are any active generations for this session
-  const activeGenerations = io.sockets.adapter.rooms.get(sessionId);
+  const engine = activeGenerations.get(sessionId);
   
-  if (activeGenerations) {
+  if (engine) {
     res.json({
       success: true,
-      status: 'active',
+      status: engine.cancelled ? 'cancelling' : 'active',
       sessionId,
-      message: 'Generation in progress'
+      message: engine.cancelled ? 'Generation is stopping' : 'Generation in progress'
     });
   } else {
+    // Not running here: report the last checkpoint (interrupted, failed and cancelled sessions can be resumed)
+    const saved = generationSessions.load(sessionId);
     res.json({
       success: true,
-      status: 'inactive',
+      status: saved?.status || 'inactive',
       sessionId,
-      message: 'No active generation found'
+      completedFiles: saved ? Object.keys(saved.generatedFiles || {}).length : 0,
+      resumable: !!saved && saved.status !== 'completed',
+      message: saved ? `Last checkpoint: ${saved.status}` : 'No active generation found'
+    });
+  }
+});
+
+// 🆕 NEW: Token and cost breakdown for a session (plan/generate/retry/fix/edit)
+app.get('/sessions/:sessionId/usage', (req, res) => {
+  const { sessionId } = req.params;
+  const usage = usageLedger.getSessionUsage(sessionId, { includeEntries: req.query.entries === 'true' });
+
+  if (!usage) {
+    return res.status(404).json({
+      success: false,
+      error: `No usage recorded for session ${sessionId}`
     });
   }
+
+  res.json({ success: true, usage });
+});
+
+// 🆕 NEW: Remaining token budget and limits for the calling client
+app.get('/budget', (req, res) => {
+  res.json({ success: true, budget: budgetManager.getRemaining(budgetManager.identify(req)) });
 });
 
 // 🆕 NEW: Cancel generation endpoint
@@ -343,24 +522,27 @@ app.post('/cancel-generation/:sessionId', (req, res) => {
   const { sessionId } = req.params;
   
   try {
-    // Emit cancellation event to all clients in the session
-    io.to(sessionId).emit('generation-cancelled', {
-      sessionId,
-      timestamp: new Date().toISOString(),
-      message: 'Generation cancelled by user'
-    });
+    const engine = activeGenerations.get(sessionId);
+    if (!engine) {
+      return res.status(404).json({
+        success: false,
+        error: 'No active generation found for this session',
+        sessionId
+      });
+    }
     
-    // Remove all clients from the session room
-    const room = io.sockets.adapter.rooms.get(sessionId);
-    if (room) {
-      for (const clientId of room) {
-        const socket = io.sockets.sockets.get(clientId);
-        if (socket) {
-          socket.leave(sessionId);
-        }
-      }
+    // Only the client paying for a generation can stop it
+    if (engine.request.clientId !== budgetManager.identify(req)) {
+      return res.status(403).json({
+        success: false,
+        error: `Session ${sessionId} belongs to another client`,
+        sessionId
+      });
     }
     
+    // Stops the engine; /orchestrate-project emits generation-cancelled with the partial result
+    engine.cancel('cancelled by user');
+    
     res.json({
       success: true,
       message: 'Generation cancelled successfully',
@@ -375,9 +557,66 @@ app.post('/cancel-generation/:sessionId', (req, res) => {
   }
 });
 
+// 🆕 NEW: Plan a project so the client can review/edit it before generation starts
+app.post('/plan-project', requireBudget, async (req, res) => {
+  const { stackId, userPrompt, sessionId, projectName, provider, noCache, fullStack } = req.body;
+
+  if (!stackId || !userPrompt) {
+    return res.status(400).json({ 
+      success: false, 
+      error: 'stackId and userPrompt are required' 
+    });
+  }
+
+  if (provider && !hasProvider(provider)) {
+    return res.status(400).json({ 
+      success: false, 
+      error: `Invalid provider: ${provider}` 
+    });
+  }
+
+  const stackConfig = getStackConfig(stackId);
+  if (!stackConfig) {
+    return res.status(400).json({ 
+      success: false, 
+      error: `Invalid stackId: ${stackId}` 
+    });
+  }
+
+  if (fullStack && !stackConfig.backend) {
+    return res.status(400).json({ 
+      success: false, 
+      error: `Stack ${stackId} has no backend tier, so it can't generate a full-stack project` 
+    });
+  }
+
+  try {
+    const engine = new OrchestrationEngine(sessionId, engineClient(provider, req.clientId, noCache), stackConfig, {
+      request: { fullStack: !!fullStack }
+    });
+    const plan = await engine.planProject(projectName || userPrompt, userPrompt);
+
+    console.log(`🗺️  Plan ready for approval: ${plan.pages.length} pages, ${plan.components.length} components`);
+
+    res.json({
+      success: true,
+      plan,
+      tokensUsed: engine.session.totalTokensUsed,
+      sessionId: engine.sessionId
+    });
+  } catch (error) {
+    if (sendBudgetError(res, error)) return;
+    console.error('❌ Planning error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error instanceof Error ? error.message : 'Project planning failed' 
+    });
+  }
+});
+
 // 🆕 NEW ARCHITECTURE: Orchestrated project generation with WebSocket progress
-app.post('/orchestrate-project', async (req, res) => {
-  const { stackId, userPrompt, sessionId, projectName } = req.body;
+app.post('/orchestrate-project', requireBudget, async (req, res) => {
+  const { stackId, userPrompt, sessionId, projectName, provider, plan, concurrency, noCache, brandKit, fullStack } = req.body;
   
   if (!stackId || !userPrompt) {
     return res.status(400).json({ 
@@ -385,22 +624,162 @@ app.post('/orchestrate-project', async (req, res) => {
       error: 'stackId and userPrompt are required' 
     });
   }
+
+  if (provider && !hasProvider(provider)) {
+    return res.status(400).json({ 
+      success: false, 
+      error: `Invalid provider: ${provider}` 
+    });
+  }
+
+  if (sessionId && activeGenerations.has(sessionId)) {
+    return res.status(409).json({ 
+      success: false, 
+      error: `A generation is already running for session ${sessionId}` 
+    });
+  }
+
+  // Starting over replaces the session's checkpoint, so only the client that owns it may reuse its id
+  const existing = sessionId ? generationSessions.load(sessionId) : null;
+  if (existing && existing.request?.clientId !== req.clientId) {
+    return res.status(403).json({ 
+      success: false, 
+      error: `Session ${sessionId} belongs to another client` 
+    });
+  }
   
+  // Get stack configuration
+  const stackConfig = getStackConfig(stackId);
+  if (!stackConfig) {
+    return res.status(400).json({ 
+      success: false, 
+      error: `Invalid stackId: ${stackId}` 
+    });
+  }
+
+  if (fullStack && !stackConfig.backend) {
+    return res.status(400).json({ 
+      success: false, 
+      error: `Stack ${stackId} has no backend tier, so it can't generate a full-stack project` 
+    });
+  }
+
+  let normalizedBrandKit;
   try {
-    console.log(`🏗️ Starting orchestrated project generation: ${projectName || userPrompt} (${stackId})`);
-    
-    // Get stack configuration
-    const stackConfig = getStackConfig(stackId);
-    if (!stackConfig) {
-      return res.status(400).json({ 
-        success: false, 
-        error: `Invalid stackId: ${stackId}` 
-      });
+    normalizedBrandKit = normalizeBrandKit(brandKit);
+  } catch (error) {
+    return res.status(error.status || 400).json({ success: false, error: error.message, errors: error.errors });
+  }
+  
+  console.log(`🏗️ Starting orchestrated project generation: ${projectName || userPrompt} (${stackId})`);
+  
+  // Create orchestration engine instance, checkpointed to disk after every file
+  const engine = new OrchestrationEngine(sessionId, engineClient(provider, req.clientId, noCache), stackConfig, {
+    sessionStore: generationSessions,
+    request: { provider, clientId: req.clientId, workspaceId: workspaceFor(req), brandKit: normalizedBrandKit, fullStack: !!fullStack },
+    onEvent: sessionEmitter(sessionId)
+  });
+
+  // An approved plan is checked against the file limit before anything is spent on it
+  if (plan) {
+    try {
+      engine.checkFileLimit(engine.normalizePlan(plan, projectName || userPrompt, userPrompt), budgetManager.getLimits(req.clientId).maxFilesPerProject);
+    } catch (error) {
+      if (sendBudgetError(res, error)) return;
+      throw error;
     }
-    
-    // Create orchestration engine instance
-    const engine = new OrchestrationEngine(sessionId, askClaude, stackConfig);
-    
+  }
+  
+  await runGeneration(res, engine, { clientId: req.clientId, sessionId, projectName: projectName || userPrompt, userPrompt, plan, concurrency });
+});
+
+// 🆕 NEW: Continue an interrupted, failed or cancelled generation from its last checkpoint
+app.post('/resume-generation/:sessionId', requireBudget, async (req, res) => {
+  const { sessionId } = req.params;
+  const { provider, concurrency, noCache } = req.body || {};
+  
+  const saved = generationSessions.load(sessionId);
+  if (!saved) {
+    return res.status(404).json({ 
+      success: false, 
+      error: `No saved generation found for session ${sessionId}` 
+    });
+  }
+
+  // Only the client that started a generation can resume it, and spend its budget on it
+  if (saved.request?.clientId !== req.clientId) {
+    return res.status(403).json({ 
+      success: false, 
+      error: `Session ${sessionId} belongs to another client` 
+    });
+  }
+
+  if (activeGenerations.has(sessionId) || saved.status === 'running') {
+    return res.status(409).json({ 
+      success: false, 
+      error: `A generation is already running for session ${sessionId}` 
+    });
+  }
+
+  if (saved.status === 'completed') {
+    return res.status(409).json({ 
+      success: false, 
+      error: `Generation for session ${sessionId} already completed` 
+    });
+  }
+
+  const resumeProvider = provider || saved.request?.provider;
+  if (resumeProvider && !hasProvider(resumeProvider)) {
+    return res.status(400).json({ 
+      success: false, 
+      error: `Invalid provider: ${resumeProvider}` 
+    });
+  }
+
+  const stackConfig = getStackConfig(saved.request?.stackId);
+  if (!stackConfig) {
+    return res.status(400).json({ 
+      success: false, 
+      error: `Invalid stackId: ${saved.request?.stackId}` 
+    });
+  }
+
+  console.log(`♻️  Resuming generation ${sessionId}: ${Object.keys(saved.generatedFiles || {}).length} files already done`);
+
+  const engine = new OrchestrationEngine(sessionId, engineClient(resumeProvider, req.clientId, noCache), stackConfig, {
+    sessionStore: generationSessions,
+    session: saved,
+    request: { provider: resumeProvider },
+    onEvent: sessionEmitter(sessionId)
+  });
+
+  await runGeneration(res, engine, {
+    clientId: req.clientId,
+    sessionId,
+    projectName: saved.request.projectName,
+    userPrompt: saved.request.userPrompt,
+    concurrency: concurrency ?? saved.request.concurrency
+  });
+});
+
+/**
+ * Run an engine's generation for an HTTP request, streaming progress to the session's Socket.IO room
+ */
+async function runGeneration(res, engine, { clientId, sessionId, projectName, userPrompt, plan, concurrency }) {
+  let releaseSlot;
+  try {
+    releaseSlot = budgetManager.startGeneration(clientId);
+  } catch (error) {
+    if (sendBudgetError(res, error)) return;
+    throw error;
+  }
+
+  if (sessionId) {
+    activeGenerations.set(sessionId, engine);
+  }
+  
+  let timeoutId;
+  try {
     // Enhanced progress tracking with WebSocket
     const progressCallback = (step, progress) => {
       console.log(`📊 Progress: ${Math.round(progress)}% - ${step}`);
@@ -419,7 +798,7 @@ app.post('/orchestrate-project', async (req, res) => {
     if (sessionId) {
       io.to(sessionId).emit('generation-started', {
         sessionId,
-        projectName: projectName || userPrompt,
+        projectName,
         timestamp: new Date().toISOString(),
         message: 'Project generation started'
       });
@@ -427,30 +806,58 @@ app.post('/orchestrate-project', async (req, res) => {
     
     // Generate project with enhanced timeout handling (10 minutes for enterprise generation)
     const result = await Promise.race([
-      engine.generateProject(projectName || userPrompt, userPrompt, progressCallback),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Generation timeout after 10 minutes')), 10 * 60 * 1000)
-      )
+      engine.generateProject(projectName, userPrompt, progressCallback, {
+        plan,
+        concurrency,
+        maxFiles: budgetManager.getLimits(clientId).maxFilesPerProject
+      }),
+      new Promise((_, reject) => {
+        timeoutId = setTimeout(() => {
+          engine.cancel('timeout');
+          reject(new Error('Generation timeout after 10 minutes'));
+        }, 10 * 60 * 1000);
+      })
     ]);
     
+    // Cancelled: return whatever was generated before the engine stopped
+    if (result?.cancelled) {
+      const fileCount = Object.keys(result.files).length;
+      console.log(`🛑 Orchestrated generation cancelled with ${fileCount} files`);
+      
+      if (sessionId) {
+        io.to(sessionId).emit('generation-cancelled', {
+          sessionId,
+          fileCount,
+          tokensUsed: result.totalTokensUsed,
+          usage: usageLedger.getSessionUsage(engine.sessionId),
+          timestamp: new Date().toISOString(),
+          message: 'Generation cancelled by user'
+        });
+        leaveSessionRoom(sessionId);
+      }
+      
+      return res.json({
+        success: true,
+        cancelled: true,
+        files: Object.entries(result.files).map(([path, content]) => ({
+          name: path,
+          content: content
+        })),
+        plan: result.projectPlan,
+        tokensUsed: result.totalTokensUsed,
+        usage: usageLedger.getSessionUsage(engine.sessionId),
+        sessionId: engine.sessionId
+      });
+    }
+    
     // Check if generation was successful by looking for files in the result
     if (result && result.files && Object.keys(result.files).length > 0) {
       console.log(`✅ Orchestrated generation successful: ${Object.keys(result.files).length} files`);
       
-      // Debug token tracking values
-      console.log('🔍 Token tracking debug:');
-      console.log('  - result.tokensUsed:', result.tokensUsed);
-      console.log('  - engine.totalTokensUsed:', engine.totalTokensUsed);
-      console.log('  - typeof result.tokensUsed:', typeof result.tokensUsed);
-      console.log('  - typeof engine.totalTokensUsed:', typeof engine.totalTokensUsed);
-      
-      // Extract token usage from engine - prioritize actual tracking
-      const actualTokens = result.tokensUsed !== undefined ? result.tokensUsed : engine.totalTokensUsed;
-      const tokensUsed = (actualTokens !== undefined && actualTokens > 0) ? actualTokens : Math.max(1000, Object.keys(result.files).length * 200);
-      
-      console.log(`🪙 Final token calculation:`);
-      console.log(`  - actualTokens: ${actualTokens}`);
-      console.log(`  - tokensUsed (final): ${tokensUsed}`);
+      // Input + output tokens across every call this session made (including any before a resume)
+      const tokensUsed = result.totalTokensUsed;
+      const usage = usageLedger.getSessionUsage(engine.sessionId);
+      console.log(`🪙 Generation used ${tokensUsed} tokens ($${(usage?.cost || 0).toFixed(4)})`);
       
       // Emit completion event
       if (sessionId) {
@@ -458,6 +865,7 @@ app.post('/orchestrate-project', async (req, res) => {
           success: true,
           fileCount: Object.keys(result.files).length,
           tokensUsed,
+          usage,
           sessionId,
           timestamp: new Date().toISOString()
         });
@@ -469,12 +877,21 @@ app.post('/orchestrate-project', async (req, res) => {
           name: path,
           content: content
         })),
+        plan: result.projectPlan,
         tokensUsed: tokensUsed,
-        sessionId: sessionId
+        usage,
+        validation: result.projectValidation && {
+          score: result.projectValidation.score,
+          passed: result.projectValidation.passed,
+          issues: result.projectValidation.issues,
+          recommendations: result.projectValidation.recommendations
+        },
+        blueprintErrors: result.blueprintErrors,
+        sessionId: engine.sessionId
       });
     } else {
       console.log(`❌ Orchestrated generation failed:`, result?.errors || 'No files generated');
-      const errorTokens = result?.tokensUsed !== undefined ? result.tokensUsed : engine.totalTokensUsed || 0;
+      const errorTokens = engine.session.totalTokensUsed;
       
       // Emit error event
       if (sessionId) {
@@ -492,34 +909,58 @@ app.post('/orchestrate-project', async (req, res) => {
         error: result?.errors?.[0] || 'Project generation failed - no files generated',
         details: result?.errors || ['Generation completed but no files were created'],
         tokensUsed: errorTokens,
-        sessionId: sessionId
+        sessionId: engine.sessionId
       });
     }
     
   } catch (error) {
     console.error('🚨 Orchestration error:', error);
+    engine.checkpoint('failed');
     
     // Emit error event
     if (sessionId) {
       io.to(sessionId).emit('generation-error', {
         success: false,
         error: error instanceof Error ? error.message : 'Unknown orchestration error',
+        budget: error?.budget,
         sessionId,
         timestamp: new Date().toISOString()
       });
     }
     
+    // Out of budget mid-run: hand back the finished files; the session can be resumed once the budget resets
+    if (isBudgetError(error)) {
+      return res.status(429).json({
+        success: false,
+        error: error.message,
+        budget: error.budget,
+        files: Object.entries(engine.session.generatedFiles).map(([path, content]) => ({
+          name: path,
+          content: content
+        })),
+        tokensUsed: engine.session.totalTokensUsed,
+        resumable: error.budget?.dailyTokens.remaining === 0,
+        sessionId: engine.sessionId
+      });
+    }
+    
     res.status(500).json({ 
       success: false, 
       error: error instanceof Error ? error.message : 'Unknown orchestration error',
-      sessionId: sessionId
+      sessionId: engine.sessionId
     });
+  } finally {
+    releaseSlot();
+    clearTimeout(timeoutId);
+    if (sessionId) {
+      activeGenerations.delete(sessionId);
+    }
   }
-});
+}
 
 // 🆕 NEW ARCHITECTURE: Generic chat endpoint for OrchestrationEngine
-app.post('/chat', async (req, res) => {
-  const { prompt, maxTokens = 2048 } = req.body;
+app.post('/chat', requireBudget, async (req, res) => {
+  const { prompt, maxTokens = 2048, system, provider, noCache } = req.body;
   
   if (!prompt || typeof prompt !== 'string') {
     return res.status(400).json({ 
@@ -531,7 +972,7 @@ app.post('/chat', async (req, res) => {
   try {
     console.log(`🤖 Claude request: ${prompt.substring(0, 100)}...`);
     
-    const { output, tokensUsed } = await askClaude(prompt, maxTokens);
+    const { output, tokensUsed } = await askClaude(prompt, maxTokens, { system, provider, noCache, clientId: req.clientId });
     
     console.log(`✅ Claude responded: ${output.length} chars, ${tokensUsed} tokens`);
     
@@ -541,6 +982,7 @@ app.post('/chat', async (req, res) => {
       tokensUsed
     });
   } catch (err) {
+    if (sendBudgetError(res, err)) return;
     console.error('❌ Claude chat error:', err);
     res.status(500).json({ 
       success: false, 
@@ -550,8 +992,8 @@ app.post('/chat', async (req, res) => {
 });
 
 // 🆕 NEW ARCHITECTURE: Step-by-step project generation using OrchestrationEngine
-app.post('/generate-project', async (req, res) => {
-  const { prompt } = req.body;
+app.post('/generate-project', requireBudget, async (req, res) => {
+  const { prompt, provider, noCache } = req.body;
   
   if (!prompt || typeof prompt !== 'string') {
     return res.status(400).json({ 
@@ -560,14 +1002,17 @@ app.post('/generate-project', async (req, res) => {
     });
   }
   
+  // Counts against the same concurrent-generation and files-per-project limits as /orchestrate-project
+  let releaseSlot;
   try {
+    releaseSlot = budgetManager.startGeneration(req.clientId);
     console.log(`🚀 Starting step-by-step generation: ${prompt.substring(0, 100)}...`);
     
     // Parse project name from prompt for better organization
     const projectName = prompt.split(' ').slice(0, 3).join(' ');
     
     // Use React + Vite + Tailwind stack for all projects
-    const engine = new OrchestrationEngine('react-vite-tailwind', askClaude);
+    const engine = new OrchestrationEngine(null, engineClient(provider, req.clientId, noCache), getStackConfig('react-vite-tailwind'));
     
     // Progress callback for logging
     const progressCallback = (step, progress) => {
@@ -575,16 +1020,17 @@ app.post('/generate-project', async (req, res) => {
     };
     
     // Generate project using step-by-step approach
-    const result = await engine.generateProject(projectName, prompt, progressCallback);
+    const result = await engine.generateProject(projectName, prompt, progressCallback, {
+      maxFiles: budgetManager.getLimits(req.clientId).maxFilesPerProject
+    });
     
     // Check if generation was successful by looking for files in the result
     if (result && result.files && Object.keys(result.files).length > 0) {
       console.log(`✅ Step-by-step generation successful: ${Object.keys(result.files).length} files`);
       
       // Get actual tokens used from the orchestration engine
-      const actualTokens = result.tokensUsed || engine.totalTokensUsed || 0;
-      const tokensUsed = actualTokens > 0 ? actualTokens : Math.max(1000, Object.keys(result.files).length * 200);
-      console.log(`🪙 Project generation used ${tokensUsed} tokens (actual: ${actualTokens}, engine: ${engine.totalTokensUsed})`);
+      const tokensUsed = engine.session.totalTokensUsed;
+      console.log(`🪙 Project generation used ${tokensUsed} tokens`);
       
       res.json({
         success: true,
@@ -604,16 +1050,19 @@ app.post('/generate-project', async (req, res) => {
     }
     
   } catch (error) {
+    if (sendBudgetError(res, error)) return;
     console.error('🚨 Step-by-step generation error:', error);
     res.status(500).json({ 
       success: false, 
       error: error instanceof Error ? error.message : 'Unknown generation error'
     });
+  } finally {
+    releaseSlot?.();
   }
 });
 
-app.post('/smart-edit', async (req, res) => {
-  const { userPrompt, availableFiles } = req.body;
+app.post('/smart-edit', requireBudget, async (req, res) => {
+  const { userPrompt, availableFiles, provider, sessionId, noCache } = req.body;
   
   try {
     // Find best file to edit
@@ -622,7 +1071,7 @@ app.post('/smart-edit', async (req, res) => {
     // Create edit prompt
     const editPrompt = buildEditPrompt(userPrompt, targetFile);
     
-    const { output, tokensUsed } = await askClaude(editPrompt);
+    const { output, tokensUsed } = await askClaude(editPrompt, 2048, { provider, noCache, clientId: req.clientId, meta: { phase: 'edit', filePath: targetFile.path, sessionId } });
     
     res.json({
       success: true,
@@ -632,6 +1081,7 @@ app.post('/smart-edit', async (req, res) => {
       tokensUsed
     });
   } catch (err) {
+    if (sendBudgetError(res, err)) return;
     res.status(500).json({ success: false, error: ' failed to edit file' });
   }
 });
@@ -659,95 +1109,49 @@ app.post('/save', (req, res) => {
   res.send({ success: true });
 });
 
-// Enhanced askClaude function with rate limiting and retry logic
-async function askClaude(prompt, max_tokens = 2048, retryCount = 0) {
-  const maxRetries = 3;
-  const baseDelay = 2000;
+// Route every completion through the selected LLM provider (request option or LLM_PROVIDER)
+async function askClaude(prompt, max_tokens = 2048, options = {}) {
+  const provider = getProvider(options.provider);
 
   try {
-    const result = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': process.env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens,
-        messages: [{ role: 'user', content: prompt }]
-      })
-    });
-
-    // Retry if 500 error
-    if (result.status >= 500) {
-      if (retryCount < maxRetries) {
-        const delay = baseDelay * (retryCount + 1);
-        console.warn(`🔁 Claude 500 error, retrying in ${delay}ms...`);
-        await new Promise(r => setTimeout(r, delay));
-        return askClaude(prompt, max_tokens, retryCount + 1);
-      } else {
-        throw new Error(`Claude API failed after retries: ${result.status} ${result.statusText}`);
-      }
-    }
-
-    if (!result.ok) {
-      const errorText = await result.text();
-      console.error('❌ Error details:', errorText);
-      
-      // Parse error response for better error messages
-      let errorMessage = `Claude API failed: ${result.status} ${result.statusText}`;
-      
-      try {
-        const errorData = JSON.parse(errorText);
-        if (errorData.error?.message) {
-          errorMessage = errorData.error.message;
-        }
-        
-        // Handle specific error types
-        if (errorData.error?.type === 'invalid_request_error') {
-          if (errorData.error.message.includes('credit balance is too low')) {
-            errorMessage = 'Claude API credit balance is too low. Please upgrade your plan or purchase credits.';
-          } else if (errorData.error.message.includes('rate limit')) {
-            errorMessage = 'Claude API rate limit exceeded. Please try again later.';
-          } else if (errorData.error.message.includes('invalid api key')) {
-            errorMessage = 'Invalid Claude API key. Please check your configuration.';
-          }
-        }
-      } catch (parseError) {
-        // If we can't parse the error, use the raw text
-        if (errorText.includes('credit balance is too low')) {
-          errorMessage = 'Claude API credit balance is too low. Please upgrade your plan or purchase credits.';
-        } else if (errorText.includes('rate limit')) {
-          errorMessage = 'Claude API rate limit exceeded. Please try again later.';
-        } else if (errorText.includes('invalid api key')) {
-          errorMessage = 'Invalid Claude API key. Please check your configuration.';
-        }
-      }
-      
-      throw new Error(errorMessage);
-    }
-
-    const raw = await result.json();
-    const output = raw.content?.[0]?.text || '';
-    const tokensUsed = raw.usage?.output_tokens || 0;
-
-    return { output, tokensUsed };
-
+    return await meteredComplete(provider, {
+      prompt,
+      maxTokens: max_tokens,
+      system: options.system,
+      meta: options.meta,
+      signal: options.signal,
+      onChunk: options.onChunk,
+      noCache: options.noCache
+    }, { clientId: options.clientId });
   } catch (error) {
-    console.error('❌ Claude API crashed:', error);
+    if (!isAbortError(error)) {
+      console.error(`❌ ${provider.label} API crashed:`, error);
+    }
     throw error;
   }
 }
 
+// Completion function handed to OrchestrationEngine, bound to the request's provider
+function engineClient(provider, clientId, noCache = false) {
+  return (prompt, maxTokens, meta, options = {}) => askClaude(prompt, maxTokens, { provider, clientId, noCache, meta, signal: options.signal, onChunk: options.onChunk });
+}
+
+// Budget errors are reported as 429 with the caller's remaining budget
+function sendBudgetError(res, error) {
+  if (!isBudgetError(error)) return false;
+  res.status(429).json({ success: false, error: error.message, budget: error.budget });
+  return true;
+}
+
 // Legacy endpoint for direct Claude calls
-app.post('/claude', async (req, res) => {
-  const { prompt } = req.body;
+app.post('/claude', requireBudget, async (req, res) => {
+  const { prompt, provider, noCache } = req.body;
   try {
-    const { output, tokensUsed } = await askClaude(prompt, 1024);
+    const { output, tokensUsed } = await askClaude(prompt, 1024, { provider, noCache, clientId: req.clientId });
     console.log('✅ Claude responded');
     res.json({ success: true, output, tokensUsed });
   } catch (err) {
+    if (sendBudgetError(res, err)) return;
     console.error('Claude API error:', err);
     res.status(500).json({ success: false, error: 'Claude request failed' });
   }
@@ -809,81 +1213,77 @@ function cleanClaudeResponse(raw) {
 }
 // Add this after your other routes
 app.get('/api-status', async (req, res) => {
+  const { provider: providerName } = req.query;
+  if (providerName && !hasProvider(providerName)) {
+    return res.status(400).json({ 
+      success: false, 
+      error: `Invalid provider: ${providerName}` 
+    });
+  }
+
   try {
-    // Check if API key is available
-    const hasApiKey = !!process.env.ANTHROPIC_API_KEY;
-    
-    if (!hasApiKey) {
+    // The provider generations would use (LLM_PROVIDER, or ?provider=)
+    const provider = getProvider(providerName);
+    const status = { provider: provider.name, model: provider.model };
+
+    if (!provider.isConfigured()) {
       return res.json({
         success: false,
         status: 'no_api_key',
-        message: 'No Claude API key configured',
-        instructions: 'Please set ANTHROPIC_API_KEY in your environment variables'
+        ...status,
+        message: `${provider.label} is not configured`,
+        instructions: 'Please set the API key (or URL) for your LLM_PROVIDER in your environment variables'
       });
     }
 
-    // Test a minimal API call to check credit status
+    // Test a minimal completion to check the key and credit status
     try {
-      const testResult = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': process.env.ANTHROPIC_API_KEY,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model: 'claude-3-5-sonnet-20241022',
-          max_tokens: 10,
-          messages: [{ role: 'user', content: 'Hello' }]
-        })
+      await provider.complete({ prompt: 'Hello', maxTokens: 10, noCache: true });
+      return res.json({
+        success: true,
+        status: 'api_working',
+        ...status,
+        message: `${provider.label} API is working correctly`
       });
-
-      if (testResult.ok) {
+    } catch (apiError) {
+      const { message } = apiError;
+      if (message.includes('credit balance is too low')) {
         return res.json({
-          success: true,
-          status: 'api_working',
-          message: 'Claude API is working correctly',
-          apiKey: process.env.ANTHROPIC_API_KEY ? 'Configured' : 'Missing'
+          success: false,
+          status: 'insufficient_credits',
+          ...status,
+          message: `${provider.label} API credit balance is too low`,
+          instructions: 'Please upgrade your plan or purchase credits with your provider',
+          errorDetails: message
+        });
+      }
+      if (/invalid .*api key/i.test(message)) {
+        return res.json({
+          success: false,
+          status: 'invalid_api_key',
+          ...status,
+          message: `Invalid ${provider.label} API key`,
+          instructions: 'Please check the API key for your LLM_PROVIDER',
+          errorDetails: message
+        });
+      }
+      if (/API failed|rate limit/.test(message)) {
+        return res.json({
+          success: false,
+          status: 'api_error',
+          ...status,
+          message: `${provider.label} API error`,
+          instructions: 'Please check the error details below',
+          errorDetails: message
         });
-      } else {
-        const errorText = await testResult.text();
-        
-        if (errorText.includes('credit balance is too low')) {
-          return res.json({
-            success: false,
-            status: 'insufficient_credits',
-            message: 'Claude API credit balance is too low',
-            instructions: 'Please go to Anthropic Plans & Billing to upgrade or purchase credits',
-            errorCode: testResult.status,
-            errorDetails: errorText
-          });
-        } else if (errorText.includes('invalid api key')) {
-          return res.json({
-            success: false,
-            status: 'invalid_api_key',
-            message: 'Invalid Claude API key',
-            instructions: 'Please check your ANTHROPIC_API_KEY configuration',
-            errorCode: testResult.status,
-            errorDetails: errorText
-          });
-        } else {
-          return res.json({
-            success: false,
-            status: 'api_error',
-            message: 'Claude API error',
-            instructions: 'Please check the error details below',
-            errorCode: testResult.status,
-            errorDetails: errorText
-          });
-        }
       }
-    } catch (apiError) {
       return res.json({
         success: false,
         status: 'api_connection_error',
-        message: 'Failed to connect to Claude API',
-        instructions: 'Please check your internet connection and API key',
-        error: apiError.message
+        ...status,
+        message: `Failed to connect to ${provider.label} API`,
+        instructions: 'Please check your internet connection and provider configuration',
+        error: message
       });
     }
   } catch (error) {
@@ -919,21 +1319,22 @@ app.get('/cors-test', (req, res) => {
   });
 });
 
-app.post('/claude-project', async (req, res) => {
-  const { projectPath } = req.body;
+app.post('/claude-project', requireBudget, async (req, res) => {
+  const { projectPath, provider, noCache } = req.body;
   try {
     const prompt = buildClaudeProjectPrompt(projectPath);
-    const { output, tokensUsed } = await askClaude(prompt, 2048);
+    const { output, tokensUsed } = await askClaude(prompt, 2048, { provider, noCache, clientId: req.clientId });
     res.json({ success: true, output, tokensUsed });
   } catch (err) {
+    if (sendBudgetError(res, err)) return;
     console.error('Claude project refactor error:', err);
     res.status(500).json({ success: false, error: 'Claude failed to analyze project' });
   }
 });
 
 // 🆕 NEW ARCHITECTURE: Simplified file editing for OrchestrationEngine
-app.post('/edit-file', async (req, res) => {
-  const { prompt, filePath, currentContent, maxTokens = 2048 } = req.body;
+app.post('/edit-file', requireBudget, async (req, res) => {
+  const { prompt, filePath, currentContent, maxTokens = 2048, provider, sessionId, noCache } = req.body;
 
   if (!prompt || !filePath || !currentContent) {
     return res.status(400).json({ 
@@ -958,7 +1359,7 @@ Important: Return ONLY the updated code. Do not include explanations, markdown f
 
 Make minimal, focused changes that directly address the user's request while preserving the existing code structure and style.`;
 
-    const { output, tokensUsed } = await askClaude(editPrompt, maxTokens);
+    const { output, tokensUsed } = await askClaude(editPrompt, maxTokens, { provider, noCache, clientId: req.clientId, meta: { phase: 'edit', filePath, sessionId } });
 
     res.json({
       success: true,
@@ -967,6 +1368,7 @@ Make minimal, focused changes that directly address the user's request while pre
       tokensUsed
     });
   } catch (err) {
+    if (sendBudgetError(res, err)) return;
     console.error('❌ edit-file error:', err);
     res.status(500).json({ 
       success: false, 
@@ -976,9 +1378,11 @@ Make minimal, focused changes that directly address the user's request while pre
 });
 
 const enhancedAPI = new EnhancedBackendAPI();
-const buildValidationAPI = new BuildValidationAPI();
+const buildValidationAPI = new BuildValidationAPI({ retentionMs: SESSION_RETENTION_HOURS * 60 * 60 * 1000 });
 
 enhancedAPI.setupRoutes(app);
+// Build fixes spend tokens too
+app.post('/api/validate-build', requireBudget);
 buildValidationAPI.setupRoutes(app);
 
 const PORT = process.env.PORT || 3001;
@@ -987,6 +1391,7 @@ const PORT = process.env.PORT || 3001;
 server.listen(PORT, () => {
   console.log(`🚀 NEW ARCHITECTURE: Claude backend running on port ${PORT}`);
   console.log(`🔗 Supporting OrchestrationEngine + StackConfigs`);
+  console.log(`🤖 LLM provider: ${DEFAULT_PROVIDER} (available: ${getAvailableProviders().join(', ')})`);
   console.log(`📡 CORS enabled for localhost, code.zapq.dev, and all Vercel deployments`);
   console.log(`🧩 Available stacks: ${getAllStacks().length}`);
   console.log(`🔧 WebContainer Build Validation System Ready`);
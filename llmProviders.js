@@ -0,0 +1,360 @@
+/**
+ * LLM Provider Layer
+ * Every completion in the server goes through one of these adapters via complete({ prompt, maxTokens, system, meta, signal, onChunk, noCache })
+ * onChunk receives output text as it is produced; providers that can't stream call it once with the whole output
+ *
+ * Results are { output, inputTokens, outputTokens, tokensUsed, provider, model }, where tokensUsed = input + output
+ */
+
+import fetch from 'node-fetch';
+import { MockProvider, RecordingProvider } from './mockProvider.js';
+import { CachedProvider, responseCache } from './responseCache.js';
+import { RateLimiter, limitFromEnv, sleep, createAbortError } from './concurrency.js';
+
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 2000;
+
+function withUsage(result, inputTokens = 0, outputTokens = 0) {
+  return { ...result, inputTokens, outputTokens, tokensUsed: inputTokens + outputTokens };
+}
+
+/**
+ * Turn a failed provider response into a readable error message
+ */
+function describeProviderError(label, response, errorText) {
+  let errorMessage = `${label} API failed: ${response.status} ${response.statusText}`;
+  let message = errorText;
+
+  try {
+    const errorData = JSON.parse(errorText);
+    if (errorData.error?.message) {
+      errorMessage = errorData.error.message;
+      message = errorData.error.message;
+    }
+  } catch (parseError) {
+    // If we can't parse the error, match against the raw text
+  }
+
+  // Handle specific error types
+  if (message.includes('credit balance is too low')) {
+    errorMessage = `${label} API credit balance is too low. Please upgrade your plan or purchase credits.`;
+  } else if (message.includes('rate limit')) {
+    errorMessage = `${label} API rate limit exceeded. Please try again later.`;
+  } else if (message.toLowerCase().includes('invalid api key')) {
+    errorMessage = `Invalid ${label} API key. Please check your configuration.`;
+  }
+
+  return errorMessage;
+}
+
+/**
+ * POST JSON to a provider endpoint, retrying 5xx responses with a linear backoff.
+ * An aborted signal cancels the in-flight request and any pending retry.
+ * Resolves to the parsed JSON body, or the raw response when streaming.
+ */
+async function postWithRetry(url, headers, body, { label, maxRetries, retryDelay }, signal, stream = false) {
+  for (let retryCount = 0; ; retryCount++) {
+    if (signal?.aborted) {
+      throw createAbortError();
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    // Rate limited: honour Retry-After before trying again
+    if (response.status === 429 && retryCount < maxRetries) {
+      const retryAfter = parseFloat(response.headers.get('retry-after'));
+      const delay = Number.isFinite(retryAfter) ? retryAfter * 1000 : retryDelay * (retryCount + 1);
+      console.warn(`⏳ ${label} rate limited, retrying in ${delay}ms...`);
+      await sleep(delay, signal);
+      continue;
+    }
+
+    // Retry if 500 error
+    if (response.status >= 500) {
+      if (retryCount < maxRetries) {
+        const delay = retryDelay * (retryCount + 1);
+        console.warn(`🔁 ${label} ${response.status} error, retrying in ${delay}ms...`);
+        await sleep(delay, signal);
+        continue;
+      }
+      throw new Error(`${label} API failed after retries: ${response.status} ${response.statusText}`);
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('❌ Error details:', errorText);
+      throw new Error(describeProviderError(label, response, errorText));
+    }
+
+    return stream ? response : response.json();
+  }
+}
+
+/**
+ * Yield the data payload of each server-sent event in a streaming response body
+ */
+async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer = (buffer + decoder.decode(chunk, { stream: true })).replace(/\r\n/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const data = rawEvent
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+      if (data) yield data;
+    }
+  }
+}
+
+/**
+ * Anthropic Messages API
+ */
+export class AnthropicProvider {
+  constructor(config = {}) {
+    this.name = 'anthropic';
+    this.label = 'Claude';
+    this.apiKey = config.apiKey || process.env.ANTHROPIC_API_KEY;
+    this.model = config.model || process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20241022';
+    this.baseUrl = config.baseUrl || process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1';
+    this.maxRetries = config.maxRetries ?? DEFAULT_MAX_RETRIES;
+    this.retryDelay = config.retryDelay ?? DEFAULT_RETRY_DELAY;
+    this.limiter = new RateLimiter({
+      maxConcurrent: config.maxConcurrent ?? limitFromEnv('ANTHROPIC_MAX_CONCURRENCY', 4),
+      requestsPerMinute: config.requestsPerMinute ?? limitFromEnv('ANTHROPIC_REQUESTS_PER_MINUTE', 50)
+    });
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async complete({ prompt, maxTokens = 2048, system, signal, onChunk }) {
+    if (!this.apiKey) {
+      throw new Error('ANTHROPIC_API_KEY is not configured. Set it, or run with LLM_PROVIDER=mock for offline generation.');
+    }
+
+    const body = {
+      model: this.model,
+      max_tokens: maxTokens,
+      messages: [{ role: 'user', content: prompt }]
+    };
+    if (system) body.system = system;
+    if (onChunk) body.stream = true;
+
+    const headers = {
+      'x-api-key': this.apiKey,
+      'anthropic-version': '2023-06-01'
+    };
+
+    if (onChunk) {
+      return this.limiter.run(async () => {
+        const response = await postWithRetry(`${this.baseUrl}/messages`, headers, body, this, signal, true);
+        return this.readStream(response, onChunk);
+      }, signal);
+    }
+
+    const raw = await this.limiter.run(() => postWithRetry(`${this.baseUrl}/messages`, headers, body, this, signal), signal);
+
+    return withUsage({
+      output: raw.content?.[0]?.text || '',
+      provider: this.name,
+      model: this.model
+    }, raw.usage?.input_tokens, raw.usage?.output_tokens);
+  }
+
+  async readStream(response, onChunk) {
+    let output = '';
+    let inputTokens = 0;
+    let outputTokens = 0;
+
+    for await (const data of readServerSentEvents(response.body)) {
+      const event = JSON.parse(data);
+      if (event.type === 'content_block_delta' && event.delta?.text) {
+        output += event.delta.text;
+        onChunk(event.delta.text);
+      } else if (event.type === 'message_start') {
+        inputTokens = event.message?.usage?.input_tokens ?? inputTokens;
+      } else if (event.type === 'message_delta') {
+        outputTokens = event.usage?.output_tokens ?? outputTokens;
+      } else if (event.type === 'error') {
+        throw new Error(`${this.label} stream failed: ${event.error?.message || 'unknown error'}`);
+      }
+    }
+
+    return withUsage({ output, provider: this.name, model: this.model }, inputTokens, outputTokens);
+  }
+}
+
+/**
+ * Any endpoint speaking the OpenAI chat completions protocol (OpenAI, Azure, vLLM, LM Studio, ...)
+ */
+export class OpenAICompatibleProvider {
+  constructor(config = {}) {
+    this.name = 'openai';
+    this.label = 'OpenAI';
+    this.apiKey = config.apiKey || process.env.OPENAI_API_KEY;
+    this.model = config.model || process.env.OPENAI_MODEL || 'gpt-4o';
+    this.baseUrl = config.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+    this.maxRetries = config.maxRetries ?? DEFAULT_MAX_RETRIES;
+    this.retryDelay = config.retryDelay ?? DEFAULT_RETRY_DELAY;
+    this.limiter = new RateLimiter({
+      maxConcurrent: config.maxConcurrent ?? limitFromEnv('OPENAI_MAX_CONCURRENCY', 8),
+      requestsPerMinute: config.requestsPerMinute ?? limitFromEnv('OPENAI_REQUESTS_PER_MINUTE', 500)
+    });
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async complete({ prompt, maxTokens = 2048, system, signal, onChunk }) {
+    const messages = [];
+    if (system) messages.push({ role: 'system', content: system });
+    messages.push({ role: 'user', content: prompt });
+
+    const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    const body = {
+      model: this.model,
+      max_tokens: maxTokens,
+      messages
+    };
+
+    if (onChunk) {
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+      return this.limiter.run(async () => {
+        const response = await postWithRetry(`${this.baseUrl}/chat/completions`, headers, body, this, signal, true);
+        return this.readStream(response, onChunk);
+      }, signal);
+    }
+
+    const raw = await this.limiter.run(() => postWithRetry(`${this.baseUrl}/chat/completions`, headers, body, this, signal), signal);
+
+    return withUsage({
+      output: raw.choices?.[0]?.message?.content || '',
+      provider: this.name,
+      model: this.model
+    }, raw.usage?.prompt_tokens, raw.usage?.completion_tokens);
+  }
+
+  async readStream(response, onChunk) {
+    let output = '';
+    let usage = {};
+
+    for await (const data of readServerSentEvents(response.body)) {
+      if (data === '[DONE]') break;
+      const event = JSON.parse(data);
+      const text = event.choices?.[0]?.delta?.content;
+      if (text) {
+        output += text;
+        onChunk(text);
+      }
+      if (event.usage) {
+        usage = event.usage;
+      }
+    }
+
+    return withUsage({ output, provider: this.name, model: this.model }, usage.prompt_tokens, usage.completion_tokens);
+  }
+}
+
+/**
+ * Minimal local HTTP stand-in: POST { prompt, max_tokens, system } and read back { output, tokensUsed }
+ */
+export class LocalHTTPProvider {
+  constructor(config = {}) {
+    this.name = 'local';
+    this.label = 'Local LLM';
+    this.url = config.url || process.env.LOCAL_LLM_URL || 'http://127.0.0.1:8787/complete';
+    this.model = config.model || process.env.LOCAL_LLM_MODEL || 'local';
+    this.maxRetries = config.maxRetries ?? 0;
+    this.retryDelay = config.retryDelay ?? DEFAULT_RETRY_DELAY;
+    // Local models usually serve one request at a time
+    this.limiter = new RateLimiter({
+      maxConcurrent: config.maxConcurrent ?? limitFromEnv('LOCAL_LLM_MAX_CONCURRENCY', 1)
+    });
+  }
+
+  isConfigured() {
+    return !!this.url;
+  }
+
+  async complete({ prompt, maxTokens = 2048, system, signal, onChunk }) {
+    const raw = await this.limiter.run(() => postWithRetry(this.url, {}, {
+      model: this.model,
+      prompt,
+      max_tokens: maxTokens,
+      system
+    }, this, signal), signal);
+
+    const output = raw.output ?? raw.text ?? raw.response ?? '';
+    // No streaming protocol here: deliver the whole output as one chunk
+    if (onChunk && output) onChunk(output);
+
+    // Servers that only report one number are treated as reporting output tokens
+    return withUsage({
+      output,
+      provider: this.name,
+      model: raw.model || this.model
+    }, raw.inputTokens ?? raw.usage?.input_tokens ?? raw.usage?.prompt_tokens, raw.outputTokens ?? raw.tokensUsed ?? raw.usage?.output_tokens ?? raw.usage?.completion_tokens);
+  }
+}
+
+const PROVIDER_FACTORIES = {
+  anthropic: config => new AnthropicProvider(config),
+  openai: config => new OpenAICompatibleProvider(config),
+  local: config => new LocalHTTPProvider(config),
+  mock: config => new MockProvider(config)
+};
+
+const providerInstances = new Map();
+
+export function getDefaultProviderName() {
+  return process.env.LLM_PROVIDER || 'anthropic';
+}
+
+export function getAvailableProviders() {
+  return Object.keys(PROVIDER_FACTORIES);
+}
+
+export function hasProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDER_FACTORIES, name);
+}
+
+/**
+ * Get the (cached) provider instance by name, defaulting to LLM_PROVIDER
+ */
+export function getProvider(name = getDefaultProviderName()) {
+  const providerName = name || getDefaultProviderName();
+
+  if (!hasProvider(providerName)) {
+    throw new Error(`Unknown LLM provider: ${providerName}. Available: ${getAvailableProviders().join(', ')}`);
+  }
+
+  if (!providerInstances.has(providerName)) {
+    let provider = PROVIDER_FACTORIES[providerName]();
+    // LLM_RECORD_FIXTURES=true captures real completions for byte-for-byte replay by the mock provider
+    if (process.env.LLM_RECORD_FIXTURES === 'true' && providerName !== 'mock') {
+      provider = new RecordingProvider(provider);
+    }
+    // Repeated prompts are served from the on-disk response cache (RESPONSE_CACHE=false disables it)
+    if (responseCache.enabled && providerName !== 'mock') {
+      provider = new CachedProvider(provider, responseCache);
+    }
+    providerInstances.set(providerName, provider);
+  }
+  return providerInstances.get(providerName);
+}
@@ -0,0 +1,650 @@
+/**
+ * Mock LLM Provider + Fixture Recorder
+ * Deterministic offline completions for CI, replayed from recorded fixtures when available
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createAbortError } from './concurrency.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export function getFixturesDir() {
+  return process.env.LLM_FIXTURES_DIR || path.join(__dirname, 'fixtures', 'llm');
+}
+
+/**
+ * Stable hash of everything that influences a completion
+ */
+export function hashPrompt({ prompt, maxTokens = 2048, system = '' }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([prompt, maxTokens, system || '']))
+    .digest('hex');
+}
+
+/**
+ * Work out the blueprint/fileType a prompt was built for when the caller didn't say
+ */
+function describePrompt(prompt, meta = {}) {
+  const header = prompt.match(/^Generate an? (.+?) named (\S+)/);
+  return {
+    blueprint: meta.blueprint || header?.[2] || null,
+    fileType: meta.fileType || header?.[1] || null,
+    stack: meta.stack || null,
+    phase: meta.phase || null,
+    step: meta.step || null
+  };
+}
+
+// Fallback key for a fixture: a React Button and a Vue Button, or a generated and a retried file, are different fixtures
+function fixtureKey(stack, phase, name) {
+  return JSON.stringify([stack || null, phase || null, name]);
+}
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Simulate a streamed completion by delivering the output one line at a time
+ */
+function streamLines(output, onChunk) {
+  if (!onChunk) return;
+  for (const line of output.match(/[^\n]*\n|[^\n]+/g) || []) {
+    onChunk(line);
+  }
+}
+
+function toComponentName(name) {
+  const cleaned = String(name || 'Component').replace(/[^A-Za-z0-9]/g, '');
+  return cleaned.charAt(0).toUpperCase() + cleaned.slice(1) || 'Component';
+}
+
+/**
+ * Pull the first fenced code block out of an edit/fix prompt (the current file contents)
+ */
+function extractFencedContent(prompt) {
+  const match = prompt.match(/```[\w-]*\n([\s\S]*?)\n?```/);
+  return match ? match[1] : null;
+}
+
+function cannedComponent(name, { client = false } = {}) {
+  const component = toComponentName(name);
+  return `${client ? "'use client';\n\n" : ''}import React, { memo } from 'react';
+import { motion } from 'framer-motion';
+
+interface ${component}Props {
+  title?: string;
+  className?: string;
+}
+
+const ${component} = memo(function ${component}({ title = '${component}', className = '' }: ${component}Props) {
+  return (
+    <motion.section
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      aria-label={title}
+      className={\`px-4 py-12 sm:px-6 md:py-16 lg:px-8 bg-gradient-to-r from-blue-600 to-purple-600 backdrop-blur-lg shadow-lg transition-all duration-300 dark:from-blue-800 dark:to-purple-800 \${className}\`}
+    >
+      <h2 className="text-2xl md:text-4xl font-bold text-white">{title}</h2>
+      <button
+        type="button"
+        className="mt-6 rounded-lg bg-white/10 px-4 py-2 text-white hover:bg-white/20 focus:outline-none focus:ring-2 focus:ring-white"
+      >
+        Get started
+      </button>
+    </motion.section>
+  );
+});
+
+export default ${component};
+`;
+}
+
+/**
+ * A Next.js App Router page: a server component with metadata that renders the sections the prompt lists
+ */
+function cannedNextPage(name, prompt) {
+  const component = toComponentName(name);
+  const sections = prompt.match(/rendered in this order: ([\w, ]+)\./)?.[1].split(', ') || [];
+  const importPath = prompt.match(/default import from '([^']+)\/<Name>'/)?.[1] || '@/components/sections';
+  const imports = sections.map(section => `import ${section} from '${importPath}/${section}';\n`).join('');
+  const body = sections.length > 0
+    ? sections.map(section => `      <${section} />`).join('\n')
+    : `      <section aria-labelledby="${component}-title" className="mx-auto max-w-5xl">
+        <h1 id="${component}-title" className="text-3xl md:text-5xl font-bold">${component}</h1>
+      </section>`;
+
+  return `import type { Metadata } from 'next';
+${imports}
+export const metadata: Metadata = {
+  title: '${component.replace(/Page$/, '')}',
+  description: '${component} of the mock project',
+};
+
+export default function ${component}() {
+  return (
+    <main className="px-4 py-12 sm:px-6 md:py-16 lg:px-8">
+${body}
+    </main>
+  );
+}
+`;
+}
+
+/**
+ * A Vue single-file component with the same content as cannedComponent
+ */
+function cannedVueComponent(name) {
+  const component = toComponentName(name);
+  return `<script setup lang="ts">
+interface ${component}Props {
+  title?: string;
+  className?: string;
+}
+
+defineOptions({ name: '${component}' });
+
+const props = withDefaults(defineProps<${component}Props>(), { title: '${component}', className: '' });
+</script>
+
+<template>
+  <Transition appear enter-from-class="opacity-0 translate-y-5" enter-active-class="transition duration-500">
+    <section
+      :aria-label="props.title"
+      class="px-4 py-12 sm:px-6 md:py-16 lg:px-8 bg-gradient-to-r from-blue-600 to-purple-600 backdrop-blur-lg shadow-lg transition-all duration-300 dark:from-blue-800 dark:to-purple-800"
+      :class="props.className"
+    >
+      <h2 class="text-2xl md:text-4xl font-bold text-white">{{ props.title }}</h2>
+      <button
+        type="button"
+        class="mt-6 rounded-lg bg-white/10 px-4 py-2 text-white hover:bg-white/20 focus:outline-none focus:ring-2 focus:ring-white"
+      >
+        Get started
+      </button>
+    </section>
+  </Transition>
+</template>
+`;
+}
+
+/**
+ * A Vue route view: sets its head with useHead and renders the sections the prompt lists
+ */
+function cannedVuePage(name, prompt) {
+  const component = toComponentName(name);
+  const sections = prompt.match(/rendered in this order: ([\w, ]+)\./)?.[1].split(', ') || [];
+  const [, importPath = '@/components/sections', extension = '.vue'] = prompt.match(/default import from '([^']+)\/<Name>([^']*)'/) || [];
+  const imports = sections.map(section => `import ${section} from '${importPath}/${section}${extension}';\n`).join('');
+  const body = sections.length > 0
+    ? sections.map(section => `    <${section} />`).join('\n')
+    : `    <section aria-labelledby="${component}-title" class="mx-auto max-w-5xl">
+      <h1 id="${component}-title" class="text-3xl md:text-5xl font-bold">${component}</h1>
+    </section>`;
+
+  return `<script setup lang="ts">
+import { useHead } from '@unhead/vue';
+${imports}
+defineOptions({ name: '${component}' });
+
+useHead({
+  title: '${component.replace(/Page$/, '')}',
+  meta: [{ name: 'description', content: '${component} of the mock project' }],
+});
+</script>
+
+<template>
+  <main class="px-4 py-12 sm:px-6 md:py-16 lg:px-8">
+${body}
+  </main>
+</template>
+`;
+}
+
+/**
+ * A Svelte 5 component with the same content as cannedComponent
+ */
+function cannedSvelteComponent(name) {
+  const component = toComponentName(name);
+  return `<script lang="ts">
+  import type { Snippet } from 'svelte';
+  import { fly } from 'svelte/transition';
+
+  interface ${component}Props {
+    title?: string;
+    className?: string;
+    children?: Snippet;
+  }
+
+  let { title = '${component}', className = '', children }: ${component}Props = $props();
+</script>
+
+<section
+  aria-label={title}
+  class="px-4 py-12 sm:px-6 md:py-16 lg:px-8 bg-gradient-to-r from-blue-600 to-purple-600 backdrop-blur-lg shadow-lg transition-all duration-300 dark:from-blue-800 dark:to-purple-800 {className}"
+  in:fly={{ y: 20, duration: 500 }}
+>
+  <h2 class="text-2xl md:text-4xl font-bold text-white">{title}</h2>
+  {@render children?.()}
+  <button
+    type="button"
+    class="mt-6 rounded-lg bg-white/10 px-4 py-2 text-white hover:bg-white/20 focus:outline-none focus:ring-2 focus:ring-white"
+  >
+    Get started
+  </button>
+</section>
+`;
+}
+
+/**
+ * A SvelteKit +page.svelte: sets its head in <svelte:head> and renders the sections the prompt lists
+ */
+function cannedSveltePage(name, prompt) {
+  const component = toComponentName(name);
+  const sections = prompt.match(/rendered in this order: ([\w, ]+)\./)?.[1].split(', ') || [];
+  const [, importPath = '$lib/components/sections', extension = '.svelte'] = prompt.match(/default import from '([^']+)\/<Name>([^']*)'/) || [];
+  const imports = sections.map(section => `  import ${section} from '${importPath}/${section}${extension}';\n`).join('');
+  const body = sections.length > 0
+    ? sections.map(section => `  <${section} />`).join('\n')
+    : `  <section aria-labelledby="${component}-title" class="mx-auto max-w-5xl">
+    <h1 id="${component}-title" class="text-3xl md:text-5xl font-bold">${component}</h1>
+  </section>`;
+
+  return `<script lang="ts">
+${imports}</script>
+
+<svelte:head>
+  <title>${component.replace(/Page$/, '')}</title>
+  <meta name="description" content="${component} of the mock project" />
+</svelte:head>
+
+<main class="px-4 py-12 sm:px-6 md:py-16 lg:px-8">
+${body}
+</main>
+`;
+}
+
+/**
+ * An Astro component with the same content as cannedComponent
+ */
+function cannedAstroComponent(name) {
+  const component = toComponentName(name);
+  return `---
+interface ${component}Props {
+  title?: string;
+  class?: string;
+}
+
+const { title = '${component}', class: className = '' } = Astro.props as ${component}Props;
+---
+
+<section
+  aria-label={title}
+  class:list={['px-4 py-12 sm:px-6 md:py-16 lg:px-8 bg-gradient-to-r from-blue-600 to-purple-600 backdrop-blur-lg shadow-lg transition-all duration-300 dark:from-blue-800 dark:to-purple-800 animate-fade-in', className]}
+>
+  <h2 class="text-2xl md:text-4xl font-bold text-white">{title}</h2>
+  <slot />
+  <a
+    href="/contact"
+    class="mt-6 inline-block rounded-lg bg-white/10 px-4 py-2 text-white hover:bg-white/20 focus:outline-none focus:ring-2 focus:ring-white"
+  >
+    Get started
+  </a>
+</section>
+`;
+}
+
+/**
+ * An Astro page: renders inside BaseLayout with a title and description, and the sections the prompt lists
+ */
+function cannedAstroPage(name, prompt) {
+  const component = toComponentName(name);
+  const sections = prompt.match(/rendered in this order: ([\w, ]+)\./)?.[1].split(', ') || [];
+  const [, importPath = '@/components/sections', extension = '.astro'] = prompt.match(/default import from '([^']+)\/<Name>([^']*)'/) || [];
+  const imports = sections.map(section => `import ${section} from '${importPath}/${section}${extension}';\n`).join('');
+  const body = sections.length > 0
+    ? sections.map(section => `    <${section} />`).join('\n')
+    : `    <section aria-labelledby="${component}-title" class="mx-auto max-w-5xl">
+      <h1 id="${component}-title" class="text-3xl md:text-5xl font-bold">${component}</h1>
+    </section>`;
+
+  return `---
+import BaseLayout from '@/layouts/BaseLayout.astro';
+${imports}---
+
+<BaseLayout title="${component.replace(/Page$/, '')}" description="${component} of the mock project">
+  <main class="px-4 py-12 sm:px-6 md:py-16 lg:px-8">
+${body}
+  </main>
+</BaseLayout>
+`;
+}
+
+/**
+ * Entries for an Astro content collection data file (testimonialsCollection, productsCollection)
+ */
+function cannedCollection(name) {
+  const entries = /testimonial/i.test(name || '')
+    ? [{ id: 'mock-customer', name: 'Mock Customer', role: 'Founder', quote: 'Generated offline, and it still reads well.', rating: 5 }]
+    : [{ id: 'mock-product', name: 'Mock Product', description: 'A product generated offline', price: 19, category: 'Plans', featured: true, publishedAt: '2024-01-15' }];
+  return JSON.stringify(entries, null, 2);
+}
+
+const CANNED_BY_FILE_TYPE = {
+  'Next.js Page': (name, prompt) => cannedNextPage(name, prompt),
+  'Vue Component': name => cannedVueComponent(name),
+  'Vue Form Component': name => cannedVueComponent(name),
+  'Vue Page Component': (name, prompt) => cannedVuePage(name, prompt),
+  'Pinia Store': () => `import { defineStore } from 'pinia';
+import { ref } from 'vue';
+
+export type Theme = 'light' | 'dark';
+
+export const useAppStore = defineStore('app', () => {
+  const theme = ref<Theme>('light');
+
+  function toggleTheme() {
+    theme.value = theme.value === 'light' ? 'dark' : 'light';
+  }
+
+  return { theme, toggleTheme };
+});
+`,
+  'Svelte Component': name => cannedSvelteComponent(name),
+  'Svelte Form Component': name => cannedSvelteComponent(name),
+  'SvelteKit Page': (name, prompt) => cannedSveltePage(name, prompt),
+  'Svelte Store': () => `import { writable } from 'svelte/store';
+
+export type Theme = 'light' | 'dark';
+
+export const theme = writable<Theme>('light');
+
+export function toggleTheme() {
+  theme.update(current => (current === 'light' ? 'dark' : 'light'));
+}
+`,
+  'Astro Component': name => cannedAstroComponent(name),
+  'Astro Page': (name, prompt) => cannedAstroPage(name, prompt),
+  'React Island': name => cannedComponent(name),
+  'Content Collection': name => cannedCollection(name),
+  'TypeScript Configuration': () => JSON.stringify({
+    compilerOptions: {
+      target: 'ES2020',
+      module: 'ESNext',
+      jsx: 'react-jsx',
+      strict: true,
+      moduleResolution: 'bundler',
+      skipLibCheck: true,
+      noEmit: true
+    },
+    include: ['src']
+  }, null, 2),
+  'CSS Stylesheet': () => '@tailwind base;\n@tailwind components;\n@tailwind utilities;\n',
+  'Vite Configuration': () => `import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+
+export default defineConfig({
+  plugins: [react()]
+});
+`,
+  'HTML Entry Point': () => `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>Mock Project</title>
+  </head>
+  <body>
+    <div id="root"></div>
+    <script type="module" src="/src/main.tsx"></script>
+  </body>
+</html>
+`,
+  'State Management Store': () => `import { create } from 'zustand';
+import { devtools, persist } from 'zustand/middleware';
+
+interface AppState {
+  theme: 'light' | 'dark';
+  toggleTheme: () => void;
+}
+
+export const useAppStore = create<AppState>()(
+  devtools(
+    persist(
+      (set) => ({
+        theme: 'light',
+        toggleTheme: () => set((state) => ({ theme: state.theme === 'light' ? 'dark' : 'light' }))
+      }),
+      { name: 'app-store' }
+    )
+  )
+);
+`
+};
+
+const CANNED_PLAN = {
+  analyze: () => JSON.stringify({
+    projectType: 'landing',
+    description: 'Mock landing page generated offline',
+    pages: [
+      {
+        name: 'Home',
+        path: '/',
+        description: 'Landing page with hero, products and testimonials',
+        sections: [
+          { name: 'HeroSection', variant: 'splitImage' },
+          { name: 'FeaturesSection', variant: 'cardsGrid' },
+          { name: 'CTASection', variant: 'fullWidth' }
+        ]
+      },
+      { name: 'Contact', path: '/contact', description: 'Contact form and details' }
+    ],
+    components: [
+      { name: 'Hero', description: 'Hero banner with call to action' },
+      { name: 'Products', description: 'Product grid' },
+      { name: 'Testimonials', description: 'Customer quotes' },
+      { name: 'Contact', description: 'Contact form' }
+    ],
+    entities: [
+      {
+        name: 'Product',
+        description: 'Products shown in the product grid',
+        fields: [
+          { name: 'name', type: 'string' },
+          { name: 'description', type: 'text' },
+          { name: 'price', type: 'number' },
+          { name: 'featured', type: 'boolean', required: false }
+        ]
+      },
+      {
+        name: 'Message',
+        description: 'Messages sent from the contact form',
+        fields: [
+          { name: 'name', type: 'string' },
+          { name: 'email', type: 'email' },
+          { name: 'message', type: 'text' }
+        ]
+      }
+    ],
+    featureToggles: {
+      darkMode: true,
+      animations: true,
+      stateManagement: true,
+      formValidation: true,
+      dataVisualization: false
+    }
+  }, null, 2),
+  structure: () => JSON.stringify({
+    baseFiles: ['index.html', 'src/main.tsx', 'src/App.tsx'],
+    folders: ['src/components', 'src/pages', 'src/store']
+  }, null, 2)
+};
+
+/**
+ * Deterministic canned response for a prompt with no recorded fixture
+ */
+function cannedResponse(prompt, key) {
+  if (key.phase === 'plan') {
+    return (CANNED_PLAN[key.step] || CANNED_PLAN.analyze)();
+  }
+
+  // Edits and build fixes hand back the file they were given, unchanged
+  if (key.phase === 'edit' || key.phase === 'fix') {
+    const current = extractFencedContent(prompt);
+    if (current !== null) return current;
+  }
+
+  if (key.fileType && CANNED_BY_FILE_TYPE[key.fileType]) {
+    return CANNED_BY_FILE_TYPE[key.fileType](key.blueprint, prompt);
+  }
+
+  if (key.blueprint) {
+    // App Router prompts ask for 'use client' on anything interactive, and the canned component animates
+    return cannedComponent(key.blueprint, { client: prompt.includes("'use client'") });
+  }
+
+  return `Mock response (${hashPrompt({ prompt }).slice(0, 12)})`;
+}
+
+/**
+ * Offline provider: replays recorded fixtures, falling back to canned output keyed by blueprint/fileType
+ */
+export class MockProvider {
+  constructor(config = {}) {
+    this.name = 'mock';
+    this.label = 'Mock LLM';
+    this.model = config.model || 'mock';
+    this.fixturesDir = config.fixturesDir || getFixturesDir();
+    this.fixtures = null;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Index fixtures by prompt hash, and by blueprint and fileType within their stack and phase
+   * (first match wins, in filename order)
+   */
+  loadFixtures() {
+    const index = { byHash: new Map(), byBlueprint: new Map(), byFileType: new Map() };
+
+    if (fs.existsSync(this.fixturesDir)) {
+      for (const file of fs.readdirSync(this.fixturesDir).sort()) {
+        if (!file.endsWith('.json')) continue;
+        try {
+          const fixture = JSON.parse(fs.readFileSync(path.join(this.fixturesDir, file), 'utf8'));
+          const { key = {} } = fixture;
+          if (key.promptHash && !index.byHash.has(key.promptHash)) index.byHash.set(key.promptHash, fixture);
+          for (const [field, map] of [['blueprint', index.byBlueprint], ['fileType', index.byFileType]]) {
+            const fallbackKey = key[field] && fixtureKey(key.stack, key.phase, key[field]);
+            if (fallbackKey && !map.has(fallbackKey)) map.set(fallbackKey, fixture);
+          }
+        } catch (error) {
+          console.warn(`⚠️  Skipping unreadable fixture ${file}:`, error.message);
+        }
+      }
+    }
+
+    this.fixtures = index;
+    return index;
+  }
+
+  findFixture(promptHash, key) {
+    const fixtures = this.fixtures || this.loadFixtures();
+    if (fixtures.byHash.has(promptHash)) return fixtures.byHash.get(promptHash);
+
+    // Same blueprint (then fileType) in the same stack and phase; fixtures recorded without a stack match any stack
+    for (const [field, map] of [['blueprint', fixtures.byBlueprint], ['fileType', fixtures.byFileType]]) {
+      if (!key[field]) continue;
+      const fixture = map.get(fixtureKey(key.stack, key.phase, key[field])) || map.get(fixtureKey(null, key.phase, key[field]));
+      if (fixture) return fixture;
+    }
+    return null;
+  }
+
+  async complete({ prompt, maxTokens = 2048, system, meta = {}, signal, onChunk }) {
+    if (signal?.aborted) {
+      throw createAbortError();
+    }
+
+    const promptHash = hashPrompt({ prompt, maxTokens, system });
+    const key = describePrompt(prompt, meta);
+    const fixture = this.findFixture(promptHash, key);
+
+    if (fixture) {
+      streamLines(fixture.output, onChunk);
+      // Fixtures recorded before input tokens were tracked only carry tokensUsed
+      const outputTokens = fixture.outputTokens ?? fixture.tokensUsed ?? estimateTokens(fixture.output);
+      const inputTokens = fixture.inputTokens ?? 0;
+      return {
+        output: fixture.output,
+        inputTokens,
+        outputTokens,
+        tokensUsed: fixture.tokensUsed ?? inputTokens + outputTokens,
+        provider: this.name,
+        model: this.model
+      };
+    }
+
+    const output = cannedResponse(prompt, key);
+    streamLines(output, onChunk);
+    const inputTokens = estimateTokens(prompt);
+    const outputTokens = estimateTokens(output);
+    return {
+      output,
+      inputTokens,
+      outputTokens,
+      tokensUsed: inputTokens + outputTokens,
+      provider: this.name,
+      model: this.model
+    };
+  }
+}
+
+/**
+ * Wraps a real provider and writes every completion to the fixtures directory for later replay
+ */
+export class RecordingProvider {
+  constructor(inner, config = {}) {
+    this.inner = inner;
+    this.name = inner.name;
+    this.label = inner.label;
+    this.model = inner.model;
+    this.fixturesDir = config.fixturesDir || getFixturesDir();
+  }
+
+  isConfigured() {
+    return this.inner.isConfigured();
+  }
+
+  async complete(request) {
+    const result = await this.inner.complete(request);
+    const promptHash = hashPrompt(request);
+    const key = { promptHash, ...describePrompt(request.prompt, request.meta) };
+
+    try {
+      fs.mkdirSync(this.fixturesDir, { recursive: true });
+      const fileName = `${key.blueprint || key.phase || 'prompt'}-${promptHash.slice(0, 16)}.json`
+        .replace(/[^\w.-]/g, '_');
+      fs.writeFileSync(path.join(this.fixturesDir, fileName), JSON.stringify({
+        key,
+        provider: result.provider,
+        model: result.model,
+        recordedAt: new Date().toISOString(),
+        inputTokens: result.inputTokens,
+        outputTokens: result.outputTokens,
+        tokensUsed: result.tokensUsed,
+        output: result.output
+      }, null, 2));
+      console.log(`📼 Recorded fixture ${fileName}`);
+    } catch (error) {
+      console.warn('⚠️  Failed to record fixture:', error.message);
+    }
+
+    return result;
+  }
+}
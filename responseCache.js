@@ -0,0 +1,176 @@
+/**
+ * LLM Response Cache
+ * Content-addressed on-disk cache of completions, keyed by provider, model, prompt, system and max_tokens
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { limitFromEnv } from './concurrency.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export function getCacheDir() {
+  return process.env.RESPONSE_CACHE_DIR || path.join(__dirname, '.cache', 'llm-responses');
+}
+
+export class ResponseCache {
+  constructor(config = {}) {
+    this.dir = config.dir || getCacheDir();
+    this.ttlMs = config.ttlMs ?? limitFromEnv('RESPONSE_CACHE_TTL_HOURS', 7 * 24) * 60 * 60 * 1000;
+    this.maxBytes = config.maxBytes ?? limitFromEnv('RESPONSE_CACHE_MAX_MB', 100) * 1024 * 1024;
+    this.enabled = config.enabled ?? process.env.RESPONSE_CACHE !== 'false';
+  }
+
+  key({ provider, model, prompt, maxTokens, system }) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([provider, model, prompt, maxTokens, system || '']))
+      .digest('hex');
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  /**
+   * key -> { size, usedAt } in least recently used order. Read from disk once, then kept up to date by get and set
+   * so a write never has to rescan the cache directory.
+   */
+  getIndex() {
+    if (this.index) return this.index;
+
+    this.index = new Map();
+    this.totalBytes = 0;
+    let files = [];
+    try {
+      files = fs.readdirSync(this.dir).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const entries = files
+      .map(file => {
+        const stat = fs.statSync(path.join(this.dir, file));
+        return { key: file.replace(/\.json$/, ''), size: stat.size, usedAt: stat.mtimeMs };
+      })
+      .sort((a, b) => a.usedAt - b.usedAt);
+    for (const { key, size, usedAt } of entries) {
+      this.index.set(key, { size, usedAt });
+      this.totalBytes += size;
+    }
+    return this.index;
+  }
+
+  // Move an entry to the most recently used end of the index
+  track(key, size) {
+    this.forget(key);
+    this.index.set(key, { size, usedAt: Date.now() });
+    this.totalBytes += size;
+  }
+
+  forget(key) {
+    const entry = this.getIndex().get(key);
+    if (entry) {
+      this.index.delete(key);
+      this.totalBytes -= entry.size;
+    }
+  }
+
+  remove(key) {
+    fs.rmSync(this.filePath(key), { force: true });
+    this.forget(key);
+  }
+
+  get(key) {
+    const filePath = this.filePath(key);
+    try {
+      const raw = fs.readFileSync(filePath);
+      const entry = JSON.parse(raw);
+      if (Date.now() - entry.cachedAt > this.ttlMs) {
+        this.remove(key);
+        return null;
+      }
+      // Touch the file so eviction drops the least recently used entries first (after a restart too)
+      const now = new Date();
+      fs.utimesSync(filePath, now, now);
+      this.track(key, raw.length);
+      return entry;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.forget(key);
+      } else {
+        console.warn(`⚠️  Dropping unreadable cache entry ${key}:`, error.message);
+        this.remove(key);
+      }
+      return null;
+    }
+  }
+
+  set(key, result) {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      this.getIndex();
+      const target = this.filePath(key);
+      const temp = `${target}.${process.pid}.tmp`;
+      const data = JSON.stringify({ cachedAt: Date.now(), result });
+      fs.writeFileSync(temp, data);
+      fs.renameSync(temp, target);
+      this.track(key, Buffer.byteLength(data));
+      this.evict();
+    } catch (error) {
+      console.warn('⚠️  Failed to write response cache:', error.message);
+    }
+  }
+
+  /**
+   * Delete the least recently used entries while the cache is over maxBytes or they've expired.
+   * Walks the index from the oldest entry and stops at the first one worth keeping.
+   */
+  evict() {
+    const now = Date.now();
+    for (const [key, entry] of this.getIndex()) {
+      if (this.totalBytes <= this.maxBytes && now - entry.usedAt <= this.ttlMs) break;
+      this.remove(key);
+    }
+  }
+}
+
+/**
+ * Serves repeated prompts from the cache. Hits cost nothing, so they report zero tokens.
+ * Pass noCache: true to force a fresh completion (the new output still replaces the cached one).
+ */
+export class CachedProvider {
+  constructor(inner, cache) {
+    this.inner = inner;
+    this.cache = cache;
+    this.name = inner.name;
+    this.label = inner.label;
+    this.model = inner.model;
+  }
+
+  isConfigured() {
+    return this.inner.isConfigured();
+  }
+
+  async complete(request) {
+    const key = this.cache.key({ provider: this.name, model: this.model, ...request });
+
+    if (!request.noCache) {
+      const hit = this.cache.get(key);
+      if (hit) {
+        request.onChunk?.(hit.result.output);
+        return { ...hit.result, inputTokens: 0, outputTokens: 0, tokensUsed: 0, cached: true };
+      }
+    }
+
+    const result = await this.inner.complete(request);
+    if (result.output) {
+      this.cache.set(key, result);
+    }
+    return result;
+  }
+}
+
+export const responseCache = new ResponseCache();
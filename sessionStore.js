@@ -0,0 +1,83 @@
+/**
+ * File-backed Session Store
+ * One JSON file per session, written atomically so a crash mid-write never leaves a torn checkpoint
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export function getSessionsDir() {
+  return process.env.SESSION_STORE_DIR || path.join(__dirname, '.sessions');
+}
+
+export class SessionStore {
+  constructor({ namespace = 'generations', dir = getSessionsDir() } = {}) {
+    this.dir = path.join(dir, namespace);
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * Ids come from clients (session ids, IPs, workspace names), so the file is named by the id's hash:
+   * always a safe filename, and two ids never share a file
+   */
+  filePath(id) {
+    return path.join(this.dir, `${crypto.createHash('sha256').update(String(id)).digest('hex')}.json`);
+  }
+
+  /**
+   * Write to a temp file and rename over the old checkpoint
+   */
+  save(id, data) {
+    const target = this.filePath(id);
+    const temp = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify({ ...data, updatedAt: new Date().toISOString() }, null, 2));
+    fs.renameSync(temp, target);
+  }
+
+  load(id) {
+    return this.read(this.filePath(id), id);
+  }
+
+  read(fullPath, label) {
+    try {
+      return JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️  Could not read session ${label}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  delete(id) {
+    fs.rmSync(this.filePath(id), { force: true });
+  }
+
+  list() {
+    return fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.read(path.join(this.dir, file), file))
+      .filter(Boolean);
+  }
+
+  /**
+   * Delete sessions not updated within maxAgeMs
+   */
+  prune(maxAgeMs) {
+    const cutoff = Date.now() - maxAgeMs;
+    let removed = 0;
+    for (const file of fs.readdirSync(this.dir)) {
+      const fullPath = path.join(this.dir, file);
+      if (fs.statSync(fullPath).mtimeMs < cutoff) {
+        fs.rmSync(fullPath, { force: true });
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
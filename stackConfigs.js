@@ -39,6 +39,20 @@ export const STACK_CONFIGS = [
       'Sidebar.tsx'
     ],
 
+    // Files generated side by side (GENERATION_CONCURRENCY or the request's "concurrency" override this)
+    generation: {
+      concurrency: 4
+    },
+
+    // Always generated, whatever the plan asks for
+    coreComponents: [
+      'Navbar.tsx',
+      'Footer.tsx',
+      'SEO.tsx',
+      'ErrorFallback.tsx',
+      'LoadingSpinner.tsx'
+    ],
+
     requiredFiles: [
       'packageJson',
       'vite.config',
@@ -63,12 +77,63 @@ export const STACK_CONFIGS = [
       'Toast'            // Notification components
     ],
 
+    // Enhanced components that only make sense when the plan enables a feature
+    featureToggleComponents: {
+      stateManagement: ['store'],
+      formValidation: ['Form'],
+      dataVisualization: ['Chart', 'Table']
+    },
+
+    defaultFeatureToggles: {
+      darkMode: true,
+      animations: true,
+      responsive: true,
+      glassmorphism: true,
+      gradients: true,
+      microInteractions: true,
+      stateManagement: true,
+      formValidation: true,
+      dataVisualization: false,
+      accessibility: true,
+      fullStack: false
+    },
+
+    // Optional API generated next to the frontend when the plan turns on fullStack (or the request asks for it)
+    backend: {
+      framework: 'express',   // or 'hono'
+      storage: 'memory',      // or 'sqlite'
+      port: 3001,
+      prefix: '/api',
+      // Stored when the plan doesn't list any entities, so the contact form has somewhere to post
+      defaultEntities: [
+        {
+          name: 'Message',
+          description: 'Messages sent from the contact form',
+          fields: [
+            { name: 'name', type: 'string' },
+            { name: 'email', type: 'email' },
+            { name: 'message', type: 'text' }
+          ]
+        }
+      ],
+      requiredFiles: [
+        { path: 'server/package.json', blueprint: 'serverPackageJson' },
+        { path: 'server/tsconfig.json', blueprint: 'serverTsconfig' },
+        { path: 'server/src/schemas.ts', blueprint: 'apiSchemas' },
+        { path: 'server/src/repository.ts', blueprint: 'apiRepository' },
+        { path: 'server/src/routes.ts', blueprint: 'apiRoutes' },
+        { path: 'server/src/index.ts', blueprint: 'apiServer' },
+        { path: 'src/api/client.ts', blueprint: 'apiClient' },
+        { path: 'src/api/hooks.ts', blueprint: 'apiHooks' }
+      ]
+    },
+
     templates: {
       packageJson: {
-        name: '{projectName}',
+        name: '{{projectName}}',
         version: '1.0.0',
         type: 'module',
-        description: '{description}',
+        description: '{{projectDescription}}',
         scripts: {
           dev: 'vite',
           build: 'vite build',
@@ -125,8 +190,9 @@ Return JSON with:
 {
   "projectType": "landing",
   "description": "...",
-  "pages": [ { "name": "...", "path": "/" } ],
+  "pages": [ { "name": "...", "path": "/", "description": "...", "sections": [ { "name": "HeroSection", "variant": "centered" } ] } ],
   "components": [ { "name": "...", "description": "..." } ],
+  "entities": [ { "name": "Product", "description": "...", "fields": [ { "name": "title", "type": "string", "required": true } ] } ],
   "featureToggles": {
     "darkMode": true,
     "animations": true,
@@ -137,9 +203,15 @@ Return JSON with:
     "stateManagement": true,
     "formValidation": true,
     "dataVisualization": true,
-    "accessibility": true
+    "accessibility": true,
+    "fullStack": false
   }
-}`,
+}
+
+Pick components from: {componentCatalog}. Only add other components when the request needs them.
+Build pages from sections where they fit, listed top to bottom, with one variant each. Sections: {sectionCatalog}.
+Set fullStack to true when the app has to save or share data (orders, bookings, messages, tasks), and list the records it stores as entities. Field types: string, text, email, url, number, integer, boolean, date. Every entity gets id and createdAt automatically.
+ONLY return JSON. No markdown.`,
 
       plan: `Plan the folder structure and base files for a modern React + Vite + Tailwind app.
 
@@ -233,9 +305,938 @@ Return ONLY valid .tsx code.`
         nested: 'Nested routing support'
       }
     }
+  },
+  {
+    id: 'nextjs-app-tailwind',
+    name: 'Next.js App Router + Tailwind',
+    description: 'Next.js 14 App Router stack with server components by default, client components where interactivity needs them, the Metadata API and Tailwind',
+    framework: 'nextjs',
+    buildTool: 'next',
+    styling: 'tailwind',
+    language: 'typescript',
+    icon: '▲',
+    projectTypes: ['landing', 'portfolio', 'marketing', 'saas', 'ecommerce', 'dashboard', 'analytics-dashboard'],
+
+    // Where files go: components at the root (imported as @/components/...), pages as app/<route>/page.tsx
+    layout: {
+      componentsDir: 'components',
+      componentsImport: '@/components',
+      appDir: 'app'
+    },
+
+    // Pages export `metadata`, so the SEO component isn't needed
+    pageBlueprint: 'nextPage',
+
+    tailwindContent: [
+      './app/**/*.{js,ts,jsx,tsx,mdx}',
+      './components/**/*.{js,ts,jsx,tsx,mdx}'
+    ],
+
+    requiredComponents: [
+      'Navbar.tsx',
+      'Footer.tsx',
+      'Hero.tsx',
+      'Products.tsx',
+      'Gallery.tsx',
+      'Testimonials.tsx',
+      'Contact.tsx',
+      'LoadingSpinner.tsx',
+      'Button.tsx',
+      'Card.tsx',
+      'Sidebar.tsx'
+    ],
+
+    generation: {
+      concurrency: 4
+    },
+
+    // app/layout.tsx renders these on every page
+    coreComponents: [
+      'Navbar.tsx',
+      'Footer.tsx'
+    ],
+
+    // { path, blueprint } where the output path isn't the blueprint name
+    requiredFiles: [
+      { path: 'package.json', blueprint: 'nextPackageJson' },
+      { path: 'next.config.mjs', blueprint: 'nextConfig' },
+      { path: 'tsconfig.json', blueprint: 'nextTsconfig' },
+      { path: 'next-env.d.ts', blueprint: 'nextEnv' },
+      { path: '.eslintrc.json', blueprint: 'nextEslint' },
+      { path: 'tailwind.config.ts', blueprint: 'tailwind.config' },
+      { path: 'postcss.config.mjs', blueprint: 'postcss.config' },
+      { path: 'app/globals.css', blueprint: 'index.css' },
+      { path: 'app/layout.tsx', blueprint: 'nextLayout' },
+      { path: 'app/loading.tsx', blueprint: 'nextLoading' },
+      { path: 'app/error.tsx', blueprint: 'nextError' },
+      { path: 'app/not-found.tsx', blueprint: 'nextNotFound' }
+    ],
+
+    // Routing, error boundaries and SEO come from the app/ directory, so there's no Page enhanced component
+    enhancedComponents: [
+      'store',
+      'Form',
+      'Chart',
+      'Table',
+      'Modal',
+      'Toast'
+    ],
+
+    featureToggleComponents: {
+      stateManagement: ['store'],
+      formValidation: ['Form'],
+      dataVisualization: ['Chart', 'Table']
+    },
+
+    defaultFeatureToggles: {
+      darkMode: true,
+      animations: true,
+      responsive: true,
+      glassmorphism: true,
+      gradients: true,
+      microInteractions: true,
+      stateManagement: true,
+      formValidation: true,
+      dataVisualization: false,
+      accessibility: true
+    },
+
+    // Replaces the React Router flavoured defaults in component prompts
+    technicalRequirements: [
+      'Use TypeScript with strict typing',
+      'Use Tailwind CSS for styling',
+      'Next.js 14 App Router: files are Server Components unless they start with the \'use client\' directive',
+      'Start any file that uses hooks, event handlers, browser APIs or Framer Motion with \'use client\'',
+      'Never export metadata or generateMetadata from a \'use client\' file; pages set their title and description with the Metadata API, not an SEO component',
+      'Use next/link for navigation and next/navigation hooks (useRouter, usePathname) in client components; never react-router-dom',
+      'Import shared components with the @/components alias and export every component as its default export',
+      'Include Framer Motion for animations in client components',
+      'Ensure accessibility compliance (WCAG AA)',
+      'Implement responsive design with mobile-first approach',
+      'Include proper error handling and loading states',
+      'Use Zustand for state management where applicable',
+      'Include React Hook Form with Zod validation where applicable'
+    ],
+
+    templates: {
+      packageJson: {
+        name: '{{projectName}}',
+        version: '1.0.0',
+        private: true,
+        description: '{{projectDescription}}',
+        scripts: {
+          dev: 'next dev',
+          build: 'next build',
+          start: 'next start',
+          lint: 'next lint',
+          typecheck: 'tsc --noEmit'
+        },
+        dependencies: {
+          next: '^14.2.15',
+          react: '^18.3.1',
+          'react-dom': '^18.3.1',
+          'framer-motion': '^11.3.19',
+          '@heroicons/react': '^2.1.1',
+          'lucide-react': '^0.428.0',
+          'react-hook-form': '^7.52.1',
+          '@hookform/resolvers': '^3.9.0',
+          'zod': '^3.23.8',
+          'zustand': '^4.5.4',
+          '@tanstack/react-query': '^5.51.23',
+          'clsx': '^2.1.1',
+          'tailwind-merge': '^2.4.0',
+          'recharts': '^2.12.0',
+          'date-fns': '^3.6.0'
+        },
+        devDependencies: {
+          typescript: '^5.5.3',
+          '@types/node': '^20.14.10',
+          '@types/react': '^18.3.5',
+          '@types/react-dom': '^18.3.0',
+          tailwindcss: '^3.4.1',
+          autoprefixer: '^10.4.18',
+          postcss: '^8.4.35',
+          eslint: '^8.57.0',
+          'eslint-config-next': '^14.2.15'
+        }
+      }
+    },
+
+    prompts: {
+      analyze: `Analyze the user request and define an enterprise-quality modern and creative Next.js (App Router) + Tailwind app structure.
+
+User Request: "{userPrompt}"
+
+Return JSON with:
+{
+  "projectType": "landing",
+  "description": "...",
+  "pages": [ { "name": "...", "path": "/", "description": "...", "sections": [ { "name": "HeroSection", "variant": "centered" } ] } ],
+  "components": [ { "name": "...", "description": "..." } ],
+  "featureToggles": {
+    "darkMode": true,
+    "animations": true,
+    "responsive": true,
+    "glassmorphism": true,
+    "gradients": true,
+    "microInteractions": true,
+    "stateManagement": true,
+    "formValidation": true,
+    "dataVisualization": true,
+    "accessibility": true
+  }
+}
+
+Each page becomes an App Router route (app/<path>/page.tsx); use :param in a path for a dynamic segment.
+Pick components from: {componentCatalog}. Only add other components when the request needs them.
+Build pages from sections where they fit, listed top to bottom, with one variant each. Sections: {sectionCatalog}.
+ONLY return JSON. No markdown.`,
+
+      plan: `Plan the folder structure and base files for a modern Next.js App Router + Tailwind app.
+
+Project: {projectName}
+Type: {projectType}
+Description: {description}
+
+Return:
+1. Base files
+2. Next.js + Tailwind config
+3. app/ routes, layouts and loading/error boundaries
+4. Server and client component split
+5. State management setup
+ONLY return JSON. No markdown.`,
+
+      component: `Generate a Next.js App Router component named {name} with TypeScript and Tailwind.
+
+- Server Component unless it needs hooks, event handlers or animation; then start with 'use client'
+- Include proper props interface
+- Use Tailwind classes
+- Ensure responsiveness
+- Add accessibility
+- No explanations or markdown
+Return ONLY valid .tsx code.`
+    },
+
+    enterpriseFeatures: {
+      rendering: {
+        serverComponents: 'Server Components by default for data fetching and static content',
+        clientComponents: "'use client' only where interactivity, state or animation needs it",
+        streaming: 'loading.tsx and Suspense boundaries for progressive rendering'
+      },
+
+      seo: {
+        metadata: 'Metadata API (export const metadata / generateMetadata) per route',
+        titles: 'Title template set once in the root layout'
+      },
+
+      animations: {
+        library: 'Framer Motion in client components',
+        types: 'Entrance, hover, scroll-triggered, micro-interactions'
+      },
+
+      accessibility: {
+        compliance: 'WCAG 2.1 AA standards',
+        features: 'Semantic HTML, ARIA labels, keyboard navigation, focus management'
+      },
+
+      performance: {
+        optimization: 'next/image, next/font and route-level code splitting',
+        metrics: 'Core Web Vitals compliance, minimal client JavaScript'
+      },
+
+      routing: {
+        library: 'Next.js App Router (file-system routes under app/)',
+        errors: 'error.tsx and not-found.tsx boundaries',
+        dynamic: 'Dynamic segments like app/products/[id]/page.tsx'
+      }
+    }
+  },
+  {
+    id: 'vue-vite-tailwind',
+    name: 'Vue 3 + Vite + Tailwind',
+    description: 'Vue 3 single-file components with <script setup lang="ts">, Vue Router, Pinia, VeeValidate + Zod forms and Tailwind',
+    framework: 'vue',
+    buildTool: 'vite',
+    styling: 'tailwind',
+    language: 'typescript',
+    icon: '🟩',
+    projectTypes: ['landing', 'portfolio', 'marketing', 'saas', 'budget-tracker', 'task-manager', 'analytics-dashboard'],
+
+    // Components are .vue files imported as @/components/...; pages are route views in src/views
+    layout: {
+      componentsImport: '@/components',
+      componentExtension: '.vue',
+      pagesDir: 'src/views'
+    },
+
+    // Components without a blueprint of their own are SFCs, and catalog/enhanced components use the vue* blueprints
+    componentFileType: 'Vue Component',
+    blueprintPrefix: 'vue',
+    baseBlueprint: 'vueBaseComponent',
+    pageBlueprint: 'vuePage',
+
+    tailwindContent: [
+      './index.html',
+      './src/**/*.{vue,js,ts}'
+    ],
+
+    requiredComponents: [
+      'Navbar.vue',
+      'Footer.vue',
+      'Hero.vue',
+      'Button.vue',
+      'Card.vue'
+    ],
+
+    generation: {
+      concurrency: 4
+    },
+
+    // src/App.vue renders these on every page
+    coreComponents: [
+      'Navbar.vue',
+      'Footer.vue'
+    ],
+
+    requiredFiles: [
+      { path: 'package.json', blueprint: 'vuePackageJson' },
+      { path: 'vite.config.ts', blueprint: 'vueViteConfig' },
+      { path: 'tsconfig.json', blueprint: 'vueTsconfig' },
+      { path: 'tsconfig.node.json', blueprint: 'tsconfig.node' },
+      { path: 'env.d.ts', blueprint: 'vueEnv' },
+      { path: 'tailwind.config.js', blueprint: 'tailwind.config' },
+      { path: 'postcss.config.js', blueprint: 'postcss.config' },
+      { path: 'index.html', blueprint: 'vueIndexHtml' },
+      { path: 'src/style.css', blueprint: 'index.css' },
+      { path: 'src/main.ts', blueprint: 'vueMain' },
+      { path: 'src/App.vue', blueprint: 'vueApp' },
+      { path: 'src/router/index.ts', blueprint: 'vueRouter' }
+    ],
+
+    // The store is a plain TypeScript module, not a component
+    enhancedComponents: [
+      { name: 'store', path: 'src/stores/app.ts' },
+      'Form'
+    ],
+
+    featureToggleComponents: {
+      stateManagement: ['store'],
+      formValidation: ['Form']
+    },
+
+    defaultFeatureToggles: {
+      darkMode: true,
+      animations: true,
+      responsive: true,
+      glassmorphism: true,
+      gradients: true,
+      microInteractions: true,
+      stateManagement: true,
+      formValidation: true,
+      dataVisualization: false,
+      accessibility: true
+    },
+
+    technicalRequirements: [
+      'Vue 3 single-file components: <script setup lang="ts"> first, then <template>, then an optional <style scoped>',
+      'Use the Composition API (ref, computed, watch); never React, JSX or hooks',
+      'Type props with defineProps<Props>() and events with defineEmits',
+      'Use Tailwind CSS for styling',
+      'Animate with <Transition> / <TransitionGroup> or @vueuse/motion (v-motion); never Framer Motion',
+      'Use vue-router (RouterLink, useRoute, useRouter) for navigation',
+      'Use the Pinia store (useAppStore from @/stores/app) for shared state',
+      'Validate forms with VeeValidate and a Zod schema (@vee-validate/zod)',
+      'Set page titles and descriptions with useHead from @unhead/vue',
+      'Import components with the @/components alias and their .vue extension',
+      'Use lucide-vue-next for icons',
+      'Ensure accessibility compliance (WCAG AA)',
+      'Implement responsive design with mobile-first approach',
+      'Include proper error handling and loading states'
+    ],
+
+    templates: {
+      packageJson: {
+        name: '{{projectName}}',
+        version: '0.1.0',
+        private: true,
+        type: 'module',
+        description: '{{projectDescription}}',
+        scripts: {
+          dev: 'vite',
+          build: 'vue-tsc -b && vite build',
+          preview: 'vite preview',
+          typecheck: 'vue-tsc --noEmit'
+        },
+        dependencies: {
+          vue: '^3.4.38',
+          'vue-router': '^4.4.3',
+          pinia: '^2.2.2',
+          '@unhead/vue': '^1.11.6',
+          '@vueuse/core': '^11.1.0',
+          '@vueuse/motion': '^2.2.5',
+          'vee-validate': '^4.13.2',
+          '@vee-validate/zod': '^4.13.2',
+          'zod': '^3.23.8',
+          'lucide-vue-next': '^0.441.0',
+          'clsx': '^2.1.1',
+          'tailwind-merge': '^2.4.0'
+        },
+        devDependencies: {
+          typescript: '^5.5.3',
+          '@types/node': '^20.14.10',
+          '@vitejs/plugin-vue': '^5.1.3',
+          vite: '^5.4.2',
+          'vue-tsc': '^2.1.6',
+          tailwindcss: '^3.4.1',
+          autoprefixer: '^10.4.18',
+          postcss: '^8.4.35'
+        }
+      }
+    },
+
+    prompts: {
+      analyze: `Analyze the user request and define an enterprise-quality modern and creative Vue 3 + Vite + Tailwind app structure.
+
+User Request: "{userPrompt}"
+
+Return JSON with:
+{
+  "projectType": "landing",
+  "description": "...",
+  "pages": [ { "name": "...", "path": "/", "description": "...", "sections": [ { "name": "HeroSection", "variant": "centered" } ] } ],
+  "components": [ { "name": "...", "description": "..." } ],
+  "featureToggles": {
+    "darkMode": true,
+    "animations": true,
+    "responsive": true,
+    "glassmorphism": true,
+    "gradients": true,
+    "microInteractions": true,
+    "stateManagement": true,
+    "formValidation": true,
+    "dataVisualization": false,
+    "accessibility": true
+  }
+}
+
+Each page becomes a Vue Router route view (src/views/<Name>.vue); use :param in a path for a dynamic segment.
+Unknown paths redirect home, so don't plan a not-found page.
+Pick components from: {componentCatalog}. Only add other components when the request needs them.
+Build pages from sections where they fit, listed top to bottom, with one variant each. Sections: {sectionCatalog}.
+ONLY return JSON. No markdown.`,
+
+      plan: `Plan the folder structure and base files for a modern Vue 3 + Vite + Tailwind app.
+
+Project: {projectName}
+Type: {projectType}
+Description: {description}
+
+Return:
+1. Base files
+2. Vite + Tailwind config
+3. Router setup and route views
+4. Pinia stores
+5. Shared components and composables
+ONLY return JSON. No markdown.`,
+
+      component: `Generate a Vue 3 single-file component named {name} with TypeScript and Tailwind.
+
+- <script setup lang="ts"> with defineProps<Props>()
+- Use Tailwind classes in the <template>
+- Ensure responsiveness
+- Add accessibility
+- No explanations or markdown
+Return ONLY valid .vue code.`
+    },
+
+    enterpriseFeatures: {
+      components: {
+        format: 'Single-file components with <script setup lang="ts">',
+        props: 'defineProps<Props>() and defineEmits with typed payloads'
+      },
+
+      stateManagement: {
+        library: 'Pinia setup stores',
+        persistence: 'useStorage from @vueuse/core where state should survive reloads'
+      },
+
+      forms: {
+        validation: 'VeeValidate with Zod schemas via @vee-validate/zod',
+        errors: 'Field errors linked with aria-describedby'
+      },
+
+      animations: {
+        library: '<Transition> / <TransitionGroup> and @vueuse/motion',
+        types: 'Entrance, hover, route transitions, micro-interactions'
+      },
+
+      accessibility: {
+        compliance: 'WCAG 2.1 AA standards',
+        features: 'Semantic HTML, ARIA labels, keyboard navigation, focus management'
+      },
+
+      routing: {
+        library: 'Vue Router 4 with lazy-loaded route views',
+        head: 'useHead from @unhead/vue per page'
+      }
+    }
+  },
+  {
+    id: 'sveltekit-tailwind',
+    name: 'SvelteKit + Tailwind',
+    description: 'SvelteKit 2 with Svelte 5 runes, file-based routes, Svelte stores, Zod forms with use:enhance and Tailwind',
+    framework: 'svelte',
+    buildTool: 'vite',
+    styling: 'tailwind',
+    language: 'typescript',
+    icon: '🧡',
+    projectTypes: ['landing', 'portfolio', 'marketing', 'saas', 'budget-tracker', 'task-manager', 'analytics-dashboard'],
+
+    // Components live in src/lib (imported through $lib); pages are routes: src/routes/about/+page.svelte
+    layout: {
+      componentsDir: 'src/lib/components',
+      componentsImport: '$lib/components',
+      componentExtension: '.svelte',
+      appDir: 'src/routes',
+      pageFileName: '+page.svelte'
+    },
+
+    // Components without a blueprint of their own are .svelte files, and catalog/enhanced components use the svelte* blueprints
+    componentFileType: 'Svelte Component',
+    blueprintPrefix: 'svelte',
+    baseBlueprint: 'svelteBaseComponent',
+    pageBlueprint: 'sveltePage',
+
+    tailwindContent: [
+      './src/**/*.{html,js,svelte,ts}'
+    ],
+
+    requiredComponents: [
+      'Navbar.svelte',
+      'Footer.svelte',
+      'Hero.svelte',
+      'Button.svelte',
+      'Card.svelte'
+    ],
+
+    generation: {
+      concurrency: 4
+    },
+
+    // src/routes/+layout.svelte renders these on every page
+    coreComponents: [
+      'Navbar.svelte',
+      'Footer.svelte'
+    ],
+
+    requiredFiles: [
+      { path: 'package.json', blueprint: 'sveltePackageJson' },
+      { path: 'svelte.config.js', blueprint: 'svelteConfig' },
+      { path: 'vite.config.ts', blueprint: 'svelteViteConfig' },
+      { path: 'tsconfig.json', blueprint: 'svelteTsconfig' },
+      { path: 'tailwind.config.js', blueprint: 'tailwind.config' },
+      { path: 'postcss.config.js', blueprint: 'postcss.config' },
+      { path: 'src/app.html', blueprint: 'svelteAppHtml' },
+      { path: 'src/app.d.ts', blueprint: 'svelteAppDts' },
+      { path: 'src/app.css', blueprint: 'index.css' },
+      { path: 'src/routes/+layout.svelte', blueprint: 'svelteLayout' },
+      { path: 'src/routes/+error.svelte', blueprint: 'svelteError' }
+    ],
+
+    // The stores are a plain TypeScript module, not a component
+    enhancedComponents: [
+      { name: 'store', path: 'src/lib/stores/app.ts' },
+      'Form'
+    ],
+
+    featureToggleComponents: {
+      stateManagement: ['store'],
+      formValidation: ['Form']
+    },
+
+    defaultFeatureToggles: {
+      darkMode: true,
+      animations: true,
+      responsive: true,
+      glassmorphism: true,
+      gradients: true,
+      microInteractions: true,
+      stateManagement: true,
+      formValidation: true,
+      dataVisualization: false,
+      accessibility: true
+    },
+
+    technicalRequirements: [
+      'Svelte 5 components: <script lang="ts"> first, then the markup, then an optional <style>',
+      'Use runes ($props, $state, $derived, $effect); never React, JSX or hooks, and not the Svelte 4 export let / on:event syntax',
+      'Type props with an interface: let { ... }: Props = $props()',
+      'Use Tailwind CSS for styling',
+      'Animate with svelte/transition (transition:, in:, out:) and svelte/animate; never Framer Motion',
+      'Navigate with <a href> links and goto from $app/navigation; read the current route from page in $app/state',
+      'Use the Svelte stores in $lib/stores/app.ts for shared state',
+      'Validate forms with a Zod schema and progressively enhance them with use:enhance from $app/forms',
+      'Set page titles and descriptions in <svelte:head>',
+      'Import components with the $lib/components alias and their .svelte extension',
+      'Use lucide-svelte for icons',
+      'Ensure accessibility compliance (WCAG AA)',
+      'Implement responsive design with mobile-first approach',
+      'Include proper error handling and loading states'
+    ],
+
+    templates: {
+      packageJson: {
+        name: '{{projectName}}',
+        version: '0.1.0',
+        private: true,
+        type: 'module',
+        description: '{{projectDescription}}',
+        scripts: {
+          dev: 'vite dev',
+          build: 'vite build',
+          preview: 'vite preview',
+          prepare: "svelte-kit sync || echo ''",
+          check: 'svelte-kit sync && svelte-check --tsconfig ./tsconfig.json'
+        },
+        dependencies: {
+          'zod': '^3.23.8',
+          'lucide-svelte': '^0.441.0',
+          'clsx': '^2.1.1',
+          'tailwind-merge': '^2.4.0'
+        },
+        devDependencies: {
+          '@sveltejs/adapter-auto': '^3.2.5',
+          '@sveltejs/kit': '^2.12.0',
+          '@sveltejs/vite-plugin-svelte': '^4.0.0',
+          svelte: '^5.1.0',
+          'svelte-check': '^4.0.4',
+          typescript: '^5.5.3',
+          vite: '^5.4.2',
+          tailwindcss: '^3.4.1',
+          postcss: '^8.4.35',
+          autoprefixer: '^10.4.18'
+        }
+      }
+    },
+
+    prompts: {
+      analyze: `Analyze the user request and define an enterprise-quality modern and creative SvelteKit + Tailwind app structure.
+
+User Request: "{userPrompt}"
+
+Return JSON with:
+{
+  "projectType": "landing",
+  "description": "...",
+  "pages": [ { "name": "...", "path": "/", "description": "...", "sections": [ { "name": "HeroSection", "variant": "centered" } ] } ],
+  "components": [ { "name": "...", "description": "..." } ],
+  "featureToggles": {
+    "darkMode": true,
+    "animations": true,
+    "responsive": true,
+    "glassmorphism": true,
+    "gradients": true,
+    "microInteractions": true,
+    "stateManagement": true,
+    "formValidation": true,
+    "dataVisualization": false,
+    "accessibility": true
+  }
+}
+
+Each page becomes a SvelteKit route (src/routes/<path>/+page.svelte); use :param in a path for a dynamic segment.
+Unknown paths render src/routes/+error.svelte, so don't plan a not-found page.
+Pick components from: {componentCatalog}. Only add other components when the request needs them.
+Build pages from sections where they fit, listed top to bottom, with one variant each. Sections: {sectionCatalog}.
+ONLY return JSON. No markdown.`,
+
+      plan: `Plan the folder structure and base files for a modern SvelteKit + Tailwind app.
+
+Project: {projectName}
+Type: {projectType}
+Description: {description}
+
+Return:
+1. Base files
+2. SvelteKit + Tailwind config
+3. src/routes pages, layouts and error page
+4. Svelte stores
+5. Shared components in src/lib
+ONLY return JSON. No markdown.`,
+
+      component: `Generate a Svelte 5 component named {name} with TypeScript and Tailwind.
+
+- <script lang="ts"> with typed $props()
+- Use Tailwind classes in the markup
+- Ensure responsiveness
+- Add accessibility
+- No explanations or markdown
+Return ONLY valid .svelte code.`
+    },
+
+    enterpriseFeatures: {
+      components: {
+        format: 'Svelte 5 components with <script lang="ts"> and runes',
+        props: 'Typed $props() with an interface; callbacks passed as props instead of dispatched events'
+      },
+
+      stateManagement: {
+        library: 'Svelte stores (writable, derived) in $lib/stores',
+        persistence: 'localStorage, guarded with browser from $app/environment'
+      },
+
+      forms: {
+        validation: 'Zod schemas, progressively enhanced with use:enhance',
+        errors: 'Field errors linked with aria-describedby'
+      },
+
+      animations: {
+        library: 'svelte/transition and svelte/animate',
+        types: 'Entrance, hover, list reordering, micro-interactions'
+      },
+
+      accessibility: {
+        compliance: 'WCAG 2.1 AA standards',
+        features: 'Semantic HTML, ARIA labels, keyboard navigation, focus management'
+      },
+
+      routing: {
+        library: 'SvelteKit file-based routes with +layout.svelte and +error.svelte',
+        head: '<svelte:head> per page'
+      }
+    }
+  },
+
+  {
+    id: 'astro-tailwind',
+    name: 'Astro + Tailwind',
+    description: 'Astro 5 static sites for content-driven projects: .astro pages, React islands only where interaction is needed, content collections, sitemap and RSS',
+    framework: 'astro',
+    // Interactive parts are React components (.tsx) hydrated with client: directives
+    islands: 'react',
+    buildTool: 'astro',
+    styling: 'tailwind',
+    language: 'typescript',
+    icon: '🚀',
+    projectTypes: ['landing', 'portfolio', 'marketing'],
+
+    // Pages are file-based routes: /about -> src/pages/about/index.astro
+    layout: {
+      componentsDir: 'src/components',
+      componentsImport: '@/components',
+      componentExtension: '.astro',
+      appDir: 'src/pages',
+      pageFileName: 'index.astro'
+    },
+
+    // Components without a blueprint of their own are .astro files, and catalog/enhanced components use the astro* blueprints
+    componentFileType: 'Astro Component',
+    blueprintPrefix: 'astro',
+    baseBlueprint: 'astroBaseComponent',
+    pageBlueprint: 'astroPage',
+
+    tailwindContent: [
+      './src/**/*.{astro,html,js,jsx,md,mdx,ts,tsx}'
+    ],
+
+    requiredComponents: [
+      'Navbar.astro',
+      'Footer.astro',
+      'Hero.astro',
+      'Card.astro',
+      'Testimonials.astro',
+      'Products.astro'
+    ],
+
+    generation: {
+      concurrency: 4
+    },
+
+    // BaseLayout renders these on every page
+    coreComponents: [
+      'Navbar.astro',
+      'Footer.astro'
+    ],
+
+    requiredFiles: [
+      { path: 'package.json', blueprint: 'astroPackageJson' },
+      { path: 'astro.config.mjs', blueprint: 'astroConfig' },
+      { path: 'tsconfig.json', blueprint: 'astroTsconfig' },
+      { path: 'tailwind.config.mjs', blueprint: 'tailwind.config' },
+      { path: 'src/styles/global.css', blueprint: 'index.css' },
+      { path: 'src/content.config.ts', blueprint: 'astroContentConfig' },
+      { path: 'src/layouts/BaseLayout.astro', blueprint: 'astroLayout' },
+      { path: 'src/pages/404.astro', blueprint: 'astroNotFound' },
+      { path: 'src/pages/rss.xml.ts', blueprint: 'astroRss' },
+      { path: 'src/pages/robots.txt.ts', blueprint: 'astroRobots' }
+    ],
+
+    // Collection entries are JSON the content config loads; the form is the one React island every site gets
+    enhancedComponents: [
+      { name: 'testimonialsCollection', path: 'src/content/testimonials.json' },
+      { name: 'productsCollection', path: 'src/content/products.json' },
+      { name: 'Form', path: 'src/components/islands/ContactForm.tsx' }
+    ],
+
+    featureToggleComponents: {
+      formValidation: ['Form']
+    },
+
+    defaultFeatureToggles: {
+      darkMode: true,
+      animations: true,
+      responsive: true,
+      glassmorphism: true,
+      gradients: true,
+      microInteractions: true,
+      stateManagement: false,
+      formValidation: true,
+      dataVisualization: false,
+      accessibility: true
+    },
+
+    technicalRequirements: [
+      'Astro components: a --- frontmatter (imports, interface Props, Astro.props), then the markup',
+      '.astro files render to static HTML: no hooks, state or onClick={...} handlers in them',
+      'Put anything interactive in a React island in src/components/islands and render it with client:visible (client:load only above the fold)',
+      'Use class (not className) in .astro markup and className in islands, with Tailwind CSS',
+      'Read testimonials and products from the content collections with getCollection from astro:content',
+      'Wrap every page in BaseLayout from @/layouts/BaseLayout.astro with a title and description',
+      'Use <Image> from astro:assets for images',
+      'Animate with Tailwind animate-* classes and view transitions (transition:animate); never Framer Motion',
+      'Import components with the @/components alias and their .astro extension',
+      'Ensure accessibility compliance (WCAG AA)',
+      'Implement responsive design with mobile-first approach',
+      'Keep pages fast: ship as little JavaScript as possible'
+    ],
+
+    templates: {
+      packageJson: {
+        name: '{{projectName}}',
+        version: '0.1.0',
+        private: true,
+        type: 'module',
+        description: '{{projectDescription}}',
+        scripts: {
+          dev: 'astro dev',
+          build: 'astro check && astro build',
+          preview: 'astro preview',
+          astro: 'astro'
+        },
+        dependencies: {
+          astro: '^5.0.0',
+          '@astrojs/check': '^0.9.4',
+          '@astrojs/react': '^4.0.0',
+          '@astrojs/tailwind': '^5.1.3',
+          '@astrojs/sitemap': '^3.2.1',
+          '@astrojs/rss': '^4.0.10',
+          react: '^18.3.1',
+          'react-dom': '^18.3.1',
+          'react-hook-form': '^7.52.1',
+          '@hookform/resolvers': '^3.9.0',
+          zod: '^3.23.8',
+          'lucide-react': '^0.428.0',
+          tailwindcss: '^3.4.1',
+          typescript: '^5.5.3'
+        },
+        devDependencies: {
+          '@types/react': '^18.3.3',
+          '@types/react-dom': '^18.3.0'
+        }
+      }
+    },
+
+    prompts: {
+      analyze: `Analyze the user request and define an enterprise-quality modern and creative Astro + Tailwind content site.
+
+User Request: "{userPrompt}"
+
+Return JSON with:
+{
+  "projectType": "landing",
+  "description": "...",
+  "pages": [ { "name": "...", "path": "/", "description": "...", "sections": [ { "name": "HeroSection", "variant": "centered" } ] } ],
+  "components": [ { "name": "...", "description": "..." } ],
+  "featureToggles": {
+    "darkMode": true,
+    "animations": true,
+    "responsive": true,
+    "glassmorphism": true,
+    "gradients": true,
+    "microInteractions": true,
+    "stateManagement": false,
+    "formValidation": true,
+    "dataVisualization": false,
+    "accessibility": true
+  }
+}
+
+Each page becomes a static route (src/pages/<path>/index.astro); use :param in a path for a dynamic segment built from a content collection.
+Unknown paths render src/pages/404.astro, so don't plan a not-found page.
+Testimonials and products (or portfolio projects) come from content collections; use the Testimonials and Products components to show them.
+Pick components from: {componentCatalog}. Only add other components when the request needs them.
+Build pages from sections where they fit, listed top to bottom, with one variant each. Sections: {sectionCatalog}.
+ONLY return JSON. No markdown.`,
+
+      plan: `Plan the folder structure and base files for a modern Astro + Tailwind static site.
+
+Project: {projectName}
+Type: {projectType}
+Description: {description}
+
+Return:
+1. Base files
+2. Astro, Tailwind and sitemap config
+3. src/pages routes, the base layout and the 404 page
+4. Content collections
+5. Components and React islands
+ONLY return JSON. No markdown.`,
+
+      component: `Generate an Astro component named {name} with TypeScript and Tailwind.
+
+- --- frontmatter with interface Props and Astro.props
+- Use Tailwind classes in the markup
+- Ensure responsiveness
+- Add accessibility
+- No explanations or markdown
+Return ONLY valid .astro code.`
+    },
+
+    enterpriseFeatures: {
+      components: {
+        format: 'Astro components with typed Astro.props, rendered to static HTML',
+        islands: 'React components in src/components/islands, hydrated with client:visible / client:idle'
+      },
+
+      content: {
+        collections: 'Testimonials and products in content collections with Zod schemas',
+        feeds: 'RSS feed (rss.xml) and sitemap generated at build time'
+      },
+
+      forms: {
+        validation: 'React Hook Form with Zod in a React island',
+        errors: 'Field errors linked with aria-describedby'
+      },
+
+      animations: {
+        library: 'Tailwind animations and Astro view transitions',
+        types: 'Entrance, hover and page transitions'
+      },
+
+      accessibility: {
+        compliance: 'WCAG 2.1 AA standards',
+        features: 'Semantic HTML, ARIA labels, keyboard navigation, focus management'
+      },
+
+      routing: {
+        library: 'Astro file-based routes with a shared BaseLayout and 404 page',
+        head: 'Title, description, canonical URL and Open Graph tags per page'
+      }
+    }
   }
 ];
 
+
 export function getStackConfig(stackId) {
   return STACK_CONFIGS.find(s => s.id === stackId);
 }
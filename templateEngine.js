@@ -0,0 +1,289 @@
+/**
+ * Template Engine
+ * Renders template blueprints and fallback components: typed variables with defaults, {{#if}}/{{#unless}}/{{#each}}
+ * blocks, and escaping for the file the template produces (JSON, HTML, TS/JS, CSS)
+ *
+ *   {{projectName}}                      escaped for the template's format
+ *   {{{projectName}}}                    raw
+ *   {{#if featureToggles.darkMode}}...{{else}}...{{/if}}
+ *   {{#each pages as page}}{{page.path}}{{#unless @last}},{{/unless}}{{/each}}
+ *   \{{                                  a literal "{{"
+ */
+
+export const VARIABLE_TYPES = ['string', 'number', 'boolean', 'array', 'object'];
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const TS_ESCAPES = { '\\': '\\\\', "'": "\\'", '"': '\\"', '`': '\\`', '\n': '\\n', '\r': '\\r', '\u2028': '\\u2028', '\u2029': '\\u2029', '${': '\\${' };
+
+// How a value is escaped for each output format; strings in TS/JS templates are assumed to sit inside a string literal
+const ESCAPERS = {
+  text: value => value,
+  json: value => JSON.stringify(value).slice(1, -1),
+  html: value => value.replace(/[&<>"']/g, char => HTML_ENTITIES[char]),
+  ts: value => value.replace(/[\\'"`\n\r\u2028\u2029]|\$\{/g, match => TS_ESCAPES[match]),
+  css: value => value.replace(/[^\w\s#%.,()/-]/g, char => `\\${char}`)
+};
+
+export const TEMPLATE_FORMATS = Object.keys(ESCAPERS);
+
+const TAG = /\\\{\{|\{\{\{\s*([^{}]*?)\s*\}\}\}|\{\{\s*([^{}]*?)\s*\}\}/g;
+const PATH = /^@?[A-Za-z_$][\w$]*(\.[\w$]+)*$/;
+const BLOCK_TAGS = new Set(['if', 'unless', 'each', 'else', 'close']);
+
+/**
+ * Error for a template that can't be parsed or rendered: an unresolved placeholder, a missing or mistyped variable
+ */
+export function createTemplateError(name, message, line = null) {
+  const error = new Error(`Template ${name}: ${message}${line ? ` (line ${line})` : ''}`);
+  error.name = 'TemplateError';
+  error.template = name;
+  error.line = line;
+  return error;
+}
+
+function lineAt(source, index) {
+  return source.slice(0, index).split('\n').length;
+}
+
+function typeOf(value) {
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Split a template into text and tag tokens. Text tokens sit between every pair of tags (possibly empty).
+ */
+function tokenize(source, name) {
+  const tokens = [];
+  let text = '';
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(TAG)) {
+    text += source.slice(lastIndex, match.index);
+    lastIndex = match.index + match[0].length;
+    if (match[0] === '\\{{') {
+      text += '{{';
+      continue;
+    }
+
+    const line = lineAt(source, match.index);
+    tokens.push({ type: 'text', value: text });
+    text = '';
+
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'var', path: match[1], raw: true, line });
+      continue;
+    }
+
+    const [keyword, ...rest] = match[2].split(/\s+/);
+    if (keyword === '#if' || keyword === '#unless') {
+      tokens.push({ type: keyword.slice(1), path: rest.join(' '), line });
+    } else if (keyword === '#each') {
+      if (rest.length !== 3 || rest[1] !== 'as') {
+        throw createTemplateError(name, `expected {{#each list as item}}, found {{${match[2]}}}`, line);
+      }
+      tokens.push({ type: 'each', path: rest[0], alias: rest[2], line });
+    } else if (keyword === 'else' && rest.length === 0) {
+      tokens.push({ type: 'else', line });
+    } else if (/^\/(if|unless|each)$/.test(keyword) && rest.length === 0) {
+      tokens.push({ type: 'close', block: keyword.slice(1), line });
+    } else {
+      tokens.push({ type: 'var', path: match[2], raw: false, line });
+    }
+  }
+  tokens.push({ type: 'text', value: text + source.slice(lastIndex) });
+
+  for (const token of tokens) {
+    if (token.path !== undefined && !PATH.test(token.path)) {
+      throw createTemplateError(name, `invalid placeholder {{${token.path}}}`, token.line);
+    }
+  }
+  return stripStandaloneTags(tokens);
+}
+
+/**
+ * A block tag alone on its line doesn't leave a blank line behind (as in Mustache)
+ */
+function stripStandaloneTags(tokens) {
+  for (let i = 1; i < tokens.length - 1; i += 2) {
+    if (!BLOCK_TAGS.has(tokens[i].type)) continue;
+    const before = tokens[i - 1];
+    const after = tokens[i + 1];
+    const startsLine = /(^|\n)[ \t]*$/.test(before.value) && (i === 1 || before.value.includes('\n') || before.stripped);
+    if (startsLine && /^[ \t]*(\r?\n|$)/.test(after.value)) {
+      before.value = before.value.replace(/[ \t]*$/, '');
+      after.value = after.value.replace(/^[ \t]*(\r?\n)?/, '');
+      after.stripped = true;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Nest block tokens into { type, path, body, otherwise } nodes
+ */
+function buildTree(tokens, name) {
+  const root = { body: [] };
+  const stack = [root];
+
+  for (const token of tokens) {
+    const current = stack[stack.length - 1];
+    const target = current.inElse ? current.otherwise : current.body;
+
+    if (token.type === 'text') {
+      if (token.value) target.push(token);
+    } else if (token.type === 'var') {
+      target.push(token);
+    } else if (token.type === 'else') {
+      if (current === root || current.type === 'each' || current.inElse) {
+        throw createTemplateError(name, 'unexpected {{else}}', token.line);
+      }
+      current.inElse = true;
+    } else if (token.type === 'close') {
+      if (current === root || current.type !== token.block) {
+        throw createTemplateError(name, `unexpected {{/${token.block}}}`, token.line);
+      }
+      stack.pop();
+    } else {
+      const node = { ...token, body: [], otherwise: [] };
+      target.push(node);
+      stack.push(node);
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw createTemplateError(name, `{{#${open.type} ${open.path}}} is never closed`, open.line);
+  }
+  return root.body;
+}
+
+export function parseTemplate(source, name = 'template') {
+  return buildTree(tokenize(source, name), name);
+}
+
+/**
+ * Look a dotted path up in the scopes (innermost first). `declared` is false when no scope has its first segment;
+ * `found` is also false when a later segment is missing or the value is null.
+ */
+function lookup(scopes, path) {
+  const [head, ...rest] = path.split('.');
+  const scope = scopes.find(candidate => Object.prototype.hasOwnProperty.call(candidate, head));
+  if (!scope) return { declared: false, found: false, value: undefined };
+
+  let value = scope[head];
+  for (const key of rest) {
+    if (value === null || value === undefined || !Object.prototype.hasOwnProperty.call(Object(value), key)) {
+      return { declared: true, found: false, value: undefined };
+    }
+    value = value[key];
+  }
+  return { declared: true, found: value !== undefined && value !== null, value };
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+function renderNodes(nodes, scopes, context) {
+  let output = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'var') {
+      const { found, value } = lookup(scopes, node.path);
+      if (!found) {
+        throw createTemplateError(context.name, `unresolved placeholder {{${node.path}}}`, node.line);
+      }
+      if (typeof value === 'object') {
+        throw createTemplateError(context.name, `{{${node.path}}} is ${typeOf(value) === 'array' ? 'a list' : 'an object'}; use {{#each}} or a property`, node.line);
+      }
+      output += node.raw ? String(value) : context.escape(String(value));
+    } else if (node.type === 'if' || node.type === 'unless') {
+      const { declared, value } = lookup(scopes, node.path);
+      // A typo in a variable name is an error; a missing property is just false
+      if (!declared) {
+        throw createTemplateError(context.name, `unresolved placeholder {{#${node.type} ${node.path}}}`, node.line);
+      }
+      const pass = node.type === 'if' ? isTruthy(value) : !isTruthy(value);
+      output += renderNodes(pass ? node.body : node.otherwise, scopes, context);
+    } else if (node.type === 'each') {
+      const { found, value } = lookup(scopes, node.path);
+      if (!found || !Array.isArray(value)) {
+        throw createTemplateError(context.name, `{{#each ${node.path}}} needs a list`, node.line);
+      }
+      value.forEach((item, index) => {
+        const scope = { [node.alias]: item, '@index': index, '@first': index === 0, '@last': index === value.length - 1 };
+        output += renderNodes(node.body, [scope, ...scopes], context);
+      });
+    }
+  }
+  return output;
+}
+
+/**
+ * Render a template with already-resolved variables
+ */
+export function renderTemplate(source, variables, { format = 'text', name = 'template' } = {}) {
+  const escape = ESCAPERS[format];
+  if (!escape) {
+    throw createTemplateError(name, `unknown format "${format}" (use ${TEMPLATE_FORMATS.join(', ')})`);
+  }
+  return renderNodes(parseTemplate(source, name), [variables], { name, escape });
+}
+
+/**
+ * "string" or { type, default } -> { type, default }
+ */
+export function normalizeVariableSpec(spec) {
+  return typeof spec === 'string' ? { type: spec } : spec;
+}
+
+/**
+ * The values a template may use: each declared variable from `values`, else its default, checked against its type.
+ * Undeclared values are left out, so a template can't depend on them by accident.
+ */
+export function resolveTemplateVariables(declared = {}, values = {}, name = 'template') {
+  const resolved = {};
+  for (const [variable, rawSpec] of Object.entries(declared)) {
+    const spec = normalizeVariableSpec(rawSpec);
+    const value = values[variable] ?? spec.default;
+    if (value === undefined || value === null) {
+      throw createTemplateError(name, `variable "${variable}" has no value and no default`);
+    }
+    if (typeOf(value) !== spec.type) {
+      throw createTemplateError(name, `variable "${variable}" must be a ${spec.type}, got ${typeOf(value)}`);
+    }
+    resolved[variable] = value;
+  }
+  return resolved;
+}
+
+/**
+ * Static check for blueprint validation: syntax errors and placeholders that aren't declared variables
+ * (or loop items). Returns [{ message, line }].
+ */
+export function checkTemplate(source, declaredNames = []) {
+  let nodes;
+  try {
+    nodes = parseTemplate(source);
+  } catch (error) {
+    return [{ message: error.message.replace(/^Template template: /, '').replace(/ \(line \d+\)$/, ''), line: error.line }];
+  }
+
+  const errors = [];
+  const visit = (list, names) => {
+    for (const node of list) {
+      if (node.path === undefined) continue;
+      const head = node.path.split('.')[0];
+      if (!names.includes(head) && !head.startsWith('@')) {
+        errors.push({ message: `unresolved placeholder {{${node.path}}}: declare "${head}" in variables`, line: node.line });
+      }
+      if (node.body) {
+        visit(node.body, node.type === 'each' ? [...names, node.alias] : names);
+        visit(node.otherwise, names);
+      }
+    }
+  };
+  visit(nodes, declaredNames);
+  return errors;
+}
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * 🧪 Offline Generation Test Script
+ *
+ * Runs the OrchestrationEngine for every stack, the edit prompt and the build-fix loop end to end
+ * against the mock LLM provider - no network and no API key required.
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { OrchestrationEngine } from './OrchestrationEngine.js';
+import { getStackConfig } from './stackConfigs.js';
+import { MockProvider, RecordingProvider } from './mockProvider.js';
+import { webContainerService } from './WebContainerService.js';
+
+const mock = new MockProvider();
+const askMock = (prompt, maxTokens, meta) => mock.complete({ prompt, maxTokens, meta });
+
+async function generate(stackId = 'react-vite-tailwind', request = {}) {
+  const engine = new OrchestrationEngine(null, askMock, getStackConfig(stackId), { request });
+  return engine.generateProject('Offline Test', 'Create a landing page for a coffee shop');
+}
+
+// Files each stack must produce, beyond its components
+const STACK_CASES = [
+  { stackId: 'nextjs-app-tailwind', files: ['app/layout.tsx', 'app/page.tsx', 'app/not-found.tsx', 'next.config.mjs', 'tailwind.config.ts'] },
+  { stackId: 'vue-vite-tailwind', files: ['src/App.vue', 'src/main.ts', 'src/router/index.ts', 'src/stores/app.ts', 'src/views/HomePage.vue'] },
+  { stackId: 'sveltekit-tailwind', files: ['src/routes/+layout.svelte', 'src/routes/+page.svelte', 'src/routes/+error.svelte', 'src/app.html', 'svelte.config.js'] },
+  { stackId: 'astro-tailwind', files: ['src/layouts/BaseLayout.astro', 'src/pages/index.astro', 'src/pages/404.astro', 'src/pages/rss.xml.ts', 'astro.config.mjs'] },
+  {
+    stackId: 'react-vite-tailwind',
+    request: { fullStack: true },
+    files: ['server/src/index.ts', 'server/src/routes.ts', 'server/src/schemas.ts', 'server/src/repository.ts', 'src/api/client.ts', 'src/api/hooks.ts']
+  }
+];
+
+async function testOffline() {
+  console.log('🚀 Testing offline generation with the mock provider...\n');
+
+  // Test 1: Full project generation is deterministic
+  console.log('1️⃣ Generating project twice...');
+  const first = await generate();
+  const second = await generate();
+  assert.ok(Object.keys(first.files).length > 0, 'expected generated files');
+  assert.deepStrictEqual(first.files, second.files, 'mock generation must be deterministic');
+  console.log(`✅ ${Object.keys(first.files).length} files generated identically on both runs`);
+
+  // Test 2: Edits hand back the current file
+  console.log('2️⃣ Testing edit prompt...');
+  const currentContent = 'function App() {\n  return <div>Hello</div>;\n}';
+  const edit = await mock.complete({
+    prompt: `Current contents of src/App.tsx:\n\`\`\`tsx\n${currentContent}\n\`\`\``,
+    meta: { phase: 'edit', filePath: 'src/App.tsx' }
+  });
+  assert.strictEqual(edit.output, currentContent);
+  console.log('✅ Edit round-trips the file');
+
+  // Test 3: Build-fix loop runs through the provider layer
+  console.log('3️⃣ Testing build-fix loop...');
+  const fix = await webContainerService.fixFile(
+    { file: 'src/App.tsx', message: 'Unexpected token', type: 'syntax' },
+    currentContent,
+    { provider: 'mock' }
+  );
+  assert.strictEqual(fix.success, true);
+  assert.strictEqual(fix.fixedContent, currentContent);
+  console.log('✅ Build fix completed offline');
+
+  // Test 4: Recorded fixtures replay byte-for-byte
+  console.log('4️⃣ Testing fixture record + replay...');
+  const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zapq-fixtures-'));
+  try {
+    const recordedOutput = '// recorded output ✨\r\n\texport {};';
+    const recorder = new RecordingProvider({
+      name: 'anthropic',
+      label: 'Claude',
+      model: 'recorded',
+      isConfigured: () => true,
+      complete: async () => ({ output: recordedOutput, tokensUsed: 42, provider: 'anthropic', model: 'recorded' })
+    }, { fixturesDir });
+    const request = { prompt: 'Generate a React Component named Hero for a landing project.', maxTokens: 2048 };
+    await recorder.complete(request);
+
+    const replay = await new MockProvider({ fixturesDir }).complete(request);
+    assert.strictEqual(replay.output, recordedOutput);
+    assert.strictEqual(replay.tokensUsed, 42);
+    console.log('✅ Fixture replayed byte-for-byte');
+  } finally {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  }
+
+  // Test 5: Every stack generates its own project layout
+  console.log('5️⃣ Generating each stack...');
+  for (const { stackId, request, files } of STACK_CASES) {
+    const project = await generate(stackId, request);
+    for (const file of files) {
+      assert.ok(project.files[file], `${stackId}: expected ${file}`);
+    }
+    assert.strictEqual(project.projectValidation.sessionContext.framework, getStackConfig(stackId).framework, `${stackId}: validated with its framework's rules`);
+    console.log(`✅ ${stackId}${request?.fullStack ? ' (fullStack)' : ''}: ${Object.keys(project.files).length} files`);
+  }
+
+  console.log('\n🎉 Offline generation test complete!');
+}
+
+testOffline().catch(error => {
+  console.error('❌ Offline generation test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,165 @@
+/**
+ * Blueprint registry: indexing a directory, lookups, the startup report, and extends/mixins inheritance
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BlueprintRegistry, prefixedBlueprintName, mergeBlueprints } from '../blueprintRegistry.js';
+
+function writeBlueprints(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blueprint-registry-'));
+  // Blueprints are ES modules, and outside this package Node before 20.19 loads .js files as CommonJS
+  fs.writeFileSync(path.join(dir, 'package.json'), '{ "type": "module" }\n');
+  for (const [file, blueprint] of Object.entries(files)) {
+    const filePath = path.join(dir, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof blueprint === 'string' ? blueprint : `export default ${JSON.stringify(blueprint)};\n`);
+  }
+  return dir;
+}
+
+const component = purpose => ({ fileType: 'component', purpose, qualityChecks: { mustHave: ['export default'] } });
+
+test('reload reports valid, malformed and unloadable blueprints', async () => {
+  const registry = new BlueprintRegistry({
+    dir: writeBlueprints({
+      'Card.js': component('Content card'),
+      'Hero.js': { fileType: 'component' },
+      'Broken.js': 'export default {'
+    })
+  });
+
+  const report = await registry.reload();
+  assert.equal(report.checked, 3);
+  assert.deepEqual(report.valid, ['Card']);
+  assert.deepEqual(report.invalid.map(({ name, errors }) => [name, errors.map(({ path }) => path)]), [['Hero', ['purpose']]]);
+  assert.deepEqual(report.unloadable.map(({ name }) => name), ['Broken']);
+
+  assert.equal(registry.get('Card').purpose, 'Content card');
+  assert.equal(registry.get('Broken'), null);
+  assert.equal(registry.get('Missing'), null);
+  assert.throws(() => registry.get('Hero'), { name: 'BlueprintValidationError', message: 'Blueprint Hero is malformed: purpose: is required' });
+});
+
+test('find matches exactly, then the longest name inside the component, within a prefix', async () => {
+  const registry = new BlueprintRegistry({
+    dir: writeBlueprints({
+      'Card.js': component('Card'),
+      'ProductCard.js': component('Product card'),
+      'vueCard.js': component('Vue card'),
+      'Readme.js': { generationMethod: 'template', filePurpose: 'README', template: '# Readme\n' }
+    })
+  });
+  await registry.ensureLoaded();
+
+  assert.equal(registry.find('Card').purpose, 'Card');
+  assert.equal(registry.find('FeaturedProductCard').purpose, 'Product card');
+  assert.equal(registry.find('PricingCard', { prefix: 'vue' }).purpose, 'Vue card');
+  assert.equal(registry.find('Nothing', { prefix: 'vue' }), null);
+  // Template blueprints are never picked for a component
+  assert.equal(registry.find('ReadmeSection'), null);
+  assert.equal(prefixedBlueprintName('vue', 'store'), 'vueStore');
+  assert.equal(prefixedBlueprintName('', 'Navbar'), 'Navbar');
+});
+
+test('reload picks up edited files', async () => {
+  const dir = writeBlueprints({ 'Card.js': component('Before') });
+  const registry = new BlueprintRegistry({ dir });
+  await registry.reload();
+
+  const filePath = path.join(dir, 'Card.js');
+  fs.writeFileSync(filePath, `export default ${JSON.stringify(component('After'))};\n`);
+  const later = new Date(Date.now() + 5000);
+  fs.utimesSync(filePath, later, later);
+
+  await registry.reload();
+  assert.equal(registry.get('Card').purpose, 'After');
+  assert.equal(registry.describeBlueprint('Card').valid, true);
+  assert.equal(registry.describeBlueprint('Missing'), null);
+});
+
+test('mergeBlueprints merges objects key by key and combines lists', () => {
+  assert.deepEqual(
+    mergeBlueprints(
+      { purpose: 'Base', features: { hover: 'lift' }, qualityChecks: { mustHave: ['aria-label'] } },
+      { purpose: 'Button', features: { focus: 'ring' }, qualityChecks: { mustHave: ['aria-label', 'onClick'] } }
+    ),
+    { purpose: 'Button', features: { hover: 'lift', focus: 'ring' }, qualityChecks: { mustHave: ['aria-label', 'onClick'] } }
+  );
+});
+
+test('extends and mixins resolve parent, then fragments, then own keys', async () => {
+  const registry = new BlueprintRegistry({
+    dir: writeBlueprints({
+      'fragments/focusRing.js': { accessibility: { focus: 'visible ring' }, qualityChecks: { mustHave: ['focus-visible'] } },
+      'baseComponent.js': { ...component('Base'), accessibility: { focus: 'outline' } },
+      'Button.js': { extends: 'baseComponent', mixins: ['focusRing'], purpose: 'Button', qualityChecks: { mustHave: ['onClick'] } }
+    })
+  });
+  const report = await registry.reload();
+  assert.deepEqual(report.invalid, []);
+
+  const button = registry.get('Button');
+  assert.equal(button.purpose, 'Button');
+  assert.equal(button.fileType, 'component');
+  assert.equal(button.accessibility.focus, 'visible ring');
+  assert.deepEqual(button.qualityChecks.mustHave, ['export default', 'focus-visible', 'onClick']);
+  assert.equal(button.extends, undefined);
+  assert.deepEqual(registry.describeBlueprint('Button').mixins, ['focusRing']);
+  // Fragments aren't blueprints of their own
+  assert.equal(registry.has('focusRing'), false);
+});
+
+test('circular and unknown bases make the blueprint malformed', async () => {
+  const registry = new BlueprintRegistry({
+    dir: writeBlueprints({
+      'A.js': { extends: 'B', ...component('A') },
+      'B.js': { extends: 'A', ...component('B') },
+      'C.js': { mixins: ['missingFragment'], ...component('C') }
+    })
+  });
+  const report = await registry.reload();
+  assert.deepEqual(report.valid, []);
+
+  assert.throws(() => registry.get('A'), { message: 'Blueprint A is malformed: extends: circular inheritance: A → B → A' });
+  assert.throws(() => registry.get('C'), { message: 'Blueprint C is malformed: mixins: unknown blueprint or fragment "missingFragment"' });
+});
+
+test('blueprints load from directories whose path needs URL escaping', async () => {
+  const parent = fs.mkdtempSync(path.join(os.tmpdir(), 'blueprint #1 100%?'));
+  const dir = path.join(parent, 'blueprints');
+  fs.mkdirSync(dir);
+  fs.writeFileSync(path.join(parent, 'package.json'), '{ "type": "module" }\n');
+  fs.writeFileSync(path.join(dir, 'Card.js'), `export default ${JSON.stringify(component('Escaped'))};\n`);
+
+  const registry = new BlueprintRegistry({ dir });
+  assert.deepEqual((await registry.reload()).valid, ['Card']);
+  assert.equal(registry.get('Card').purpose, 'Escaped');
+});
+
+test('watch reloads when a fragment changes', async () => {
+  const dir = writeBlueprints({
+    'fragments/shared.js': { purpose: 'Before' },
+    'Card.js': { mixins: ['shared'], fileType: 'component', qualityChecks: { mustHave: ['export default'] } }
+  });
+  const registry = new BlueprintRegistry({ dir });
+  await registry.reload();
+  assert.equal(registry.get('Card').purpose, 'Before');
+
+  const reloaded = new Promise(resolve => registry.watch({ debounceMs: 20, onReload: resolve }));
+  try {
+    const filePath = path.join(dir, 'fragments', 'shared.js');
+    fs.writeFileSync(filePath, `export default ${JSON.stringify({ purpose: 'After' })};\n`);
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(filePath, later, later);
+
+    const report = await Promise.race([reloaded, new Promise((_, reject) => setTimeout(() => reject(new Error('no reload')), 5000))]);
+    assert.deepEqual(report.valid, ['Card']);
+    assert.equal(registry.get('Card').purpose, 'After');
+  } finally {
+    registry.unwatch();
+  }
+});
@@ -0,0 +1,58 @@
+/**
+ * Blueprint schema: component and template blueprints, template variable checks and file discovery
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { validateBlueprint, createBlueprintError, resolveBlueprintExport, listBlueprintFiles } from '../blueprintSchema.js';
+
+const component = { fileType: 'component', purpose: 'Call to action', qualityChecks: { mustHave: ['onClick'] } };
+
+test('a component blueprint needs fileType, purpose and at least one mustHave', () => {
+  assert.deepEqual(validateBlueprint(component).errors, []);
+
+  const { errors } = validateBlueprint({ qualityChecks: { mustHave: [] }, extra: 'descriptive keys are fine' });
+  assert.deepEqual(errors.map(({ path }) => path), ['fileType', 'purpose', 'qualityChecks.mustHave']);
+  assert.deepEqual(validateBlueprint([]).errors, [{ path: '', message: 'blueprint must be an object' }]);
+});
+
+test('a template blueprint gets defaults and may only use declared variables', () => {
+  const template = { generationMethod: 'template', filePurpose: 'README', template: '# {{projectName}}\n' };
+  const { value, errors } = validateBlueprint({ ...template, variables: { projectName: 'string' } });
+  assert.deepEqual(errors, []);
+  assert.equal(value.format, 'text');
+
+  assert.deepEqual(validateBlueprint(template).errors, [{
+    path: 'template',
+    message: 'unresolved placeholder {{projectName}}: declare "projectName" in variables (line 1)'
+  }]);
+  assert.equal(validateBlueprint({ ...template, variables: { projectName: 'date' } }).errors[0].path, 'variables.projectName');
+});
+
+test('createBlueprintError lists every problem', () => {
+  const error = createBlueprintError('Hero', [{ path: 'purpose', message: 'is required' }, { path: '', message: 'bad export' }]);
+  assert.equal(error.name, 'BlueprintValidationError');
+  assert.equal(error.blueprint, 'Hero');
+  assert.equal(error.message, 'Blueprint Hero is malformed: purpose: is required; bad export');
+});
+
+test('a module exports its blueprint as default or as its only named export', () => {
+  assert.equal(resolveBlueprintExport({ default: component }, 'Button'), component);
+  assert.equal(resolveBlueprintExport({ buttonBlueprint: component }, 'Button'), component);
+  assert.throws(() => resolveBlueprintExport({ a: {}, b: {} }, 'Button'), /must export exactly one blueprint \(found 2: a, b\)/);
+});
+
+test('listBlueprintFiles prefers .js over a legacy .ts with the same name', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blueprint-files-'));
+  for (const file of ['Card.ts', 'Form.js', 'Form.ts', 'notes.md']) {
+    fs.writeFileSync(path.join(dir, file), 'export default {};\n');
+  }
+
+  const files = listBlueprintFiles(dir);
+  assert.deepEqual([...files.keys()], ['Card', 'Form']);
+  assert.equal(files.get('Form'), path.join(dir, 'Form.js'));
+  assert.equal(files.get('Card'), path.join(dir, 'Card.ts'));
+});
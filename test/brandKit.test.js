@@ -0,0 +1,66 @@
+/**
+ * Brand kit: schema defaults and errors, palette expansion and the prompt section
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SHADES, DEFAULT_BRAND_KIT, normalizeBrandKit, buildPalette, expandBrandKit, describeBrandKit
+} from '../brandKit.js';
+
+test('a missing kit is the default, and partial kits are filled in', () => {
+  assert.equal(normalizeBrandKit(undefined), DEFAULT_BRAND_KIT);
+  assert.equal(normalizeBrandKit(null), DEFAULT_BRAND_KIT);
+
+  const kit = normalizeBrandKit({ colors: { primary: '#1d4ed8', brand: '#123' }, radius: 'xl', logo: '/logo.svg' });
+  assert.deepEqual(kit.colors, { ...DEFAULT_BRAND_KIT.colors, primary: '#1d4ed8', brand: '#123' });
+  assert.deepEqual(kit.fonts, DEFAULT_BRAND_KIT.fonts);
+  assert.equal(kit.radius, '0.75rem');
+  assert.deepEqual(kit.logo, { url: '/logo.svg', alt: 'Logo' });
+
+  // Normalizing again changes nothing
+  assert.deepEqual(normalizeBrandKit(kit), kit);
+});
+
+test('an invalid kit is a 400 listing every field', () => {
+  assert.throws(
+    () => normalizeBrandKit({ colors: { primary: 'blue', Bad: '#fff' }, fonts: { body: 'x;}' }, radius: 'huge' }),
+    error => {
+      assert.equal(error.name, 'BrandKitValidationError');
+      assert.equal(error.status, 400);
+      assert.deepEqual(error.errors.map(({ path }) => path), ['colors.primary', 'colors.Bad', 'fonts.body', 'radius']);
+      assert.equal(error.errors[0].message, 'must be a hex color like #1d4ed8');
+      assert.match(error.message, /^Invalid brand kit: colors\.primary: must be a hex color/);
+      return true;
+    }
+  );
+});
+
+test('buildPalette keeps the base at 500 and mixes toward white and black', () => {
+  const palette = buildPalette('#3b82f6');
+  assert.deepEqual(Object.keys(palette).map(Number), SHADES);
+  assert.equal(palette[500], '#3b82f6');
+  assert.equal(palette[50], '#f5f9ff');
+  assert.equal(palette[900], '#183462');
+
+  // Three-digit colors are expanded first
+  assert.deepEqual(buildPalette('#fff'), buildPalette('#ffffff'));
+  assert.equal(buildPalette('#fff')[900], '#666666');
+});
+
+test('expandBrandKit gives palette lookups and a color list to loop over', () => {
+  const view = expandBrandKit(normalizeBrandKit({ colors: { brand: '#000000' } }));
+  assert.equal(view.palette.primary[500], '#3b82f6');
+  assert.deepEqual(view.colors.map(({ name }) => name), ['primary', 'secondary', 'accent', 'brand']);
+  assert.deepEqual(view.colors[3].shades[0], { step: 50, hex: '#f2f2f2' });
+  assert.deepEqual(view.logo, { url: '', alt: '' });
+});
+
+test('describeBrandKit names the palettes, fonts, radius and logo', () => {
+  const context = describeBrandKit(normalizeBrandKit({ logo: { url: '/mark.png', alt: 'Acme' } }));
+  assert.match(context, /use the Tailwind palettes primary, secondary, accent/);
+  assert.match(context, /bg-primary-600/);
+  assert.match(context, /Corners: rounded-brand \(0\.5rem\)/);
+  assert.match(context, /Logo: \/mark\.png \(alt "Acme"\)/);
+  assert.doesNotMatch(describeBrandKit(DEFAULT_BRAND_KIT), /Logo:/);
+});
@@ -0,0 +1,105 @@
+/**
+ * Client budgets: who a caller is, their limits, and how tokens and generation slots are counted
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { BudgetManager, meteredComplete, parseTrustProxy, isBudgetError } from '../budgets.js';
+import { SessionStore } from '../sessionStore.js';
+
+const config = {
+  defaults: { dailyTokens: 1000, maxConcurrentGenerations: 1, maxFilesPerProject: 10 },
+  clients: { acme: { apiKey: 'acme-secret', dailyTokens: 5000, maxConcurrentGenerations: 2 } }
+};
+
+let budgets;
+
+beforeEach(() => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'budgets-'));
+  budgets = new BudgetManager({ config, store: new SessionStore({ namespace: 'budgets', dir }) });
+});
+
+const request = (headers = {}, ip = '203.0.113.7') => ({ ip, get: name => headers[name.toLowerCase()] });
+
+test('known API keys identify their client, anything else is budgeted by IP', () => {
+  assert.equal(budgets.identify(request({ 'x-api-key': 'acme-secret' })), 'acme');
+  assert.equal(budgets.identify(request({ authorization: 'Bearer acme-secret' })), 'acme');
+  assert.equal(budgets.identify(request({ 'x-api-key': 'made-up' })), 'ip:203.0.113.7');
+  assert.equal(budgets.identify(request()), 'ip:203.0.113.7');
+});
+
+test('client limits override the defaults', () => {
+  assert.deepEqual(budgets.getLimits('acme'), { dailyTokens: 5000, maxConcurrentGenerations: 2, maxFilesPerProject: 10 });
+  assert.deepEqual(budgets.getLimits('ip:203.0.113.7'), config.defaults);
+});
+
+test('recorded tokens count against the daily allowance until it is spent', () => {
+  budgets.recordTokens('ip:203.0.113.7', 400);
+  budgets.recordTokens('ip:203.0.113.7', 0);
+  assert.equal(budgets.getRemaining('ip:203.0.113.7').dailyTokens.remaining, 600);
+  budgets.assertTokensAvailable('ip:203.0.113.7');
+
+  budgets.recordTokens('ip:203.0.113.7', 600);
+  assert.throws(() => budgets.assertTokensAvailable('ip:203.0.113.7'), error => {
+    assert.ok(isBudgetError(error));
+    assert.equal(error.status, 429);
+    assert.equal(error.budget.dailyTokens.used, 1000);
+    return true;
+  });
+  assert.equal(budgets.getRemaining('acme').dailyTokens.used, 0);
+});
+
+test('yesterday\'s usage does not count today', () => {
+  budgets.getStore().save('acme', { clientId: 'acme', date: '2000-01-01', tokensUsed: 5000 });
+  assert.equal(budgets.getDailyUsage('acme'), 0);
+});
+
+test('concurrent generations are capped per client and released once', () => {
+  const release = budgets.startGeneration('ip:203.0.113.7');
+  assert.throws(() => budgets.startGeneration('ip:203.0.113.7'), isBudgetError);
+
+  release();
+  release();
+  assert.equal(budgets.getRemaining('ip:203.0.113.7').concurrentGenerations.active, 0);
+  budgets.startGeneration('ip:203.0.113.7')();
+});
+
+test('the middleware rejects a spent client with 429', () => {
+  budgets.recordTokens('ip:203.0.113.7', 1000);
+  const req = request();
+  let status;
+  let body;
+  const res = { status: code => { status = code; return res; }, json: data => { body = data; } };
+  budgets.middleware()(req, res, () => assert.fail('next() must not be called'));
+
+  assert.equal(req.clientId, 'ip:203.0.113.7');
+  assert.equal(status, 429);
+  assert.equal(body.success, false);
+});
+
+test('metered completions are checked, recorded in the ledger and charged to the client', async () => {
+  const recorded = [];
+  const ledger = { record: (result, meta) => recorded.push({ result, meta }) };
+  const provider = { complete: async ({ prompt }) => ({ output: prompt.toUpperCase(), tokensUsed: 250 }) };
+
+  const result = await meteredComplete(provider, { prompt: 'hi', meta: { phase: 'fix' } }, { clientId: 'acme', budgets, ledger });
+  assert.equal(result.output, 'HI');
+  assert.deepEqual(recorded.map(entry => entry.meta), [{ phase: 'fix' }]);
+  assert.equal(budgets.getDailyUsage('acme'), 250);
+
+  budgets.recordTokens('acme', 5000);
+  await assert.rejects(meteredComplete(provider, { prompt: 'again' }, { clientId: 'acme', budgets, ledger }), isBudgetError);
+  assert.equal(recorded.length, 1);
+});
+
+test('TRUST_PROXY parses to an Express trust proxy setting', () => {
+  assert.equal(parseTrustProxy(null), false);
+  assert.equal(parseTrustProxy(''), false);
+  assert.equal(parseTrustProxy('false'), false);
+  assert.equal(parseTrustProxy('true'), true);
+  assert.equal(parseTrustProxy('2'), 2);
+  assert.deepEqual(parseTrustProxy('loopback, 10.0.0.0/8'), ['loopback', '10.0.0.0/8']);
+});
@@ -0,0 +1,101 @@
+/**
+ * Component analysis: checks are met by parsed code, never by comments or strings that mention a feature,
+ * and every finding points at the line/column it refers to
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeComponent } from '../componentAnalysis.js';
+import { OrchestrationEngine } from '../OrchestrationEngine.js';
+import { getStackConfig } from '../stackConfigs.js';
+
+const blueprint = {
+  fileType: 'Hero',
+  qualityChecks: { mustHave: ['Framer Motion animations', 'Accessibility (ARIA)', 'TypeScript interface'], minimumScore: 70 }
+};
+
+function validate(code) {
+  const engine = new OrchestrationEngine(null, async () => '', getStackConfig('react-vite-tailwind'));
+  return engine.validateComponentQuality(code, blueprint, 'src/components/Hero.tsx');
+}
+
+const finding = (quality, check) => quality.findings.find(entry => entry.check === check);
+
+test('comments and strings mentioning a feature do not satisfy its check', () => {
+  const quality = validate(`
+// TODO: add motion, aria-label and HeroProps
+/* framer-motion animate interface Props */
+const label = 'motion.div aria-hidden role=button Props';
+
+export default function Hero() {
+  return <div title="framer-motion aria-live">{label}</div>;
+}
+`);
+
+  assert.equal(finding(quality, 'Framer Motion animations').passed, false);
+  assert.equal(finding(quality, 'Accessibility (ARIA)').passed, false);
+  assert.equal(finding(quality, 'TypeScript interface').passed, false);
+  assert.equal(finding(quality, 'ARIA attributes').passed, false);
+  assert.equal(finding(quality, 'Typed props (interface or type ending in Props)').passed, false);
+  assert.equal(finding(quality, 'Animations').passed, false);
+});
+
+test('the same features written as code satisfy their checks', () => {
+  const quality = validate(`
+import { motion } from 'framer-motion';
+
+interface HeroProps {
+  title: string;
+}
+
+export default function Hero({ title }: HeroProps) {
+  return <motion.section aria-label={title} animate={{ opacity: 1 }}>{title}</motion.section>;
+}
+`);
+
+  assert.equal(finding(quality, 'Framer Motion animations').passed, true);
+  assert.equal(finding(quality, 'Accessibility (ARIA)').passed, true);
+  assert.equal(finding(quality, 'TypeScript interface').passed, true);
+  assert.equal(finding(quality, 'ARIA attributes').passed, true);
+});
+
+test('findings report the line and column of a JSX attribute, an import and a hook', () => {
+  const code = [
+    "import { useState } from 'react';",
+    "import { motion } from 'framer-motion';",
+    '',
+    'export default function Toggle() {',
+    '  const [open, setOpen] = useState(false);',
+    '  return (',
+    '    <button',
+    '      aria-expanded={open}',
+    '      onClick={() => setOpen(!open)}',
+    '    >',
+    '      <motion.span animate={{ rotate: open ? 90 : 0 }}>+</motion.span>',
+    '    </button>',
+    '  );',
+    '}'
+  ].join('\n');
+  const analysis = analyzeComponent(code);
+
+  assert.deepEqual(analysis.findAttribute('aria-expanded'), { line: 8, column: 7 });
+  assert.deepEqual(analysis.findImport('framer-motion'), { line: 2, column: 1 });
+  assert.deepEqual(analysis.findHook('useState'), { line: 5, column: 27 });
+  assert.equal(analysis.findImport('motion'), null);
+
+  const quality = validate(code);
+  const aria = finding(quality, 'ARIA attributes');
+  assert.deepEqual({ line: aria.line, column: aria.column }, { line: 8, column: 7 });
+});
+
+test('a missing feature points at the component root', () => {
+  const analysis = analyzeComponent('\n\nexport const Empty = () => <div />;\n');
+  assert.equal(analysis.findAttribute(/^aria-/), null);
+  assert.deepEqual(analysis.location(), { line: 3, column: 1 });
+});
+
+test('code that does not parse reports where it stopped', () => {
+  const analysis = analyzeComponent('export default function Broken() {\n  return <div>;\n}\n');
+  assert.ok(analysis.parseError);
+  assert.equal(analysis.parseError.line, 2);
+});
@@ -0,0 +1,54 @@
+/**
+ * Worker pool and per-provider rate limiting
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, runWithConcurrency, isAbortError } from '../concurrency.js';
+
+test('runWithConcurrency keeps input order and never exceeds the limit', async () => {
+  let active = 0;
+  let peak = 0;
+  const results = await runWithConcurrency([30, 10, 20, 5], 2, async (ms, index) => {
+    peak = Math.max(peak, ++active);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    active--;
+    return index;
+  });
+  assert.deepEqual(results, [0, 1, 2, 3]);
+  assert.equal(peak, 2);
+});
+
+test('aborting a queued request removes it from the queue and rejects with an AbortError', async () => {
+  const limiter = new RateLimiter({ maxConcurrent: 1 });
+  await limiter.acquire();
+
+  const controller = new AbortController();
+  const waiting = limiter.acquire(controller.signal);
+  const next = limiter.acquire();
+  assert.equal(limiter.queue.length, 2);
+
+  controller.abort();
+  await assert.rejects(waiting, isAbortError);
+  assert.equal(limiter.queue.length, 1);
+
+  // The aborted waiter never takes the slot: the next one in line does
+  limiter.release();
+  await next;
+  assert.equal(limiter.active, 1);
+  assert.equal(limiter.queue.length, 0);
+});
+
+test('an already aborted signal rejects without queueing', async () => {
+  const limiter = new RateLimiter({ maxConcurrent: 1 });
+  await assert.rejects(limiter.acquire(AbortSignal.abort()), isAbortError);
+  assert.equal(limiter.active, 0);
+  assert.equal(limiter.queue.length, 0);
+});
+
+test('run releases its slot when the task fails', async () => {
+  const limiter = new RateLimiter({ maxConcurrent: 1 });
+  await assert.rejects(limiter.run(async () => { throw new Error('boom'); }), /boom/);
+  assert.equal(await limiter.run(async () => 'ok', new AbortController().signal), 'ok');
+  assert.equal(limiter.active, 0);
+});
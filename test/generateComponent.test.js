@@ -0,0 +1,81 @@
+/**
+ * The retry loop: a component that fails its quality check is sent back with its failing checks,
+ * and every retry is tagged with phase "retry"
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { OrchestrationEngine } from '../OrchestrationEngine.js';
+import { getStackConfig } from '../stackConfigs.js';
+import { SessionStore } from '../sessionStore.js';
+import { blueprintRegistry } from '../blueprintRegistry.js';
+import { WorkspaceBlueprints, workspaceBlueprints } from '../workspaceBlueprints.js';
+
+const blueprint = {
+  fileType: 'React Component',
+  validation: { mustNotContain: ['console\\.log'] },
+  qualityChecks: { minimumScore: 0, maxAttempts: 3 }
+};
+
+const unsafe = "export default function Card() {\n  console.log('render');\n  return <div>x</div>;\n}";
+const safe = 'export default function Card() {\n  return <div>x</div>;\n}';
+
+function engineAnswering(outputs) {
+  const calls = [];
+  const ask = async (prompt, maxTokens, meta) => {
+    calls.push({ prompt, meta });
+    return { output: outputs[Math.min(calls.length, outputs.length) - 1], tokensUsed: 1 };
+  };
+  const engine = new OrchestrationEngine(null, ask, getStackConfig('react-vite-tailwind'));
+  engine.session.projectPlan = engine.normalizePlan({}, 'Retry Test', 'A card');
+  return { engine, calls };
+}
+
+test('a failing first attempt is retried with its violations, under phase "retry"', async () => {
+  const { engine, calls } = engineAnswering([unsafe, safe]);
+  const code = await engine.generateComponent('Card', blueprint, 'src/components/Card.tsx');
+
+  assert.equal(code, safe);
+  assert.deepEqual(calls.map(call => [call.meta.phase, call.meta.attempt]), [['generate', 1], ['retry', 2]]);
+  assert.match(calls[1].prompt, /Contains forbidden pattern: console\\\.log \(line 2:3\)/);
+  assert.ok(calls[1].prompt.includes(unsafe), 'the retry prompt carries the previous attempt');
+});
+
+test('retries stop at maxAttempts', async () => {
+  const { engine, calls } = engineAnswering([unsafe]);
+  await engine.generateComponent('Card', blueprint, 'src/components/Card.tsx');
+
+  assert.deepEqual(calls.map(call => call.meta.phase), ['generate', 'retry', 'retry']);
+});
+
+test('a malformed blueprint skips only its own file', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'malformed-blueprint-'));
+  const workspaces = new WorkspaceBlueprints({
+    store: new SessionStore({ namespace: 'workspace-blueprints', dir }),
+    registry: blueprintRegistry
+  });
+  await workspaces.save('team-a', 'Navbar', { blueprint: { fileType: 'React Component', purpose: 'Site navigation' } });
+  // The stored blueprint goes bad afterwards (edited on disk, or a built-in it relied on changed)
+  const saved = workspaces.store.load('team-a');
+  saved.blueprints.Navbar.blueprint = { fileType: 'React Component' };
+  workspaces.store.save('team-a', saved);
+
+  const { engine } = engineAnswering([safe]);
+  engine.request.workspaceId = 'team-a';
+  const original = workspaceBlueprints.resolve;
+  workspaceBlueprints.resolve = workspaces.resolve.bind(workspaces);
+  try {
+    const result = await engine.generateProject('Malformed', 'A landing page', () => {}, { plan: { pages: ['Home'] } });
+    assert.equal(result.files['src/components/Navbar.tsx'], undefined);
+    assert.ok(result.files['src/components/Footer.tsx'], 'other files are still generated');
+    assert.deepEqual(result.blueprintErrors.map(({ filePath, blueprint }) => ({ filePath, blueprint })), [
+      { filePath: 'src/components/Navbar.tsx', blueprint: 'Navbar (workspace team-a)' }
+    ]);
+    assert.match(result.blueprintErrors[0].message, /purpose/);
+  } finally {
+    workspaceBlueprints.resolve = original;
+  }
+});
@@ -0,0 +1,59 @@
+/**
+ * Mock provider fixture lookup: exact prompt first, then blueprint and fileType within the same stack and phase
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { MockProvider, RecordingProvider } from '../mockProvider.js';
+
+function writeFixtures(fixtures) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+  fixtures.forEach((fixture, index) => {
+    fs.writeFileSync(path.join(dir, `${index}.json`), JSON.stringify({ tokensUsed: 1, ...fixture }));
+  });
+  return new MockProvider({ fixturesDir: dir });
+}
+
+const ask = (mock, meta, prompt = `Generate a component named ${meta.blueprint} (${Math.random()})`) =>
+  mock.complete({ prompt, meta }).then(result => result.output);
+
+test('a fixture answers other prompts for its blueprint only in the same stack and phase', async () => {
+  const mock = writeFixtures([
+    { key: { promptHash: 'x', blueprint: 'Button', fileType: 'React Component', stack: 'react-vite-tailwind', phase: 'generate' }, output: 'react button' },
+    { key: { promptHash: 'y', blueprint: 'Button', fileType: 'Vue Component', stack: 'vue-vite-tailwind', phase: 'generate' }, output: 'vue button' }
+  ]);
+
+  assert.equal(await ask(mock, { blueprint: 'Button', stack: 'react-vite-tailwind', phase: 'generate' }), 'react button');
+  assert.equal(await ask(mock, { blueprint: 'Button', stack: 'vue-vite-tailwind', phase: 'generate' }), 'vue button');
+  assert.notEqual(await ask(mock, { blueprint: 'Button', stack: 'sveltekit-tailwind', phase: 'generate' }), 'react button');
+  assert.notEqual(await ask(mock, { blueprint: 'Button', stack: 'react-vite-tailwind', phase: 'retry' }), 'react button');
+});
+
+test('fileType is the fallback when no fixture has the blueprint', async () => {
+  const mock = writeFixtures([
+    { key: { promptHash: 'x', blueprint: 'Hero', fileType: 'React Component', stack: 'react-vite-tailwind', phase: 'generate' }, output: 'any react component' }
+  ]);
+
+  assert.equal(await ask(mock, { blueprint: 'Footer', fileType: 'React Component', stack: 'react-vite-tailwind', phase: 'generate' }), 'any react component');
+  assert.notEqual(await ask(mock, { blueprint: 'Footer', fileType: 'React Component', stack: 'nextjs-app-tailwind', phase: 'generate' }), 'any react component');
+});
+
+test('fixtures recorded without a stack match any stack', async () => {
+  const mock = writeFixtures([{ key: { promptHash: 'x', blueprint: 'Hero', phase: 'generate' }, output: 'legacy hero' }]);
+
+  assert.equal(await ask(mock, { blueprint: 'Hero', stack: 'astro-tailwind', phase: 'generate' }), 'legacy hero');
+});
+
+test('an exact prompt match wins over the stack and phase fallback', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+  const request = { prompt: 'Generate a React Component named Hero for a landing project.', maxTokens: 2048, meta: { stack: 'react-vite-tailwind', phase: 'generate' } };
+  const inner = { name: 'anthropic', label: 'Claude', model: 'recorded', isConfigured: () => true, complete: async () => ({ output: 'recorded hero', tokensUsed: 3 }) };
+  await new RecordingProvider(inner, { fixturesDir: dir }).complete(request);
+
+  const mock = new MockProvider({ fixturesDir: dir });
+  assert.equal((await mock.complete({ ...request, meta: { stack: 'astro-tailwind', phase: 'retry' } })).output, 'recorded hero');
+  assert.notEqual(await ask(mock, { blueprint: 'Hero', stack: 'astro-tailwind', phase: 'generate' }), 'recorded hero');
+});
@@ -0,0 +1,34 @@
+/**
+ * JSON extraction from LLM responses, including responses cut off mid-object
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJsonObject } from '../OrchestrationEngine.js';
+
+test('extracts the first object from prose and code fences', () => {
+  assert.deepEqual(parseJsonObject('Here is the plan:\n```json\n{"a": {"b": [1, 2]}}\n```\nThanks'), { a: { b: [1, 2] } });
+  assert.deepEqual(parseJsonObject('{"text": "braces } and ] in strings", "n": 1} trailing {"x": 2}'), { text: 'braces } and ] in strings', n: 1 });
+  assert.throws(() => parseJsonObject('no json here'), /No JSON object found/);
+});
+
+test('repairs trailing commas', () => {
+  assert.deepEqual(parseJsonObject('{"pages": ["Home", "About",], "n": 1,}'), { pages: ['Home', 'About'], n: 1 });
+});
+
+test('closes truncated arrays and objects innermost first', () => {
+  assert.deepEqual(parseJsonObject('{"pages": [{"name": "Home", "sections": ["Hero", "Features"'), {
+    pages: [{ name: 'Home', sections: ['Hero', 'Features'] }]
+  });
+  assert.deepEqual(parseJsonObject('{"a": [[1, 2], [3'), { a: [[1, 2], [3]] });
+  assert.deepEqual(parseJsonObject('{"a": [1, 2],'), { a: [1, 2] });
+});
+
+test('finishes a truncated string and drops a key left without a value', () => {
+  assert.deepEqual(parseJsonObject('{"components": [{"name": "Hero", "description": "Big head'), {
+    components: [{ name: 'Hero', description: 'Big head' }]
+  });
+  assert.deepEqual(parseJsonObject('{"a": 1, "b":'), { a: 1 });
+  assert.deepEqual(parseJsonObject('{"a": 1, "descr'), { a: 1 });
+  assert.deepEqual(parseJsonObject('{"list": ["x", "y'), { list: ['x', 'y'] });
+});
@@ -0,0 +1,62 @@
+/**
+ * Project validation: checks are dispatched on the stack's framework, so Svelte and Next.js files
+ * are judged by their own rules instead of React's
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ProjectValidationPipeline from '../ProjectValidationPipeline.js';
+
+const pipeline = new ProjectValidationPipeline();
+const messages = (files, framework) => pipeline.validateFrameworkPatterns(files, { framework }).map(check => check.message);
+
+test('Svelte files are checked for React imports, TypeScript scripts, Svelte 4 syntax and page heads', () => {
+  const found = messages({
+    'src/lib/components/Hero.svelte': "<script>\n  import { motion } from 'framer-motion';\n  export let title;\n</script>\n<h1 on:click={go}>{title}</h1>",
+    'src/routes/+page.svelte': '<script lang="ts">\n  let { data } = $props();\n</script>\n<h1>{data.title}</h1>',
+    'src/routes/about/+page.svelte': '<svelte:head><title>About</title></svelte:head>\n<script lang="ts"></script>'
+  }, 'svelte');
+
+  assert.deepEqual(found, [
+    'framer-motion in a Svelte project (src/lib/components/Hero.svelte)',
+    '<script> block is not TypeScript (src/lib/components/Hero.svelte)',
+    'Svelte 4 syntax (export let / on:event) in src/lib/components/Hero.svelte',
+    'Page has no <svelte:head> (src/routes/+page.svelte)'
+  ]);
+});
+
+test('Svelte sources and libraries come from the Svelte profile', () => {
+  const files = {
+    'src/lib/components/Card.svelte': "<script lang=\"ts\">\n  import { page } from '$app/stores';\n  console.log($page);\n</script>",
+    'src/App.tsx': "console.log('not a Svelte source');"
+  };
+  const context = { framework: 'svelte' };
+
+  assert.deepEqual(pipeline.sourceFiles(files, context).map(([filePath]) => filePath), ['src/lib/components/Card.svelte']);
+  assert.equal(pipeline.checkImportResolution('$app/stores', files, new Map(), pipeline.getFrameworkProfile(context)), true);
+  assert.equal(pipeline.checkImportResolution('$app/stores', files, new Map(), pipeline.getFrameworkProfile({})), false);
+});
+
+test('Next.js files are checked for client features in Server Components, metadata and react-router', () => {
+  const found = messages({
+    'app/page.tsx': "import { useState } from 'react';\nexport default function Home() { const [a] = useState(0); return <p>{a}</p>; }",
+    'app/about/page.tsx': "'use client';\nexport const metadata = { title: 'About' };\nexport default function About() { return <p onClick={() => {}}>About</p>; }",
+    'components/Nav.tsx': "'use client';\nimport { Link } from 'react-router-dom';\nexport default function Nav() { const [open] = useOpen(); return <Link to=\"/\" />; }",
+    'app/contact/page.tsx': "export const metadata = { title: 'Contact' };\nexport default function Contact() { return <p>Contact</p>; }"
+  }, 'nextjs');
+
+  assert.deepEqual(found, [
+    'Hooks, event handlers or framer-motion in a Server Component (app/page.tsx)',
+    'Page has no metadata export (app/page.tsx)',
+    'Client component exports metadata (app/about/page.tsx)',
+    'Proper client component usage',
+    'react-router-dom in a Next.js project (components/Nav.tsx)',
+    'Proper client component usage'
+  ]);
+});
+
+test('validateProject reports the framework it judged the project by', async () => {
+  const files = { 'src/routes/+page.svelte': '<svelte:head></svelte:head><script lang="ts"></script>' };
+  assert.equal((await pipeline.validateProject(files, { framework: 'svelte' })).sessionContext.framework, 'svelte');
+  assert.equal((await pipeline.validateProject(files)).sessionContext.framework, 'react');
+});
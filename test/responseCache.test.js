@@ -0,0 +1,98 @@
+/**
+ * Response cache: keys, TTL expiry and least-recently-used eviction
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { ResponseCache, CachedProvider } from '../responseCache.js';
+
+const tempCache = (config = {}) => new ResponseCache({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'cache-')), enabled: true, ...config });
+const result = output => ({ output, inputTokens: 10, outputTokens: 20, tokensUsed: 30 });
+const ageFile = (filePath, ms) => {
+  const then = new Date(Date.now() - ms);
+  fs.utimesSync(filePath, then, then);
+};
+
+test('keys depend on provider, model, prompt, max tokens and system prompt', () => {
+  const cache = tempCache();
+  const base = { provider: 'anthropic', model: 'm', prompt: 'p', maxTokens: 100 };
+  const key = cache.key(base);
+
+  assert.equal(cache.key({ ...base, system: '' }), key);
+  for (const change of [{ provider: 'openai' }, { model: 'n' }, { prompt: 'q' }, { maxTokens: 200 }, { system: 's' }]) {
+    assert.notEqual(cache.key({ ...base, ...change }), key);
+  }
+});
+
+test('entries past the TTL are dropped on read', () => {
+  const cache = tempCache({ ttlMs: 1000 });
+  cache.set('fresh', result('a'));
+  assert.equal(cache.get('fresh').result.output, 'a');
+
+  fs.writeFileSync(cache.filePath('stale'), JSON.stringify({ cachedAt: Date.now() - 5000, result: result('b') }));
+  assert.equal(cache.get('stale'), null);
+  assert.equal(fs.existsSync(cache.filePath('stale')), false);
+});
+
+test('writes evict the least recently used entries once over maxBytes', () => {
+  const cache = tempCache();
+  for (const key of ['a', 'b', 'c']) cache.set(key, result(key.repeat(100)));
+  const entrySize = fs.statSync(cache.filePath('a')).size;
+  cache.maxBytes = entrySize * 3;
+
+  // Reading "a" makes "b" the least recently used
+  cache.get('a');
+  cache.set('d', result('d'.repeat(100)));
+
+  assert.equal(cache.get('b'), null);
+  for (const key of ['a', 'c', 'd']) assert.ok(cache.get(key), `expected ${key} to be kept`);
+  assert.equal(fs.readdirSync(cache.dir).length, 3);
+});
+
+test('entries left from a previous run are indexed by last use and expire on the next write', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-'));
+  const previous = new ResponseCache({ dir });
+  previous.set('old', result('old'));
+  previous.set('recent', result('recent'));
+  ageFile(previous.filePath('old'), 10000);
+
+  const cache = new ResponseCache({ dir, ttlMs: 5000 });
+  cache.set('new', result('new'));
+
+  assert.equal(fs.existsSync(cache.filePath('old')), false);
+  assert.ok(cache.get('recent'));
+  assert.ok(cache.get('new'));
+});
+
+test('writes do not rescan the cache directory', () => {
+  const cache = tempCache();
+  cache.set('first', result('first'));
+
+  const readdir = fs.readdirSync;
+  let scans = 0;
+  fs.readdirSync = (...args) => { scans++; return readdir(...args); };
+  try {
+    for (let i = 0; i < 20; i++) cache.set(`key-${i}`, result(`output ${i}`));
+  } finally {
+    fs.readdirSync = readdir;
+  }
+  assert.equal(scans, 0);
+});
+
+test('cached completions cost nothing and noCache forces a fresh one', async () => {
+  const cache = tempCache();
+  let calls = 0;
+  const inner = { name: 'test', label: 'Test', model: 'm', isConfigured: () => true, complete: async () => result(`call ${++calls}`) };
+  const provider = new CachedProvider(inner, cache);
+
+  assert.equal((await provider.complete({ prompt: 'p', maxTokens: 10 })).tokensUsed, 30);
+  const hit = await provider.complete({ prompt: 'p', maxTokens: 10 });
+  assert.deepEqual([hit.output, hit.tokensUsed, hit.cached], ['call 1', 0, true]);
+
+  const fresh = await provider.complete({ prompt: 'p', maxTokens: 10, noCache: true });
+  assert.equal(fresh.output, 'call 2');
+  assert.equal((await provider.complete({ prompt: 'p', maxTokens: 10 })).output, 'call 2');
+});
@@ -0,0 +1,95 @@
+/**
+ * Resuming generations: checkpoints are stored per session id, and a resumed engine keeps the files
+ * finished before the interruption instead of regenerating them
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { SessionStore } from '../sessionStore.js';
+import { OrchestrationEngine } from '../OrchestrationEngine.js';
+import { getStackConfig } from '../stackConfigs.js';
+import { MockProvider } from '../mockProvider.js';
+import { BuildValidationAPI } from '../buildValidationAPI.js';
+
+const tempStore = namespace => new SessionStore({ namespace, dir: fs.mkdtempSync(path.join(os.tmpdir(), 'resume-')) });
+
+test('ids that only differ in unsafe characters get their own checkpoint', () => {
+  const store = tempStore('generations');
+  store.save('a:b', { sessionId: 'a:b' });
+  store.save('a_b', { sessionId: 'a_b' });
+  store.save('../escape', { sessionId: '../escape' });
+
+  assert.equal(store.load('a:b').sessionId, 'a:b');
+  assert.equal(store.load('a_b').sessionId, 'a_b');
+  assert.equal(path.dirname(store.filePath('../escape')), store.dir);
+  assert.deepEqual(store.list().map(saved => saved.sessionId).sort(), ['../escape', 'a:b', 'a_b']);
+  assert.equal(store.load('missing'), null);
+});
+
+test('checkpoints older than the retention are pruned', () => {
+  const store = tempStore('generations');
+  store.save('old', { sessionId: 'old' });
+  store.save('new', { sessionId: 'new' });
+  const longAgo = new Date(Date.now() - 10 * 60 * 60 * 1000);
+  fs.utimesSync(store.filePath('old'), longAgo, longAgo);
+
+  assert.equal(store.prune(60 * 60 * 1000), 1);
+  assert.equal(store.load('old'), null);
+  assert.ok(store.load('new'));
+});
+
+test('a resumed generation keeps finished files and only generates the rest', async () => {
+  const mock = new MockProvider();
+  const stackConfig = getStackConfig('react-vite-tailwind');
+  const prompts = [];
+  const ask = (prompt, maxTokens, meta) => {
+    prompts.push(meta?.filePath);
+    return mock.complete({ prompt, maxTokens, meta });
+  };
+
+  const expected = await new OrchestrationEngine(null, ask, stackConfig).generateProject('Resume Test', 'A coffee shop');
+
+  // Stop after a few LLM calls, as if the server went down
+  const store = tempStore('generations');
+  let calls = 0;
+  const failing = (prompt, maxTokens, meta) => {
+    if (++calls > 6) throw new Error('server restarted');
+    return ask(prompt, maxTokens, meta);
+  };
+  const first = new OrchestrationEngine('session-1', failing, stackConfig, { sessionStore: store, request: { clientId: 'acme' } });
+  await assert.rejects(first.generateProject('Resume Test', 'A coffee shop', () => {}, { concurrency: 1 }), /server restarted/);
+
+  const saved = store.load('session-1');
+  const finished = Object.keys(saved.generatedFiles);
+  assert.ok(finished.length > 0, 'expected files checkpointed before the failure');
+  assert.equal(saved.request.clientId, 'acme');
+
+  prompts.length = 0;
+  const resumed = new OrchestrationEngine('session-1', ask, stackConfig, { sessionStore: store, session: saved });
+  const result = await resumed.generateProject(saved.request.projectName, saved.request.userPrompt, () => {}, { concurrency: 1 });
+
+  assert.deepEqual(result.files, expected.files);
+  assert.ok(finished.every(filePath => !prompts.includes(filePath)), 'finished files must not be regenerated');
+  assert.equal(store.load('session-1').status, 'completed');
+  assert.equal(store.load('session-1').request.clientId, 'acme');
+});
+
+test('saved validations are pruned, and only the newest are kept in memory', () => {
+  const store = tempStore('validations');
+  for (let day = 1; day <= 4; day++) {
+    store.save(`v${day}`, { id: `v${day}`, status: 'completed', startTime: new Date(2026, 0, day), endTime: new Date(2026, 0, day) });
+  }
+  store.save('running', { id: 'running', status: 'initializing', startTime: new Date(2026, 0, 5), endTime: null });
+  const longAgo = new Date(Date.now() - 100 * 60 * 60 * 1000);
+  fs.utimesSync(store.filePath('v1'), longAgo, longAgo);
+
+  const api = new BuildValidationAPI({ store, retentionMs: 72 * 60 * 60 * 1000, maxInMemory: 2 });
+
+  assert.deepEqual([...api.activeValidations.keys()], ['v4', 'running']);
+  assert.equal(api.getValidation('running').status, 'interrupted');
+  assert.equal(api.getValidation('v2').status, 'completed');
+  assert.equal(api.getValidation('v1'), null);
+});
@@ -0,0 +1,57 @@
+/**
+ * Page sections: planned sections are normalized, generated once each, required by their pages,
+ * and scored against the blueprint they were generated from
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OrchestrationEngine } from '../OrchestrationEngine.js';
+import { getStackConfig } from '../stackConfigs.js';
+
+test('planned sections resolve to known sections and variants, once each', () => {
+  const engine = new OrchestrationEngine(null, null, getStackConfig('react-vite-tailwind'));
+  const plan = engine.normalizePlan({
+    pages: [{
+      name: 'Home',
+      path: '/',
+      sections: ['hero', { name: 'FeaturesSection', variant: 'ICONSWITHTEXT' }, { name: 'cta', variant: 'nope' }, 'testimonials', 'hero']
+    }]
+  }, 'Sections', 'A landing page');
+
+  assert.deepEqual(plan.pages[0].sections, [
+    { name: 'HeroSection', variant: 'centered', component: 'HeroSectionCentered' },
+    { name: 'FeaturesSection', variant: 'iconsWithText', component: 'FeaturesSectionIconsWithText' },
+    { name: 'CTASection', variant: 'fullWidth', component: 'CTASectionFullWidth' }
+  ]);
+});
+
+test('sections are generated and scored with their own blueprint, and pages must render them in order', async () => {
+  const calls = [];
+  const ask = async (prompt, maxTokens, meta) => {
+    calls.push({ prompt, meta });
+    return { output: 'export default function Block() {\n  return <div className="md:flex">Block</div>;\n}', tokensUsed: 1 };
+  };
+  const engine = new OrchestrationEngine(null, ask, getStackConfig('react-vite-tailwind'));
+  const result = await engine.generateProject('Sections', 'A landing page', () => {}, {
+    plan: {
+      pages: [
+        { name: 'Home', path: '/', sections: [{ name: 'HeroSection', variant: 'splitImage' }, 'cta'] },
+        { name: 'About', path: '/about', sections: ['cta'] }
+      ]
+    }
+  });
+
+  const sectionFiles = Object.keys(result.files).filter(filePath => filePath.includes('/sections/'));
+  assert.deepEqual(sectionFiles, ['src/components/sections/HeroSectionSplitImage.tsx', 'src/components/sections/CTASectionFullWidth.tsx']);
+
+  const homePrompt = calls.find(call => call.meta.filePath === 'src/pages/HomePage.tsx').prompt;
+  assert.match(homePrompt, /rendered in this order: HeroSectionSplitImage, CTASectionFullWidth/);
+
+  const details = Object.fromEntries(result.qualityMetrics.componentDetails.map(detail => [detail.name, detail]));
+  // The section blueprint requires the section's own name, so the generic answer misses it
+  assert.ok(details.HeroSectionSplitImage.violations.some(violation => violation.rule === 'HeroSectionSplitImage'));
+  assert.ok(details.CTASectionFullWidth, 'every section is on the dashboard');
+  // Pages are scored against the page blueprint plus their sections
+  assert.ok(details.HomePage.violations.some(violation => violation.rule.includes('import\\s+HeroSectionSplitImage')));
+  assert.ok(!details.AboutPage.violations.some(violation => violation.rule.includes('HeroSectionSplitImage')));
+});
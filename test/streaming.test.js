@@ -0,0 +1,117 @@
+/**
+ * Streaming: server-sent events from Anthropic and OpenAI-compatible endpoints, and the engine's
+ * file-started / file-chunk / file-completed events
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnthropicProvider, OpenAICompatibleProvider } from '../llmProviders.js';
+import { OrchestrationEngine } from '../OrchestrationEngine.js';
+import { getStackConfig } from '../stackConfigs.js';
+
+// A response whose body arrives in the given pieces, split wherever the test chooses
+function streamedResponse(pieces) {
+  const encoder = new TextEncoder();
+  return {
+    body: (async function* () {
+      for (const piece of pieces) yield typeof piece === 'string' ? encoder.encode(piece) : piece;
+    })()
+  };
+}
+
+const sse = events => events.map(event => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`).join('');
+
+// Split a string into pieces of `size` characters, so events and lines straddle chunk boundaries
+const pieces = (text, size) => text.match(new RegExp(`[\\s\\S]{1,${size}}`, 'g'));
+
+test('Anthropic streams text deltas and reads usage from message_start and message_delta', async () => {
+  const body = sse([
+    { type: 'message_start', message: { usage: { input_tokens: 42, output_tokens: 1 } } },
+    { type: 'content_block_start', index: 0 },
+    { type: 'content_block_delta', delta: { type: 'text_delta', text: 'export default ' } },
+    { type: 'ping' },
+    { type: 'content_block_delta', delta: { type: 'text_delta', text: 'function Café() {}' } },
+    { type: 'message_delta', usage: { output_tokens: 17 } },
+    { type: 'message_stop' }
+  ]);
+  const provider = new AnthropicProvider({ apiKey: 'test' });
+
+  for (const size of [1, 7, body.length]) {
+    const chunks = [];
+    const result = await provider.readStream(streamedResponse(pieces(body, size)), chunk => chunks.push(chunk));
+    assert.equal(result.output, 'export default function Café() {}');
+    assert.deepEqual(chunks, ['export default ', 'function Café() {}']);
+    assert.equal(result.inputTokens, 42);
+    assert.equal(result.outputTokens, 17);
+    assert.equal(result.tokensUsed, 59);
+  }
+});
+
+test('a multi-byte character split across chunks decodes intact', async () => {
+  const bytes = new TextEncoder().encode(sse([{ type: 'content_block_delta', delta: { text: 'é' } }]));
+  const split = bytes.indexOf(0xc3) + 1;
+  const result = await new AnthropicProvider({ apiKey: 'test' })
+    .readStream(streamedResponse([bytes.slice(0, split), bytes.slice(split)]), () => {});
+  assert.equal(result.output, 'é');
+});
+
+test('an Anthropic error event fails the completion', async () => {
+  const body = sse([
+    { type: 'content_block_delta', delta: { text: 'partial' } },
+    { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }
+  ]);
+  await assert.rejects(
+    new AnthropicProvider({ apiKey: 'test' }).readStream(streamedResponse([body]), () => {}),
+    { message: 'Claude stream failed: Overloaded' }
+  );
+});
+
+test('OpenAI-compatible streams handle \\r\\n line endings, trailing usage and [DONE]', async () => {
+  const body = sse([
+    { choices: [{ delta: { role: 'assistant' } }] },
+    { choices: [{ delta: { content: 'const a' } }] },
+    { choices: [{ delta: { content: ' = 1;' } }] },
+    { choices: [], usage: { prompt_tokens: 12, completion_tokens: 5 } },
+    '[DONE]',
+    { choices: [{ delta: { content: 'after done' } }] }
+  ]).replace(/\n/g, '\r\n');
+  const provider = new OpenAICompatibleProvider({ apiKey: 'test' });
+
+  for (const size of [1, 5, body.length]) {
+    const chunks = [];
+    const result = await provider.readStream(streamedResponse(pieces(body, size)), chunk => chunks.push(chunk));
+    assert.equal(result.output, 'const a = 1;');
+    assert.deepEqual(chunks, ['const a', ' = 1;']);
+    assert.equal(result.inputTokens, 12);
+    assert.equal(result.outputTokens, 5);
+  }
+});
+
+test('the engine emits file-started, file-chunk and file-completed for each generated file', async () => {
+  const events = [];
+  const ask = async (prompt, maxTokens, meta, { onChunk } = {}) => {
+    const output = `export default function ${meta.blueprint || 'File'}() {\n  return <div className="md:flex">x</div>;\n}`;
+    const split = output.indexOf('\n') + 1;
+    onChunk?.(output.slice(0, split));
+    onChunk?.(output.slice(split));
+    return { output, tokensUsed: 1 };
+  };
+  const engine = new OrchestrationEngine('stream-test', ask, getStackConfig('react-vite-tailwind'), {
+    onEvent: (event, payload) => events.push({ event, ...payload })
+  });
+  const result = await engine.generateProject('Streaming', 'A landing page', () => {}, { plan: { pages: ['Home'] } });
+
+  const forFile = filePath => events.filter(event => event.filePath === filePath);
+  const navbar = forFile('src/components/Navbar.tsx');
+  assert.equal(navbar[0].event, 'file-started');
+  assert.equal(navbar[0].phase, 'generate');
+  assert.equal(navbar[0].sessionId, 'stream-test');
+  assert.equal(navbar.at(-1).event, 'file-completed');
+  assert.equal(navbar.at(-1).content, result.files['src/components/Navbar.tsx']);
+  assert.equal(navbar.filter(event => event.event === 'file-chunk').map(event => event.chunk).join(''), navbar.at(-1).content);
+
+  // Template files are never streamed, but still complete
+  const templated = Object.keys(result.files).find(filePath => !forFile(filePath).some(event => event.event === 'file-started'));
+  assert.ok(templated, 'expected at least one template-rendered file');
+  assert.deepEqual(forFile(templated).map(event => event.event), ['file-completed']);
+});
@@ -0,0 +1,79 @@
+/**
+ * Template engine: placeholders, blocks, escaping per format, typed variables and static checks
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderTemplate, resolveTemplateVariables, checkTemplate, parseTemplate } from '../templateEngine.js';
+
+const render = (source, variables, options) => renderTemplate(source, variables, options);
+
+const throwsTemplate = (fn, pattern, line) => assert.throws(fn, error => {
+  assert.equal(error.name, 'TemplateError');
+  assert.match(error.message, pattern);
+  if (line !== undefined) assert.equal(error.line, line);
+  return true;
+});
+
+test('placeholders resolve dotted paths, and \\{{ is a literal', () => {
+  assert.equal(render('Hi {{ user.name }} ({{count}})', { user: { name: 'Ada' }, count: 3 }), 'Hi Ada (3)');
+  assert.equal(render('\\{{notATag}}', {}), '{{notATag}}');
+});
+
+test('if/else and unless pick a branch; empty lists are false', () => {
+  const source = '{{#if flags.dark}}dark{{else}}light{{/if}}/{{#unless items}}none{{/unless}}';
+  assert.equal(render(source, { flags: { dark: true }, items: [] }), 'dark/none');
+  assert.equal(render(source, { flags: {}, items: [1] }), 'light/');
+});
+
+test('each exposes the item, @index, @first and @last', () => {
+  const source = '{{#each pages as page}}{{@index}}:{{page.path}}{{#if @first}}*{{/if}}{{#unless @last}},{{/unless}}{{/each}}';
+  assert.equal(render(source, { pages: [{ path: '/' }, { path: '/about' }, { path: '/blog' }] }), '0:/*,1:/about,2:/blog');
+});
+
+test('block tags alone on their line leave no blank line', () => {
+  const source = 'a\n{{#if on}}\nb\n{{/if}}\nc\n';
+  assert.equal(render(source, { on: true }), 'a\nb\nc\n');
+  assert.equal(render(source, { on: false }), 'a\nc\n');
+});
+
+test('values are escaped for the template format; triple braces are raw', () => {
+  const value = `<a href="x">'Tom' & \${x}\n`;
+  assert.equal(render('{{v}}', { v: value }, { format: 'html' }), '&lt;a href=&quot;x&quot;&gt;&#39;Tom&#39; &amp; ${x}\n');
+  assert.equal(render('"{{v}}"', { v: value }, { format: 'json' }), JSON.stringify(value));
+  assert.equal(render("'{{v}}'", { v: value }, { format: 'ts' }), `'<a href=\\"x\\">\\'Tom\\' & \\\${x}\\n'`);
+  assert.equal(render('{{v}}', { v: 'a;}b' }, { format: 'css' }), 'a\\;\\}b');
+  assert.equal(render('{{{v}}}', { v: value }, { format: 'html' }), value);
+  throwsTemplate(() => render('x', {}, { format: 'yaml' }), /unknown format "yaml"/);
+});
+
+test('render errors name the placeholder and its line', () => {
+  throwsTemplate(() => render('ok\n{{missing}}', {}), /unresolved placeholder \{\{missing\}\}/, 2);
+  throwsTemplate(() => render('{{#if typo}}x{{/if}}', {}), /unresolved placeholder \{\{#if typo\}\}/);
+  throwsTemplate(() => render('{{list}}', { list: [1] }), /is a list; use \{\{#each\}\}/);
+  throwsTemplate(() => render('{{#each list as item}}{{/each}}', { list: 'abc' }), /needs a list/);
+});
+
+test('malformed templates fail to parse with the offending line', () => {
+  throwsTemplate(() => parseTemplate('{{#if a}}\nnever closed'), /\{\{#if a\}\} is never closed/, 1);
+  throwsTemplate(() => parseTemplate('a\n{{/each}}'), /unexpected \{\{\/each\}\}/, 2);
+  throwsTemplate(() => parseTemplate('{{#each items}}{{/each}}'), /expected \{\{#each list as item\}\}/);
+  throwsTemplate(() => parseTemplate('{{else}}'), /unexpected \{\{else\}\}/);
+  throwsTemplate(() => parseTemplate('{{ not a path! }}'), /invalid placeholder/);
+});
+
+test('variables take values or defaults, must match their type, and undeclared values are dropped', () => {
+  const declared = { projectName: 'string', port: { type: 'number', default: 3000 }, pages: 'array' };
+  assert.deepEqual(
+    resolveTemplateVariables(declared, { projectName: 'Shop', pages: [], extra: true }),
+    { projectName: 'Shop', port: 3000, pages: [] }
+  );
+  throwsTemplate(() => resolveTemplateVariables(declared, { pages: [] }), /"projectName" has no value and no default/);
+  throwsTemplate(() => resolveTemplateVariables(declared, { projectName: 'Shop', pages: {} }), /"pages" must be a array, got object/);
+});
+
+test('checkTemplate reports undeclared placeholders and syntax errors without throwing', () => {
+  assert.deepEqual(checkTemplate('{{#each pages as page}}{{page.name}}{{@index}}{{/each}}', ['pages']), []);
+  assert.deepEqual(checkTemplate('a\n{{title}}', []), [{ message: 'unresolved placeholder {{title}}: declare "title" in variables', line: 2 }]);
+  assert.deepEqual(checkTemplate('{{#if a}}', ['a']), [{ message: '{{#if a}} is never closed', line: 1 }]);
+});
@@ -0,0 +1,77 @@
+/**
+ * Usage ledger: model pricing, per-session totals by phase and file, and what is kept in memory
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { SessionStore } from '../sessionStore.js';
+import { UsageLedger, getModelPricing, calculateCost } from '../usageLedger.js';
+
+const tempLedger = (options = {}) => new UsageLedger({
+  store: new SessionStore({ namespace: 'usage', dir: fs.mkdtempSync(path.join(os.tmpdir(), 'usage-')) }),
+  ...options
+});
+
+test('prices match the longest model prefix, and LLM_PRICING overrides them', () => {
+  assert.deepEqual(getModelPricing('gpt-4o-mini-2024-07-18'), { input: 0.15, output: 0.6 });
+  assert.deepEqual(getModelPricing('gpt-4o-2024-08-06'), { input: 2.5, output: 10 });
+  assert.deepEqual(getModelPricing('some-local-model'), { input: 0, output: 0 });
+  assert.equal(calculateCost('claude-sonnet-4-20250514', 1_000_000, 100_000), 4.5);
+
+  process.env.LLM_PRICING = JSON.stringify({ 'some-local': { input: 1, output: 2 } });
+  try {
+    assert.equal(calculateCost('some-local-model', 500_000, 500_000), 1.5);
+  } finally {
+    delete process.env.LLM_PRICING;
+  }
+});
+
+test('session usage is totalled by phase and by file', () => {
+  const ledger = tempLedger();
+  const result = (inputTokens, outputTokens) => ({ inputTokens, outputTokens, provider: 'anthropic', model: 'claude-3-5-haiku' });
+  ledger.record(result(100, 50), { sessionId: 's1', phase: 'plan' });
+  ledger.record(result(200, 100), { sessionId: 's1', phase: 'generate', filePath: 'src/App.tsx' });
+  ledger.record(result(300, 150), { sessionId: 's1', phase: 'retry', filePath: 'src/App.tsx' });
+  ledger.record(result(1, 1), { phase: 'generate' });
+
+  const usage = ledger.getSessionUsage('s1');
+  assert.equal(usage.calls, 3);
+  assert.equal(usage.totalTokens, 900);
+  assert.deepEqual(Object.keys(usage.byPhase), ['plan', 'generate', 'retry']);
+  assert.equal(usage.byFile['src/App.tsx'].calls, 2);
+  assert.equal(usage.byFile['src/App.tsx'].outputTokens, 250);
+  assert.equal(usage.entries, undefined);
+  assert.equal(ledger.getSessionUsage('s1', { includeEntries: true }).entries.length, 3);
+});
+
+test('unknown sessions are not cached, and only the most recently used sessions stay in memory', () => {
+  const ledger = tempLedger({ maxInMemory: 2 });
+  assert.equal(ledger.getSessionUsage('missing'), null);
+  assert.equal(ledger.sessions.size, 0);
+
+  for (const sessionId of ['a', 'b', 'c']) {
+    ledger.record({ outputTokens: 10, model: 'gpt-4o' }, { sessionId, phase: 'generate' });
+  }
+  assert.deepEqual([...ledger.sessions.keys()], ['b', 'c']);
+
+  // Evicted sessions are read back from disk
+  assert.equal(ledger.getSessionUsage('a').outputTokens, 10);
+  assert.deepEqual([...ledger.sessions.keys()], ['c', 'a']);
+  ledger.record({ outputTokens: 5, model: 'gpt-4o' }, { sessionId: 'b', phase: 'retry' });
+  assert.equal(ledger.getSessionUsage('b').calls, 2);
+});
+
+test('prune removes old sessions from disk and memory', () => {
+  const ledger = tempLedger();
+  ledger.record({ outputTokens: 10 }, { sessionId: 'old' });
+  ledger.record({ outputTokens: 10 }, { sessionId: 'new' });
+  const longAgo = new Date(Date.now() - 10 * 60 * 60 * 1000);
+  fs.utimesSync(ledger.store.filePath('old'), longAgo, longAgo);
+
+  assert.equal(ledger.prune(60 * 60 * 1000), 1);
+  assert.equal(ledger.getSessionUsage('old'), null);
+  assert.equal(ledger.getSessionUsage('new').calls, 1);
+});
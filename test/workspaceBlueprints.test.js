@@ -0,0 +1,149 @@
+/**
+ * Workspace blueprints: per-workspace CRUD, extend/override of built-ins, and serialized writes
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { BlueprintRegistry } from '../blueprintRegistry.js';
+import { SessionStore } from '../sessionStore.js';
+import { WorkspaceBlueprints } from '../workspaceBlueprints.js';
+
+const card = { fileType: 'React Component', purpose: 'Team card', qualityChecks: { mustHave: ['Typed props'] } };
+
+let workspaces;
+
+beforeEach(() => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-blueprints-'));
+  fs.mkdirSync(path.join(dir, 'blueprints'));
+  fs.writeFileSync(path.join(dir, 'package.json'), '{ "type": "module" }\n');
+  fs.writeFileSync(path.join(dir, 'blueprints', 'Button.js'), `export default ${JSON.stringify({
+    fileType: 'React Component',
+    purpose: 'Built-in button',
+    qualityChecks: { mustHave: ['Accessibility'], minimumScore: 70 }
+  })};\n`);
+  workspaces = new WorkspaceBlueprints({
+    store: new SessionStore({ namespace: 'workspace-blueprints', dir }),
+    registry: new BlueprintRegistry({ dir: path.join(dir, 'blueprints') })
+  });
+});
+
+test('saved blueprints are listed, read and resolved only in their own workspace', async () => {
+  const entry = await workspaces.save('team-a', 'TeamCard', { blueprint: card });
+  assert.equal(entry.mode, 'override');
+  assert.equal(entry.overridesBuiltIn, false);
+
+  assert.deepEqual(workspaces.list('team-a').map(({ name, fileType, purpose }) => ({ name, fileType, purpose })), [
+    { name: 'TeamCard', fileType: 'React Component', purpose: 'Team card' }
+  ]);
+  assert.equal(workspaces.get('team-a', 'TeamCard').blueprint.purpose, 'Team card');
+  assert.equal(workspaces.resolve('team-a', 'TeamCard').purpose, 'Team card');
+
+  assert.deepEqual(workspaces.list('team-b'), []);
+  assert.equal(workspaces.get('team-b', 'TeamCard'), null);
+  assert.equal(workspaces.resolve('team-b', 'TeamCard'), null);
+  assert.equal(workspaces.resolve(null, 'TeamCard'), null);
+});
+
+test('updates keep createdAt, and deletes report whether anything was removed', async () => {
+  const created = await workspaces.save('team-a', 'TeamCard', { blueprint: card });
+  const updated = await workspaces.save('team-a', 'TeamCard', { blueprint: { ...card, purpose: 'Updated card' } });
+  assert.equal(updated.createdAt, created.createdAt);
+  assert.equal(workspaces.resolve('team-a', 'TeamCard').purpose, 'Updated card');
+
+  assert.equal(await workspaces.delete('team-a', 'TeamCard'), true);
+  assert.equal(await workspaces.delete('team-a', 'TeamCard'), false);
+  assert.equal(workspaces.get('team-a', 'TeamCard'), null);
+});
+
+test('extend mode merges onto the built-in; override replaces it', async () => {
+  await workspaces.save('team-a', 'Button', { blueprint: { qualityChecks: { mustHave: ['Brand colors'] } }, mode: 'extend' });
+  const extended = workspaces.resolve('team-a', 'Button');
+  assert.equal(extended.purpose, 'Built-in button');
+  assert.deepEqual(extended.qualityChecks.mustHave, ['Accessibility', 'Brand colors']);
+
+  await workspaces.save('team-b', 'Button', { blueprint: { ...card, purpose: 'Our button' } });
+  const overridden = workspaces.resolve('team-b', 'Button');
+  assert.equal(overridden.purpose, 'Our button');
+  assert.deepEqual(overridden.qualityChecks.mustHave, ['Typed props']);
+  assert.equal(workspaces.get('team-b', 'Button').overridesBuiltIn, true);
+});
+
+test('invalid uploads are rejected with 400 and nothing is stored', async () => {
+  const rejects = (name, body, pattern) => assert.rejects(workspaces.save('team-a', name, body), error => {
+    assert.equal(error.status, 400);
+    assert.match(error.message, pattern);
+    return true;
+  });
+
+  await rejects('../escape', { blueprint: card }, /Invalid blueprint name/);
+  await rejects('TeamCard', { blueprint: card, mode: 'merge' }, /Invalid mode/);
+  await rejects('TeamCard', { blueprint: [] }, /must be a JSON object/);
+  await rejects('Missing', { blueprint: card, mode: 'extend' }, /no built-in blueprint/);
+  await rejects('TeamCard', { blueprint: { fileType: 'React Component' } }, /purpose/);
+  await rejects('TeamCard', { blueprint: { ...card, extends: 'Nope' } }, /unknown blueprint or fragment "Nope"/);
+  assert.deepEqual(workspaces.list('team-a'), []);
+});
+
+test('concurrent saves and deletes in one workspace all land', async () => {
+  await workspaces.save('team-a', 'Old', { blueprint: card });
+  const names = Array.from({ length: 10 }, (_, index) => `Card${index}`);
+
+  await Promise.all([
+    ...names.map(name => workspaces.save('team-a', name, { blueprint: { ...card, purpose: name } })),
+    workspaces.delete('team-a', 'Old')
+  ]);
+
+  assert.deepEqual(workspaces.list('team-a').map(entry => entry.name).sort(), names.sort());
+  assert.equal(workspaces.writes.size, 0);
+});
+
+test('custom validation rules are matched as plain text, not as regexes', async () => {
+  await workspaces.save('team-a', 'TeamCard', { blueprint: { ...card, validation: { mustContain: ['(.*)*QQQ'], mustNotContain: ['alert('] } } });
+  assert.deepEqual(workspaces.resolve('team-a', 'TeamCard').validation, { mustContain: ['\\(\\.\\*\\)\\*QQQ'], mustNotContain: ['alert\\('] });
+  // The stored blueprint keeps the rules as written
+  assert.deepEqual(workspaces.get('team-a', 'TeamCard').blueprint.validation.mustContain, ['(.*)*QQQ']);
+});
+
+test('workspaces are capped in blueprints, bytes and count per client', async () => {
+  const limited = new WorkspaceBlueprints({
+    store: workspaces.store,
+    registry: workspaces.registry,
+    maxBlueprints: 2,
+    maxBytes: 2048,
+    maxWorkspaces: 2
+  });
+  const full = (promise, pattern) => assert.rejects(promise, error => {
+    assert.equal(error.status, 413);
+    assert.match(error.message, pattern);
+    return true;
+  });
+
+  await limited.save('client:a', 'One', { blueprint: card }, { owner: 'client' });
+  await limited.save('client:a', 'Two', { blueprint: card }, { owner: 'client' });
+  await full(limited.save('client:a', 'Three', { blueprint: card }, { owner: 'client' }), /can keep 2 blueprints/);
+  // Replacing an existing blueprint is still allowed
+  await limited.save('client:a', 'Two', { blueprint: { ...card, purpose: 'Second' } }, { owner: 'client' });
+
+  await full(limited.save('client:b', 'Big', { blueprint: { ...card, notes: 'x'.repeat(4096) } }, { owner: 'client' }), /2048 bytes/);
+  await limited.save('client:b', 'One', { blueprint: card }, { owner: 'client' });
+  await full(limited.save('client:c', 'One', { blueprint: card }, { owner: 'client' }), /can keep 2 workspaces/);
+  await limited.save('other:c', 'One', { blueprint: card }, { owner: 'other' });
+
+  // Emptying a workspace frees its slot
+  await limited.delete('client:b', 'One');
+  await limited.save('client:c', 'One', { blueprint: card }, { owner: 'client' });
+});
+
+test('names of Object.prototype members are ordinary blueprint names', async () => {
+  assert.equal(workspaces.get('team-a', 'toString'), null);
+  assert.equal(workspaces.resolve('team-a', 'constructor'), null);
+  assert.equal(await workspaces.delete('team-a', 'hasOwnProperty'), false);
+
+  const entry = await workspaces.save('team-a', 'constructor', { blueprint: card });
+  assert.equal(entry.createdAt, entry.updatedAt, 'a first save is a create');
+  assert.equal(workspaces.get('team-a', 'constructor').blueprint.purpose, 'Team card');
+  assert.equal(await workspaces.delete('team-a', 'constructor'), true);
+});
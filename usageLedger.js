@@ -0,0 +1,162 @@
+/**
+ * Usage Ledger
+ * Records input/output tokens, model and cost for every LLM call, tagged by session, file and phase
+ */
+
+import { SessionStore } from './sessionStore.js';
+import { limitFromEnv } from './concurrency.js';
+
+// USD per million tokens. Models are matched by prefix, so dated snapshots share a price.
+const MODEL_PRICING = {
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 }
+};
+
+/**
+ * Price for a model: LLM_PRICING (JSON, same shape as MODEL_PRICING) wins, then the longest matching prefix
+ */
+export function getModelPricing(model = '') {
+  let overrides = {};
+  try {
+    overrides = process.env.LLM_PRICING ? JSON.parse(process.env.LLM_PRICING) : {};
+  } catch (error) {
+    console.warn('⚠️  Ignoring invalid LLM_PRICING:', error.message);
+  }
+
+  const pricing = { ...MODEL_PRICING, ...overrides };
+  const match = Object.keys(pricing)
+    .filter(prefix => model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? pricing[match] : { input: 0, output: 0 };
+}
+
+export function calculateCost(model, inputTokens, outputTokens) {
+  const { input, output } = getModelPricing(model);
+  return (inputTokens * input + outputTokens * output) / 1_000_000;
+}
+
+function emptyTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+function addToTotals(totals, entry) {
+  totals.calls++;
+  totals.inputTokens += entry.inputTokens;
+  totals.outputTokens += entry.outputTokens;
+  totals.totalTokens += entry.inputTokens + entry.outputTokens;
+  totals.cost += entry.cost;
+  return totals;
+}
+
+export class UsageLedger {
+  constructor(options = {}) {
+    this.store = options.store || null;
+    // Recently used sessions, oldest first; the rest are read back from the store when asked for
+    this.maxInMemory = options.maxInMemory || limitFromEnv('USAGE_SESSIONS_IN_MEMORY', 100);
+    this.sessions = new Map();
+  }
+
+  // Created on first use so importing the ledger doesn't touch the filesystem
+  getStore() {
+    this.store ||= new SessionStore({ namespace: 'usage' });
+    return this.store;
+  }
+
+  /**
+   * A session's entries. Unknown sessions aren't cached, so looking up random ids costs no memory.
+   */
+  entries(sessionId) {
+    const entries = this.sessions.get(sessionId) || this.getStore().load(sessionId)?.entries || [];
+    if (entries.length > 0) this.remember(sessionId, entries);
+    return entries;
+  }
+
+  /**
+   * Mark a session as most recently used, evicting the least recently used ones once over maxInMemory
+   */
+  remember(sessionId, entries) {
+    this.sessions.delete(sessionId);
+    this.sessions.set(sessionId, entries);
+    for (const id of this.sessions.keys()) {
+      if (this.sessions.size <= this.maxInMemory) break;
+      this.sessions.delete(id);
+    }
+  }
+
+  /**
+   * Delete sessions not updated within maxAgeMs, on disk and in memory
+   */
+  prune(maxAgeMs) {
+    this.sessions.clear();
+    return this.getStore().prune(maxAgeMs);
+  }
+
+  /**
+   * Record one completion. Calls without a sessionId aren't attributable, so they're skipped.
+   */
+  record(result, meta = {}) {
+    if (!meta.sessionId || !result) return null;
+
+    const inputTokens = result.inputTokens || 0;
+    const outputTokens = result.outputTokens ?? result.tokensUsed ?? 0;
+    const entry = {
+      sessionId: meta.sessionId,
+      filePath: meta.filePath || null,
+      phase: meta.phase || null,
+      provider: result.provider || null,
+      model: result.model || null,
+      inputTokens,
+      outputTokens,
+      cost: calculateCost(result.model, inputTokens, outputTokens),
+      cached: !!result.cached,
+      timestamp: new Date().toISOString()
+    };
+
+    const entries = this.entries(meta.sessionId);
+    entries.push(entry);
+    this.remember(meta.sessionId, entries);
+
+    try {
+      this.getStore().save(meta.sessionId, { sessionId: meta.sessionId, entries });
+    } catch (error) {
+      console.warn(`⚠️  Failed to save usage for session ${meta.sessionId}:`, error.message);
+    }
+    return entry;
+  }
+
+  /**
+   * Totals for a session, broken down by phase and by file. Returns null when nothing was recorded.
+   */
+  getSessionUsage(sessionId, { includeEntries = false } = {}) {
+    const entries = this.entries(sessionId);
+    if (entries.length === 0) return null;
+
+    const byPhase = {};
+    const byFile = {};
+    const totals = emptyTotals();
+
+    for (const entry of entries) {
+      addToTotals(totals, entry);
+      addToTotals(byPhase[entry.phase || 'other'] ||= emptyTotals(), entry);
+      if (entry.filePath) {
+        addToTotals(byFile[entry.filePath] ||= emptyTotals(), entry);
+      }
+    }
+
+    const usage = { sessionId, ...totals, byPhase, byFile };
+    if (includeEntries) usage.entries = entries;
+    return usage;
+  }
+}
+
+export const usageLedger = new UsageLedger();
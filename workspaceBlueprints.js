@@ -0,0 +1,214 @@
+/**
+ * Workspace Blueprints
+ * Custom blueprints uploaded by a team, scoped to their workspace, that override or extend built-ins by name.
+ * They can use `extends` and `mixins` like built-ins.
+ */
+
+import { SessionStore } from './sessionStore.js';
+import { limitFromEnv } from './concurrency.js';
+import { validateBlueprint, createBlueprintError } from './blueprintSchema.js';
+import { blueprintRegistry, mergeBlueprints } from './blueprintRegistry.js';
+
+const BLUEPRINT_NAME = /^[A-Za-z][\w.-]{0,63}$/;
+const MODES = ['override', 'extend'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 400 error for a bad upload (413 when the workspace is full)
+ */
+function createInvalidBlueprintError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Built-in validation rules are regexes, but custom ones run against generated code on the server,
+ * so a pattern like (.*)*x could stall it: they're matched as plain text instead
+ */
+function withLiteralRules(blueprint) {
+  if (!isPlainObject(blueprint.validation)) return blueprint;
+
+  const validation = { ...blueprint.validation };
+  for (const field of ['mustContain', 'mustNotContain']) {
+    if (Array.isArray(validation[field])) {
+      validation[field] = validation[field].map(rule => typeof rule === 'string' ? escapeRegExp(rule) : rule);
+    }
+  }
+  return { ...blueprint, validation };
+}
+
+export class WorkspaceBlueprints {
+  constructor(options = {}) {
+    this.store = options.store || null;
+    this.registry = options.registry || blueprintRegistry;
+    // Uploads are open to anonymous callers, so what each client can keep on disk is capped
+    this.maxBlueprints = options.maxBlueprints || limitFromEnv('WORKSPACE_MAX_BLUEPRINTS', 50);
+    this.maxBytes = options.maxBytes || limitFromEnv('WORKSPACE_MAX_BYTES', 256 * 1024);
+    this.maxWorkspaces = options.maxWorkspaces || limitFromEnv('WORKSPACES_PER_CLIENT', 10);
+    // workspaceId -> the last pending write to that workspace's file
+    this.writes = new Map();
+  }
+
+  // Created on first use so importing the module doesn't touch the filesystem
+  getStore() {
+    this.store ||= new SessionStore({ namespace: 'workspace-blueprints' });
+    return this.store;
+  }
+
+  /**
+   * Run a read-modify-write of a workspace's blueprints once the writes already queued for it have finished,
+   * so concurrent saves and deletes can't drop each other's changes
+   */
+  serialize(workspaceId, update) {
+    const run = (this.writes.get(workspaceId) || Promise.resolve()).then(update);
+    const settled = run.catch(() => {});
+    this.writes.set(workspaceId, settled);
+    settled.then(() => {
+      if (this.writes.get(workspaceId) === settled) this.writes.delete(workspaceId);
+    });
+    return run;
+  }
+
+  entries(workspaceId) {
+    return this.getStore().load(workspaceId)?.blueprints || {};
+  }
+
+  /**
+   * The full definition for a custom blueprint: its own extends/mixins resolved, then merged onto the
+   * built-in of the same name in extend mode
+   */
+  definitionFor(name, { blueprint, mode }) {
+    const own = this.registry.resolveInheritance(withLiteralRules(blueprint), [`${name} (custom)`]);
+    return mode === 'extend' ? mergeBlueprints(this.registry.get(name), own) : own;
+  }
+
+  list(workspaceId) {
+    return Object.values(this.entries(workspaceId)).map(({ blueprint, ...entry }) => {
+      let definition = {};
+      try {
+        definition = this.definitionFor(entry.name, { blueprint, mode: entry.mode });
+      } catch {
+        // Listed anyway; resolve() reports the problem when it's used
+      }
+      return {
+        ...entry,
+        fileType: definition.fileType || null,
+        purpose: definition.purpose || definition.filePurpose || null
+      };
+    });
+  }
+
+  // Names like "toString" must not resolve to Object.prototype members
+  get(workspaceId, name) {
+    const entries = this.entries(workspaceId);
+    return Object.hasOwn(entries, name) ? entries[name] : null;
+  }
+
+  /**
+   * Create or replace a custom blueprint. `extend` mode merges it onto the built-in of the same name;
+   * the result must pass the blueprint schema either way. `owner` is the client the workspace belongs to,
+   * which may keep up to maxWorkspaces of them. Returns the stored entry.
+   */
+  async save(workspaceId, name, { blueprint, mode = 'override' } = {}, { owner = workspaceId } = {}) {
+    if (!BLUEPRINT_NAME.test(name || '')) {
+      throw createInvalidBlueprintError(`Invalid blueprint name: ${name}`);
+    }
+    if (!MODES.includes(mode)) {
+      throw createInvalidBlueprintError(`Invalid mode: ${mode}. Use ${MODES.join(' or ')}`);
+    }
+    if (!isPlainObject(blueprint)) {
+      throw createInvalidBlueprintError('blueprint must be a JSON object');
+    }
+
+    await this.registry.ensureLoaded();
+    if (mode === 'extend' && !this.registry.has(name)) {
+      throw createInvalidBlueprintError(`Cannot extend ${name}: there is no built-in blueprint with that name`);
+    }
+
+    let errors;
+    try {
+      ({ errors } = validateBlueprint(this.definitionFor(name, { blueprint, mode })));
+    } catch (error) {
+      if (!error.errors) throw error;
+      errors = error.errors;
+    }
+    if (errors.length > 0) {
+      const error = createBlueprintError(name, errors);
+      error.status = 400;
+      throw error;
+    }
+
+    return this.serialize(workspaceId, () => {
+      const saved = this.getStore().load(workspaceId);
+      const entries = saved?.blueprints || {};
+      const existing = Object.hasOwn(entries, name) ? entries[name] : null;
+      if (!saved && this.getStore().list().filter(workspace => workspace.owner === owner).length >= this.maxWorkspaces) {
+        throw createInvalidBlueprintError(`Workspace limit reached: a client can keep ${this.maxWorkspaces} workspaces`, 413);
+      }
+      if (!existing && Object.keys(entries).length >= this.maxBlueprints) {
+        throw createInvalidBlueprintError(`Workspace is full: it can keep ${this.maxBlueprints} blueprints`, 413);
+      }
+
+      const now = new Date().toISOString();
+      const entry = {
+        name,
+        mode,
+        overridesBuiltIn: this.registry.has(name),
+        blueprint,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now
+      };
+      const blueprints = { ...entries, [name]: entry };
+      if (Buffer.byteLength(JSON.stringify(blueprints)) > this.maxBytes) {
+        throw createInvalidBlueprintError(`Workspace is full: its blueprints can take up ${this.maxBytes} bytes`, 413);
+      }
+      this.getStore().save(workspaceId, { workspaceId, owner: saved?.owner || owner, blueprints });
+      return entry;
+    });
+  }
+
+  /**
+   * Resolves to false when there was nothing to delete. Removing the last blueprint removes the workspace.
+   */
+  delete(workspaceId, name) {
+    return this.serialize(workspaceId, () => {
+      const saved = this.getStore().load(workspaceId);
+      const entries = saved?.blueprints || {};
+      if (!Object.hasOwn(entries, name)) return false;
+      const { [name]: removed, ...rest } = entries;
+      if (Object.keys(rest).length === 0) {
+        this.getStore().delete(workspaceId);
+      } else {
+        this.getStore().save(workspaceId, { ...saved, blueprints: rest });
+      }
+      return true;
+    });
+  }
+
+  /**
+   * The blueprint a workspace's generations use for a name: its custom one (merged onto the built-in
+   * in extend mode), or null so the caller falls back to the built-in
+   */
+  resolve(workspaceId, name) {
+    if (!workspaceId) return null;
+    const entry = this.get(workspaceId, name);
+    if (!entry) return null;
+
+    const { value, errors } = validateBlueprint(this.definitionFor(name, entry));
+    if (errors.length > 0) {
+      // The built-in (or a fragment) changed underneath the custom blueprint
+      throw createBlueprintError(`${name} (workspace ${workspaceId})`, errors);
+    }
+    return value;
+  }
+}
+
+export const workspaceBlueprints = new WorkspaceBlueprints();